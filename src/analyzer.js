@@ -1,4 +1,22 @@
-const API_ROOT = "https://api.github.com";
+import { createProvider, describeRef, describeSource, estimateLanguages, parseRepositoryInput } from "./providers.js";
+import { getExtension } from "./paths.js";
+import { detectWorkspaces, isInside } from "./workspaces.js";
+import { assignDependenciesToComponents, collectDependencies } from "./dependencies.js";
+import { auditDependencies } from "./audit.js";
+import { detectTechnologies, extractImports, technologiesForPath } from "./technologies.js";
+import { JS_EXTENSIONS } from "./jsparser.js";
+import { extractJsRouteModule, extractServerRoutes, resolveJsRoutes } from "./routes.js";
+import { buildOpenApiDocument } from "./openapi.js";
+import { collectContracts, reconcileContracts } from "./contracts.js";
+import { detectOutboundCalls } from "./clients.js";
+import { buildErDiagram, collectDataModel } from "./datamodel.js";
+import { assignDataStoresToComponents, collectDataStores, detectDataAccess } from "./datastores.js";
+import { buildClassDiagram, extractSymbols } from "./symbols.js";
+import { assignModuleGraphToComponents, collectModuleGraph, extractNamespace } from "./modulegraph.js";
+import { measureFile, summarizeMetrics } from "./metrics.js";
+import { collectHistory, summarizeHistory } from "./history.js";
+import { parseGitAttributes, sampleFiles, selectDocuments, SAMPLING_STRATEGIES } from "./sampling.js";
+
 const SUPPORTED_CODE_EXTENSIONS = new Set([
   "js",
   "jsx",
@@ -15,14 +33,42 @@ const SUPPORTED_CODE_EXTENSIONS = new Set([
   "rb",
   "go",
   "swift",
-  "scala"
+  "scala",
+  "rs"
 ]);
 const MAX_TREE_ITEMS = 20_000;
 const MAX_FILES_FOR_ANALYSIS = 120;
 const MAX_FILE_SIZE_BYTES = 200_000;
 const FETCH_CONCURRENCY = 4;
-
-const httpMethodRegex = /(get|post|put|delete|patch|options|head)/i;
+const MAX_COMMITS = 300;
+const SAMPLE_BYTE_BUDGET = 4_000_000;
+const MAX_DOCUMENTS = 8;
+
+export const ANALYSIS_DEFAULTS = Object.freeze({
+  provider: null,
+  apiRoot: null,
+  ref: null,
+  audit: null,
+  signal: null,
+  maxTreeItems: MAX_TREE_ITEMS,
+  maxFiles: MAX_FILES_FOR_ANALYSIS,
+  maxFileSize: MAX_FILE_SIZE_BYTES,
+  concurrency: FETCH_CONCURRENCY,
+  maxCommits: MAX_COMMITS,
+  sampling: "stratified",
+  sampleBudget: SAMPLE_BYTE_BUDGET,
+  include: [],
+  exclude: []
+});
+
+const STORE_KIND_LABELS = {
+  database: "Database",
+  cache: "Cache",
+  search: "Search index",
+  broker: "Message broker",
+  queue: "Queue / topic",
+  storage: "Object storage"
+};
 const EXTENSION_TECH_MAP = {
   tsx: "React/TSX",
   ts: "TypeScript",
@@ -52,148 +98,272 @@ const EXTENSION_TECH_MAP = {
   plpgsql: "PL/pgSQL"
 };
 
-export async function analyzeRepository(input, token, onProgress = () => {}) {
-  const { owner, repo } = parseRepoInput(input);
-  onProgress(`Repository detected: ${owner}/${repo}`);
-
-  const [repoInfo, languages] = await Promise.all([
-    fetchGitHubJson(`/repos/${owner}/${repo}`, token),
-    fetchGitHubJson(`/repos/${owner}/${repo}/languages`, token)
-  ]);
-
-  const defaultBranch = repoInfo.default_branch;
+export async function analyzeRepository(input, token, onProgress = () => {}, options = {}) {
+  const settings = resolveAnalysisOptions(options);
+  const source = parseRepositoryInput(input, settings);
+  const provider = createProvider(source, token, { signal: settings.signal });
+  // Aborting cancels in-flight requests; these checks stop the phases that
+  // tolerate failed reads from carrying on with partial data.
+  const checkAborted = () => settings.signal?.throwIfAborted();
+  onProgress(`Repository detected: ${describeSource(source)}`);
+
+  const repoInfo = await provider.getRepository();
+  const defaultBranch = repoInfo.defaultBranch;
+  if (!defaultBranch) throw new Error("Could not determine the repository's default branch.");
   onProgress(`Default branch: ${defaultBranch}`);
 
-  const tree = await fetchRepositoryTree(owner, repo, defaultBranch, token);
+  const ref = await provider.resolveRef(source.ref, repoInfo);
+  if (source.ref) onProgress(`Analyzing ${describeRef(ref)}`);
+
+  const fullTree = await provider.getTree(ref.target, { maxItems: settings.maxTreeItems });
+  const tree = fullTree.slice(0, settings.maxTreeItems);
   onProgress(`Scanned ${tree.length.toLocaleString()} files from git tree`);
 
+  const languages = await provider.getLanguages(tree);
   const structure = summarizeStructure(tree);
-  const formattedLanguages = formatLanguages(languages);
-  const candidateFiles = selectFilesForAnalysis(tree);
-  onProgress(`Inspecting ${candidateFiles.length} source files for classes and API usage...`);
+  const formattedLanguages = formatLanguages(languages, provider.languageMetric);
+  const readFile = createCachedReader(provider, ref.target);
+  const workspace = await detectWorkspaces(tree, readFile);
+  if (workspace.packages.length) {
+    onProgress(`Detected ${workspace.packages.length} workspace packages (${workspace.tools.join(", ")})`);
+  }
+  const dependencies = await collectDependencies(tree, readFile, onProgress);
+  const contracts = await collectContracts(tree, readFile, onProgress);
+  const dataModel = await collectDataModel(tree, readFile, onProgress);
+  const { files: candidateFiles, sampling } = await selectFilesForAnalysis(tree, readFile, settings);
+  checkAborted();
+  onProgress(
+    `Sampling: ${sampling.label}, ${candidateFiles.length} of ${sampling.sourceFiles} source files (${Math.round(sampling.coverage.files * 100)}%)`
+  );
+  if (sampling.unsized && (sampling.strategy === "largest" || sampling.strategy === "all")) {
+    onProgress(
+      `No sizes listed for ${sampling.unsized} source files; "${sampling.label}" ranks them by entry-point score instead of size.`
+    );
+  }
+  onProgress(`Inspecting ${candidateFiles.length} source files for symbols and API usage...`);
 
   const codeStats = await inspectCodeFiles({
-    owner,
-    repo,
-    branch: defaultBranch,
+    provider,
+    ref: ref.target,
     files: candidateFiles,
-    token,
+    onProgress,
+    settings
+  });
+  checkAborted();
+
+  const technologies = await detectTechnologies({
+    tree,
+    readFile,
+    dependencies,
+    imports: codeStats.imports
+  });
+  if (technologies.length) {
+    onProgress(`Fingerprinted ${technologies.length} technologies (${technologies
+      .slice(0, 4)
+      .map((entry) => entry.name)
+      .join(", ")})`);
+  }
+
+  const dataStores = await collectDataStores({
+    tree,
+    readFile,
+    dependencies,
+    dataAccess: codeStats.dataAccess,
     onProgress
   });
 
-  const architecture = buildArchitecture(structure, formattedLanguages, repoInfo.full_name, tree);
+  const architecture = buildArchitecture(structure, formattedLanguages, repoInfo.fullName, tree, {
+    workspace,
+    codeStats,
+    technologies,
+    dataStores
+  });
+  assignDependenciesToComponents(dependencies, architecture.components);
+  const moduleGraph = await collectModuleGraph({
+    tree,
+    readFile,
+    imports: codeStats.imports,
+    workspace,
+    components: architecture.components,
+    onProgress
+  });
+  assignModuleGraphToComponents(moduleGraph, architecture.components);
+  reconcileContracts(contracts, codeStats.exposedApis, architecture.components);
+  if (contracts?.reconciliation) {
+    const { matched, codeOnly, specOnly } = contracts.reconciliation;
+    onProgress(
+      `Reconciled routes with API contracts: ${matched} documented, ${codeOnly.length} code-only, ${specOnly.length} spec-only`
+    );
+  }
+  const metrics = summarizeMetrics(codeStats.metrics, architecture.components);
+  const history = summarizeHistory(
+    await collectHistory({ provider, ref: ref.target, maxCommits: settings.maxCommits, onProgress }),
+    { tree, components: architecture.components, metrics }
+  );
+  checkAborted();
+  const audit = settings.audit ? auditDependencies(dependencies, settings.audit) : null;
+  if (audit) {
+    onProgress(
+      `Audited dependencies: ${audit.vulnerabilities.length} advisories matched, ${audit.summary.denied} denied licenses`
+    );
+  }
+
+  const repo = {
+    owner: source.owner,
+    ...repoInfo,
+    ref
+  };
 
   return {
-    repo: {
-      owner,
-      name: repoInfo.name,
-      fullName: repoInfo.full_name,
-      description: repoInfo.description,
-      homepage: repoInfo.homepage,
-      stars: repoInfo.stargazers_count,
-      forks: repoInfo.forks_count,
-      watchers: repoInfo.subscribers_count,
-      openIssues: repoInfo.open_issues_count,
-      defaultBranch
-    },
+    source,
+    repo,
     languages: formattedLanguages,
     structure,
+    workspace,
+    technologies,
     architecture,
     classes: {
-      total: codeStats.totalClasses,
-      files: codeStats.classDetails
+      total: codeStats.symbols.length,
+      kinds: countSymbolKinds(codeStats.symbols),
+      files: codeStats.classDetails,
+      symbols: codeStats.symbols
     },
     externalApis: codeStats.externalApis,
     exposedApis: codeStats.exposedApis,
+    openapi: buildOpenApiDocument({ repo, exposedApis: codeStats.exposedApis, architecture }),
+    contracts,
+    dataStores,
+    dataModel,
+    moduleGraph,
+    metrics,
+    history,
+    dependencies,
+    audit,
     meta: {
       analyzedFiles: candidateFiles.length,
       treeEntries: tree.length,
+      sampling,
       generatedAt: new Date().toISOString()
     },
     diagrams: buildMermaidDiagrams({
-      architecture: architecture || null
+      architecture: architecture || null,
+      dataStores,
+      dataModel,
+      moduleGraph,
+      symbols: codeStats.symbols
     }),
-    sampledFiles: candidateFiles
+    sampledFiles: candidateFiles,
+    sampledDocuments: selectDocuments(tree, MAX_DOCUMENTS)
   };
 }
 
-function parseRepoInput(value) {
-  if (!value || typeof value !== "string") throw new Error("Enter a GitHub repository URL or slug.");
-  const trimmed = value.trim();
-
-  const slugMatch = trimmed.match(/^([\w.-]+)\/([\w.-]+)$/);
-  if (slugMatch) {
-    return { owner: slugMatch[1], repo: slugMatch[2] };
-  }
-
-  let url;
-  try {
-    url = new URL(trimmed.startsWith("http") ? trimmed : `https://${trimmed}`);
-  } catch {
-    throw new Error("Invalid GitHub URL.");
-  }
-
-  if (!url.hostname.endsWith("github.com")) throw new Error("URL must point to github.com");
-
-  const segments = url.pathname.split("/").filter(Boolean);
-  if (segments.length < 2) throw new Error("URL must include both owner and repository name.");
-  return { owner: segments[0], repo: segments[1].replace(/\.git$/, "") };
+function createCachedReader(provider, ref) {
+  const cache = new Map();
+  return (path) => {
+    if (!cache.has(path)) cache.set(path, provider.getFileContent(path, ref));
+    return cache.get(path);
+  };
 }
 
-async function fetchRepositoryTree(owner, repo, branch, token) {
-  const tree = await fetchGitHubJson(
-    `/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}?recursive=1`,
-    token
-  );
-  if (!tree.tree) throw new Error("Could not read repository tree.");
-  if (tree.truncated) {
-    console.warn("Git tree truncated by GitHub API; analysis may be partial.");
+function resolveAnalysisOptions(options = {}) {
+  const settings = { ...ANALYSIS_DEFAULTS };
+  for (const [key, value] of Object.entries(options || {})) {
+    if (!(key in settings) || value === undefined || value === null || value === "") continue;
+    if (key === "audit" || key === "signal") {
+      settings[key] = value;
+      continue;
+    }
+    if (key === "apiRoot" || key === "provider" || key === "ref") {
+      settings[key] = String(value).trim();
+      continue;
+    }
+    if (key === "sampling") {
+      if (!SAMPLING_STRATEGIES.includes(value)) {
+        throw new Error(`Unknown sampling strategy "${value}". Expected one of: ${SAMPLING_STRATEGIES.join(", ")}.`);
+      }
+      settings.sampling = value;
+      continue;
+    }
+    if (key === "include" || key === "exclude") {
+      settings[key] = (Array.isArray(value) ? value : String(value).split(/[,\n]/))
+        .map((pattern) => pattern.trim())
+        .filter(Boolean);
+      continue;
+    }
+    const numeric = Number(value);
+    if (!Number.isInteger(numeric) || numeric < 1) {
+      throw new Error(`Option "${key}" must be a positive integer.`);
+    }
+    settings[key] = numeric;
   }
-  const entries = tree.tree.slice(0, MAX_TREE_ITEMS).filter((item) => item.type === "blob");
-  return entries;
+  return settings;
 }
 
-async function inspectCodeFiles({ owner, repo, branch, files, token, onProgress }) {
+async function inspectCodeFiles({
+  provider,
+  ref,
+  files,
+  onProgress,
+  settings = ANALYSIS_DEFAULTS
+}) {
   const work = [...files];
   const classDetails = [];
   const externalApisMap = new Map();
   const exposedApisMap = new Map();
-  let totalClasses = 0;
+  const imports = [];
+  const dataAccess = [];
+  const jsModules = [];
+  const symbols = [];
+  const metrics = [];
+  const addRoute = (route) => {
+    const key = `${route.method}_${route.endpoint}_${route.framework}_${route.sourceFile}`;
+    if (!exposedApisMap.has(key)) exposedApisMap.set(key, route);
+  };
 
-  const workers = Array.from({ length: FETCH_CONCURRENCY }, async () => {
-    while (work.length) {
+  const workers = Array.from({ length: settings.concurrency }, async () => {
+    while (work.length && !settings.signal?.aborted) {
       const file = work.shift();
       if (!file) break;
       onProgress(`→ ${file.path}`);
 
       try {
-        const content = await fetchFileContent(owner, repo, file.path, branch, token);
-        const classes = countClasses(content, file.extension);
-        if (classes > 0) {
-          totalClasses += classes;
+        const content = await provider.getFileContent(file.path, ref);
+        const measurement = measureFile(content, file.extension);
+        if (measurement) metrics.push({ path: file.path, language: file.extension, ...measurement });
+
+        const fileSymbols = extractSymbols(content, file.extension);
+        if (fileSymbols.length) {
+          symbols.push(...fileSymbols.map((symbol) => ({ ...symbol, sourceFile: file.path, language: file.extension })));
           classDetails.push({
             path: file.path,
-            classes,
+            classes: fileSymbols.length,
             language: file.extension
           });
         }
 
-        const externalCalls = detectExternalApis(content).map((entry) => ({
+        const modules = extractImports(content, file.extension);
+        const namespace = extractNamespace(content, file.extension);
+        if (modules.length || namespace) imports.push({ path: file.path, modules, namespace });
+
+        const externalCalls = detectOutboundCalls(content, file.extension, modules).map((entry) => ({
           ...entry,
           sourceFile: file.path
         }));
         for (const call of externalCalls) {
-          const key = `${call.method}_${call.url}_${call.sourceFile}`;
+          const key = `${call.kind}_${call.method}_${call.url}_${call.sourceFile}`;
           if (!externalApisMap.has(key)) externalApisMap.set(key, call);
         }
 
-        const exposed = detectExposedApis(content).map((entry) => ({
-          ...entry,
-          sourceFile: file.path
-        }));
-        for (const route of exposed) {
-          const key = `${route.method}_${route.endpoint}_${route.framework}_${route.sourceFile}`;
-          if (!exposedApisMap.has(key)) exposedApisMap.set(key, route);
+        for (const hit of detectDataAccess(content, file.extension, modules)) {
+          dataAccess.push({ ...hit, sourceFile: file.path });
+        }
+
+        const jsModule = JS_EXTENSIONS.has(file.extension) ? parseJsRoutes(content, file.path) : null;
+        if (jsModule) {
+          jsModules.push(jsModule);
+        } else {
+          const routes = extractServerRoutes(content, file.path, file.extension) ?? detectExposedApis(content);
+          routes.forEach((entry) => addRoute({ ...entry, sourceFile: file.path }));
         }
       } catch (error) {
         console.warn(`Could not scan ${file.path}:`, error.message);
@@ -202,29 +372,42 @@ async function inspectCodeFiles({ owner, repo, branch, files, token, onProgress
   });
 
   await Promise.all(workers);
+  resolveJsRoutes(jsModules).forEach(addRoute);
 
   classDetails.sort((a, b) => b.classes - a.classes);
+  symbols.sort((a, b) => a.sourceFile.localeCompare(b.sourceFile) || a.line - b.line);
 
   return {
-    totalClasses,
     classDetails,
-    externalApis: Array.from(externalApisMap.values()).sort(sortEndpoints),
-    exposedApis: Array.from(exposedApisMap.values()).sort(sortEndpoints)
+    symbols,
+    metrics,
+    externalApis: Array.from(externalApisMap.values()).sort(sortOutboundCalls),
+    exposedApis: Array.from(exposedApisMap.values()).sort(sortEndpoints),
+    imports,
+    dataAccess
   };
 }
 
-function selectFilesForAnalysis(tree) {
-  const prioritized = tree
-    .filter((item) => SUPPORTED_CODE_EXTENSIONS.has(getExtension(item.path)))
-    .filter((item) => item.size <= MAX_FILE_SIZE_BYTES)
-    .map((item) => ({
-      path: item.path,
-      size: item.size ?? MAX_FILE_SIZE_BYTES,
-      extension: getExtension(item.path)
-    }))
-    .sort((a, b) => a.size - b.size);
-
-  return prioritized.slice(0, MAX_FILES_FOR_ANALYSIS);
+async function selectFilesForAnalysis(tree, readFile, settings = ANALYSIS_DEFAULTS) {
+  const attributes = [];
+  // Shallower files first so nested .gitattributes override the root.
+  const attributeFiles = tree
+    .filter((item) => item.path.split("/").pop() === ".gitattributes")
+    .sort((a, b) => a.path.split("/").length - b.path.split("/").length);
+  for (const entry of attributeFiles) {
+    const content = await readFile(entry.path).catch(() => "");
+    attributes.push(...parseGitAttributes(content, entry.path.split("/").slice(0, -1).join("/")));
+  }
+  return sampleFiles(tree, {
+    isSupported: (extension) => SUPPORTED_CODE_EXTENSIONS.has(extension),
+    strategy: settings.sampling,
+    maxFiles: settings.maxFiles,
+    maxFileSize: settings.maxFileSize,
+    sampleBudget: settings.sampleBudget,
+    include: settings.include,
+    exclude: settings.exclude,
+    attributes
+  });
 }
 
 function summarizeStructure(tree) {
@@ -269,60 +452,193 @@ function summarizeStructure(tree) {
           .map(([extension, count]) => ({ extension, count }))
       }))
       .sort((a, b) => a.name.localeCompare(b.name)),
-    rootFiles: rootFiles.sort((a, b) => a.localeCompare(b))
+    rootFiles: rootFiles.sort((a, b) => a.localeCompare(b)),
+    // Estimated from this ref's own tree, unlike `languages`, which hosted
+    // providers report for the default branch only. Comparisons use these.
+    languages: formatLanguages(estimateLanguages(tree), tree.some((entry) => entry.size != null) ? "bytes" : "files")
   };
 }
 
-function buildArchitecture(structure, languages = [], repoName, tree = []) {
-  const components = structure.directories
-    .slice()
-    .sort((a, b) => b.files - a.files)
-    .slice(0, 6)
-    .map((dir) => ({
-      name: dir.name,
-      files: dir.files,
-      technologies: dir.topExtensions.map((item) => mapExtensionToTech(item.extension)),
-      samples: dir.samples.slice(0, 2),
-      type: inferComponentType(dir.name)
-    }));
-
-  const flow = buildWorkflow(components, extractPageWorkflow(tree));
+function buildArchitecture(
+  structure,
+  languages = [],
+  repoName,
+  tree = [],
+  { workspace, codeStats, technologies = [], dataStores = null } = {}
+) {
+  const packages = workspace?.packages || [];
+  // Top-level directories that neither are nor contain a package (docs/,
+  // infra/, scripts/) stay components next to the packages.
+  const components = [
+    ...buildPackageComponents(packages, tree, codeStats, technologies),
+    ...structure.directories
+      .filter((dir) => !packages.some((pkg) => isInside(pkg.path, dir.name) || pkg.name === dir.name))
+      .sort((a, b) => b.files - a.files)
+      .slice(0, 6)
+      .map((dir) => {
+        const stack = technologiesForPath(technologies, dir.name);
+        return {
+          name: dir.name,
+          path: dir.name,
+          files: dir.files,
+          technologies: describeStack(
+            stack,
+            dir.topExtensions.map((item) => mapExtensionToTech(item.extension))
+          ),
+          stack,
+          samples: dir.samples.slice(0, 2),
+          type: inferComponentType(dir.name),
+          ...summarizeComponentCode(dir.name, codeStats)
+        };
+      })
+  ];
+
+  assignDataStoresToComponents(dataStores, components);
+  const flow = buildWorkflow(components, extractPageWorkflow(tree), dataStores?.stores);
 
   return {
     repo: {
       name: repoName,
-      languages: (languages || []).slice(0, 4).map((lang) => lang.language)
+      languages: (languages || []).slice(0, 4).map((lang) => lang.language),
+      frameworks: technologies
+        .filter((entry) => entry.category === "framework")
+        .slice(0, 4)
+        .map((entry) => entry.name),
+      workspaceTools: workspace?.packages?.length ? workspace.tools : []
     },
     components,
     workflow: flow
   };
 }
 
-function buildMermaidDiagrams({ architecture }) {
+function buildPackageComponents(packages, tree, codeStats, technologies) {
+  return packages
+    .map((pkg) => {
+      const entries = tree.filter((entry) => isInside(entry.path, pkg.path));
+      const extensions = new Map();
+      for (const entry of entries) {
+        const ext = getExtension(entry.path) || "other";
+        extensions.set(ext, (extensions.get(ext) ?? 0) + 1);
+      }
+      const topExtensions = Array.from(extensions.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([extension, count]) => ({ extension, count }));
+      const stack = technologiesForPath(technologies, pkg.path);
+      return {
+        name: pkg.name,
+        path: pkg.path,
+        files: entries.length,
+        technologies: describeStack(
+          stack,
+          topExtensions.slice(0, 3).map((item) => mapExtensionToTech(item.extension))
+        ),
+        stack,
+        languages: topExtensions,
+        samples: entries.slice(0, 2).map((entry) => entry.path.slice(pkg.path.length + 1)),
+        type: inferComponentType(pkg.path),
+        ecosystem: pkg.ecosystem,
+        manifest: pkg.manifest,
+        dependsOn: pkg.dependsOn,
+        ...summarizeComponentCode(pkg.path, codeStats)
+      };
+    })
+    .sort((a, b) => b.files - a.files);
+}
+
+function describeStack(stack, extensionTechnologies) {
+  const names = stack
+    .filter((entry) => entry.category === "framework" || entry.category === "orm")
+    .map((entry) => entry.name);
+  for (const technology of extensionTechnologies) {
+    if (!names.some((name) => technology.includes(name))) names.push(technology);
+  }
+  return Array.from(new Set(names));
+}
+
+function summarizeComponentCode(path, codeStats) {
+  if (!codeStats) return {};
+  return {
+    linesOfCode: codeStats.metrics
+      .filter((file) => isInside(file.path, path))
+      .reduce((sum, file) => sum + file.code, 0),
+    classes: codeStats.classDetails
+      .filter((file) => isInside(file.path, path))
+      .reduce((sum, file) => sum + file.classes, 0),
+    routes: codeStats.exposedApis.filter((route) => isInside(route.sourceFile, path)).length,
+    externalApis: codeStats.externalApis.filter((call) => call.kind === "api" && isInside(call.sourceFile, path)).length
+  };
+}
+
+function buildMermaidDiagrams({ architecture, dataStores, dataModel, moduleGraph, symbols = [] }) {
   if (!architecture) {
     return {
       overview: "",
-      sequences: []
+      sequences: [],
+      imports: "",
+      entityRelationship: buildErDiagram(dataModel),
+      classes: buildComponentClassDiagrams([], symbols)
     };
   }
 
   return {
-    overview: buildOverviewDiagram(architecture),
-    sequences: [buildWorkflowSequence(architecture)]
+    overview: buildOverviewDiagram(architecture, dataStores?.stores),
+    sequences: [buildWorkflowSequence(architecture)],
+    imports: buildImportDiagram(moduleGraph, architecture.components),
+    entityRelationship: buildErDiagram(dataModel),
+    classes: buildComponentClassDiagrams(architecture.components, symbols)
   };
 }
 
-function buildOverviewDiagram(architecture) {
+// Components become nodes; arrows carry the number of file-level imports.
+// Components that take part in a cycle are highlighted.
+function buildImportDiagram(graph, components = []) {
+  if (!graph?.components?.length) return "";
+  const nodeIds = new Map(components.map((component, index) => [component.name, `M${index}`]));
+  const cyclic = new Set(graph.cycles.filter((cycle) => cycle.level === "component").flatMap((cycle) => cycle.nodes));
+  const lines = ["flowchart LR"];
+  for (const component of components) {
+    const label = formatMermaidLabel([component.name, `${component.files.toLocaleString()} files`]);
+    lines.push(`    ${nodeIds.get(component.name)}["${label}"]${cyclic.has(component.name) ? ":::cycle" : ""}`);
+  }
+  for (const edge of graph.components) {
+    if (!nodeIds.has(edge.from) || !nodeIds.has(edge.to)) continue;
+    lines.push(`    ${nodeIds.get(edge.from)} -->|${edge.count} import${edge.count === 1 ? "" : "s"}| ${nodeIds.get(edge.to)}`);
+  }
+  if (cyclic.size) lines.push("    classDef cycle stroke:#d64545,stroke-width:2px");
+  return lines.join("\n");
+}
+
+// One class diagram per component; repositories without components get a
+// single repository-wide diagram.
+function buildComponentClassDiagrams(components, symbols) {
+  const scopes = components.length
+    ? components.map((component) => ({ title: component.name, scope: component.path }))
+    : [{ title: "Repository", scope: "" }];
+  return scopes
+    .map((entry) => ({ ...entry, mermaid: buildClassDiagram(symbols, entry.scope) }))
+    .filter((entry) => entry.mermaid);
+}
+
+function countSymbolKinds(symbols) {
+  const kinds = {};
+  for (const symbol of symbols) kinds[symbol.kind] = (kinds[symbol.kind] ?? 0) + 1;
+  return kinds;
+}
+
+function buildOverviewDiagram(architecture, stores = []) {
   const lines = [];
   lines.push("graph TD");
   lines.push(`    User((End User))`);
   const repoLabel = formatMermaidLabel([
     architecture.repo.name,
-    `Languages: ${architecture.repo.languages.join(", ") || "n/a"}`
+    `Languages: ${architecture.repo.languages.join(", ") || "n/a"}`,
+    architecture.repo.frameworks?.length ? `Stack: ${architecture.repo.frameworks.join(", ")}` : ""
   ]);
   lines.push(`    Repo["${repoLabel}"]`);
   lines.push("    User --> Repo");
 
+  const nodeIds = new Map(architecture.components.map((component, index) => [component.name, `C${index}`]));
   architecture.components.forEach((component, index) => {
     const nodeId = `C${index}`;
     const tech = component.technologies.slice(0, 3).join(", ") || "Mixed stack";
@@ -335,10 +651,34 @@ function buildOverviewDiagram(architecture) {
     lines.push(`    Repo --> ${nodeId}`);
   });
 
+  architecture.components.forEach((component) => {
+    const imported = new Set();
+    (component.importsFrom || []).forEach((edge) => {
+      if (!nodeIds.has(edge.component)) return;
+      imported.add(edge.component);
+      lines.push(`    ${nodeIds.get(component.name)} -->|imports| ${nodeIds.get(edge.component)}`);
+    });
+    (component.dependsOn || []).forEach((dependency) => {
+      if (!nodeIds.has(dependency) || imported.has(dependency)) return;
+      lines.push(`    ${nodeIds.get(component.name)} -.->|depends on| ${nodeIds.get(dependency)}`);
+    });
+  });
+
+  stores.forEach((store, index) => {
+    const nodeId = `D${index}`;
+    const label = formatMermaidLabel([store.name, STORE_KIND_LABELS[store.kind]]);
+    const messaging = store.kind === "broker" || store.kind === "queue";
+    lines.push(messaging ? `    ${nodeId}{{"${label}"}}` : `    ${nodeId}[("${label}")]`);
+    const users = (store.components || []).filter((name) => nodeIds.has(name));
+    const edge = messaging ? "publishes / consumes" : "reads / writes";
+    if (!users.length) lines.push(`    Repo -->|${edge}| ${nodeId}`);
+    users.forEach((name) => lines.push(`    ${nodeIds.get(name)} -->|${edge}| ${nodeId}`));
+  });
+
   return lines.join("\n");
 }
 
-function formatMermaidLabel(lines) {
+export function formatMermaidLabel(lines) {
   return lines
     .filter(Boolean)
     .map((line) => line.replace(/["<>]/g, "").replace(/&/g, "and"))
@@ -363,7 +703,7 @@ function buildWorkflowSequence(architecture) {
     messages.push({
       from: lastId,
       to: id,
-      text: step.kind === "page" ? `Navigate ${step.detail}` : `Invoke ${step.title}`
+      text: describeWorkflowMessage(step)
     });
     lastId = id;
   });
@@ -390,6 +730,12 @@ function buildWorkflowSequence(architecture) {
   };
 }
 
+function describeWorkflowMessage(step) {
+  if (step.kind === "page") return `Navigate ${step.detail}`;
+  if (step.kind !== "datastore") return `Invoke ${step.title}`;
+  return step.storeKind === "broker" || step.storeKind === "queue" ? `Publish to ${step.title}` : `Query ${step.title}`;
+}
+
 function inferComponentType(name = "") {
   const normalized = name.toLowerCase();
   if (/(src|app|client|web|frontend|ui)/.test(normalized)) return "ui";
@@ -401,7 +747,7 @@ function inferComponentType(name = "") {
   return "misc";
 }
 
-function buildWorkflow(components = [], pages = []) {
+function buildWorkflow(components = [], pages = [], stores = []) {
   const workflow = [];
   pages.forEach((page) => {
     workflow.push({
@@ -424,7 +770,18 @@ function buildWorkflow(components = [], pages = []) {
 
   addComponentToFlow("api", "API / Services");
   addComponentToFlow("infra", "Edge & config");
-  addComponentToFlow("data", "Database & migrations");
+  if (stores.length) {
+    stores.slice(0, 3).forEach((store) => {
+      workflow.push({
+        kind: "datastore",
+        storeKind: store.kind,
+        title: store.name,
+        detail: `${STORE_KIND_LABELS[store.kind]}${store.components?.length ? ` used by ${store.components.join(", ")}` : ""}`
+      });
+    });
+  } else {
+    addComponentToFlow("data", "Database & migrations");
+  }
 
   if (!workflow.length && components.length) {
     workflow.push({
@@ -434,7 +791,7 @@ function buildWorkflow(components = [], pages = []) {
     });
   }
 
-  return workflow.slice(0, 8);
+  return workflow.slice(0, 10);
 }
 
 function extractPageWorkflow(tree = []) {
@@ -492,15 +849,15 @@ function mapExtensionToTech(extension) {
   return EXTENSION_TECH_MAP[normalized] || normalized.toUpperCase();
 }
 
-function formatLanguages(languages) {
-  const total = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
+function formatLanguages(languages, metric = "bytes") {
+  const total = Object.values(languages).reduce((sum, value) => sum + value, 0);
   return Object.entries(languages)
-    .map(([language, bytes]) => ({
+    .map(([language, value]) => ({
       language,
-      bytes,
-      share: total ? (bytes / total) * 100 : 0
+      bytes: metric === "bytes" ? value : null,
+      share: total ? (value / total) * 100 : 0
     }))
-    .sort((a, b) => b.bytes - a.bytes);
+    .sort((a, b) => b.share - a.share);
 }
 
 function sortEndpoints(a, b) {
@@ -511,101 +868,12 @@ function sortEndpoints(a, b) {
   return (a.method || "").localeCompare(b.method || "");
 }
 
-async function fetchGitHubJson(path, token) {
-  const headers = { Accept: "application/vnd.github+json" };
-  if (token) headers.Authorization = `Bearer ${token}`;
-  const response = await fetch(`${API_ROOT}${path}`, { headers });
-  if (!response.ok) {
-    const payload = await safeJson(response);
-    const message = payload?.message || response.statusText;
-    if (response.status === 403 && response.headers.get("x-ratelimit-remaining") === "0") {
-      throw new Error("GitHub rate limit exceeded. Provide a personal access token to continue.");
-    }
-    if (response.status === 404) {
-      throw new Error(
-        "Repository or resource not found. Double-check the owner/repo slug and ensure the token has access if the repo is private."
-      );
-    }
-    if (response.status === 401) {
-      throw new Error("GitHub rejected the token. Verify it is valid and has the required scopes.");
-    }
-    throw new Error(`GitHub API error (${response.status}): ${message}`);
-  }
-  return response.json();
-}
-
-export async function fetchFileContent(owner, repo, path, ref, token) {
-  const encodedPath = path
-    .split("/")
-    .map((segment) => encodeURIComponent(segment))
-    .join("/");
-  const payload = await fetchGitHubJson(
-    `/repos/${owner}/${repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`,
-    token
-  );
-  if (!payload.content) throw new Error("Missing file contents.");
-  return decodeBase64(payload.content);
-}
-
-function decodeBase64(base64) {
-  const clean = base64.replace(/\n/g, "");
-  const binary = atob(clean);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i += 1) {
-    bytes[i] = binary.charCodeAt(i);
-  }
-  return new TextDecoder("utf-8", { fatal: false }).decode(bytes);
-}
-
-function getExtension(path) {
-  const segments = path.split(".");
-  return segments.length > 1 ? segments.pop()?.toLowerCase() ?? "" : "";
-}
-
-function countClasses(content, extension) {
-  if (!content) return 0;
-  let regex = /\bclass\s+[A-Za-z0-9_]+/g;
-  if (extension === "go") {
-    regex = /\b(type)\s+[A-Za-z0-9_]+\s+struct\b/g;
-  }
-  if (extension === "rb") {
-    regex = /\bclass\s+[A-Za-z0-9_:]+/g;
-  }
-  if (extension === "py") {
-    regex = /\bclass\s+[A-Za-z0-9_]+/g;
-  }
-  const matches = content.match(regex);
-  return matches ? matches.length : 0;
-}
-
-function detectExternalApis(content) {
-  if (!content) return [];
-  const urls = new Set();
-  const discoveries = [];
-  const urlRegex = /https?:\/\/[^\s"'`)+}]+/gi;
-  let urlMatch;
-  while ((urlMatch = urlRegex.exec(content)) !== null) {
-    const url = urlMatch[0].replace(/[),;]+$/, "");
-    try {
-      const parsed = new URL(url);
-      // Skip GitHub itself to avoid noise
-      if (parsed.hostname.includes("github.com")) continue;
-      const snippet = buildSnippet(content, urlMatch.index);
-      const method = inferHttpMethod(content, urlMatch.index);
-      const key = `${method}_${parsed.origin}${parsed.pathname}`;
-      if (urls.has(key)) continue;
-      urls.add(key);
-      discoveries.push({
-        method,
-        url: `${parsed.origin}${parsed.pathname}`,
-        host: parsed.hostname,
-        snippet
-      });
-    } catch {
-      continue;
-    }
-  }
-  return discoveries;
+// API calls first, most confident first; doc links and assets trail behind.
+function sortOutboundCalls(a, b) {
+  const rank = (call) => (call.kind === "api" ? 0 : call.kind === "asset" ? 2 : 1);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (a.confidence !== b.confidence) return b.confidence - a.confidence;
+  return sortEndpoints(a, b);
 }
 
 function detectExposedApis(content) {
@@ -650,6 +918,15 @@ function detectExposedApis(content) {
   return dedupeRoutes(results);
 }
 
+function parseJsRoutes(content, path) {
+  try {
+    return extractJsRouteModule(content, path);
+  } catch (error) {
+    console.warn(`Falling back to regex route detection for ${path}:`, error.message);
+    return null;
+  }
+}
+
 function collectEndpoint(regex, content, target, mapper) {
   let match;
   while ((match = regex.exec(content)) !== null) {
@@ -672,13 +949,6 @@ function normalizeFlaskMethods(methodSection) {
   return match ? match[1].toUpperCase() : "GET";
 }
 
-function inferHttpMethod(content, index) {
-  const start = Math.max(0, index - 80);
-  const windowText = content.slice(start, index).toLowerCase();
-  const methodMatch = windowText.match(httpMethodRegex);
-  return methodMatch ? methodMatch[1].toUpperCase() : "GET";
-}
-
 function buildSnippet(content, index) {
   const start = Math.max(0, index - 60);
   const end = Math.min(content.length, index + 160);
@@ -687,12 +957,3 @@ function buildSnippet(content, index) {
     .replace(/\s+/g, " ")
     .trim();
 }
-
-async function safeJson(response) {
-  try {
-    return await response.json();
-  } catch {
-    return null;
-  }
-}
-
@@ -1,14 +1,21 @@
-import { analyzeRepository, fetchFileContent } from "./analyzer.js";
+import { analyzeRepository } from "./analyzer.js";
+import { MODEL_BACKENDS, createModelBackend, loadModelSettings, saveModelSettings } from "./backends.js";
+import { compareRepository } from "./compare.js";
+import { parseAdvisoryDatabase } from "./audit.js";
+import { buildSourceUrl, createProvider, describeSource } from "./providers.js";
 import { renderAnalysis } from "./renderers.js";
 import { generateAnalysisPdf } from "./pdf.js";
+import { buildClassDiagram } from "./symbols.js";
 import {
   buildRagIndex,
   loadIndex,
   retrieveContext,
   generateDiagramDescription,
   describeFeatures,
-  describeAnalysis
+  describeAnalysis,
+  describeChunk
 } from "./rag.js";
+import { deleteStoredIndex, estimateStorage, listStoredIndexes } from "./vectorstore.js";
 
 const form = document.getElementById("repo-form");
 const statusPanel = document.getElementById("status-panel");
@@ -20,6 +27,11 @@ const pdfButton = document.getElementById("export-pdf");
 const progressPanel = document.getElementById("progress");
 const progressValue = document.getElementById("progress-value");
 const progressLabel = document.getElementById("progress-label");
+const cancelButton = document.getElementById("cancel-run");
+const generationPreview = document.getElementById("generation-preview");
+const indexManager = document.getElementById("index-manager");
+const indexList = document.getElementById("index-list");
+const modelSettingsForm = document.getElementById("model-settings");
 let lastAnalysis = null;
 let isLogMinimized = true;
 let totalFilesForProgress = 0;
@@ -27,11 +39,22 @@ let inspectedFiles = 0;
 let currentProgressValue = 0;
 let lastToken = "";
 let ragIndex = null;
+let advisoryCache = null;
+let currentRun = null;
+let progressHideTimer = null;
+let modelSettings = loadModelSettings();
 
 form.addEventListener("submit", async (event) => {
   event.preventDefault();
   const repoUrl = form.elements["repo-url"].value.trim();
   const token = form.elements["token"].value.trim();
+  const provider = form.elements["provider"].value || null;
+  const apiRoot = form.elements["api-root"].value.trim();
+  const ref = form.elements["ref"].value.trim();
+  const baseRef = form.elements["base-ref"].value.trim();
+  const sampling = form.elements["sampling"].value;
+  const include = form.elements["include"].value.trim();
+  const exclude = form.elements["exclude"].value.trim();
 
   if (!repoUrl) return;
 
@@ -46,29 +69,52 @@ form.addEventListener("submit", async (event) => {
   ragIndex = null;
   lastToken = token;
   removeAutoDiagramSection();
+  currentRun = new AbortController();
+  const { signal } = currentRun;
+  cancelButton.hidden = false;
 
   try {
-    const analysis = await analyzeRepository(repoUrl, token, handleProgressEvent);
+    const audit = await loadAuditOptions();
+    const options = { provider, apiRoot, ref, audit, sampling, include, exclude, signal };
+    const analysis = baseRef
+      ? await compareRepository(repoUrl, token, handleProgressEvent, { ...options, baseRef })
+      : await analyzeRepository(repoUrl, token, handleProgressEvent, options);
     logStatus("Analysis complete.");
     completeProgress();
     renderAnalysis(resultsBox, analysis);
     resultsBox.classList.remove("hidden");
     attachCopyHandlers(resultsBox);
+    attachDownloadHandlers(resultsBox);
+    attachSymbolHandlers(resultsBox);
+    attachSortHandlers(resultsBox);
     lastAnalysis = analysis;
     pdfButton.disabled = false;
-    await generatePresetDiagrams(analysis);
+    await generatePresetDiagrams(analysis, signal);
   } catch (error) {
-    console.error(error);
-    logStatus(error.message || "Unable to analyze repository.", "error");
-    failProgress(error.message);
+    if (signal.aborted) {
+      logStatus("Analysis cancelled.");
+      failProgress("Cancelled");
+    } else {
+      console.error(error);
+      logStatus(error.message || "Unable to analyze repository.", "error");
+      failProgress(error.message);
+    }
     lastAnalysis = null;
     pdfButton.disabled = true;
   } finally {
+    currentRun = null;
+    cancelButton.hidden = true;
     submitButton.disabled = false;
     submitButton.textContent = "Analyze repository";
   }
 });
 
+// Aborting stops in-flight provider requests and tells the model worker to
+// stop embedding or generating at its next batch or token.
+cancelButton.addEventListener("click", () => {
+  currentRun?.abort();
+});
+
 pdfButton.addEventListener("click", async () => {
   if (!lastAnalysis) return;
   const previousLabel = pdfButton.textContent;
@@ -86,6 +132,45 @@ pdfButton.addEventListener("click", async () => {
   }
 });
 
+fillModelSettings();
+
+modelSettingsForm.elements["backend"].addEventListener("change", showBackendFields);
+
+modelSettingsForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const settings = { backend: modelSettingsForm.elements["backend"].value };
+  for (const input of modelSettingsForm.querySelectorAll("input[name*='.']")) {
+    const [backend, field] = input.name.split(".");
+    settings[backend] = { ...settings[backend], [field]: input.value.trim() };
+  }
+  try {
+    createModelBackend(settings);
+    saveModelSettings(settings);
+    modelSettings = settings;
+    logStatus(`Model settings saved (${MODEL_BACKENDS[settings.backend].label}).`);
+  } catch (error) {
+    logStatus(error.message || "Unable to save model settings.", "error");
+  }
+});
+
+indexManager.addEventListener("toggle", refreshIndexManager);
+
+indexList.addEventListener("click", async (event) => {
+  const button = event.target.closest("button[data-delete-index]");
+  if (!button) return;
+  const key = button.getAttribute("data-delete-index") || null;
+  button.disabled = true;
+  try {
+    await deleteStoredIndex(key);
+    if (!key || ragIndex?.key === key) ragIndex = null;
+    logStatus(key ? `Deleted semantic index ${key}.` : "Deleted all semantic indexes.");
+  } catch (error) {
+    console.error(error);
+    logStatus(error.message || "Unable to delete the semantic index.", "error");
+  }
+  await refreshIndexManager();
+});
+
 toggleLogButton.addEventListener("click", () => {
   isLogMinimized = !isLogMinimized;
   statusBody.classList.toggle("status__body--minimized", isLogMinimized);
@@ -93,6 +178,37 @@ toggleLogButton.addEventListener("click", () => {
   statusBody.scrollTop = statusBody.scrollHeight;
 });
 
+async function loadAuditOptions() {
+  const advisoryFiles = Array.from(form.elements["advisories"].files || []);
+  const policyFile = form.elements["license-policy"].files?.[0];
+  const licensesFile = form.elements["licenses"].files?.[0];
+  if (!advisoryFiles.length && !policyFile && !licensesFile) return null;
+
+  let database = null;
+  if (advisoryFiles.length) {
+    const signature = advisoryFiles.map((file) => `${file.name}:${file.size}:${file.lastModified}`).join("|");
+    if (advisoryCache?.signature !== signature) {
+      logStatus(`Importing ${advisoryFiles.length} advisory file(s)…`);
+      const advisories = [];
+      for (const file of advisoryFiles) {
+        const parsed = parseAdvisoryDatabase(await file.text());
+        for (const entries of parsed.index.values()) {
+          entries.forEach(({ advisory }) => advisories.push(advisory));
+        }
+      }
+      advisoryCache = { signature, database: parseAdvisoryDatabase(Array.from(new Set(advisories))) };
+      logStatus(`Loaded ${advisoryCache.database.size.toLocaleString()} advisories.`);
+    }
+    database = advisoryCache.database;
+  }
+
+  return {
+    database,
+    licensePolicy: policyFile ? await policyFile.text() : null,
+    licenseOverrides: licensesFile ? await licensesFile.text() : null
+  };
+}
+
 function handleProgressEvent(message) {
   logStatus(message);
   updateProgressFromMessage(message);
@@ -115,11 +231,14 @@ function resetStatus() {
   toggleLogButton.textContent = isLogMinimized ? "Expand" : "Minimize";
 }
 
-function resetProgress() {
+function resetProgress(label = "Initializing…") {
+  clearTimeout(progressHideTimer);
   totalFilesForProgress = 0;
   inspectedFiles = 0;
   progressPanel.classList.remove("hidden");
-  setProgress(0, "Initializing…");
+  generationPreview.hidden = true;
+  generationPreview.textContent = "";
+  setProgress(0, label);
 }
 
 function setProgress(value, label) {
@@ -129,9 +248,9 @@ function setProgress(value, label) {
   progressLabel.textContent = label;
 }
 
-function completeProgress() {
-  setProgress(1, "Analysis complete");
-  setTimeout(() => {
+function completeProgress(label = "Analysis complete") {
+  setProgress(1, label);
+  progressHideTimer = setTimeout(() => {
     progressPanel.classList.add("hidden");
   }, 1500);
 }
@@ -144,7 +263,7 @@ function failProgress(message) {
 function updateProgressFromMessage(message) {
   if (message.startsWith("Repository detected")) {
     setProgress(0.15, "Resolving repository…");
-  } else if (message.startsWith("Default branch")) {
+  } else if (message.startsWith("Default branch") || message.startsWith("Analyzing")) {
     setProgress(0.3, "Fetching metadata…");
   } else if (message.startsWith("Scanned")) {
     setProgress(0.55, "Summarizing structure…");
@@ -186,30 +305,171 @@ function attachCopyHandlers(container) {
   });
 }
 
-async function ensureRagIndex() {
+function attachDownloadHandlers(container) {
+  container.querySelectorAll(".download-button[data-download]").forEach((button) => {
+    button.addEventListener("click", () => {
+      const kind = button.getAttribute("data-download");
+      const payload = lastAnalysis?.[kind];
+      if (!payload) return;
+      const name = `${lastAnalysis.repo?.name || "repository"}-${kind}.json`;
+      downloadFile(name, JSON.stringify(payload, null, 2), "application/json");
+      logStatus(`Downloaded ${name}.`);
+    });
+  });
+}
+
+function attachSymbolHandlers(container) {
+  container.querySelectorAll("select[data-class-scope]").forEach((select) => {
+    select.addEventListener("change", () => {
+      const target = container.querySelector(`#${select.getAttribute("data-class-scope")}`);
+      if (!target) return;
+      target.value = buildClassDiagram(lastAnalysis?.classes?.symbols, select.value);
+    });
+  });
+  container.querySelectorAll("input[data-symbol-filter]").forEach((input) => {
+    input.addEventListener("input", () => {
+      const query = input.value.trim().toLowerCase();
+      const rows = container.querySelectorAll(`#${input.getAttribute("data-symbol-filter")} tbody tr`);
+      rows.forEach((row) => {
+        row.hidden = Boolean(query) && !row.dataset.search.includes(query);
+      });
+    });
+  });
+}
+
+function attachSortHandlers(container) {
+  container.querySelectorAll("table[data-sortable] th[data-sort]").forEach((header) => {
+    header.addEventListener("click", () => {
+      const table = header.closest("table");
+      const column = Number(header.getAttribute("data-sort"));
+      const numeric = header.hasAttribute("data-numeric");
+      const ascending = header.getAttribute("aria-sort") !== "ascending";
+      table.querySelectorAll("th[data-sort]").forEach((cell) => cell.removeAttribute("aria-sort"));
+      header.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+
+      const body = table.tBodies[0];
+      const valueOf = (row) => row.cells[column]?.dataset.value ?? "";
+      const rows = Array.from(body.rows).sort((a, b) => {
+        const order = numeric ? Number(valueOf(a)) - Number(valueOf(b)) : valueOf(a).localeCompare(valueOf(b));
+        return ascending ? order : -order;
+      });
+      body.append(...rows);
+    });
+  });
+}
+
+// Empty fields use the backend's defaults, shown as placeholders.
+function fillModelSettings() {
+  modelSettingsForm.elements["backend"].value = modelSettings.backend;
+  for (const input of modelSettingsForm.querySelectorAll("input[name*='.']")) {
+    const [backend, field] = input.name.split(".");
+    input.value = modelSettings[backend]?.[field] ?? "";
+    input.placeholder = MODEL_BACKENDS[backend].defaults[field] || "";
+  }
+  showBackendFields();
+}
+
+function showBackendFields() {
+  const backend = modelSettingsForm.elements["backend"].value;
+  modelSettingsForm.querySelectorAll("[data-backend]").forEach((group) => {
+    group.hidden = group.dataset.backend !== backend;
+  });
+}
+
+async function refreshIndexManager() {
+  if (!indexManager.open) return;
+  try {
+    const [indexes, storage] = await Promise.all([listStoredIndexes(), estimateStorage()]);
+    const rows = indexes
+      .map(
+        (entry) => `
+          <tr>
+            <td class="mono">${escapeHtml(entry.key)}</td>
+            <td data-numeric>${entry.files.toLocaleString()}</td>
+            <td data-numeric>${entry.chunks.toLocaleString()}</td>
+            <td data-numeric>${formatBytes(entry.bytes)}</td>
+            <td>${entry.updatedAt ? new Date(entry.updatedAt).toLocaleString() : "—"}</td>
+            <td>
+              <button type="button" class="button button--secondary button--compact" data-delete-index="${escapeHtml(entry.key)}">
+                Delete
+              </button>
+            </td>
+          </tr>`
+      )
+      .join("");
+    indexList.innerHTML = `
+      ${
+        indexes.length
+          ? `<table class="data-table">
+              <thead><tr><th>Index</th><th>Files</th><th>Chunks</th><th>Size</th><th>Updated</th><th></th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>`
+          : `<p class="muted">No semantic indexes stored yet.</p>`
+      }
+      <div class="index-list__footer">
+        <span class="muted">${
+          storage ? `Site storage in use: ${formatBytes(storage.usage)} of ${formatBytes(storage.quota)}` : ""
+        }</span>
+        ${
+          indexes.length
+            ? `<button type="button" class="button button--secondary button--compact" data-delete-index="">Delete all</button>`
+            : ""
+        }
+      </div>`;
+  } catch (error) {
+    console.error(error);
+    indexList.innerHTML = `<p class="muted">${escapeHtml(error.message || "Unable to read stored indexes.")}</p>`;
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = Object.assign(document.createElement("a"), { href: url, download: name });
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function ensureRagIndex(backend, signal, onStep) {
+  const source = lastAnalysis?.source;
   const owner = lastAnalysis?.repo?.owner;
   const repo = lastAnalysis?.repo?.name;
-  const branch = lastAnalysis?.repo?.defaultBranch;
-  if (!owner || !repo || !branch) throw new Error("Missing repository metadata.");
-  const key = `${owner}/${repo}@${branch}`;
-  if (ragIndex && ragIndex.key === key) return ragIndex;
+  const ref = lastAnalysis?.repo?.ref;
+  if (!source || !owner || !repo || !ref) throw new Error("Missing repository metadata.");
+  const key = `${describeSource(source)}@${ref.commit || ref.name}`;
+  if (ragIndex && ragIndex.key === key && ragIndex.embedding === backend.embeddingId) return ragIndex;
 
-  ragIndex = await loadIndex(key);
+  const components = lastAnalysis.architecture?.components;
+  ragIndex = await loadIndex(key, { components, backend });
   if (ragIndex) {
     logStatus("Loaded cached semantic index.");
     return ragIndex;
   }
 
   logStatus("Building semantic chunks & embeddings (first run may take a while)...");
+  const provider = createProvider(source, lastToken, { signal });
   ragIndex = await buildRagIndex({
+    key,
     owner,
     repo,
-    branch,
+    branch: ref.target,
     token: lastToken,
-    sampledFiles: lastAnalysis.sampledFiles || [],
-    fetchFileContent
+    sampledFiles: [...(lastAnalysis.sampledDocuments || []), ...(lastAnalysis.sampledFiles || [])],
+    components,
+    fetchFileContent: (_owner, _repo, path, ref) => provider.getFileContent(path, ref),
+    backend,
+    signal,
+    onProgress: logStatus,
+    onStep
   });
   logStatus("Semantic index stored locally.");
+  refreshIndexManager();
   return ragIndex;
 }
 
@@ -244,11 +504,15 @@ async function copyToClipboard(text, target) {
   return false;
 }
 
-async function generatePresetDiagrams(analysis) {
+// Indexing fills the first half of the progress bar and the diagram queries
+// share the second half; the model's partial output is shown while it streams.
+async function generatePresetDiagrams(analysis, signal) {
   removeAutoDiagramSection();
   if (!analysis) return;
+  resetProgress("Preparing semantic index…");
   try {
-    const index = await ensureRagIndex();
+    const backend = createModelBackend(modelSettings);
+    const index = await ensureRagIndex(backend, signal, (fraction, label) => setProgress(fraction * 0.5, label));
     const features = describeFeatures(analysis);
     const summary = describeAnalysis(analysis);
     const queries = buildDiagramQueries(analysis);
@@ -257,21 +521,42 @@ async function generatePresetDiagrams(analysis) {
       return;
     }
     const outputs = [];
-    for (const query of queries) {
+    for (const [position, query] of queries.entries()) {
+      const step = (fraction, label) =>
+        setProgress(0.5 + ((position + fraction) / queries.length) * 0.5, `${query.label}: ${label}`);
       logStatus(`Generating: ${query.label}`);
-      const context = await retrieveContext(query.question, index, 4);
+      step(0, "Retrieving context");
+      const context = await retrieveContext(query.question, index, 4, { backend, signal });
+      generationPreview.textContent = "";
       const generation = await generateDiagramDescription({
         question: query.question,
         contextChunks: context,
         features,
-        analysisSummary: summary
+        analysisSummary: summary,
+        backend,
+        signal,
+        onToken: (text) => {
+          generationPreview.hidden = false;
+          generationPreview.textContent = text;
+          generationPreview.scrollTop = generationPreview.scrollHeight;
+        },
+        onStep: step
       });
       outputs.push({ ...query, generation, context });
     }
+    generationPreview.hidden = true;
     renderAutoDiagramSection(outputs);
+    completeProgress("Diagrams ready");
   } catch (error) {
+    generationPreview.hidden = true;
+    if (signal?.aborted) {
+      logStatus("Diagram generation cancelled.");
+      failProgress("Cancelled");
+      return;
+    }
     console.error(error);
     logStatus(error.message || "Unable to generate automated diagrams.", "error");
+    failProgress("Diagram generation failed");
   }
 }
 
@@ -287,10 +572,13 @@ function renderAutoDiagramSection(diagrams) {
       .map((diagram) => {
         const copyId = `${diagram.id}-diagram-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
         const sources = diagram.context
-          .map(
-            (entry) =>
-              `<li>${entry.chunk.path} <span class="muted">(score ${entry.score.toFixed(3)})</span></li>`
-          )
+          .map((entry) => {
+            const url = buildSourceUrl(lastAnalysis?.source, lastAnalysis?.repo?.ref, entry.chunk.path, entry.chunk);
+            const label = escapeHtml(describeChunk(entry.chunk));
+            return `<li>${
+              url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${label}</a>` : label
+            } <span class="muted">(score ${entry.score.toFixed(3)})</span></li>`;
+          })
           .join("");
         return `
           <div class="diagram-block">
@@ -0,0 +1,250 @@
+export const DEFAULT_LICENSE_POLICY = Object.freeze({
+  allow: [
+    "MIT",
+    "MIT-0",
+    "ISC",
+    "BSD-2-Clause",
+    "BSD-3-Clause",
+    "0BSD",
+    "Apache-2.0",
+    "Zlib",
+    "Unlicense",
+    "CC0-1.0",
+    "Python-2.0",
+    "BlueOak-1.0.0"
+  ],
+  deny: ["GPL-*", "AGPL-*", "SSPL-*", "EUPL-*", "CC-BY-NC-*"]
+});
+
+const SEVERITY_ORDER = ["CRITICAL", "HIGH", "MODERATE", "MEDIUM", "LOW", "UNKNOWN"];
+
+export function parseAdvisoryDatabase(input) {
+  const advisories = normalizeAdvisoryInput(input);
+  const index = new Map();
+  for (const advisory of advisories) {
+    for (const affected of advisory.affected || []) {
+      if (!affected.package?.name || !affected.package?.ecosystem) continue;
+      const key = packageKey(affected.package.ecosystem, affected.package.name);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push({ advisory, affected });
+    }
+  }
+  return { size: advisories.length, index };
+}
+
+export function parseLicensePolicy(input) {
+  const policy = typeof input === "string" ? JSON.parse(input) : input || {};
+  return {
+    allow: Array.isArray(policy.allow) ? policy.allow : DEFAULT_LICENSE_POLICY.allow,
+    deny: Array.isArray(policy.deny) ? policy.deny : DEFAULT_LICENSE_POLICY.deny
+  };
+}
+
+export function parseLicenseOverrides(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input || {};
+  const overrides = new Map();
+  for (const [ecosystem, packages] of Object.entries(data)) {
+    for (const [name, license] of Object.entries(packages || {})) {
+      overrides.set(packageKey(ecosystem, name), license);
+    }
+  }
+  return overrides;
+}
+
+export function auditDependencies(inventory, { database, licensePolicy, licenseOverrides } = {}) {
+  const policy = parseLicensePolicy(licensePolicy);
+  const overrides = licenseOverrides instanceof Map ? licenseOverrides : parseLicenseOverrides(licenseOverrides);
+  const vulnerabilities = [];
+  const licenses = [];
+  let unresolved = 0;
+
+  for (const item of uniqueItems(inventory?.items || [])) {
+    const version = item.resolved || exactVersion(item.version);
+    const key = packageKey(item.ecosystem, item.name);
+
+    if (database) {
+      if (!version) unresolved += 1;
+      for (const { advisory, affected } of (version && database.index.get(key)) || []) {
+        if (!isAffected(version, affected)) continue;
+        vulnerabilities.push({
+          id: advisory.id,
+          aliases: (advisory.aliases || []).filter((alias) => alias.startsWith("CVE-")),
+          summary: advisory.summary || advisory.details?.split("\n")[0] || "",
+          severity: readSeverity(advisory, affected),
+          ecosystem: item.ecosystem,
+          name: item.name,
+          version,
+          fixed: readFixedVersions(affected),
+          direct: item.direct,
+          manifest: item.manifest,
+          component: item.component ?? null
+        });
+      }
+    }
+
+    const license = overrides.get(key) ?? item.license ?? null;
+    licenses.push({
+      ecosystem: item.ecosystem,
+      name: item.name,
+      version: version || item.version || null,
+      license,
+      status: classifyLicense(license, policy),
+      direct: item.direct,
+      manifest: item.manifest,
+      component: item.component ?? null
+    });
+  }
+
+  vulnerabilities.sort(
+    (a, b) => severityRank(a.severity) - severityRank(b.severity) || a.name.localeCompare(b.name)
+  );
+
+  const countStatus = (status) => licenses.filter((entry) => entry.status === status).length;
+  return {
+    advisoriesLoaded: database?.size ?? 0,
+    policy,
+    vulnerabilities,
+    licenses: licenses.filter((entry) => entry.status !== "allowed"),
+    summary: {
+      vulnerablePackages: new Set(vulnerabilities.map((entry) => `${entry.name}@${entry.version}`)).size,
+      bySeverity: vulnerabilities.reduce((totals, entry) => {
+        totals[entry.severity] = (totals[entry.severity] ?? 0) + 1;
+        return totals;
+      }, {}),
+      unresolvedVersions: unresolved,
+      allowed: countStatus("allowed"),
+      denied: countStatus("denied"),
+      review: countStatus("review"),
+      unknown: countStatus("unknown")
+    }
+  };
+}
+
+function normalizeAdvisoryInput(input) {
+  if (!input) return [];
+  if (Array.isArray(input)) return input;
+  if (typeof input === "object") return input.vulns || input.advisories || [input];
+  const text = input.trim();
+  if (!text) return [];
+  try {
+    return normalizeAdvisoryInput(JSON.parse(text));
+  } catch {
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+}
+
+function uniqueItems(items) {
+  const map = new Map();
+  for (const item of items) {
+    const key = `${item.ecosystem}:${item.name}@${item.resolved || item.version}:${item.manifest}`;
+    if (!map.has(key)) map.set(key, item);
+  }
+  return Array.from(map.values());
+}
+
+function packageKey(ecosystem, name) {
+  const normalizedName = ecosystem === "PyPI" ? name.toLowerCase().replace(/[-_.]+/g, "-") : name;
+  return `${ecosystem}:${normalizedName}`;
+}
+
+function exactVersion(spec) {
+  if (!spec) return null;
+  const match = String(spec).trim().match(/^(?:===?|=|\[)?\s*v?(\d+(?:\.[\w]+)*(?:[-+][\w.]+)?)\]?$/);
+  return match ? match[1] : null;
+}
+
+function isAffected(version, affected) {
+  if ((affected.versions || []).includes(version)) return true;
+  for (const range of affected.ranges || []) {
+    if (range.type === "GIT") continue;
+    let vulnerable = false;
+    for (const event of range.events || []) {
+      if (event.introduced !== undefined) {
+        if (event.introduced === "0" || compareVersions(version, event.introduced) >= 0) vulnerable = true;
+      } else if (event.fixed !== undefined) {
+        if (compareVersions(version, event.fixed) >= 0) vulnerable = false;
+      } else if (event.last_affected !== undefined) {
+        if (compareVersions(version, event.last_affected) > 0) vulnerable = false;
+      }
+    }
+    if (vulnerable) return true;
+  }
+  return false;
+}
+
+function compareVersions(left, right) {
+  const [leftMain, leftPre] = splitVersion(left);
+  const [rightMain, rightPre] = splitVersion(right);
+  const length = Math.max(leftMain.length, rightMain.length);
+  for (let i = 0; i < length; i += 1) {
+    const diff = comparePart(leftMain[i] ?? "0", rightMain[i] ?? "0");
+    if (diff !== 0) return diff;
+  }
+  if (leftPre === rightPre) return 0;
+  if (!leftPre) return 1;
+  if (!rightPre) return -1;
+  return comparePart(leftPre, rightPre);
+}
+
+function splitVersion(value) {
+  const clean = String(value).trim().replace(/^v/i, "").split("+")[0];
+  const dash = clean.indexOf("-");
+  const main = dash === -1 ? clean : clean.slice(0, dash);
+  const pre = dash === -1 ? "" : clean.slice(dash + 1);
+  return [main.split("."), pre];
+}
+
+function comparePart(left, right) {
+  const leftNumber = Number(left);
+  const rightNumber = Number(right);
+  if (Number.isFinite(leftNumber) && Number.isFinite(rightNumber)) return leftNumber - rightNumber;
+  return String(left).localeCompare(String(right), undefined, { numeric: true });
+}
+
+function readSeverity(advisory, affected) {
+  const raw =
+    affected.ecosystem_specific?.severity ||
+    affected.database_specific?.severity ||
+    advisory.database_specific?.severity ||
+    "";
+  const normalized = String(raw).toUpperCase();
+  return SEVERITY_ORDER.includes(normalized) ? normalized : "UNKNOWN";
+}
+
+function readFixedVersions(affected) {
+  return (affected.ranges || [])
+    .flatMap((range) => range.events || [])
+    .map((event) => event.fixed)
+    .filter(Boolean);
+}
+
+function severityRank(severity) {
+  const index = SEVERITY_ORDER.indexOf(severity);
+  return index === -1 ? SEVERITY_ORDER.length : index;
+}
+
+function classifyLicense(expression, policy) {
+  if (!expression) return "unknown";
+  const alternatives = String(expression)
+    .replace(/[()]/g, "")
+    .split(/\s+OR\s+|\s*\/\s*/i)
+    .map((option) => option.split(/\s+AND\s+/i).map((id) => id.trim()).filter(Boolean));
+  const statuses = alternatives.map((ids) => {
+    if (ids.some((id) => matchesAny(id, policy.deny))) return "denied";
+    if (ids.every((id) => matchesAny(id, policy.allow))) return "allowed";
+    return "review";
+  });
+  if (statuses.includes("allowed")) return "allowed";
+  if (statuses.includes("review")) return "review";
+  return "denied";
+}
+
+function matchesAny(id, patterns) {
+  return patterns.some((pattern) => {
+    if (pattern.endsWith("*")) return id.toLowerCase().startsWith(pattern.slice(0, -1).toLowerCase());
+    return id.toLowerCase() === pattern.toLowerCase();
+  });
+}
@@ -0,0 +1,249 @@
+import { chunkFile } from "./chunking.js";
+import { runModelTask } from "./modelclient.js";
+import { DEFAULT_EMBEDDING_MODEL, DEFAULT_TEXT_MODEL, EMBEDDING_BATCH_SIZE } from "./models.js";
+import { tokenizeForSearch } from "./retrieval.js";
+
+const SETTINGS_KEY = "project-overview-model-settings";
+const MAX_NEW_TOKENS = 420;
+const TEMPERATURE = 0.2;
+const MOCK_DIMENSIONS = 256;
+
+// Where the semantic index gets its embeddings and the diagram assistant its
+// text. Settings keep one entry per backend, so switching back restores the
+// previous models: { backend, transformers: {...}, openai: {...} }.
+export const MODEL_BACKENDS = {
+  transformers: {
+    label: "In-browser models (transformers.js)",
+    defaults: { textModel: DEFAULT_TEXT_MODEL, embeddingModel: DEFAULT_EMBEDDING_MODEL }
+  },
+  openai: {
+    label: "OpenAI-compatible server",
+    defaults: {
+      endpoint: "http://localhost:11434/v1",
+      apiKey: "",
+      textModel: "llama3.1",
+      embeddingModel: "nomic-embed-text"
+    }
+  },
+  mock: {
+    label: "Mock (deterministic, no model)",
+    defaults: {}
+  }
+};
+
+export const DEFAULT_MODEL_SETTINGS = { backend: "transformers" };
+
+export function loadModelSettings() {
+  try {
+    const stored = typeof localStorage === "undefined" ? null : localStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_MODEL_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.warn("Ignoring unreadable model settings", error);
+    return { ...DEFAULT_MODEL_SETTINGS };
+  }
+}
+
+export function saveModelSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Every backend offers indexFile, embedQuery, rerank and generate with the
+// signatures of the in-browser model tasks. `embeddingId` names the vector
+// space, so stored vectors from another embedding model are never mixed in.
+export function createModelBackend(settings = DEFAULT_MODEL_SETTINGS) {
+  const id = settings.backend || DEFAULT_MODEL_SETTINGS.backend;
+  const factory = BACKEND_FACTORIES[id];
+  if (!factory) {
+    throw new Error(`Unknown model backend "${id}". Expected one of: ${Object.keys(MODEL_BACKENDS).join(", ")}.`);
+  }
+  // Empty fields fall back to the backend's defaults.
+  const chosen = Object.entries(settings[id] || {}).filter(([, value]) => value !== "" && value != null);
+  return factory({ ...MODEL_BACKENDS[id].defaults, ...Object.fromEntries(chosen) });
+}
+
+const BACKEND_FACTORIES = {
+  transformers: createTransformersBackend,
+  openai: createOpenAIBackend,
+  mock: createMockBackend
+};
+
+function createTransformersBackend({ textModel, embeddingModel }) {
+  const generationOptions = {
+    max_new_tokens: MAX_NEW_TOKENS,
+    temperature: TEMPERATURE,
+    top_k: 20,
+    repetition_penalty: 1.05
+  };
+  return {
+    id: "transformers",
+    embeddingId: `transformers:${embeddingModel}`,
+    textModel,
+    indexFile: (file, options) => runModelTask("indexFile", { ...file, model: embeddingModel }, options),
+    embedQuery: (text, options) => runModelTask("embedQuery", { text, model: embeddingModel }, options),
+    rerank: (query, documents, options) => runModelTask("rerank", { query, documents }, options),
+    generate: (prompt, options) =>
+      runModelTask("generate", { prompt, model: textModel, options: generationOptions }, options)
+  };
+}
+
+// Ollama, llama.cpp server, vLLM and LM Studio all serve /embeddings and
+// /chat/completions under their /v1 root. There is no common reranking
+// endpoint, so rerank returns null and the fused ranking is kept.
+function createOpenAIBackend({ endpoint, apiKey, textModel, embeddingModel }) {
+  const root = endpoint.replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const post = async (path, body, signal) => {
+    const response = await fetch(`${root}${path}`, { method: "POST", headers, body: JSON.stringify(body), signal });
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => "")).slice(0, 200);
+      throw new Error(`${root}${path} returned ${response.status} ${response.statusText}${detail ? `: ${detail}` : ""}`);
+    }
+    return response;
+  };
+  const embed = async (texts, signal) => {
+    const response = await post("/embeddings", { model: embeddingModel, input: texts }, signal);
+    const { data } = await response.json();
+    return [...data].sort((a, b) => a.index - b.index).map((entry) => entry.embedding);
+  };
+
+  return {
+    id: "openai",
+    embeddingId: `openai:${embeddingModel}`,
+    textModel,
+    indexFile: (file, options) => embedFile(file, embed, options),
+    async embedQuery(text, { signal } = {}) {
+      const [vector] = await embed([text], signal);
+      return Float32Array.from(vector);
+    },
+    rerank: async () => null,
+    async generate(prompt, { signal, onToken = () => {}, onProgress = () => {} } = {}) {
+      const response = await post(
+        "/chat/completions",
+        {
+          model: textModel,
+          messages: [{ role: "user", content: prompt }],
+          max_tokens: MAX_NEW_TOKENS,
+          temperature: TEMPERATURE,
+          stream: true
+        },
+        signal
+      );
+      // Servers that ignore `stream` answer with a single JSON completion.
+      if (!response.headers.get("content-type")?.includes("text/event-stream")) {
+        const payload = await response.json();
+        return payload.choices?.[0]?.message?.content || "";
+      }
+      let text = "";
+      let tokens = 0;
+      for await (const data of readEventStream(response.body)) {
+        if (data === "[DONE]") break;
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (!delta) continue;
+        text += delta;
+        tokens += 1;
+        onToken(text);
+        onProgress({ stage: "generate", done: tokens, total: MAX_NEW_TOKENS });
+      }
+      return text;
+    }
+  };
+}
+
+// For tests and offline demos: hashed bag-of-words vectors, term-overlap
+// reranking, and a flowchart from the prompt's question and chunk headings.
+// The same input always gives the same output.
+function createMockBackend() {
+  const embed = async (texts) => texts.map(hashEmbedding);
+  return {
+    id: "mock",
+    embeddingId: "mock",
+    textModel: "mock",
+    indexFile: (file, options) => embedFile(file, embed, options),
+    embedQuery: async (text) => hashEmbedding(text),
+    async rerank(query, documents) {
+      const terms = new Set(tokenizeForSearch(query));
+      return documents.map((document) => tokenizeForSearch(document).filter((term) => terms.has(term)).length);
+    },
+    async generate(prompt, { signal, onToken = () => {}, onProgress = () => {} } = {}) {
+      const lines = mockDiagram(prompt);
+      let text = "";
+      for (const [position, line] of lines.entries()) {
+        signal?.throwIfAborted();
+        text += `${line}\n`;
+        onToken(text);
+        onProgress({ stage: "generate", done: position + 1, total: lines.length });
+      }
+      return text;
+    }
+  };
+}
+
+// Chunks one file and embeds the chunks in batches through `embed(texts,
+// signal)`. Returns the record shape of the in-browser indexFile task.
+async function embedFile({ sha, path, content, embeddings = true }, embed, { signal, onProgress = () => {} } = {}) {
+  const chunks = chunkFile(content, path).map(({ id, path: _path, ...chunk }) => chunk);
+  const vectors = [];
+  for (let start = 0; embeddings && start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+    signal?.throwIfAborted();
+    const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+    vectors.push(...(await embed(batch.map((chunk) => chunk.content), signal)));
+    onProgress({ stage: "embed", done: Math.min(start + batch.length, chunks.length), total: chunks.length });
+  }
+  const dims = vectors[0]?.length || 0;
+  const packed = new Float32Array(vectors.length * dims);
+  vectors.forEach((vector, position) => packed.set(vector, position * dims));
+  return {
+    sha,
+    chunks,
+    vectors: packed,
+    dims,
+    bytes: packed.byteLength + chunks.reduce((sum, chunk) => sum + chunk.content.length, 0)
+  };
+}
+
+async function* readEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+      const lines = buffer.split("\n");
+      buffer = done ? "" : lines.pop();
+      for (const line of lines) {
+        if (line.startsWith("data:")) yield line.slice(5).trim();
+      }
+      if (done) return;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+function hashEmbedding(text) {
+  const vector = new Float32Array(MOCK_DIMENSIONS);
+  for (const term of tokenizeForSearch(text)) {
+    let hash = 2166136261;
+    for (let i = 0; i < term.length; i += 1) hash = Math.imul(hash ^ term.charCodeAt(i), 16777619);
+    vector[(hash >>> 0) % MOCK_DIMENSIONS] += 1;
+  }
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+}
+
+// Reads the "Question:" and "Chunk N (...):" lines of the diagram prompt.
+function mockDiagram(prompt) {
+  const label = (text) => text.replace(/"/g, "'");
+  const question = prompt.match(/^Question: (.*)$/m)?.[1] || "Request";
+  const sources = [...prompt.matchAll(/^Chunk \d+ \((.+)\):$/gm)].map((match) => match[1]);
+  return [
+    "```mermaid",
+    "flowchart TD",
+    `  Q["${label(question)}"]`,
+    ...sources.map((source, position) => `  Q --> C${position + 1}["${label(source)}"]`),
+    "```"
+  ];
+}
@@ -0,0 +1,334 @@
+import { measureFile } from "./metrics.js";
+import { getExtension } from "./paths.js";
+import { extractSymbols, maskSource } from "./symbols.js";
+
+// all-MiniLM-L6-v2 reads at most 256 tokens including [CLS] and [SEP].
+export const MAX_CHUNK_TOKENS = 254;
+export const OVERLAP_TOKENS = 32;
+// Smaller pieces (a lone `return {`, a closing brace, a bare heading) join a
+// neighbouring chunk.
+const MIN_CHUNK_TOKENS = 16;
+
+const MARKDOWN_EXTENSIONS = new Set(["md", "mdx", "markdown"]);
+const INDENT_EXTENSIONS = new Set(["py", "rb"]);
+const BRACE_EXTENSIONS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs", "java", "kt", "kts", "cs", "php", "go", "swift", "scala", "rs"]);
+const CONTINUATION = /^(?:[}\])?:.]|&&|\|\||else\b|elif\b|except\b|finally\b|catch\b|end\b|rescue\b|ensure\b|when\b|elsif\b)/;
+const ATTACHED = /^(?:@|#\[|\[)/;
+const CONTAINER_KINDS = new Set(["class", "interface", "trait", "struct", "enum", "record", "object", "protocol", "module", "impl", "extension"]);
+
+// Splits a file along its structure: declarations (functions, classes,
+// methods) for code and headings for Markdown. Units that exceed the token
+// budget are split along their members, then into overlapping line windows.
+export function chunkFile(
+  content,
+  path,
+  { countTokens = estimateTokens, maxTokens = MAX_CHUNK_TOKENS, overlapTokens = OVERLAP_TOKENS } = {}
+) {
+  if (!content?.trim()) return [];
+  const extension = getExtension(path);
+  const lines = content.split("\n");
+  const context = {
+    lines,
+    tokens: lines.map((line) => (line.trim() ? countTokens(line) : 0)),
+    maxTokens,
+    overlapTokens,
+    chunks: []
+  };
+
+  if (MARKDOWN_EXTENSIONS.has(extension)) {
+    context.structure = markdownStructure(lines);
+  } else if (INDENT_EXTENSIONS.has(extension) || BRACE_EXTENSIONS.has(extension)) {
+    const masked = maskSource(content, extension).split("\n");
+    context.structure = codeStructure(lines, masked, extension, content);
+  } else {
+    context.structure = { levels: lines.map(() => 0), masked: lines, declarations: new Map(), blankSplits: true };
+  }
+
+  pack(splitRange(context, 0, lines.length - 1, null), context, null);
+  mergeFragments(context);
+  return context.chunks.map((chunk, index) => ({ id: `${path}::${index}`, path, ...chunk }));
+}
+
+function codeStructure(lines, masked, extension, content) {
+  const levels = [];
+  if (INDENT_EXTENSIONS.has(extension)) {
+    // Blank, comment and docstring lines take the indentation of the code
+    // below them, since that is what they describe.
+    let next = 0;
+    for (let index = masked.length - 1; index >= 0; index -= 1) {
+      const line = masked[index];
+      if (line.trim()) next = line.length - line.trimStart().length;
+      levels[index] = next;
+    }
+  } else {
+    let depth = 0;
+    for (const line of masked) {
+      levels.push(depth);
+      for (const ch of line) {
+        if (ch === "{") depth += 1;
+        else if (ch === "}") depth = Math.max(0, depth - 1);
+      }
+    }
+  }
+
+  const declarations = new Map();
+  for (const fn of measureFile(content, extension)?.functionList || []) {
+    if (fn.name !== "(anonymous)" && !declarations.has(fn.line)) declarations.set(fn.line, { name: fn.name, kind: "function" });
+  }
+  for (const symbol of extractSymbols(content, extension)) {
+    declarations.set(symbol.line, { name: symbol.name, kind: symbol.kind });
+  }
+  return { levels, masked, declarations };
+}
+
+// Headings open sections; fenced code blocks never split.
+function markdownStructure(lines) {
+  const levels = [];
+  const declarations = new Map();
+  let fenced = false;
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const heading = !fenced && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) declarations.set(index + 1, { name: heading[2], kind: "section", heading: true });
+    levels.push(fenced || heading ? 0 : 1);
+  });
+  return { levels, masked: lines, declarations, markdown: true };
+}
+
+// Cuts lines [start, end] into units at the `base` nesting level.
+function splitRange(context, start, end, base) {
+  const { lines, structure } = context;
+  const { levels, masked } = structure;
+  const level = base ?? Math.min(...levels.slice(start, end + 1).filter((_, offset) => lines[start + offset].trim()));
+  const units = [];
+  let current = null;
+  let afterBlank = false;
+
+  for (let index = start; index <= end; index += 1) {
+    if (!lines[index].trim()) {
+      afterBlank = true;
+      if (current) current.end = index;
+      continue;
+    }
+    const text = masked[index].trim();
+    const atBase = levels[index] <= level;
+    const startsUnit =
+      !current ||
+      (structure.markdown
+        ? structure.declarations.get(index + 1)?.heading
+        : atBase &&
+          !CONTINUATION.test(text) &&
+          (afterBlank || current.deep || (!structure.blankSplits && opensBlock(context, index, end, level))));
+
+    if (startsUnit) {
+      const unit = { start: index, end: index };
+      // Comments, annotations and decorators stay with the declaration below.
+      if (current && !afterBlank && !current.deep) {
+        let first = index;
+        while (first > current.start && isAttached(context, first - 1)) first -= 1;
+        if (first < index) {
+          unit.start = first;
+          current.end = first - 1;
+        }
+      }
+      if (current && current.end >= current.start) units.push(current);
+      current = unit;
+    } else {
+      current.end = index;
+      if (!atBase) current.deep = true;
+    }
+    afterBlank = false;
+  }
+  if (current) units.push(current);
+
+  return units.map((unit) => ({ ...unit, level, ...nameUnit(context, unit, level) }));
+}
+
+function opensBlock(context, index, end, level) {
+  const { lines, structure } = context;
+  for (let next = index + 1; next <= end; next += 1) {
+    if (lines[next].trim()) return structure.levels[next] > level;
+  }
+  return false;
+}
+
+function isAttached(context, index) {
+  const { lines, structure } = context;
+  if (!lines[index].trim()) return false;
+  const text = structure.masked[index].trim();
+  return !text || ATTACHED.test(text);
+}
+
+// Names a unit after the first declaration in its header lines.
+function nameUnit(context, unit, level) {
+  const { levels, declarations } = context.structure;
+  for (let index = unit.start; index <= unit.end; index += 1) {
+    const declaration = declarations.get(index + 1);
+    if (declaration) return { symbol: declaration.name, kind: declaration.kind, declaredAt: index };
+    if (levels[index] > level) break;
+  }
+  return { symbol: null, kind: null };
+}
+
+function pack(units, context, parent) {
+  let buffer = null;
+  const flush = () => {
+    if (buffer) emitUnit(buffer, context, parent);
+    buffer = null;
+  };
+  for (const unit of units) {
+    const size = tokensIn(context, unit.start, unit.end);
+    if (unit.symbol) {
+      flush();
+      emitUnit(unit, context, parent);
+    } else if (buffer && tokensIn(context, buffer.start, unit.end) <= context.maxTokens) {
+      buffer.end = unit.end;
+    } else {
+      flush();
+      buffer = { ...unit };
+      if (size > context.maxTokens) flush();
+    }
+  }
+  flush();
+}
+
+function emitUnit(unit, context, parent) {
+  const symbol = unit.symbol ? qualify(unit, parent) : parent;
+  if (tokensIn(context, unit.start, unit.end) <= context.maxTokens) {
+    addChunk(context, unit.start, unit.end, symbol);
+    return;
+  }
+  const inner = innerRange(context, unit);
+  if (inner) {
+    const children = splitRange(context, inner.start, inner.end, null);
+    if (children.length > 1 || children[0]?.symbol) {
+      if (inner.start > unit.start) addChunk(context, unit.start, inner.start - 1, symbol);
+      pack(children, context, symbol);
+      if (inner.end < unit.end) addChunk(context, inner.end + 1, unit.end, symbol);
+      return;
+    }
+  }
+  if (!context.structure.markdown || !splitParagraphs(unit, context, symbol)) addWindows(unit, context, symbol);
+}
+
+function qualify(unit, parent) {
+  if (!parent?.symbol || parent.kind === "section") return { symbol: unit.symbol, kind: unit.kind };
+  const kind = unit.kind === "function" && CONTAINER_KINDS.has(parent.kind) ? "method" : unit.kind;
+  return { symbol: `${parent.symbol}.${unit.symbol}`, kind };
+}
+
+// The lines nested deeper than the unit's header, if any.
+function innerRange(context, unit) {
+  const { levels } = context.structure;
+  let start = -1;
+  let end = -1;
+  for (let index = (unit.declaredAt ?? unit.start) + 1; index <= unit.end; index += 1) {
+    if (!context.lines[index].trim() || levels[index] <= unit.level) continue;
+    if (start === -1) start = index;
+    end = index;
+  }
+  return start === -1 ? null : { start, end };
+}
+
+function splitParagraphs(unit, context, symbol) {
+  const paragraphs = [];
+  let start = unit.start;
+  for (let index = unit.start; index <= unit.end; index += 1) {
+    if (context.structure.levels[index] === 1 && !context.lines[index].trim() && index > start) {
+      paragraphs.push({ start, end: index, symbol: null });
+      start = index + 1;
+    }
+  }
+  if (start <= unit.end) paragraphs.push({ start, end: unit.end, symbol: null });
+  if (paragraphs.length < 2) return false;
+  let buffer = null;
+  for (const paragraph of paragraphs) {
+    if (buffer && tokensIn(context, buffer.start, paragraph.end) <= context.maxTokens) {
+      buffer.end = paragraph.end;
+      continue;
+    }
+    if (buffer) emitWindowed(buffer, context, symbol);
+    buffer = { ...paragraph };
+  }
+  emitWindowed(buffer, context, symbol);
+  return true;
+}
+
+function emitWindowed(unit, context, symbol) {
+  if (tokensIn(context, unit.start, unit.end) <= context.maxTokens) addChunk(context, unit.start, unit.end, symbol);
+  else addWindows(unit, context, symbol);
+}
+
+// Fixed-size windows that repeat up to `overlapTokens` of the previous window.
+function addWindows(unit, context, symbol) {
+  let start = unit.start;
+  while (start <= unit.end) {
+    let end = start;
+    let size = context.tokens[start];
+    while (end < unit.end && size + context.tokens[end + 1] <= context.maxTokens) {
+      end += 1;
+      size += context.tokens[end];
+    }
+    addChunk(context, start, end, symbol);
+    if (end >= unit.end) break;
+    let next = end + 1;
+    let overlap = 0;
+    while (next - 1 > start && overlap + context.tokens[next - 1] <= context.overlapTokens) {
+      next -= 1;
+      overlap += context.tokens[next];
+    }
+    start = next;
+  }
+}
+
+function addChunk(context, start, end, symbol) {
+  const { lines } = context;
+  while (start < end && !lines[start].trim()) start += 1;
+  while (end > start && !lines[end].trim()) end -= 1;
+  if (!lines.slice(start, end + 1).some((line) => line.trim())) return;
+  context.chunks.push({
+    content: lines.slice(start, end + 1).join("\n"),
+    startLine: start + 1,
+    endLine: end + 1,
+    symbol: symbol?.symbol ?? null,
+    kind: symbol?.kind ?? null,
+    tokens: tokensIn(context, start, end)
+  });
+}
+
+function mergeFragments(context) {
+  const { chunks, lines, maxTokens } = context;
+  for (let index = 0; index < chunks.length; index += 1) {
+    const chunk = chunks[index];
+    if (chunk.tokens >= MIN_CHUNK_TOKENS || chunks.length < 2) continue;
+    const previous = chunks[index - 1];
+    const next = chunks[index + 1];
+    const fits = (first, second) =>
+      first && second && first.endLine < second.startLine && tokensIn(context, first.startLine - 1, second.endLine - 1) <= maxTokens;
+    // Headers lead into what follows; anything else closes what came before.
+    const header = context.structure.markdown || /[{(\[:]\s*$/.test(lines[chunk.endLine - 1]);
+    const target = header ? (fits(chunk, next) ? next : fits(previous, chunk) && previous) : fits(previous, chunk) ? previous : fits(chunk, next) && next;
+    if (!target) continue;
+    const start = Math.min(chunk.startLine, target.startLine);
+    const end = Math.max(chunk.endLine, target.endLine);
+    Object.assign(target, {
+      content: lines.slice(start - 1, end).join("\n"),
+      startLine: start,
+      endLine: end,
+      tokens: tokensIn(context, start - 1, end - 1)
+    });
+    chunks.splice(index, 1);
+    index -= 1;
+  }
+}
+
+function tokensIn(context, start, end) {
+  let total = 0;
+  for (let index = start; index <= end; index += 1) total += context.tokens[index];
+  return total;
+}
+
+// Rough WordPiece estimate used when no tokenizer is available.
+function estimateTokens(text) {
+  return (text.match(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g) || []).length;
+}
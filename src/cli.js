@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+import { readdir, readFile, stat, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { analyzeRepository, ANALYSIS_DEFAULTS } from "./analyzer.js";
+import { compareRepository } from "./compare.js";
+import { PROVIDERS } from "./providers.js";
+import { SAMPLING_STRATEGIES } from "./sampling.js";
+import { parseAdvisoryDatabase } from "./audit.js";
+
+const USAGE = `Usage: project-overview <repository> [options]
+
+Analyze a repository headlessly and emit the JSON report.
+
+Arguments:
+  <repository>              Repository URL, owner/repo slug, or local directory
+
+Options:
+  -t, --token <token>       Access token (defaults to $GIT_TOKEN, then $GITHUB_TOKEN)
+  -o, --output <path>       Write the report to a file instead of stdout
+  -p, --provider <name>     ${PROVIDERS.join(" | ")} (default: detected from the URL)
+  -r, --ref <ref>           Branch, tag, commit SHA, or #<pull request> (default: from the URL)
+      --compare <ref>       Also analyze a base ref and attach the architectural drift
+      --api-root <url>      Provider API root (default: derived from the URL)
+      --advisories <path>   OSV advisories (JSON array, NDJSON, or a directory of OSV files)
+      --license-policy <f>  JSON license policy with "allow" and "deny" SPDX lists
+      --licenses <file>     JSON license overrides: { "<ecosystem>": { "<package>": "<SPDX>" } }
+      --max-files <n>       Source files inspected deeply (default: ${ANALYSIS_DEFAULTS.maxFiles})
+      --max-file-size <n>   Skip files larger than n bytes (default: ${ANALYSIS_DEFAULTS.maxFileSize})
+      --max-tree-items <n>  Git tree entries considered (default: ${ANALYSIS_DEFAULTS.maxTreeItems})
+      --concurrency <n>     Parallel file downloads (default: ${ANALYSIS_DEFAULTS.concurrency})
+      --max-commits <n>     Commits read for history analytics (default: ${ANALYSIS_DEFAULTS.maxCommits})
+      --sampling <name>     ${SAMPLING_STRATEGIES.join(" | ")} (default: ${ANALYSIS_DEFAULTS.sampling})
+      --sample-budget <n>   Bytes read by the "all" sampling strategy (default: ${ANALYSIS_DEFAULTS.sampleBudget})
+      --include <glob>      Only sample matching source files (repeatable)
+      --exclude <glob>      Never sample matching source files (repeatable)
+      --compact             Emit single-line JSON
+  -q, --quiet               Suppress progress messages on stderr
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+  token: { type: "string", short: "t" },
+  output: { type: "string", short: "o" },
+  provider: { type: "string", short: "p" },
+  ref: { type: "string", short: "r" },
+  compare: { type: "string" },
+  advisories: { type: "string" },
+  "license-policy": { type: "string" },
+  licenses: { type: "string" },
+  "api-root": { type: "string" },
+  "max-files": { type: "string" },
+  "max-file-size": { type: "string" },
+  "max-tree-items": { type: "string" },
+  concurrency: { type: "string" },
+  "max-commits": { type: "string" },
+  sampling: { type: "string" },
+  "sample-budget": { type: "string" },
+  include: { type: "string", multiple: true },
+  exclude: { type: "string", multiple: true },
+  compact: { type: "boolean", default: false },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+async function runCli(argv = process.argv.slice(2), env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    process.stderr.write(`Expected exactly one repository argument.\n\n${USAGE}`);
+    return 2;
+  }
+
+  const token = values.token ?? env.GIT_TOKEN ?? env.GITHUB_TOKEN ?? "";
+  const onProgress = values.quiet
+    ? () => {}
+    : (message) => process.stderr.write(`${message}\n`);
+
+  try {
+    const audit = await loadAuditOptions(values);
+    const options = {
+      provider: values.provider,
+      apiRoot: values["api-root"],
+      ref: values.ref,
+      maxFiles: values["max-files"],
+      maxFileSize: values["max-file-size"],
+      maxTreeItems: values["max-tree-items"],
+      concurrency: values.concurrency,
+      maxCommits: values["max-commits"],
+      sampling: values.sampling,
+      sampleBudget: values["sample-budget"],
+      include: values.include,
+      exclude: values.exclude,
+      audit
+    };
+    const analysis = values.compare
+      ? await compareRepository(positionals[0], token, onProgress, { ...options, baseRef: values.compare })
+      : await analyzeRepository(positionals[0], token, onProgress, options);
+    const json = values.compact ? JSON.stringify(analysis) : JSON.stringify(analysis, null, 2);
+    if (values.output) {
+      await writeFile(values.output, `${json}\n`, "utf8");
+      onProgress(`Report written to ${values.output}`);
+    } else {
+      process.stdout.write(`${json}\n`);
+    }
+    return 0;
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message || "Unable to analyze repository."}\n`);
+    return 1;
+  }
+}
+
+async function loadAuditOptions(values) {
+  if (!values.advisories && !values["license-policy"] && !values.licenses) return null;
+  return {
+    database: values.advisories ? parseAdvisoryDatabase(await readAdvisories(values.advisories)) : null,
+    licensePolicy: values["license-policy"] ? await readFile(values["license-policy"], "utf8") : null,
+    licenseOverrides: values.licenses ? await readFile(values.licenses, "utf8") : null
+  };
+}
+
+async function readAdvisories(path) {
+  if (!(await stat(path)).isDirectory()) return readFile(path, "utf8");
+  const advisories = [];
+  for (const name of await readdir(path)) {
+    if (!name.endsWith(".json")) continue;
+    advisories.push(JSON.parse(await readFile(join(path, name), "utf8")));
+  }
+  return advisories;
+}
+
+process.exitCode = await runCli();
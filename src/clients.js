@@ -0,0 +1,835 @@
+import { JS_EXTENSIONS, isName, isPunct, matchBrackets, readList, readObject, tokenize } from "./jsparser.js";
+import { matchesModule } from "./technologies.js";
+import { createLineLocator } from "./routes.js";
+
+const HTTP_VERBS = new Set(["get", "post", "put", "patch", "delete", "head", "options"]);
+const JS_CLIENT_RECEIVERS = new Set([
+  "axios",
+  "got",
+  "ky",
+  "superagent",
+  "request",
+  "needle",
+  "ofetch",
+  "$fetch",
+  "$http",
+  "http",
+  "https",
+  "httpClient",
+  "HttpClient"
+]);
+const JS_DIRECT_CLIENTS = new Set(["axios", "got", "ky", "request", "needle", "ofetch", "$fetch", "superagent"]);
+const JS_CLIENT_FACTORIES = new Set(["create", "extend"]);
+const BASE_URL_KEYS = ["baseURL", "baseUrl", "prefixUrl", "prefixURL", "uri", "url", "endpoint"];
+const URL_LITERAL = /(?:https?|wss?):\/\/[^\s"'`<>)\]}|\\^]+/gi;
+const ASSET_EXTENSIONS =
+  /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|map|woff2?|ttf|otf|eot|mp4|webm|mp3|wav|ogg|pdf|zip|tar|tgz|gz)$/i;
+const ASSET_HOSTS =
+  /(^|\.)(cdnjs\.cloudflare\.com|unpkg\.com|jsdelivr\.net|fonts\.googleapis\.com|fonts\.gstatic\.com|gravatar\.com|shields\.io|githubusercontent\.com|cloudfront\.net|imgur\.com|unsplash\.com|placehold\.co|via\.placeholder\.com)$|^(cdn|static|assets|img|images|media)\./i;
+const LICENSE_URLS = /opensource\.org|apache\.org\/licenses|gnu\.org\/licenses|creativecommons\.org|spdx\.org|\/licen[cs]es?\b|\/LICENSE/i;
+const DOC_HOSTS =
+  /^(docs?|developers?|learn|wiki|help|support|blog|guides?)\.|(^|\.)(readthedocs\.io|github\.com|gitlab\.com|bitbucket\.org|stackoverflow\.com|wikipedia\.org|developer\.mozilla\.org|npmjs\.com|pypi\.org|medium\.com|w3\.org|schema\.org|example\.(com|org|net)|youtube\.com|twitter\.com|x\.com|linkedin\.com)$/i;
+const DOC_PATHS = /\/(docs?|documentation|wiki|blob|tree|issues|pulls?|reference|guides?|tutorials?|changelog|readme)(\/|$|\.|#)/i;
+const API_PATHS = /\/(api|v\d+(\.\d+)?|graphql|rest|oauth2?|rpc|services?|webhooks?|token)(\/|$)/i;
+
+// Each SDK maps to a named service; `service` derives a sub-service from the module path.
+const SDK_SERVICES = [
+  {
+    name: "AWS",
+    host: "amazonaws.com",
+    imports: ["@aws-sdk/", "aws-sdk", "boto3", "botocore", "github.com/aws/aws-sdk-go", "software.amazon.awssdk", "com.amazonaws", "Amazon.", "aws-sdk-"],
+    service: /^@aws-sdk\/client-([\w-]+)|^github\.com\/aws\/aws-sdk-go(?:-v2)?\/service\/(\w+)|^software\.amazon\.awssdk\.services\.(\w+)|^com\.amazonaws\.services\.(\w+)|^Amazon\.(\w+)/
+  },
+  {
+    name: "Google Cloud",
+    host: "googleapis.com",
+    imports: ["@google-cloud/", "google.cloud", "cloud.google.com/go", "com.google.cloud", "Google.Cloud."],
+    service: /^@google-cloud\/([\w-]+)|^google\.cloud\.(\w+)|^cloud\.google\.com\/go\/(\w+)|^com\.google\.cloud\.(\w+)|^Google\.Cloud\.(\w+)/
+  },
+  { name: "Google APIs", host: "googleapis.com", imports: ["googleapis", "googleapiclient", "google.golang.org/api", "com.google.api.services"] },
+  {
+    name: "Azure",
+    host: "azure.com",
+    imports: ["@azure/", "azure.", "github.com/Azure/azure-sdk-for-go", "com.azure", "Azure."],
+    service: /^@azure\/([\w-]+)|^azure\.(\w+)|^com\.azure\.(\w+)|^Azure\.(\w+)/
+  },
+  { name: "Stripe", host: "api.stripe.com", imports: ["stripe", "@stripe/", "github.com/stripe/stripe-go", "com.stripe", "Stripe"] },
+  { name: "Twilio", host: "api.twilio.com", imports: ["twilio", "github.com/twilio/twilio-go", "com.twilio", "Twilio"] },
+  { name: "SendGrid", host: "api.sendgrid.com", imports: ["@sendgrid/", "sendgrid", "github.com/sendgrid/", "com.sendgrid", "SendGrid"] },
+  { name: "Mailgun", host: "api.mailgun.net", imports: ["mailgun.js", "mailgun-js", "mailgun", "github.com/mailgun/"] },
+  { name: "OpenAI", host: "api.openai.com", imports: ["openai", "github.com/sashabaranov/go-openai", "com.theokanning.openai", "OpenAI"] },
+  { name: "Anthropic", host: "api.anthropic.com", imports: ["@anthropic-ai/sdk", "anthropic", "github.com/anthropics/"] },
+  { name: "Slack", host: "slack.com", imports: ["@slack/", "slack_sdk", "slack_bolt", "github.com/slack-go/slack", "com.slack.api"] },
+  { name: "GitHub", host: "api.github.com", imports: ["@octokit/", "octokit", "github.com/google/go-github", "org.kohsuke.github", "Octokit"] },
+  { name: "Firebase", host: "firebaseio.com", imports: ["firebase", "firebase-admin", "firebase_admin", "firebase.google.com/go", "com.google.firebase"] },
+  { name: "Supabase", host: "supabase.co", imports: ["@supabase/", "supabase"] },
+  { name: "Sentry", host: "sentry.io", imports: ["@sentry/", "sentry_sdk", "github.com/getsentry/sentry-go", "io.sentry", "Sentry", "sentry-ruby"] },
+  { name: "PayPal", host: "api.paypal.com", imports: ["@paypal/", "paypalrestsdk", "paypal", "com.paypal"] },
+  { name: "Auth0", host: "auth0.com", imports: ["auth0", "@auth0/", "com.auth0"] },
+  { name: "Algolia", host: "algolia.net", imports: ["algoliasearch", "algolia", "com.algolia"] },
+  { name: "Plaid", host: "plaid.com", imports: ["plaid", "github.com/plaid/plaid-go", "com.plaid"] },
+  { name: "Shopify", host: "myshopify.com", imports: ["@shopify/", "shopify", "shopify_api"] },
+  { name: "Cloudinary", host: "api.cloudinary.com", imports: ["cloudinary"] },
+  { name: "Mapbox", host: "api.mapbox.com", imports: ["mapbox-gl", "@mapbox/"] },
+  { name: "Segment", host: "api.segment.io", imports: ["analytics-node", "@segment/", "segment.analytics"] },
+  { name: "Datadog", host: "datadoghq.com", imports: ["dd-trace", "datadog", "ddtrace", "@datadog/", "github.com/DataDog/"] },
+  { name: "Pusher", host: "pusher.com", imports: ["pusher", "pusher-js"] },
+  { name: "Contentful", host: "cdn.contentful.com", imports: ["contentful"] }
+];
+const AWS_SERVICE_NAMES = {
+  s3: "S3",
+  dynamodb: "DynamoDB",
+  sqs: "SQS",
+  sns: "SNS",
+  ses: "SES",
+  sesv2: "SES",
+  lambda: "Lambda",
+  kinesis: "Kinesis",
+  secretsmanager: "Secrets Manager",
+  "secrets-manager": "Secrets Manager",
+  ssm: "SSM",
+  "cognito-identity-provider": "Cognito",
+  cognitoidentityprovider: "Cognito",
+  eventbridge: "EventBridge",
+  sfn: "Step Functions",
+  bedrock: "Bedrock",
+  "bedrock-runtime": "Bedrock",
+  cloudwatch: "CloudWatch",
+  rds: "RDS",
+  ec2: "EC2",
+  ecs: "ECS",
+  sts: "STS",
+  iam: "IAM",
+  kms: "KMS"
+};
+
+// Non-JS client calls: `pattern` must end at the call's opening parenthesis (or
+// the first argument for paren-less Ruby calls). `method`/`url` read the arguments.
+const CLIENT_CALLS = {
+  py: [
+    {
+      client: "requests/httpx",
+      pattern: /\b([\w.]*(?:requests|httpx|session|client|http))\.(get|post|put|patch|delete|head|options)\s*\(/gi,
+      method: (match) => match[2],
+      url: (args) => args.named.get("url") ?? args.positional[0]
+    },
+    {
+      client: "requests/httpx",
+      pattern: /\b[\w.]*(?:requests|httpx|session|client)\.request\s*\(/gi,
+      method: (match, args) => args.named.get("method") ?? args.positional[0],
+      url: (args) => args.named.get("url") ?? args.positional[1]
+    },
+    {
+      client: "urllib",
+      pattern: /\b(?:urlopen|urllib\.request\.Request|Request)\s*\(/g,
+      method: (match, args) => args.named.get("method") ?? "GET",
+      url: (args) => args.named.get("url") ?? args.positional[0]
+    }
+  ],
+  go: [
+    {
+      client: "net/http",
+      pattern: /\bhttp\.NewRequest(WithContext)?\s*\(/g,
+      method: (match, args) => args.positional[match[1] ? 1 : 0],
+      url: (args, match) => args.positional[match[1] ? 2 : 1]
+    },
+    {
+      client: "net/http",
+      pattern: /\b(?:http|[\w.]*[cC]lient)\.(Get|Post|Head|PostForm)\s*\(/g,
+      method: (match) => (match[1] === "PostForm" ? "POST" : match[1]),
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "resty",
+      pattern: /\.R\(\)(?:\s*\.\s*\w+\([^()]*\))*\s*\.\s*(Get|Post|Put|Patch|Delete|Head)\s*\(/g,
+      method: (match) => match[1],
+      url: (args) => args.positional[0]
+    }
+  ],
+  jvm: [
+    {
+      client: "RestTemplate",
+      pattern: /\.(getForObject|getForEntity|postForObject|postForEntity|postForLocation|patchForObject|exchange)\s*\(/g,
+      method: (match, args) =>
+        match[1] === "exchange" ? args.positional[1] : match[1].replace(/For\w+$/, ""),
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "WebClient",
+      pattern: /\.(get|post|put|patch|delete)\(\)\s*\.uri\s*\(/g,
+      method: (match) => match[1],
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "java.net.http",
+      pattern: /HttpRequest\.newBuilder\(\s*\)?[\s\S]{0,80}?\.uri\s*\(/g,
+      method: (match, args, after) => after.match(/\.(GET|POST|PUT|DELETE)\s*\(|\.method\(\s*"(\w+)"/)?.slice(1).find(Boolean) ?? "GET",
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "OkHttp",
+      pattern: /Request\.Builder\(\)\s*\.url\s*\(/g,
+      method: (match, args, after) => after.match(/\.(post|put|patch|delete)\s*\(/)?.[1] ?? "GET",
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "http client",
+      pattern: /\b[\w.]*(?:[cC]lient|http)\.(get|post|put|patch|delete)\s*(?:<[^>]*>)?\s*\(/g,
+      method: (match) => match[1],
+      url: (args) => args.positional[0]
+    }
+  ],
+  cs: [
+    {
+      client: "HttpClient",
+      pattern: /\.(Get|Post|Put|Patch|Delete)(?:Async|AsJsonAsync|FromJsonAsync|StringAsync|StreamAsync|ByteArrayAsync)\s*(?:<[^>]*>)?\s*\(/g,
+      method: (match) => match[1],
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "HttpClient",
+      pattern: /new\s+HttpRequestMessage\s*\(/g,
+      method: (match, args) => args.positional[0],
+      url: (args) => args.positional[1]
+    }
+  ],
+  rb: [
+    {
+      client: "ruby http",
+      pattern: /\b(?:HTTParty|RestClient|Faraday|HTTP|Excon|Typhoeus|[\w.]*(?:client|conn|connection|http))\.(get|post|put|patch|delete|head)\b[ \t]*\(?/g,
+      method: (match) => match[1],
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "Net::HTTP",
+      pattern: /\bURI(?:\.parse)?\s*\(/g,
+      method: (match, args, after) => after.match(/Net::HTTP::(Post|Put|Patch|Delete)\b/)?.[1] ?? "GET",
+      url: (args) => args.positional[0]
+    }
+  ],
+  php: [
+    {
+      client: "Laravel Http",
+      pattern: /\bHttp::(?:\w+\([^()]*\)\s*->\s*)*(get|post|put|patch|delete|head)\s*\(/g,
+      method: (match) => match[1],
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "Guzzle",
+      pattern: /->\s*request(?:Async)?\s*\(/g,
+      method: (match, args) => args.positional[0],
+      url: (args) => args.positional[1]
+    },
+    {
+      client: "Guzzle",
+      pattern: /\$\w*(?:client|http|guzzle)\w*\s*->\s*(get|post|put|patch|delete|head)(?:Async)?\s*\(/gi,
+      method: (match) => match[1],
+      url: (args) => args.positional[0]
+    },
+    {
+      client: "curl",
+      pattern: /\b(?:curl_init|file_get_contents)\s*\(/g,
+      method: (match, args, after) => (/CURLOPT_POST\b/.test(after) ? "POST" : "GET"),
+      url: (args) => args.positional[0]
+    }
+  ]
+};
+const BASE_URL_PATTERNS = {
+  py: [/\bbase_url\s*=\s*([^,)\n]+)/],
+  go: [/SetBaseURL\(([^)\n]+)\)/, /\bBaseURL\s*[:=]\s*([^,\n]+)/],
+  jvm: [/\.baseUrl\(([^)\n]+)\)/, /\.rootUri\(([^)\n]+)\)/],
+  cs: [/BaseAddress\s*=\s*new\s+Uri\(([^;\n]+)\)\s*;/],
+  rb: [/Faraday\.new\(\s*(?:url:\s*)?([^,)\n]+)/, /\bbase_uri\s+([^\n]+)/],
+  php: [/['"]base_uri['"]\s*=>\s*([^,\]\n]+)/, /Http::baseUrl\(([^)\n]+)\)/]
+};
+const ENV_READS = [
+  /^process\.env\.(\w+)$/,
+  /^process\.env\[\s*["'](\w+)["']\s*\]$/,
+  /^import\.meta\.env\.(\w+)$/,
+  /^os\.environ\.get\(\s*["'](\w+)["']/,
+  /^os\.environ\[\s*["'](\w+)["']\s*\]$/,
+  /^os\.getenv\(\s*["'](\w+)["']/,
+  /^os\.Getenv\(\s*"(\w+)"\s*\)$/,
+  /^System\.getenv\(\s*"(\w+)"/,
+  /^Environment\.GetEnvironmentVariable\(\s*"(\w+)"/,
+  /^ENV\[\s*["'](\w+)["']\s*\]$/,
+  /^ENV\.fetch\(\s*["'](\w+)["']/,
+  /^(?:getenv|env)\(\s*["'](\w+)["']/,
+  /^config\(\s*["']([\w.]+)["']/,
+  /^settings\.(\w+)$/
+];
+
+// Finds outbound HTTP usage in one file: resolved client calls, SDK imports and
+// the remaining URL literals, each classified as `api`, `doc` or `asset`.
+export function detectOutboundCalls(content, extension, modules = []) {
+  if (!content) return [];
+  const locate = createLineLocator(content);
+  const calls = JS_EXTENSIONS.has(extension) ? collectJsCalls(content) : collectTextCalls(content, extension);
+  const findings = [];
+
+  for (const call of calls) {
+    const target = describeUrl(call.url);
+    if (!target) continue;
+    const asset = ASSET_EXTENSIONS.test(target.path);
+    findings.push({
+      kind: asset ? "asset" : "api",
+      method: normalizeMethod(call.method),
+      url: target.url,
+      host: target.host,
+      service: null,
+      client: call.client,
+      confidence: asset ? 0.7 : target.env ? 0.85 : 0.95,
+      line: locate(call.index),
+      snippet: locate.text(call.index)
+    });
+  }
+
+  findings.push(...detectSdkServices(content, modules, locate));
+
+  const resolved = findings.map((finding) => finding.url);
+  for (const match of content.matchAll(URL_LITERAL)) {
+    const target = describeUrl(match[0].replace(/[.,;:]+$/, ""));
+    if (!target || resolved.some((url) => url.startsWith(target.url))) continue;
+    const lineStart = content.lastIndexOf("\n", match.index) + 1;
+    const prefix = content.slice(lineStart, match.index);
+    const classification = classifyLiteral(target, isCommentPrefix(prefix, extension));
+    findings.push({
+      ...classification,
+      method: null,
+      url: target.url,
+      host: target.host,
+      service: null,
+      client: null,
+      line: locate(match.index),
+      snippet: locate.text(match.index)
+    });
+    resolved.push(target.url);
+  }
+
+  return findings;
+}
+
+function detectSdkServices(content, modules, locate) {
+  const services = new Map();
+  const add = (sdk, name, module) => {
+    if (services.has(name)) return;
+    const index = Math.max(0, content.indexOf(module));
+    services.set(name, {
+      kind: "api",
+      method: "SDK",
+      url: sdk.host,
+      host: sdk.host,
+      service: name,
+      client: module,
+      confidence: 0.9,
+      line: locate(index),
+      snippet: locate.text(index)
+    });
+  };
+  for (const module of modules) {
+    const sdk = SDK_SERVICES.find((entry) => entry.imports.some((prefix) => matchesModule(module, prefix)));
+    if (!sdk) continue;
+    const sub = sdk.service && module.match(sdk.service)?.slice(1).find(Boolean);
+    add(sdk, sub ? `${sdk.name} ${formatServiceName(sdk.name, sub)}` : sdk.name, module);
+  }
+  const aws = SDK_SERVICES[0];
+  for (const match of content.matchAll(/\bboto3\.(?:client|resource)\(\s*["']([\w-]+)["']/g)) {
+    services.delete(aws.name);
+    add(aws, `${aws.name} ${formatServiceName(aws.name, match[1])}`, match[0]);
+  }
+  return Array.from(services.values());
+}
+
+function formatServiceName(sdk, value) {
+  if (sdk === "AWS") return AWS_SERVICE_NAMES[value.toLowerCase()] || value.toUpperCase();
+  return value.replace(/[-_](\w)/g, (_, ch) => ` ${ch.toUpperCase()}`).replace(/^\w/, (ch) => ch.toUpperCase());
+}
+
+function classifyLiteral(target, inComment) {
+  if (LICENSE_URLS.test(target.url)) return { kind: "doc", confidence: 0.95 };
+  if (ASSET_EXTENSIONS.test(target.path)) return { kind: "asset", confidence: 0.9 };
+  if (ASSET_HOSTS.test(target.host)) return { kind: "asset", confidence: 0.8 };
+  if (inComment) return { kind: "doc", confidence: 0.85 };
+  if (/^api\.|\.api\./.test(target.host) || API_PATHS.test(target.path)) return { kind: "api", confidence: 0.6 };
+  if (DOC_HOSTS.test(target.host)) return { kind: "doc", confidence: 0.8 };
+  if (DOC_PATHS.test(target.path)) return { kind: "doc", confidence: 0.7 };
+  return { kind: "api", confidence: 0.35 };
+}
+
+function isCommentPrefix(prefix, extension) {
+  if (/^\s*(\*|\/\/|\/\*|<!--|--)/.test(prefix) || /\s\/\/|\/\*/.test(prefix)) return true;
+  const hashComments = ["py", "rb", "sh", "yml", "yaml", "toml", "r", "pl"].includes(extension);
+  return hashComments && /(^|\s)#/.test(prefix) && !/["'][^"']*$/.test(prefix);
+}
+
+// `$NAME` marks a base URL read from the environment or an unresolved config constant.
+function describeUrl(value) {
+  if (!value) return null;
+  const env = value.match(/^\$([\w.]+)(.*)$/);
+  if (env) {
+    return { url: value.split(/[?#]/)[0], host: `env:${env[1]}`, path: env[2].split(/[?#]/)[0], env: true };
+  }
+  const match = value.match(/^((?:https?|wss?):\/\/)([^/?#]+)([^?#]*)/i);
+  if (!match) return null;
+  const host = match[2].replace(/^[^@]*@/, "").replace(/:\d+$/, "").toLowerCase();
+  if (!host || host.includes("$") || host.includes("{")) return null;
+  const path = match[3] || "";
+  return { url: `${match[1].toLowerCase()}${match[2].toLowerCase()}${path}`, host, path, env: false };
+}
+
+function normalizeMethod(value) {
+  const method = String(value || "GET")
+    .replace(/^["':]|["']$/g, "")
+    .replace(/^(?:http\.Method|HttpMethod\.|Method\.)/, "")
+    .toUpperCase();
+  return /^[A-Z]+$/.test(method) ? method : "GET";
+}
+
+function joinUrl(base, path) {
+  if (!base) return null;
+  if (!path) return base;
+  if (/^(?:[a-z]+:)?\/\//i.test(path) || path.startsWith("$")) return path;
+  return `${base.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
+}
+
+function resolveTarget(url, base) {
+  if (url === null || url === undefined) return null;
+  if (/^(?:https?|wss?):\/\//i.test(url) || url.startsWith("$")) return url;
+  return base ? joinUrl(base, url) : null;
+}
+
+// ---- JavaScript / TypeScript ----
+
+function collectJsCalls(content) {
+  const tokens = tokenize(content);
+  const pairs = matchBrackets(tokens);
+  const constants = new Map();
+  const receivers = new Map();
+  const calls = [];
+  const evaluate = (range) => evaluateJs(tokens, pairs, range, constants);
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    let target = null;
+    let equals = -1;
+    if (isName(token) && /^(const|let|var)$/.test(token.value) && isName(tokens[i + 1]) && isPunct(tokens[i + 2], "=")) {
+      target = tokens[i + 1].value;
+      equals = i + 2;
+    } else if (isName(token) && !isPunct(tokens[i - 1], ".")) {
+      const chain = readChain(tokens, i);
+      if (chain.names.length > 1 && isPunct(tokens[chain.end], "=")) {
+        target = chain.names.join(".");
+        equals = chain.end;
+      }
+    }
+    if (!target) continue;
+    const range = [equals + 1, expressionEnd(tokens, pairs, equals + 1)];
+
+    if (target.endsWith(".defaults.baseURL")) {
+      const base = evaluate(range);
+      if (base !== null) receivers.set(target.split(".")[0], { base, client: target.split(".")[0] });
+      continue;
+    }
+    if (isPunct(tokens[range[0]], "{")) {
+      for (const [key, valueRange] of readObject(tokens, pairs, range[0])) {
+        const value = evaluate(valueRange);
+        if (value !== null) constants.set(`${target}.${key}`, value);
+      }
+      continue;
+    }
+    const client = readJsClientFactory(tokens, pairs, range, evaluate);
+    if (client?.call) calls.push({ ...client.call, index: tokens[range[0]].start });
+    if (client?.base !== undefined) {
+      receivers.set(target, client);
+      continue;
+    }
+    const value = evaluate(range);
+    if (value !== null) constants.set(target, value);
+  }
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    if (!isName(tokens[i]) || isPunct(tokens[i + 1], ".") || isPunct(tokens[i + 1], "?.")) continue;
+    const open = skipTypeArguments(tokens, i + 1);
+    if (!isPunct(tokens[open], "(")) continue;
+    const chain = readChainBackwards(tokens, i);
+    const name = chain[chain.length - 1];
+    const args = readList(tokens, pairs, open);
+    const index = tokens[i].start;
+
+    if (isName(tokens[i - 1], "new") || (chain.length > 1 && isName(tokens[i - chain.length * 2 + 1], "new"))) {
+      if (name === "WebSocket" || name === "EventSource") {
+        const url = args[0] && evaluate(args[0]);
+        if (url) calls.push({ method: name === "WebSocket" ? "WS" : "GET", url, client: name, index });
+      }
+      continue;
+    }
+
+    const receiverKey = chain.slice(0, -1).join(".");
+    const receiverName = chain[chain.length - 2];
+    const receiver = receivers.get(receiverKey) || receivers.get(receiverName);
+    let method = null;
+    let urlRange = args[0];
+    let optionsRange = args[1];
+    let base = null;
+    let client = null;
+
+    if (name === "fetch" && (chain.length === 1 || /^(window|globalThis|self)$/.test(receiverKey))) {
+      client = "fetch";
+    } else if (chain.length === 1 && (JS_DIRECT_CLIENTS.has(name) || receivers.has(name))) {
+      client = receivers.get(name)?.client || name;
+      base = receivers.get(name)?.base ?? null;
+      method = name === "superagent" ? null : "GET";
+    } else if (chain.length > 1 && (receiver || JS_CLIENT_RECEIVERS.has(receiverName))) {
+      if (!HTTP_VERBS.has(name) && name !== "request" && name !== "del") continue;
+      client = receiver?.client || receiverName;
+      base = receiver?.base ?? null;
+      method = name === "request" ? null : name === "del" ? "DELETE" : name;
+      if (/^https?$/.test(receiverName) && name === "request") method = "GET";
+    } else {
+      continue;
+    }
+
+    if (urlRange && isPunct(tokens[urlRange[0]], "{")) {
+      optionsRange = urlRange;
+      urlRange = null;
+    }
+    const options = optionsRange && isPunct(tokens[optionsRange[0]], "{") ? readObject(tokens, pairs, optionsRange[0]) : new Map();
+    let url = urlRange ? evaluate(urlRange) : null;
+    if (url === null && options.has("url")) url = evaluate(options.get("url"));
+    const localBase = ["baseURL", "baseUrl", "prefixUrl"].map((key) => options.has(key) && evaluate(options.get(key))).find(Boolean);
+    if (options.has("method")) method = evaluate(options.get("method")) || method;
+    const resolved = resolveTarget(url, localBase || base);
+    if (resolved) calls.push({ method: method || "GET", url: resolved, client, index });
+  }
+  return calls;
+}
+
+// `axios.create({ baseURL })`, `ky.extend({ prefixUrl })`, `new ApolloClient({ uri })`, `new GraphQLClient(url)`.
+function readJsClientFactory(tokens, pairs, [start, end], evaluate) {
+  let i = start;
+  if (isName(tokens[i], "await")) i += 1;
+  const isNew = isName(tokens[i], "new");
+  if (isNew) i += 1;
+  const chain = readChain(tokens, i);
+  const open = skipTypeArguments(tokens, chain.end);
+  if (!chain.names.length || !isPunct(tokens[open], "(") || pairs.get(open) >= end + 1) return null;
+  const [first] = readList(tokens, pairs, open);
+  const name = chain.names[chain.names.length - 1];
+  const owner = chain.names[0];
+  const options = first && isPunct(tokens[first[0]], "{") ? readObject(tokens, pairs, first[0]) : new Map();
+  const readBase = () => {
+    const key = BASE_URL_KEYS.find((candidate) => options.has(candidate));
+    return key ? evaluate(options.get(key)) : first && !options.size ? evaluate(first) : null;
+  };
+
+  if (chain.names.length === 2 && JS_CLIENT_FACTORIES.has(name) && JS_CLIENT_RECEIVERS.has(owner)) {
+    return { base: readBase(), client: owner };
+  }
+  if (isNew && /^(ApolloClient|HttpLink|GraphQLClient)$/.test(name)) {
+    const url = readBase();
+    return url ? { call: { method: "POST", url, client: name } } : null;
+  }
+  if (chain.names.length === 1 && name === "createClient" && options.has("baseUrl")) {
+    return { base: evaluate(options.get("baseUrl")), client: "openapi-fetch" };
+  }
+  return null;
+}
+
+function evaluateJs(tokens, pairs, [start, end], constants) {
+  const alternatives = [];
+  let from = start;
+  for (let i = start; i < end; i += 1) {
+    if (pairs.has(i) && pairs.get(i) > i) {
+      i = pairs.get(i);
+      continue;
+    }
+    if (isPunct(tokens[i], "||") || isPunct(tokens[i], "??")) {
+      alternatives.push([from, i]);
+      from = i + 1;
+    }
+  }
+  alternatives.push([from, end]);
+  for (const range of alternatives) {
+    const value = concatenateJs(tokens, pairs, range, constants);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
+function concatenateJs(tokens, pairs, [start, end], constants) {
+  let result = null;
+  let i = start;
+  while (i < end) {
+    const first = result === null;
+    const token = tokens[i];
+    let value = null;
+    let next = i + 1;
+    if (token.type === "string") {
+      value = token.value;
+    } else if (token.type === "template") {
+      value = token.value.replace(/\$\{\s*([^}]*?)\s*\}/g, (_, expression, offset) =>
+        resolveReference(expression, constants, first && offset === 0)
+      );
+    } else if (token.type === "number") {
+      value = token.value;
+    } else if (isPunct(token, "(") && pairs.has(i)) {
+      value = evaluateJs(tokens, pairs, [i + 1, pairs.get(i)], constants);
+      next = pairs.get(i) + 1;
+    } else if (isName(token, "new") && isName(tokens[i + 1], "URL") && isPunct(tokens[i + 2], "(")) {
+      const [path, base] = readList(tokens, pairs, i + 2);
+      const pathValue = path ? evaluateJs(tokens, pairs, path, constants) : null;
+      const baseValue = base ? evaluateJs(tokens, pairs, base, constants) : null;
+      value = baseValue ? joinUrl(baseValue, pathValue) : pathValue;
+      next = pairs.get(i + 2) + 1;
+    } else if (isName(token)) {
+      const chain = readChain(tokens, i);
+      next = chain.end;
+      if (isPunct(tokens[next], "(") && pairs.has(next)) {
+        if (first) return null;
+        value = `:${chain.names[chain.names.length - 1]}`;
+        next = pairs.get(next) + 1;
+      } else {
+        value = resolveReference(chain.names.join("."), constants, first);
+      }
+    }
+    if (value === null || value === undefined) return null;
+    result = (result ?? "") + value;
+    while (isPunct(tokens[next], ".") && isName(tokens[next + 1]) && /^(href|toString)$/.test(tokens[next + 1].value)) {
+      next += 2;
+      if (isPunct(tokens[next], "(")) next = (pairs.get(next) ?? next) + 1;
+    }
+    if (next >= end) break;
+    if (isPunct(tokens[next], "+")) {
+      i = next + 1;
+      continue;
+    }
+    if (isName(tokens[next], "as")) break;
+    return null;
+  }
+  return result;
+}
+
+function resolveReference(expression, constants, leading) {
+  const reference = expression.trim().replace(/\?\./g, ".");
+  if (constants.has(reference)) return constants.get(reference);
+  for (const pattern of ENV_READS) {
+    const match = reference.match(pattern);
+    if (match) return `$${match[1]}`;
+  }
+  const last = reference.split(/[.>-]+/).pop().replace(/^[$@]/, "");
+  if (leading) return /^[A-Z][A-Z0-9_]{2,}$/.test(last) ? `$${last}` : null;
+  return `:${last || "param"}`;
+}
+
+function readChain(tokens, index) {
+  const names = [];
+  let i = index;
+  while (isName(tokens[i])) {
+    names.push(tokens[i].value);
+    if (!(isPunct(tokens[i + 1], ".") || isPunct(tokens[i + 1], "?.")) || !isName(tokens[i + 2])) {
+      i += 1;
+      break;
+    }
+    i += 2;
+  }
+  return { names, end: i };
+}
+
+function readChainBackwards(tokens, index) {
+  const chain = [tokens[index].value];
+  let i = index;
+  while ((isPunct(tokens[i - 1], ".") || isPunct(tokens[i - 1], "?.")) && isName(tokens[i - 2])) {
+    chain.unshift(tokens[i - 2].value);
+    i -= 2;
+  }
+  return chain;
+}
+
+function skipTypeArguments(tokens, index) {
+  if (!isPunct(tokens[index], "<")) return index;
+  let depth = 0;
+  for (let i = index; i < Math.min(tokens.length, index + 40); i += 1) {
+    if (isPunct(tokens[i], "<")) depth += 1;
+    else if (isPunct(tokens[i], ">")) depth -= 1;
+    else if (isPunct(tokens[i], ">>")) depth -= 2;
+    if (depth <= 0) return i + 1;
+  }
+  return index;
+}
+
+function expressionEnd(tokens, pairs, start) {
+  const continues = (token) =>
+    token?.type === "punct" && ["+", "||", "??", "?", ":", ".", "?.", "=", "(", "[", "{", ",", "=>", "&&"].includes(token.value);
+  for (let i = start; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (pairs.has(i) && pairs.get(i) > i) {
+      i = pairs.get(i);
+      continue;
+    }
+    if (isPunct(token, ";") || isPunct(token, ",") || (pairs.has(i) && pairs.get(i) < start)) return i;
+    if (i > start && token.line > tokens[i - 1].line && !continues(tokens[i - 1]) && !continues(token)) return i;
+  }
+  return tokens.length;
+}
+
+// ---- Other languages ----
+
+function collectTextCalls(content, extension) {
+  const language = ["java", "kt", "kts", "scala"].includes(extension) ? "jvm" : extension;
+  const patterns = CLIENT_CALLS[language];
+  if (!patterns) return [];
+  const constants = collectTextConstants(content);
+  const evaluate = (text) => (text === undefined ? null : evaluateText(text, constants, language));
+  const base = (BASE_URL_PATTERNS[language] || [])
+    .map((pattern) => content.match(pattern)?.[1])
+    .map((text) => (text ? evaluate(text.trim()) : null))
+    .find(Boolean);
+
+  const calls = [];
+  for (const rule of patterns) {
+    for (const match of content.matchAll(rule.pattern)) {
+      const argsStart = match.index + match[0].length;
+      const args = readTextArguments(content, match[0].endsWith("(") ? argsStart - 1 : argsStart);
+      if (!args) continue;
+      const after = content.slice(argsStart, argsStart + 300);
+      const method = evaluate(rule.method(match, args, after)) ?? rule.method(match, args, after);
+      const url = resolveTarget(evaluate(rule.url(args, match)), base);
+      if (url) calls.push({ method, url, client: rule.client, index: match.index });
+    }
+  }
+  return calls;
+}
+
+function collectTextConstants(content) {
+  const constants = new Map();
+  const pattern =
+    /^[ \t]*(?:(?:export|public|private|protected|internal|static|final|const|readonly|val|var|let|String|string|str|override|lateinit|define)\s+)*((?:self\.|this\.|@|\$this->|\$)?[A-Za-z_]\w*)(?:\s+(?:string|String|str))?\s*(?::\s*[\w<>?.[\]]+\s*)?(?::=|=)(?![=>])\s*(.+?)\s*;?\s*$/gm;
+  for (const match of content.matchAll(pattern)) {
+    const value = evaluateText(match[2], constants, null);
+    if (value !== null) constants.set(match[1].replace(/^(self\.|this\.|@|\$this->|\$)/, ""), value);
+  }
+  return constants;
+}
+
+function evaluateText(text, constants, language) {
+  if (text === null || text === undefined) return null;
+  for (const alternative of splitOutside(String(text).trim(), ["||", "??", "?:", " or "])) {
+    const operands = splitOutside(alternative, language === "php" ? ["+", " . "] : ["+"]);
+    let result = null;
+    for (const operand of operands) {
+      const value = evaluateOperand(operand.trim(), constants, result === null);
+      if (value === null) {
+        result = null;
+        break;
+      }
+      result = (result ?? "") + value;
+    }
+    if (result !== null) return result;
+  }
+  return null;
+}
+
+function evaluateOperand(operand, constants, leading) {
+  if (!operand) return null;
+  const literal = operand.match(/^(?:[fFrRbBuU]{1,2}|\$@?|@\$?)?(["'`])([\s\S]*)\1$/);
+  if (literal) {
+    const interpolate = (_, expression, offset) => resolveReference(expression, constants, leading && offset === 0);
+    const formatted = /^[fF$]|^@\$/.test(operand);
+    return literal[2]
+      .replace(/\$\{\s*([^}]+?)\s*\}|#\{\s*([^}]+?)\s*\}|\{\$([^}]+)\}/g, (match, a, b, c, offset) =>
+        interpolate(match, a || b || c, offset)
+      )
+      .replace(formatted ? /\{\s*([^{}:]+?)\s*(?::[^}]*)?\}/g : /(?!)/g, interpolate);
+  }
+  const wrapper = operand.match(/^(?:URI\.create|new\s+Uri|new\s+URL|new\s+URI|URI\.parse|URI|Uri\.parse|URL|str|String\.valueOf)\s*\(([\s\S]*)\)$/);
+  if (wrapper) return evaluateText(splitOutside(wrapper[1], [","])[0], constants, null);
+  const format = operand.match(/^(?:fmt\.Sprintf|String\.format|string\.Format|sprintf|format)\s*\(([\s\S]*)\)$/);
+  if (format) {
+    const [template, ...values] = splitOutside(format[1], [","]);
+    const base = evaluateText(template, constants, null);
+    if (base === null) return null;
+    let position = 0;
+    return base.replace(/%[sdvq]|\{(\d+)\}/g, (match, index, offset) => {
+      const argument = values[index !== undefined ? Number(index) : position++];
+      return (argument && evaluateOperand(argument.trim(), constants, offset === 0)) ?? ":param";
+    });
+  }
+  if (/^\d+$/.test(operand)) return operand;
+  if (/^[\w.$@>-]+(\(\s*["'][\w.]+["'][^)]*\)|\[\s*["']\w+["']\s*\])?$/.test(operand)) {
+    const key = operand.replace(/^(self\.|this\.|@|\$this->|\$)/, "");
+    return resolveReference(constants.has(key) ? key : operand, constants, leading);
+  }
+  return null;
+}
+
+function readTextArguments(content, index) {
+  let start = index;
+  while (content[start] === " " || content[start] === "\t") start += 1;
+  let text;
+  if (content[start] === "(") {
+    const end = findClosingParen(content, start);
+    if (end === -1) return null;
+    text = content.slice(start + 1, end);
+  } else {
+    text = content.slice(start, content.indexOf("\n", start) === -1 ? undefined : content.indexOf("\n", start));
+    text = text.replace(/\s+(do|\{)\b.*$/, "");
+  }
+  const positional = [];
+  const named = new Map();
+  for (const part of splitOutside(text, [","])) {
+    const trimmed = part.trim();
+    const keyword = trimmed.match(/^['"]?(\w+)['"]?\s*(?:=(?!=)|:(?!:)|=>)\s*([\s\S]+)$/);
+    if (keyword && !/^(https?|wss?)$/i.test(keyword[1])) named.set(keyword[1], keyword[2]);
+    else positional.push(trimmed);
+  }
+  return { positional, named };
+}
+
+// Splits on any separator that appears outside quotes and brackets.
+function splitOutside(text, separators) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let from = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i += 1;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === "`") quote = ch;
+    else if ("([{".includes(ch)) depth += 1;
+    else if (")]}".includes(ch)) depth -= 1;
+    else if (depth === 0) {
+      const separator = separators.find((candidate) => text.startsWith(candidate, i));
+      if (separator) {
+        parts.push(text.slice(from, i));
+        from = i + separator.length;
+        i = from - 1;
+      }
+    }
+  }
+  parts.push(text.slice(from));
+  return parts.filter((part) => part.trim());
+}
+
+function findClosingParen(content, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < content.length; i += 1) {
+    const ch = content[i];
+    if (quote) {
+      if (ch === "\\") i += 1;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === "`") quote = ch;
+    else if (ch === "(") depth += 1;
+    else if (ch === ")") {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
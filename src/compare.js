@@ -0,0 +1,153 @@
+import { analyzeRepository, formatMermaidLabel } from "./analyzer.js";
+import { describeRef } from "./providers.js";
+
+const SHARE_CHANGE_THRESHOLD = 0.1;
+const MAX_OVERLAY_HOSTS = 8;
+
+export async function compareRepository(input, token, onProgress = () => {}, options = {}) {
+  const { baseRef, ...analysisOptions } = options;
+  if (!baseRef) throw new Error("Choose a base ref to compare against.");
+
+  const head = await analyzeRepository(input, token, onProgress, analysisOptions);
+  onProgress(`Comparing against base ref ${baseRef}`);
+  const base = await analyzeRepository(input, token, onProgress, { ...analysisOptions, ref: baseRef });
+
+  return {
+    ...head,
+    comparison: diffAnalyses(base, head)
+  };
+}
+
+export function diffAnalyses(base, head) {
+  const languages = diffEntries(
+    toMap(base.structure.languages, (lang) => lang.language, (lang) => lang.share),
+    toMap(head.structure.languages, (lang) => lang.language, (lang) => lang.share),
+    (before, after) => Math.abs(before - after) >= SHARE_CHANGE_THRESHOLD
+  );
+  const directories = diffEntries(
+    toMap(base.structure.directories, (dir) => dir.name, (dir) => dir.files),
+    toMap(head.structure.directories, (dir) => dir.name, (dir) => dir.files),
+    (before, after) => before !== after
+  );
+  const components = diffEntries(
+    toMap(base.architecture?.components, (component) => component.name, summarizeComponent),
+    toMap(head.architecture?.components, (component) => component.name, summarizeComponent),
+    (before, after) =>
+      before.files !== after.files || before.technologies.join() !== after.technologies.join()
+  );
+  const classes = diffEntries(
+    toMap(base.classes.files, (file) => file.path, (file) => file.classes),
+    toMap(head.classes.files, (file) => file.path, (file) => file.classes),
+    (before, after) => before !== after
+  ).filter((entry) => entry.status !== "unchanged");
+
+  const externalHosts = diffSets(
+    new Set(base.externalApis.filter((call) => call.kind === "api").map((call) => call.host)),
+    new Set(head.externalApis.filter((call) => call.kind === "api").map((call) => call.host))
+  );
+  const exposedRoutes = diffKeyed(base.exposedApis, head.exposedApis, routeKey);
+
+  const result = {
+    base: { ref: base.repo.ref, analyzedFiles: base.meta.analyzedFiles },
+    head: { ref: head.repo.ref, analyzedFiles: head.meta.analyzedFiles },
+    languages,
+    directories,
+    components,
+    classes,
+    externalHosts,
+    exposedRoutes
+  };
+  result.diagram = buildOverlayDiagram(result, head.architecture?.repo?.name || head.repo.fullName);
+  return result;
+}
+
+function summarizeComponent(component) {
+  return {
+    files: component.files,
+    technologies: component.technologies.slice(0, 3),
+    type: component.type
+  };
+}
+
+function toMap(items = [], keyOf, valueOf) {
+  const map = new Map();
+  for (const item of items || []) map.set(keyOf(item), valueOf(item));
+  return map;
+}
+
+function diffEntries(before, after, hasChanged) {
+  const names = new Set([...before.keys(), ...after.keys()]);
+  return Array.from(names)
+    .map((name) => {
+      const previous = before.has(name) ? before.get(name) : null;
+      const next = after.has(name) ? after.get(name) : null;
+      let status = "unchanged";
+      if (previous === null) status = "added";
+      else if (next === null) status = "removed";
+      else if (hasChanged(previous, next)) status = "changed";
+      return { name, before: previous, after: next, status };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function diffSets(before, after) {
+  return {
+    added: Array.from(after).filter((value) => !before.has(value)).sort(),
+    removed: Array.from(before).filter((value) => !after.has(value)).sort()
+  };
+}
+
+function diffKeyed(beforeItems = [], afterItems = [], keyOf) {
+  const before = toMap(beforeItems, keyOf, (item) => item);
+  const after = toMap(afterItems, keyOf, (item) => item);
+  return {
+    added: Array.from(after.entries())
+      .filter(([key]) => !before.has(key))
+      .map(([, item]) => item),
+    removed: Array.from(before.entries())
+      .filter(([key]) => !after.has(key))
+      .map(([, item]) => item)
+  };
+}
+
+function routeKey(route) {
+  return `${route.method} ${route.endpoint}`;
+}
+
+function buildOverlayDiagram(diff, repoName) {
+  const lines = ["graph TD"];
+  lines.push(
+    `    Repo["${formatMermaidLabel([
+      repoName,
+      `${describeRef(diff.base.ref)} → ${describeRef(diff.head.ref)}`
+    ])}"]`
+  );
+
+  diff.components.forEach((component, index) => {
+    const nodeId = `C${index}`;
+    const current = component.after || component.before;
+    const files =
+      component.status === "changed"
+        ? `${component.before.files} → ${component.after.files} files`
+        : `${current.files} files`;
+    const label = formatMermaidLabel([component.name, current.technologies.join(", "), files]);
+    lines.push(`    ${nodeId}["${label}"]:::${component.status}`);
+    lines.push(`    Repo ${component.status === "removed" ? "-.->" : "-->"} ${nodeId}`);
+  });
+
+  const hosts = [
+    ...diff.externalHosts.added.map((host) => ({ host, status: "added" })),
+    ...diff.externalHosts.removed.map((host) => ({ host, status: "removed" }))
+  ].slice(0, MAX_OVERLAY_HOSTS);
+  hosts.forEach((entry, index) => {
+    const nodeId = `H${index}`;
+    lines.push(`    ${nodeId}(["${formatMermaidLabel([entry.host])}"]):::${entry.status}`);
+    lines.push(`    Repo ${entry.status === "removed" ? "-.->" : "-->"} ${nodeId}`);
+  });
+
+  lines.push("    classDef added fill:#dcf5ec,stroke:#067d63,color:#064e3b");
+  lines.push("    classDef removed fill:#fbe4e4,stroke:#b33f3f,color:#7f1d1d,stroke-dasharray:4 3");
+  lines.push("    classDef changed fill:#fff4d6,stroke:#b7791f,color:#744210");
+  lines.push("    classDef unchanged fill:#f4f6fb,stroke:#5f6b84,color:#1a1f36");
+  return lines.join("\n");
+}
@@ -0,0 +1,410 @@
+import { parseYaml } from "./yaml.js";
+import { isInside } from "./workspaces.js";
+import { joinRoutePath } from "./routes.js";
+import { toOpenApiPath } from "./openapi.js";
+
+const CONTRACT_FILES = [
+  { match: /\.(graphql|graphqls|gql)$/i, kind: "graphql" },
+  { match: /\.proto$/i, kind: "grpc" },
+  { match: /(^|\/)[^/]*(openapi|swagger|asyncapi)[^/]*\.(ya?ml|json)$/i, kind: "spec" },
+  { match: /(^|\/)[^/]*(api|spec)[^/]*\.(ya?ml|json)$/i, kind: "spec" },
+  { match: /(^|\/)(apis?|specs?|contracts?|openapi|swagger|asyncapi|docs?)\/[^/]+\.(ya?ml|json)$/i, kind: "spec" }
+];
+const IGNORED_PATHS = /(^|\/)(node_modules|vendor|third_party|bower_components|\.yarn|\.github)\//;
+const MAX_CONTRACT_FILES = 30;
+const HTTP_VERBS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+const CATCH_ALL_METHODS = new Set(["ALL", "ANY", "VIEW"]);
+const GRAPHQL_ROOTS = { query: "Query", mutation: "Mutation", subscription: "Subscription" };
+
+// Finds OpenAPI/Swagger, AsyncAPI, GraphQL SDL and protobuf files in the tree and
+// lists their operations and types. Returns null when the repository ships none.
+export async function collectContracts(tree = [], readFile, onProgress = () => {}) {
+  const files = [];
+  for (const entry of tree) {
+    if (IGNORED_PATHS.test(entry.path)) continue;
+    const index = CONTRACT_FILES.findIndex((candidate) => candidate.match.test(entry.path));
+    if (index !== -1) files.push({ path: entry.path, kind: CONTRACT_FILES[index].kind, priority: index });
+  }
+  files.sort((a, b) => a.priority - b.priority || depth(a.path) - depth(b.path) || a.path.localeCompare(b.path));
+
+  const contracts = [];
+  for (const file of files.slice(0, MAX_CONTRACT_FILES)) {
+    let content;
+    try {
+      content = await readFile(file.path);
+    } catch (error) {
+      console.warn(`Could not read ${file.path}:`, error.message);
+      continue;
+    }
+    try {
+      const contract = parseContract(file, content);
+      if (contract) contracts.push(contract);
+    } catch (error) {
+      console.warn(`Could not parse ${file.path}:`, error.message);
+    }
+  }
+  if (!contracts.length) return null;
+
+  const operations = contracts.flatMap((contract) => contract.operations);
+  const types = contracts.flatMap((contract) => contract.types);
+  onProgress(`Parsed ${contracts.length} API contracts (${operations.length} operations, ${types.length} types)`);
+
+  return {
+    files: contracts.map(({ operations: ops, types: declared, ...summary }) => ({
+      ...summary,
+      operations: ops.length,
+      types: declared.length
+    })),
+    operations,
+    types,
+    reconciliation: null
+  };
+}
+
+// Compares HTTP operations from the contracts with the routes found in code. A
+// contract inside a workspace package only covers that package's routes.
+export function reconcileContracts(contracts, exposedApis = [], components = []) {
+  if (!contracts) return;
+  const packages = components
+    .filter((component) => component.manifest && component.path)
+    .sort((a, b) => b.path.length - a.path.length);
+  const scopeOf = (file) => packages.find((component) => isInside(file, component.path))?.path ?? null;
+  const basePaths = new Map(contracts.files.map((file) => [file.path, file.basePath || ""]));
+  const httpOperations = contracts.operations.filter((operation) => operation.http);
+  if (!httpOperations.length) return;
+
+  const keysFor = (operation) => {
+    const base = normalizePath(basePaths.get(operation.sourceFile) || "");
+    const full = normalizePath(operation.http.endpoint);
+    const relative = base !== "/" && full.startsWith(`${base}/`) ? full.slice(base.length) : full;
+    return new Set([full, relative]);
+  };
+  const operationKeys = new Map(httpOperations.map((operation) => [operation, keysFor(operation)]));
+  const matchedOperations = new Set();
+  const codeOnly = [];
+  let matched = 0;
+
+  for (const route of exposedApis) {
+    const scope = scopeOf(route.sourceFile);
+    const relevant = httpOperations.filter((operation) => {
+      const operationScope = scopeOf(operation.sourceFile);
+      return operationScope === null || operationScope === scope;
+    });
+    if (!relevant.length) continue;
+    const path = normalizePath(route.endpoint);
+    const hits = relevant.filter(
+      (operation) =>
+        (operation.http.method === route.method || CATCH_ALL_METHODS.has(route.method)) &&
+        operationKeys.get(operation).has(path)
+    );
+    route.documented = hits.length > 0;
+    if (hits.length) {
+      matched += 1;
+      hits.forEach((operation) => matchedOperations.add(operation));
+    } else {
+      codeOnly.push({
+        method: route.method,
+        endpoint: route.endpoint,
+        framework: route.framework,
+        sourceFile: route.sourceFile,
+        line: route.line ?? null
+      });
+    }
+  }
+
+  for (const operation of httpOperations) {
+    operation.status = matchedOperations.has(operation) ? "matched" : "spec-only";
+  }
+  contracts.reconciliation = {
+    matched,
+    codeOnly,
+    specOnly: httpOperations
+      .filter((operation) => operation.status === "spec-only")
+      .map(({ kind, http, operationId, sourceFile, line }) => ({ kind, ...http, operationId, sourceFile, line }))
+  };
+}
+
+function parseContract(file, content) {
+  if (file.kind === "graphql") return parseGraphql(file.path, content);
+  if (file.kind === "grpc") return parseProto(file.path, content);
+  const spec = /\.json$/i.test(file.path) ? JSON.parse(content) : parseYaml(content);
+  if (!spec || typeof spec !== "object") return null;
+  if (spec.openapi || spec.swagger) return parseOpenApi(file.path, content, spec);
+  if (spec.asyncapi) return parseAsyncApi(file.path, content, spec);
+  return null;
+}
+
+function parseOpenApi(path, content, spec) {
+  const locate = createKeyLocator(content);
+  const basePath = spec.swagger ? spec.basePath || "" : serverPath(spec.servers?.[0]?.url);
+  const operations = [];
+  for (const [route, item] of Object.entries(spec.paths || {})) {
+    if (!item || typeof item !== "object") continue;
+    const routeLine = locate(route);
+    for (const verb of HTTP_VERBS) {
+      const operation = item[verb];
+      if (!operation || typeof operation !== "object") continue;
+      const method = verb.toUpperCase();
+      const endpoint = joinRoutePath(basePath, route);
+      const bodyParameter = (operation.parameters || []).find((parameter) => parameter?.in === "body");
+      operations.push({
+        kind: "openapi",
+        service: operation.tags?.[0] || null,
+        method,
+        endpoint,
+        operationId: operation.operationId || null,
+        summary: operation.summary || null,
+        requestType: describeSchema(bodyParameter?.schema || firstContentSchema(operation.requestBody)),
+        responseType: describeSchema(successSchema(operation.responses)),
+        http: { method, endpoint },
+        sourceFile: path,
+        line: locate(verb, routeLine) ?? routeLine
+      });
+    }
+  }
+  const schemas = spec.components?.schemas || spec.definitions || {};
+  return {
+    path,
+    kind: spec.swagger ? "swagger" : "openapi",
+    version: String(spec.openapi || spec.swagger),
+    title: spec.info?.title || null,
+    apiVersion: spec.info?.version != null ? String(spec.info.version) : null,
+    basePath: basePath || null,
+    operations,
+    types: Object.keys(schemas).map((name) => ({ name, kind: "schema", sourceFile: path, line: locate(name) }))
+  };
+}
+
+function parseAsyncApi(path, content, spec) {
+  const locate = createKeyLocator(content);
+  const operations = [];
+  if (spec.operations) {
+    for (const [id, operation] of Object.entries(spec.operations)) {
+      if (!operation || typeof operation !== "object") continue;
+      const channelId = refName(operation.channel);
+      const channel = spec.channels?.[channelId];
+      operations.push({
+        kind: "asyncapi",
+        service: null,
+        method: String(operation.action || "operation").toUpperCase(),
+        endpoint: channel?.address || channelId || id,
+        operationId: id,
+        summary: operation.summary || null,
+        requestType: (operation.messages || []).map(refName).filter(Boolean).join(" | ") || null,
+        responseType: null,
+        sourceFile: path,
+        line: locate(id)
+      });
+    }
+  } else {
+    for (const [name, channel] of Object.entries(spec.channels || {})) {
+      if (!channel || typeof channel !== "object") continue;
+      const channelLine = locate(name);
+      for (const action of ["publish", "subscribe"]) {
+        const operation = channel[action];
+        if (!operation) continue;
+        operations.push({
+          kind: "asyncapi",
+          service: null,
+          method: action.toUpperCase(),
+          endpoint: name,
+          operationId: operation.operationId || null,
+          summary: operation.summary || null,
+          requestType: refName(operation.message) || operation.message?.name || null,
+          responseType: null,
+          sourceFile: path,
+          line: locate(action, channelLine) ?? channelLine
+        });
+      }
+    }
+  }
+  const types = [
+    ...Object.keys(spec.components?.messages || {}).map((name) => ({ name, kind: "message" })),
+    ...Object.keys(spec.components?.schemas || {}).map((name) => ({ name, kind: "schema" }))
+  ].map((type) => ({ ...type, sourceFile: path, line: locate(type.name) }));
+  return {
+    path,
+    kind: "asyncapi",
+    version: String(spec.asyncapi),
+    title: spec.info?.title || null,
+    apiVersion: spec.info?.version != null ? String(spec.info.version) : null,
+    basePath: null,
+    operations,
+    types
+  };
+}
+
+function parseGraphql(path, content) {
+  const source = blankOut(content, /"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|#[^\n]*/g);
+  const lineAt = createLineCounter(source);
+  const roots = { ...GRAPHQL_ROOTS };
+  const schemaBlock = source.match(/\bschema\s*(?:@\w+\s*)*\{([^}]*)\}/);
+  for (const match of schemaBlock?.[1].matchAll(/(query|mutation|subscription)\s*:\s*(\w+)/g) || []) {
+    roots[match[1]] = match[2];
+  }
+  const rootKinds = new Map(Object.entries(roots).map(([kind, name]) => [name, kind]));
+
+  const operations = [];
+  const types = [];
+  const pattern = /\b(extend\s+)?(type|input|interface|enum|union|scalar)\s+(\w+)[^{=\n]*(\s*\{)?/g;
+  for (const match of source.matchAll(pattern)) {
+    const [, extension, keyword, name, brace] = match;
+    if (!rootKinds.has(name)) {
+      if (!extension) types.push({ name, kind: keyword, sourceFile: path, line: lineAt(match.index) });
+      continue;
+    }
+    if (!brace) continue;
+    const open = match.index + match[0].length - 1;
+    const close = source.indexOf("}", open);
+    const body = source.slice(open + 1, close === -1 ? source.length : close);
+    const fieldPattern = /(\w+)\s*(\((?:[^()]|\([^()]*\))*\))?\s*:\s*([[\]\w!]+)/g;
+    for (const field of body.matchAll(fieldPattern)) {
+      const argumentType = field[2]?.match(/:\s*([[\]\w!]+)/)?.[1];
+      operations.push({
+        kind: "graphql",
+        service: name,
+        method: rootKinds.get(name).toUpperCase(),
+        endpoint: field[1],
+        operationId: field[1],
+        summary: null,
+        requestType: argumentType ? argumentType.replace(/!/g, "") : null,
+        responseType: field[3].replace(/!/g, ""),
+        sourceFile: path,
+        line: lineAt(open + 1 + field.index)
+      });
+    }
+  }
+  if (!operations.length && !types.length) return null;
+  return { path, kind: "graphql", version: null, title: null, apiVersion: null, basePath: null, operations, types };
+}
+
+function parseProto(path, content) {
+  const source = blankOut(content, /\/\*[\s\S]*?\*\/|\/\/[^\n]*/g);
+  const lineAt = createLineCounter(source);
+  const pkg = source.match(/\bpackage\s+([\w.]+)\s*;/)?.[1] || "";
+  const types = Array.from(source.matchAll(/\b(message|enum)\s+(\w+)\s*\{/g), (match) => ({
+    name: match[2],
+    kind: match[1],
+    sourceFile: path,
+    line: lineAt(match.index)
+  }));
+
+  const operations = [];
+  for (const service of source.matchAll(/\bservice\s+(\w+)\s*\{/g)) {
+    const open = service.index + service[0].length - 1;
+    const close = findClosingBrace(source, open);
+    const body = source.slice(open + 1, close);
+    const rpcPattern =
+      /\brpc\s+(\w+)\s*\(\s*(stream\s+)?([\w.]+)\s*\)\s*returns\s*\(\s*(stream\s+)?([\w.]+)\s*\)\s*(\{|;)/g;
+    for (const rpc of body.matchAll(rpcPattern)) {
+      const rpcStart = open + 1 + rpc.index;
+      const options =
+        rpc[6] === "{" ? source.slice(rpcStart + rpc[0].length, findClosingBrace(source, rpcStart + rpc[0].length - 1)) : "";
+      const http = readHttpRule(options);
+      operations.push({
+        kind: "grpc",
+        service: pkg ? `${pkg}.${service[1]}` : service[1],
+        method: "RPC",
+        endpoint: `/${pkg ? `${pkg}.` : ""}${service[1]}/${rpc[1]}`,
+        operationId: rpc[1],
+        summary: null,
+        requestType: `${rpc[2] ? "stream " : ""}${rpc[3]}`,
+        responseType: `${rpc[4] ? "stream " : ""}${rpc[5]}`,
+        ...(http && { http }),
+        sourceFile: path,
+        line: lineAt(rpcStart)
+      });
+    }
+  }
+  if (!operations.length && !types.length) return null;
+  return { path, kind: "grpc", version: null, title: pkg || null, apiVersion: null, basePath: null, operations, types };
+}
+
+// google.api.http transcoding rules expose an RPC as a REST route.
+function readHttpRule(options) {
+  const rule = options.match(/option\s*\(\s*google\.api\.http\s*\)\s*=\s*\{((?:[^{}"]|"[^"]*")*)\}/)?.[1];
+  const binding = rule?.match(/\b(get|put|post|delete|patch)\s*:\s*"([^"]+)"/);
+  if (!binding) return null;
+  const endpoint = binding[2].replace(/\{([\w.]+)(?:=[^}]*)?\}/g, (_, name) => `{${name.replace(/\./g, "_")}}`);
+  return { method: binding[1].toUpperCase(), endpoint };
+}
+
+function describeSchema(schema) {
+  if (!schema || typeof schema !== "object") return null;
+  if (schema.$ref) return refName(schema);
+  if (schema.type === "array") {
+    const items = describeSchema(schema.items);
+    return items ? `${items}[]` : "array";
+  }
+  return schema.type || null;
+}
+
+function firstContentSchema(body) {
+  const content = body?.content;
+  if (!content) return null;
+  return (content["application/json"] || Object.values(content)[0])?.schema || null;
+}
+
+function successSchema(responses = {}) {
+  const code = Object.keys(responses || {}).find((status) => /^2/.test(status)) ?? "default";
+  const response = responses?.[code];
+  return response?.schema || firstContentSchema(response);
+}
+
+function refName(value) {
+  const ref = typeof value === "string" ? value : value?.$ref;
+  return ref ? ref.split("/").pop() : null;
+}
+
+function serverPath(url) {
+  if (!url || typeof url !== "string") return "";
+  const path = url.replace(/^[a-z]+:\/\/[^/]+/i, "").replace(/\{[^}]*\}/g, "");
+  return /^\/?$/.test(path) ? "" : path;
+}
+
+function normalizePath(endpoint) {
+  const path = toOpenApiPath(endpoint).path.replace(/\{[^}]*\}/g, "{}").replace(/\/+$/, "");
+  return path.toLowerCase() || "/";
+}
+
+// Locates the line of a YAML or JSON key, optionally searching after a given line.
+function createKeyLocator(content) {
+  const lines = content.split("\n");
+  return (key, fromLine = 1) => {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(`^\\s*(?:- )?["']?${escaped}["']?\\s*:`);
+    for (let i = Math.max(0, (fromLine ?? 1) - 1); i < lines.length; i += 1) {
+      if (pattern.test(lines[i])) return i + 1;
+    }
+    return null;
+  };
+}
+
+function createLineCounter(source) {
+  return (index) => {
+    let line = 1;
+    for (let i = 0; i < index; i += 1) if (source[i] === "\n") line += 1;
+    return line;
+  };
+}
+
+// Replaces comments and strings with spaces so offsets and line numbers stay valid.
+function blankOut(content, pattern) {
+  return content.replace(pattern, (match) => match.replace(/[^\n]/g, " "));
+}
+
+function findClosingBrace(source, open) {
+  let depth = 0;
+  for (let i = open; i < source.length; i += 1) {
+    if (source[i] === "{") depth += 1;
+    else if (source[i] === "}") {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return source.length;
+}
+
+function depth(path) {
+  return path.split("/").length;
+}
@@ -0,0 +1,591 @@
+import { createLineLocator } from "./routes.js";
+
+const IGNORED_PATHS = /(^|\/)(node_modules|vendor|third_party|\.yarn|dist|build|site-packages)\//;
+const MAX_SCHEMA_FILES = 80;
+const MAX_SCHEMA_FILE_SIZE = 300_000;
+const MAX_DIAGRAM_ENTITIES = 40;
+const MAX_DIAGRAM_COLUMNS = 15;
+// Declared schemas win over migrations when both describe the same table.
+const SOURCES = [
+  { kind: "prisma", match: (path) => /(^|\/)schema\.prisma$/.test(path), parse: parsePrisma },
+  { kind: "rails", match: (path) => /(^|\/)db\/schema\.rb$/.test(path), parse: parseRailsSchema },
+  {
+    kind: "python",
+    match: (path) => /\.py$/.test(path) && /(^|\/)(models?|entities|tables|schema|db)(\.py|\/)/.test(path),
+    parse: (content, path) => [...parseDjangoModels(content, path), ...parseSqlAlchemyModels(content, path)]
+  },
+  { kind: "typeorm", match: (path) => /\.(ts|js)$/.test(path) && /(\.entity\.|(^|\/)(entities|entity|models?)\/)/.test(path), parse: parseTypeOrmEntities },
+  { kind: "sql", match: (path) => /\.sql$/i.test(path) && !/\.down\.sql$/i.test(path), parse: parseSqlDdl }
+];
+const PRISMA_SCALARS = new Set(["String", "Int", "BigInt", "Float", "Decimal", "Boolean", "DateTime", "Json", "Bytes", "Unsupported"]);
+
+// Reads schema files and ORM models into entities with columns, keys and relations.
+export async function collectDataModel(tree = [], readFile, onProgress = () => {}) {
+  const files = [];
+  for (const entry of tree) {
+    if (IGNORED_PATHS.test(entry.path) || (entry.size ?? 0) > MAX_SCHEMA_FILE_SIZE) continue;
+    const source = SOURCES.find((candidate) => candidate.match(entry.path));
+    if (source) files.push({ path: entry.path, source });
+  }
+  // Migrations replay in path order, which is chronological for timestamped names.
+  files.sort((a, b) => SOURCES.indexOf(a.source) - SOURCES.indexOf(b.source) || a.path.localeCompare(b.path));
+
+  const parsed = [];
+  const sources = [];
+  const sqlTables = new Map();
+  for (const { path, source } of files.slice(0, MAX_SCHEMA_FILES)) {
+    let content;
+    try {
+      content = await readFile(path);
+    } catch (error) {
+      console.warn(`Could not read ${path}:`, error.message);
+      continue;
+    }
+    try {
+      if (source.kind === "sql") {
+        const tables = parseSqlDdl(content, path, sqlTables);
+        if (tables) sources.push({ path, kind: "sql", entities: tables });
+        continue;
+      }
+      const entities = source.parse(content, path).map((entity) => ({ kind: source.kind, ...entity, sourceFile: path }));
+      if (entities.length) {
+        parsed.push(...entities);
+        sources.push({ path, kind: entities[0].kind, entities: entities.length });
+      }
+    } catch (error) {
+      console.warn(`Could not parse ${path}:`, error.message);
+    }
+  }
+  // SQL migrations replay into one table set, so dropped and altered tables end up in their final shape.
+  parsed.push(...Array.from(sqlTables.values(), (entity) => ({ kind: "sql", ...entity })));
+  if (!parsed.length) return null;
+
+  const { entities, relations } = mergeEntities(parsed);
+  onProgress(`Extracted ${entities.length} entities and ${relations.length} relations from ${sources.length} schema files`);
+  return { sources, entities, relations };
+}
+
+export function buildErDiagram(dataModel) {
+  if (!dataModel?.entities?.length) return "";
+  const degree = new Map();
+  for (const relation of dataModel.relations) {
+    degree.set(relation.from, (degree.get(relation.from) ?? 0) + 1);
+    degree.set(relation.to, (degree.get(relation.to) ?? 0) + 1);
+  }
+  const entities = dataModel.entities
+    .slice()
+    .sort((a, b) => (degree.get(b.name) ?? 0) - (degree.get(a.name) ?? 0) || a.name.localeCompare(b.name))
+    .slice(0, MAX_DIAGRAM_ENTITIES);
+  const included = new Set(entities.map((entity) => entity.name));
+
+  const lines = ["erDiagram"];
+  for (const entity of entities.sort((a, b) => a.name.localeCompare(b.name))) {
+    lines.push(`    ${toErIdentifier(entity.name)} {`);
+    for (const column of entity.columns.slice(0, MAX_DIAGRAM_COLUMNS)) {
+      const keys = [column.primaryKey && "PK", column.references && "FK", column.unique && !column.primaryKey && "UK"].filter(Boolean);
+      lines.push(`        ${toErType(column.type)} ${toErIdentifier(column.name)}${keys.length ? ` ${keys.join(", ")}` : ""}`);
+    }
+    lines.push("    }");
+  }
+  for (const relation of dataModel.relations) {
+    if (!included.has(relation.from) || !included.has(relation.to)) continue;
+    const from = toErIdentifier(relation.from);
+    const to = toErIdentifier(relation.to);
+    const label = `"${relation.label.replace(/"/g, "")}"`;
+    if (relation.type === "many-to-many") lines.push(`    ${from} }o--o{ ${to} : ${label}`);
+    else if (relation.type === "one-to-one") lines.push(`    ${to} ||--o| ${from} : ${label}`);
+    else lines.push(`    ${to} ||--o{ ${from} : ${label}`);
+  }
+  return lines.join("\n");
+}
+
+// ---- merging ----
+
+function mergeEntities(parsed) {
+  const entities = new Map();
+  const relations = [];
+  const lookup = new Map();
+  for (const entity of parsed) {
+    const keys = [entity.name, entity.table].filter(Boolean).map(normalizeName);
+    const existing = keys.map((key) => lookup.get(key)).find(Boolean);
+    if (existing) {
+      for (const column of entity.columns) {
+        if (!existing.columns.some((candidate) => candidate.name === column.name)) existing.columns.push(column);
+      }
+      existing.manyToMany.push(...entity.manyToMany);
+      keys.forEach((key) => lookup.set(key, existing));
+      continue;
+    }
+    const record = { ...entity, columns: [...entity.columns], manyToMany: [...entity.manyToMany] };
+    entities.set(record.name, record);
+    keys.forEach((key) => lookup.set(key, record));
+  }
+
+  const resolve = (reference) => lookup.get(normalizeName(reference)) || null;
+  const seen = new Set();
+  const addRelation = (relation) => {
+    const key = relation.type === "many-to-many"
+      ? `${[relation.from, relation.to].sort().join("|")}|m2m`
+      : `${relation.from}|${relation.to}|${relation.label}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    relations.push(relation);
+  };
+  for (const entity of entities.values()) {
+    for (const column of entity.columns) {
+      if (!column.references) continue;
+      const target = resolve(column.references.entity);
+      if (!target) continue;
+      column.references = { entity: target.name, column: column.references.column || primaryKeyOf(target) };
+      addRelation({
+        from: entity.name,
+        to: target.name,
+        type: column.unique || (column.primaryKey && entity.columns.filter((entry) => entry.primaryKey).length === 1) ? "one-to-one" : "many-to-one",
+        label: column.name
+      });
+    }
+    for (const { target, label } of entity.manyToMany) {
+      const other = resolve(target);
+      if (other) addRelation({ from: entity.name, to: other.name, type: "many-to-many", label });
+    }
+  }
+
+  return {
+    entities: Array.from(entities.values())
+      .map(({ manyToMany, ...entity }) => entity)
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    relations
+  };
+}
+
+function primaryKeyOf(entity) {
+  return entity.columns.find((column) => column.primaryKey)?.name || "id";
+}
+
+function normalizeName(name = "") {
+  return String(name)
+    .split(".")
+    .pop()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/ies$/, "y")
+    .replace(/(ss|us)$/, "$1")
+    .replace(/([^s])s$/, "$1");
+}
+
+function createEntity(name, table, line) {
+  return { name, table: table || null, line, columns: [], manyToMany: [] };
+}
+
+function addColumn(entity, column) {
+  const existing = entity.columns.find((candidate) => candidate.name === column.name);
+  if (existing) Object.assign(existing, Object.fromEntries(Object.entries(column).filter(([, value]) => value)));
+  else entity.columns.push({ primaryKey: false, unique: false, nullable: true, references: null, ...column });
+}
+
+function toErIdentifier(value) {
+  return String(value).replace(/[^\w-]/g, "_");
+}
+
+function toErType(value) {
+  return String(value || "string").replace(/\(.*$/, "").replace(/\[\]$/, "_list").replace(/[^\w]/g, "_") || "string";
+}
+
+// ---- SQL DDL ----
+
+// Applies one file's DDL to the shared table set and returns how many tables it created or altered.
+function parseSqlDdl(content, path, state) {
+  const locate = createLineLocator(content);
+  const touched = new Set();
+  const text = blankSqlComments(content.split(/^--\s*(?:\+goose\s+Down|migrate:down)\b/im)[0]);
+  for (const { statement, index } of splitSqlStatements(text)) {
+    const create = statement.match(/^\s*CREATE\s+(?:(?:GLOBAL\s+|LOCAL\s+)?(?:TEMP|TEMPORARY|UNLOGGED)\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([`"[\]\w.$]+)\s*\(/i);
+    if (create) {
+      const name = unquoteIdentifier(create[1]);
+      const entity = { ...createEntity(name, name, locate(index + statement.search(/\S/))), sourceFile: path };
+      const open = statement.indexOf("(", create.index + create[0].length - 1);
+      const body = statement.slice(open + 1, findClosing(statement, open));
+      splitTopLevel(body).forEach((part) => applySqlDefinition(entity, part.trim()));
+      state.set(name.toLowerCase(), entity);
+      touched.add(name.toLowerCase());
+      continue;
+    }
+    const alter = statement.match(/^\s*ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(?:ONLY\s+)?([`"[\]\w.$]+)\s+([\s\S]+)$/i);
+    if (alter) {
+      const entity = state.get(unquoteIdentifier(alter[1]).toLowerCase());
+      if (!entity) continue;
+      for (const action of splitTopLevel(alter[2])) {
+        const trimmed = action.trim();
+        const drop = trimmed.match(/^DROP\s+(?:COLUMN\s+)?(?:IF\s+EXISTS\s+)?([`"[\]\w]+)/i);
+        if (drop && !/^DROP\s+(CONSTRAINT|INDEX|KEY|PRIMARY|FOREIGN)/i.test(trimmed)) {
+          const column = unquoteIdentifier(drop[1]);
+          entity.columns = entity.columns.filter((entry) => entry.name !== column);
+          continue;
+        }
+        const add = trimmed.match(/^ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i);
+        if (add) applySqlDefinition(entity, add[1].trim());
+      }
+      touched.add(entity.table.toLowerCase());
+      continue;
+    }
+    const drop = statement.match(/^\s*DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?([`"[\]\w.$]+)/i);
+    if (drop) state.delete(unquoteIdentifier(drop[1]).toLowerCase());
+  }
+  return touched.size;
+}
+
+function applySqlDefinition(entity, definition) {
+  const body = definition.replace(/^CONSTRAINT\s+[`"[\]\w]+\s+/i, "");
+  const columns = (text) => text.split(",").map((name) => unquoteIdentifier(name.trim().split(/\s+/)[0]));
+  let match;
+  if ((match = body.match(/^PRIMARY\s+KEY\s*(?:\w+\s*)?\(([^)]*)\)/i))) {
+    columns(match[1]).forEach((name) => addColumn(entity, { name, primaryKey: true, nullable: false }));
+    return;
+  }
+  if ((match = body.match(/^FOREIGN\s+KEY\s*\(([^)]*)\)\s*REFERENCES\s+([`"[\]\w.$]+)\s*(?:\(([^)]*)\))?/i))) {
+    const targetColumns = match[3] ? columns(match[3]) : [];
+    columns(match[1]).forEach((name, index) =>
+      addColumn(entity, { name, references: { entity: unquoteIdentifier(match[2]), column: targetColumns[index] || null } })
+    );
+    return;
+  }
+  if ((match = body.match(/^UNIQUE\s*(?:KEY|INDEX)?\s*(?:[`"[\]\w]+\s*)?\(([^)]*)\)/i))) {
+    const names = columns(match[1]);
+    if (names.length === 1) addColumn(entity, { name: names[0], unique: true });
+    return;
+  }
+  if (/^(KEY|INDEX|CHECK|EXCLUDE|FULLTEXT|SPATIAL|PERIOD|LIKE)\b/i.test(body)) return;
+
+  const column = body.match(/^([`"[\]\w$]+)\s+((?:[\w$]+)(?:\s*\([^)]*\))?(?:\s*\[\])?(?:\s+(?:varying|precision|unsigned|with(?:out)?\s+time\s+zone))*)([\s\S]*)$/i);
+  if (!column) return;
+  const rest = column[3];
+  const references = rest.match(/\bREFERENCES\s+([`"[\]\w.$]+)\s*(?:\(([^)]*)\))?/i);
+  addColumn(entity, {
+    name: unquoteIdentifier(column[1]),
+    type: column[2].replace(/\s+/g, " ").toLowerCase(),
+    primaryKey: /\bPRIMARY\s+KEY\b/i.test(rest),
+    unique: /\bUNIQUE\b/i.test(rest),
+    nullable: !/\bNOT\s+NULL\b|\bPRIMARY\s+KEY\b/i.test(rest),
+    references: references ? { entity: unquoteIdentifier(references[1]), column: references[2] ? unquoteIdentifier(references[2].trim()) : null } : null
+  });
+}
+
+function blankSqlComments(content) {
+  return content.replace(/\/\*[\s\S]*?\*\/|--[^\n]*/g, (comment) => comment.replace(/[^\n]/g, " "));
+}
+
+function splitSqlStatements(content) {
+  const statements = [];
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < content.length; i += 1) {
+    const ch = content[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"' || ch === "`") quote = ch;
+    else if (ch === ";") {
+      statements.push({ statement: content.slice(start, i), index: start });
+      start = i + 1;
+    }
+  }
+  if (content.slice(start).trim()) statements.push({ statement: content.slice(start), index: start });
+  return statements;
+}
+
+function unquoteIdentifier(value) {
+  return String(value).split(".").pop().replace(/[`"[\]]/g, "");
+}
+
+// ---- Prisma ----
+
+function parsePrisma(content, path) {
+  const locate = createLineLocator(content);
+  const enums = new Set(Array.from(content.matchAll(/^enum\s+(\w+)\s*\{/gm), (match) => match[1]));
+  const models = Array.from(content.matchAll(/^model\s+(\w+)\s*\{([\s\S]*?)^\}/gm));
+  const modelNames = new Set(models.map((match) => match[1]));
+  return models.map((match) => {
+    const [, name, body] = match;
+    const entity = createEntity(name, body.match(/@@map\(\s*"([^"]+)"/)?.[1] || name, locate(match.index));
+    const relationFields = [];
+    for (const line of body.split("\n")) {
+      const field = line.trim().match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+      if (!field || line.trim().startsWith("//")) continue;
+      const [, fieldName, type, list, optional, attributes] = field;
+      if (modelNames.has(type)) {
+        relationFields.push({ fieldName, type, list: Boolean(list), attributes });
+        continue;
+      }
+      if (!PRISMA_SCALARS.has(type) && !enums.has(type)) continue;
+      addColumn(entity, {
+        name: fieldName,
+        type: list ? `${type}[]` : type,
+        primaryKey: /@id\b/.test(attributes),
+        unique: /@unique\b/.test(attributes),
+        nullable: Boolean(optional)
+      });
+    }
+    const compositeId = body.match(/@@id\(\s*\[([^\]]+)\]/);
+    if (compositeId) {
+      compositeId[1].split(",").forEach((column) => addColumn(entity, { name: column.trim(), primaryKey: true }));
+    }
+    for (const relation of relationFields) {
+      const fields = relation.attributes.match(/fields:\s*\[([^\]]+)\]/);
+      const references = relation.attributes.match(/references:\s*\[([^\]]+)\]/);
+      if (fields) {
+        const targetColumns = references ? references[1].split(",").map((value) => value.trim()) : [];
+        fields[1].split(",").forEach((column, index) =>
+          addColumn(entity, { name: column.trim(), references: { entity: relation.type, column: targetColumns[index] || null } })
+        );
+      } else if (relation.list && isImplicitManyToMany(body, relation, models, name)) {
+        entity.manyToMany.push({ target: relation.type, label: relation.fieldName });
+      }
+    }
+    return entity;
+  });
+}
+
+function isImplicitManyToMany(body, relation, models, name) {
+  const other = models.find((match) => match[1] === relation.type);
+  return Boolean(other && new RegExp(`^\\s*\\w+\\s+${name}\\[\\]`, "m").test(other[2]));
+}
+
+// ---- Rails schema.rb ----
+
+function parseRailsSchema(content, path) {
+  const locate = createLineLocator(content);
+  const entities = [];
+  const byTable = new Map();
+  for (const match of content.matchAll(/^\s*create_table\s+["'](\w+)["']([^\n]*?)\s+do\s+\|(\w+)\|([\s\S]*?)^\s*end\b/gm)) {
+    const [, table, options, variable, body] = match;
+    const entity = createEntity(table, table, locate(match.index));
+    if (!/\bid:\s*false\b/.test(options)) {
+      addColumn(entity, { name: options.match(/primary_key:\s*["'](\w+)["']/)?.[1] || "id", type: options.match(/\bid:\s*:(\w+)/)?.[1] || "bigint", primaryKey: true, nullable: false });
+    }
+    const columnPattern = new RegExp(`^\\s*${variable}\\.(\\w+)\\s+["'](\\w+)["']([^\\n]*)`, "gm");
+    for (const column of body.matchAll(columnPattern)) {
+      const [, type, name, rest] = column;
+      if (type === "index" || type === "check_constraint") continue;
+      if (type === "references" || type === "belongs_to") {
+        const target = rest.match(/foreign_key:\s*\{\s*to_table:\s*:?["']?(\w+)/)?.[1] || pluralize(name);
+        addColumn(entity, {
+          name: `${name}_id`,
+          type: rest.match(/type:\s*:(\w+)/)?.[1] || "bigint",
+          nullable: !/null:\s*false/.test(rest),
+          references: /foreign_key:/.test(rest) && !/foreign_key:\s*false/.test(rest) ? { entity: target, column: null } : null
+        });
+        continue;
+      }
+      addColumn(entity, { name, type, nullable: !/null:\s*false/.test(rest) });
+    }
+    if (new RegExp(`^\\s*${variable}\\.timestamps\\b`, "m").test(body)) {
+      addColumn(entity, { name: "created_at", type: "datetime", nullable: false });
+      addColumn(entity, { name: "updated_at", type: "datetime", nullable: false });
+    }
+    for (const index of body.matchAll(new RegExp(`^\\s*${variable}\\.index\\s+\\[?["'](\\w+)["']\\]?,[^\\n]*unique:\\s*true`, "gm"))) {
+      addColumn(entity, { name: index[1], unique: true });
+    }
+    entities.push(entity);
+    byTable.set(table, entity);
+  }
+  for (const match of content.matchAll(/^\s*add_foreign_key\s+["'](\w+)["'],\s*["'](\w+)["']([^\n]*)/gm)) {
+    const entity = byTable.get(match[1]);
+    if (!entity) continue;
+    const column = match[3].match(/column:\s*["'](\w+)["']/)?.[1] || `${singularize(match[2])}_id`;
+    const primaryKey = match[3].match(/primary_key:\s*["'](\w+)["']/)?.[1] || null;
+    addColumn(entity, { name: column, references: { entity: match[2], column: primaryKey } });
+  }
+  return entities;
+}
+
+function pluralize(name) {
+  if (/[^aeiou]y$/.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/.test(name)) return `${name}es`;
+  return `${name}s`;
+}
+
+function singularize(name) {
+  if (/ies$/.test(name)) return `${name.slice(0, -3)}y`;
+  if (/(ss|us)$/.test(name)) return name;
+  if (/(xes|ches|shes|sses)$/.test(name)) return name.slice(0, -2);
+  return name.replace(/s$/, "");
+}
+
+// ---- Django ----
+
+function parseDjangoModels(content, path) {
+  if (!/\bmodels\.Model\b|\bfrom\s+django\.db\s+import\s+models\b/.test(content)) return [];
+  const locate = createLineLocator(content);
+  const entities = [];
+  for (const { name, bases, body, index } of readPythonClasses(content)) {
+    if (!/Model\b/.test(bases) || !/\bmodels\.\w+Field\b|\bmodels\.ForeignKey\b/.test(body)) continue;
+    if (/^\s+abstract\s*=\s*True/m.test(body)) continue;
+    const entity = createEntity(name, body.match(/^\s+db_table\s*=\s*["']([^"']+)["']/m)?.[1] || null, locate(index));
+    for (const field of body.matchAll(/^\s+(\w+)\s*=\s*models\.(\w+)\(([^\n]*)/gm)) {
+      const [, fieldName, fieldType, args] = field;
+      const target = args.match(/^\s*(?:to\s*=\s*)?["']?([\w.]+)["']?/)?.[1];
+      if (fieldType === "ForeignKey" || fieldType === "OneToOneField") {
+        addColumn(entity, {
+          name: `${fieldName}_id`,
+          type: "integer",
+          unique: fieldType === "OneToOneField",
+          nullable: /null\s*=\s*True/.test(args),
+          references: { entity: target === "self" ? name : target, column: null }
+        });
+        continue;
+      }
+      if (fieldType === "ManyToManyField") {
+        if (target) entity.manyToMany.push({ target: target === "self" ? name : target, label: fieldName });
+        continue;
+      }
+      if (!/Field$/.test(fieldType)) continue;
+      addColumn(entity, {
+        name: fieldName,
+        type: fieldType.replace(/Field$/, "") || "field",
+        primaryKey: /primary_key\s*=\s*True/.test(args),
+        unique: /unique\s*=\s*True/.test(args),
+        nullable: /null\s*=\s*True/.test(args)
+      });
+    }
+    if (!entity.columns.some((column) => column.primaryKey)) {
+      entity.columns.unshift({ name: "id", type: "AutoField", primaryKey: true, unique: false, nullable: false, references: null });
+    }
+    entities.push({ ...entity, kind: "django" });
+  }
+  return entities;
+}
+
+// ---- SQLAlchemy ----
+
+function parseSqlAlchemyModels(content, path) {
+  if (!/\bsqlalchemy\b|\bdb\.Model\b|\bSQLModel\b/.test(content)) return [];
+  const locate = createLineLocator(content);
+  const entities = [];
+  for (const { name, body, index } of readPythonClasses(content)) {
+    const table = body.match(/^\s+__tablename__\s*=\s*["']([^"']+)["']/m)?.[1];
+    if (!table && !/\b(?:mapped_column|Column)\(/.test(body)) continue;
+    const entity = createEntity(name, table || null, locate(index));
+    const columnPattern = /^\s+(\w+)\s*(?::\s*Mapped\[([^\n=]+)\])?\s*=\s*(?:db\.|sa\.)?(?:Column|mapped_column)\(([^\n]*)/gm;
+    for (const column of body.matchAll(columnPattern)) {
+      const [, columnName, mapped, args] = column;
+      const firstArgument = args.match(/^\s*(?:db\.|sa\.)?([A-Z]\w*)/)?.[1];
+      const foreignKey = args.match(/ForeignKey\(\s*["']([\w.]+)["']/)?.[1];
+      const mappedType = mapped?.replace(/^Optional\[|\]$/g, "").trim();
+      addColumn(entity, {
+        name: columnName,
+        type: (firstArgument && firstArgument !== "ForeignKey" ? firstArgument : mappedType) || "column",
+        primaryKey: /primary_key\s*=\s*True/.test(args),
+        unique: /unique\s*=\s*True/.test(args),
+        nullable: !/nullable\s*=\s*False/.test(args) && !/primary_key\s*=\s*True/.test(args),
+        references: foreignKey
+          ? { entity: foreignKey.split(".").slice(-2, -1)[0] || foreignKey, column: foreignKey.split(".").pop() }
+          : null
+      });
+    }
+    for (const relation of body.matchAll(/^\s+(\w+)\s*(?::[^=\n]+)?=\s*(?:db\.)?relationship\(\s*["']?(\w+)["']?[^\n]*\bsecondary\s*=/gm)) {
+      entity.manyToMany.push({ target: relation[2], label: relation[1] });
+    }
+    if (entity.columns.length) entities.push({ ...entity, kind: "sqlalchemy" });
+  }
+  return entities;
+}
+
+function readPythonClasses(content) {
+  const classes = [];
+  for (const match of content.matchAll(/^class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:[^\n]*\n/gm)) {
+    const start = match.index + match[0].length;
+    const rest = content.slice(start);
+    const end = rest.search(/^\S/m);
+    classes.push({ name: match[1], bases: match[2] || "", body: end === -1 ? rest : rest.slice(0, end), index: match.index });
+  }
+  return classes;
+}
+
+// ---- TypeORM ----
+
+function parseTypeOrmEntities(content, path) {
+  if (!/@Entity\b/.test(content)) return [];
+  const locate = createLineLocator(content);
+  const entities = [];
+  for (const match of content.matchAll(/@Entity\(\s*(?:["'`]([^"'`]+)["'`]|\{[^}]*name:\s*["'`]([^"'`]+)["'`][^}]*\})?\s*\)[\s\S]*?class\s+(\w+)[^{]*\{/g)) {
+    const open = match.index + match[0].length - 1;
+    const body = content.slice(open + 1, findClosing(content, open, "{", "}"));
+    const entity = createEntity(match[3], match[1] || match[2] || null, locate(match.index));
+    const members = body.matchAll(/((?:@\w+\((?:[^()]|\([^()]*\))*\)\s*)+)(?:public\s+|readonly\s+)*(\w+)[?!]?\s*:\s*([\w<>[\]|\s]+?)\s*[;=\n]/g);
+    for (const [, decorators, name, type] of members) {
+      const relation = decorators.match(/@(ManyToOne|OneToOne|ManyToMany)\(\s*(?:\(\)\s*=>\s*|["'`])(\w+)/);
+      if (relation) {
+        if (relation[1] === "ManyToMany") {
+          if (/@JoinTable\b/.test(decorators)) entity.manyToMany.push({ target: relation[2], label: name });
+          continue;
+        }
+        if (relation[1] === "OneToOne" && !/@JoinColumn\b/.test(decorators)) continue;
+        const joinColumn = decorators.match(/@JoinColumn\(\s*\{[^}]*name:\s*["'`](\w+)["'`]/)?.[1];
+        addColumn(entity, {
+          name: joinColumn || `${name}Id`,
+          type: "fk",
+          unique: relation[1] === "OneToOne",
+          nullable: !/nullable:\s*false/.test(decorators),
+          references: { entity: relation[2], column: null }
+        });
+        continue;
+      }
+      if (!/@(Primary\w*Column|Column|CreateDateColumn|UpdateDateColumn|DeleteDateColumn|VersionColumn|ObjectIdColumn)\b/.test(decorators)) continue;
+      addColumn(entity, {
+        name,
+        type: decorators.match(/@\w*Column\(\s*["'`](\w+)["'`]/)?.[1] || decorators.match(/type:\s*["'`](\w+)["'`]/)?.[1] || type.trim(),
+        primaryKey: /@Primary\w*Column\b/.test(decorators),
+        unique: /unique:\s*true/.test(decorators),
+        nullable: /nullable:\s*true/.test(decorators)
+      });
+    }
+    entities.push(entity);
+  }
+  return entities;
+}
+
+// ---- shared helpers ----
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"' || ch === "`") quote = ch;
+    else if (ch === "(") depth += 1;
+    else if (ch === ")") depth -= 1;
+    else if (ch === "," && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.filter((part) => part.trim());
+}
+
+function findClosing(text, open, opening = "(", closing = ")") {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i += 1;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"' || ch === "`") quote = ch;
+    else if (ch === opening) depth += 1;
+    else if (ch === closing) {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return text.length;
+}
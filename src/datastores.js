@@ -0,0 +1,505 @@
+import { matchesModule } from "./technologies.js";
+import { dirname, joinPath } from "./paths.js";
+import { isInside } from "./workspaces.js";
+import { parseYaml } from "./yaml.js";
+import { createLineLocator } from "./routes.js";
+
+// `modules` match both import paths and dependency names (Maven coordinates end in ":").
+const STORES = [
+  {
+    id: "postgresql",
+    name: "PostgreSQL",
+    kind: "database",
+    schemes: ["postgres", "postgresql", "jdbc:postgresql"],
+    images: ["postgres", "postgis/postgis", "timescale/timescaledb", "supabase/postgres", "bitnami/postgresql"],
+    modules: ["pg", "postgres", "pg-promise", "@neondatabase/serverless", "@vercel/postgres", "psycopg2", "psycopg2-binary", "psycopg", "asyncpg", "github.com/lib/pq", "github.com/jackc/pgx", "gorm.io/driver/postgres", "org.postgresql", "org.postgresql:", "Npgsql"],
+    engines: ["postgresql", "postgres", "postgis", "cockroachdb"]
+  },
+  {
+    id: "mysql",
+    name: "MySQL",
+    kind: "database",
+    schemes: ["mysql", "mariadb", "jdbc:mysql", "jdbc:mariadb"],
+    images: ["mysql", "mariadb", "bitnami/mysql", "percona"],
+    modules: ["mysql", "mysql2", "mariadb", "pymysql", "MySQLdb", "mysqlclient", "aiomysql", "github.com/go-sql-driver/mysql", "gorm.io/driver/mysql", "com.mysql", "com.mysql:", "mysql:mysql-connector-java", "org.mariadb", "MySql.Data", "MySqlConnector", "Pomelo.EntityFrameworkCore.MySql"],
+    engines: ["mysql", "mysql2", "mariadb", "trilogy"]
+  },
+  {
+    id: "sqlserver",
+    name: "SQL Server",
+    kind: "database",
+    schemes: ["sqlserver", "mssql", "jdbc:sqlserver"],
+    images: ["mcr.microsoft.com/mssql/server", "mcr.microsoft.com/azure-sql-edge"],
+    modules: ["mssql", "tedious", "pyodbc", "github.com/denisenkom/go-mssqldb", "github.com/microsoft/go-mssqldb", "gorm.io/driver/sqlserver", "com.microsoft.sqlserver", "com.microsoft.sqlserver:", "Microsoft.Data.SqlClient", "System.Data.SqlClient", "Microsoft.EntityFrameworkCore.SqlServer"],
+    engines: ["sqlserver", "mssql", "sql_server"]
+  },
+  {
+    id: "sqlite",
+    name: "SQLite",
+    kind: "database",
+    schemes: ["sqlite", "jdbc:sqlite"],
+    images: [],
+    modules: ["sqlite3", "better-sqlite3", "sqlite", "@libsql/client", "aiosqlite", "github.com/mattn/go-sqlite3", "modernc.org/sqlite", "gorm.io/driver/sqlite", "org.xerial:sqlite-jdbc", "Microsoft.Data.Sqlite", "Microsoft.EntityFrameworkCore.Sqlite"],
+    engines: ["sqlite", "sqlite3"]
+  },
+  {
+    id: "oracle",
+    name: "Oracle Database",
+    kind: "database",
+    schemes: ["jdbc:oracle"],
+    images: ["gvenzl/oracle-xe", "container-registry.oracle.com/database"],
+    modules: ["oracledb", "cx_Oracle", "github.com/godror/godror", "com.oracle.database.jdbc:", "Oracle.ManagedDataAccess"],
+    engines: ["oracle"]
+  },
+  {
+    id: "mongodb",
+    name: "MongoDB",
+    kind: "database",
+    schemes: ["mongodb", "mongodb+srv"],
+    images: ["mongo", "bitnami/mongodb", "mongodb/mongodb-community-server"],
+    modules: ["mongodb", "mongoose", "pymongo", "motor", "mongoengine", "go.mongodb.org/mongo-driver", "org.mongodb", "org.mongodb:", "org.springframework.data.mongodb", "MongoDB.Driver", "mongoid"],
+    engines: ["mongodb"]
+  },
+  {
+    id: "cassandra",
+    name: "Cassandra",
+    kind: "database",
+    schemes: [],
+    images: ["cassandra", "scylladb/scylla", "bitnami/cassandra"],
+    modules: ["cassandra-driver", "cassandra", "github.com/gocql/gocql", "com.datastax.oss", "com.datastax.oss:", "CassandraCSharpDriver"],
+    engines: []
+  },
+  {
+    id: "neo4j",
+    name: "Neo4j",
+    kind: "database",
+    schemes: ["neo4j", "bolt"],
+    images: ["neo4j"],
+    modules: ["neo4j-driver", "neo4j", "github.com/neo4j/neo4j-go-driver", "org.neo4j.driver", "org.neo4j.driver:", "Neo4j.Driver"],
+    engines: []
+  },
+  {
+    id: "clickhouse",
+    name: "ClickHouse",
+    kind: "database",
+    schemes: ["clickhouse"],
+    images: ["clickhouse/clickhouse-server", "yandex/clickhouse-server"],
+    modules: ["@clickhouse/client", "clickhouse_driver", "clickhouse_connect", "github.com/ClickHouse/clickhouse-go"],
+    engines: []
+  },
+  {
+    id: "dynamodb",
+    name: "DynamoDB",
+    kind: "database",
+    schemes: [],
+    images: ["amazon/dynamodb-local"],
+    modules: ["@aws-sdk/client-dynamodb", "@aws-sdk/lib-dynamodb", "dynamoose", "github.com/aws/aws-sdk-go-v2/service/dynamodb", "github.com/aws/aws-sdk-go/service/dynamodb", "software.amazon.awssdk.services.dynamodb", "software.amazon.awssdk:dynamodb", "com.amazonaws.services.dynamodbv2", "Amazon.DynamoDBv2", "AWSSDK.DynamoDBv2"],
+    engines: []
+  },
+  {
+    id: "redis",
+    name: "Redis",
+    kind: "cache",
+    schemes: ["redis", "rediss"],
+    images: ["redis", "valkey/valkey", "bitnami/redis", "redis/redis-stack"],
+    modules: ["redis", "ioredis", "@redis/client", "@upstash/redis", "bull", "bullmq", "aioredis", "rq", "github.com/go-redis/redis", "github.com/redis/go-redis", "github.com/gomodule/redigo", "redis.clients.jedis", "redis.clients:", "io.lettuce", "io.lettuce:", "org.springframework.data.redis", "StackExchange.Redis", "sidekiq"],
+    engines: ["redis"]
+  },
+  {
+    id: "memcached",
+    name: "Memcached",
+    kind: "cache",
+    schemes: ["memcached"],
+    images: ["memcached", "bitnami/memcached"],
+    modules: ["memcached", "memjs", "pymemcache", "pylibmc", "github.com/bradfitz/gomemcache", "dalli"],
+    engines: []
+  },
+  {
+    id: "elasticsearch",
+    name: "Elasticsearch",
+    kind: "search",
+    schemes: [],
+    images: ["elasticsearch", "docker.elastic.co/elasticsearch/elasticsearch", "opensearchproject/opensearch", "bitnami/elasticsearch"],
+    modules: ["@elastic/elasticsearch", "elasticsearch", "@opensearch-project/opensearch", "opensearchpy", "opensearch-py", "github.com/elastic/go-elasticsearch", "github.com/olivere/elastic", "co.elastic.clients", "co.elastic.clients:", "org.springframework.data.elasticsearch", "Elastic.Clients.Elasticsearch", "NEST", "searchkick"],
+    engines: []
+  },
+  {
+    id: "kafka",
+    name: "Kafka",
+    kind: "broker",
+    schemes: ["kafka"],
+    images: ["confluentinc/cp-kafka", "bitnami/kafka", "apache/kafka", "wurstmeister/kafka", "redpandadata/redpanda", "vectorized/redpanda"],
+    modules: ["kafkajs", "node-rdkafka", "@confluentinc/kafka-javascript", "kafka", "kafka-python", "confluent_kafka", "confluent-kafka", "aiokafka", "github.com/segmentio/kafka-go", "github.com/confluentinc/confluent-kafka-go", "github.com/IBM/sarama", "github.com/Shopify/sarama", "org.apache.kafka", "org.apache.kafka:", "org.springframework.kafka", "org.springframework.kafka:", "Confluent.Kafka", "ruby-kafka", "karafka"],
+    engines: []
+  },
+  {
+    id: "rabbitmq",
+    name: "RabbitMQ",
+    kind: "broker",
+    schemes: ["amqp", "amqps"],
+    images: ["rabbitmq", "bitnami/rabbitmq"],
+    modules: ["amqplib", "amqp-connection-manager", "pika", "aio_pika", "aio-pika", "kombu", "github.com/streadway/amqp", "github.com/rabbitmq/amqp091-go", "com.rabbitmq", "com.rabbitmq:", "org.springframework.amqp", "org.springframework.boot:spring-boot-starter-amqp", "RabbitMQ.Client", "MassTransit.RabbitMQ", "bunny", "sneakers"],
+    engines: []
+  },
+  {
+    id: "nats",
+    name: "NATS",
+    kind: "broker",
+    schemes: ["nats"],
+    images: ["nats", "bitnami/nats"],
+    modules: ["nats", "nats.ws", "nats-py", "github.com/nats-io/nats.go", "io.nats", "io.nats:", "NATS.Client", "NATS.Net"],
+    engines: []
+  },
+  {
+    id: "sqs",
+    name: "Amazon SQS",
+    kind: "queue",
+    schemes: [],
+    images: ["softwaremill/elasticmq", "roribio16/alpine-sqs"],
+    modules: ["@aws-sdk/client-sqs", "sqs-consumer", "sqs-producer", "github.com/aws/aws-sdk-go-v2/service/sqs", "github.com/aws/aws-sdk-go/service/sqs", "software.amazon.awssdk.services.sqs", "software.amazon.awssdk:sqs", "com.amazonaws.services.sqs", "io.awspring.cloud.sqs", "Amazon.SQS", "AWSSDK.SQS", "aws-sdk-sqs"],
+    engines: []
+  },
+  {
+    id: "sns",
+    name: "Amazon SNS",
+    kind: "queue",
+    schemes: [],
+    images: [],
+    modules: ["@aws-sdk/client-sns", "github.com/aws/aws-sdk-go-v2/service/sns", "github.com/aws/aws-sdk-go/service/sns", "software.amazon.awssdk.services.sns", "com.amazonaws.services.sns", "Amazon.SimpleNotificationService", "AWSSDK.SimpleNotificationService", "aws-sdk-sns"],
+    engines: []
+  },
+  {
+    id: "pubsub",
+    name: "Google Pub/Sub",
+    kind: "broker",
+    schemes: [],
+    images: ["gcr.io/google.com/cloudsdktool/cloud-sdk"],
+    modules: ["@google-cloud/pubsub", "google.cloud.pubsub", "google.cloud.pubsub_v1", "google-cloud-pubsub", "cloud.google.com/go/pubsub", "com.google.cloud.pubsub", "com.google.cloud:google-cloud-pubsub", "Google.Cloud.PubSub"],
+    engines: []
+  },
+  {
+    id: "s3",
+    name: "Amazon S3",
+    kind: "storage",
+    schemes: ["s3"],
+    images: ["minio/minio", "bitnami/minio", "localstack/localstack"],
+    modules: ["@aws-sdk/client-s3", "@aws-sdk/lib-storage", "github.com/aws/aws-sdk-go-v2/service/s3", "github.com/aws/aws-sdk-go/service/s3", "software.amazon.awssdk.services.s3", "software.amazon.awssdk:s3", "com.amazonaws.services.s3", "Amazon.S3", "AWSSDK.S3", "aws-sdk-s3", "minio", "github.com/minio/minio-go"],
+    engines: []
+  }
+];
+const KIND_ORDER = ["database", "cache", "search", "broker", "queue", "storage"];
+const STORE_BY_ID = new Map(STORES.map((store) => [store.id, store]));
+// ORMs that do not pin a database report their models against a generic relational store.
+const GENERIC_SQL = { id: "sql", name: "Relational database", kind: "database" };
+const CONNECTION_STRING =
+  /\b(?:(jdbc:(?:postgresql|mysql|mariadb|sqlserver|sqlite|oracle)):|(postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|kafka|nats|neo4j|bolt|clickhouse|memcached|sqlserver|mssql|sqlite|s3):\/\/)[^\s"'`<>)\]},;]*/gi;
+const SQLSERVER_CONNECTION = /\b(?:Server|Data Source)\s*=\s*[^;"']+;[^"'\n]*\b(?:Database|Initial Catalog)\s*=/i;
+const BOTO_CLIENTS = /\bboto3\.(?:client|resource)\(\s*["'](dynamodb|sqs|sns|s3)["']/g;
+const MODEL_PATTERNS = [
+  { orm: "Mongoose", store: "mongodb", extensions: ["js", "ts", "mjs", "cjs"], when: /\bmongoose\b/, pattern: /\b(?:mongoose\.)?model\s*(?:<[^>]*>)?\(\s*["'`](\w+)["'`]\s*,/g },
+  { orm: "TypeORM / JPA", store: "sql", extensions: ["ts", "js", "java", "kt"], pattern: /@Entity\b(?:\([^)]*\))?\s*(?:@\w+(?:\([^)]*\))?\s*)*(?:export\s+)?(?:public\s+)?(?:abstract\s+)?(?:data\s+)?class\s+(\w+)/g },
+  { orm: "MongoDB (Spring Data)", store: "mongodb", extensions: ["java", "kt"], pattern: /@Document\b(?:\([^)]*\))?\s*(?:@\w+(?:\([^)]*\))?\s*)*(?:public\s+)?(?:data\s+)?class\s+(\w+)/g },
+  { orm: "Sequelize", store: "sql", extensions: ["js", "ts", "mjs", "cjs"], pattern: /\bsequelize\.define\(\s*["'`](\w+)["'`]|\bclass\s+(\w+)\s+extends\s+Model\b(?=[\s\S]*\b\2\.init\()/g },
+  { orm: "Django ORM", store: "sql", extensions: ["py"], pattern: /^class\s+(\w+)\((?:[\w.]+,\s*)*models\.Model\)/gm },
+  { orm: "SQLAlchemy", store: "sql", extensions: ["py"], when: /__tablename__|mapped_column\(|\bColumn\(|db\.Model|SQLModel/, pattern: /^class\s+(\w+)\((?:[\w.]+,\s*)*(?:Base|db\.Model|DeclarativeBase|SQLModel,\s*table\s*=\s*True)\)/gm },
+  { orm: "Active Record", store: "sql", extensions: ["rb"], pattern: /^\s*class\s+(\w+)\s*<\s*(?:ApplicationRecord|ActiveRecord::Base)\b/gm },
+  { orm: "Mongoid", store: "mongodb", extensions: ["rb"], pattern: /^\s*class\s+(\w+)\b(?=[^\n]*\n(?:[^\n]*\n){0,3}?\s*include\s+Mongoid::Document)/gm },
+  { orm: "GORM", store: "sql", extensions: ["go"], pattern: /\btype\s+(\w+)\s+struct\s*\{\s*\n?\s*gorm\.Model\b/g },
+  { orm: "Entity Framework Core", store: "sql", extensions: ["cs"], pattern: /\bDbSet<(\w+)>/g }
+];
+const MIGRATION_PATTERNS = [
+  { tool: "Prisma", pattern: /^(.*?\/?prisma\/migrations)\/[^/]+\/migration\.sql$/ },
+  { tool: "Rails", pattern: /^(.*?\/?db\/migrate)\/\d+_\w+\.rb$/ },
+  { tool: "Alembic", pattern: /^(.*?\/?(?:alembic|migrations)\/versions)\/\w+\.py$/ },
+  { tool: "Flyway", pattern: /^(.*\/)?(?:db\/migration|migrations?|sql)\/[VRU]\d+(?:[._]\d+)*__\w+\.sql$/, directory: (path) => path.slice(0, path.lastIndexOf("/")) },
+  { tool: "Liquibase", pattern: /^(.*?\/?db\/changelog)\/.+\.(xml|ya?ml|sql)$/ },
+  { tool: "Django", pattern: /^(.*?\/migrations)\/\d{4}_\w+\.py$/ },
+  { tool: "Entity Framework", pattern: /^(.*?\/?Migrations)\/\d{14}_\w+\.cs$/ },
+  { tool: "golang-migrate", pattern: /^(.*?\/?migrations?)\/\d+_\w+\.(?:up|down)\.sql$/ },
+  { tool: "SQL migrations", pattern: /^(.*?\/?migrations?)\/[^/]+\.(?:sql|js|ts)$/ }
+];
+const COMPOSE_FILE = /(^|\/)(docker-)?compose(\.[\w-]+)?\.ya?ml$/;
+const CONFIG_FILE =
+  /(^|\/)(\.env(\.[\w-]+)?|application(-\w+)?\.(properties|ya?ml)|appsettings(\.\w+)?\.json|database\.yml|settings\.py|config\.(toml|ya?ml|json))$/;
+const IGNORED_PATHS = /(^|\/)(node_modules|vendor|third_party|\.yarn|dist|build)\//;
+const MAX_CONFIG_READS = 30;
+
+// Finds data-store clients, connection strings and ORM models in one source file.
+export function detectDataAccess(content, extension, modules = []) {
+  if (!content) return [];
+  const locate = createLineLocator(content);
+  const hits = [];
+
+  for (const module of modules) {
+    const store = STORES.find((entry) => entry.modules.some((prefix) => matchesModule(module, prefix)));
+    if (!store) continue;
+    const index = Math.max(0, content.indexOf(module));
+    hits.push({ store: store.id, via: "client", detail: module, line: locate(index) });
+  }
+  for (const match of content.matchAll(BOTO_CLIENTS)) {
+    hits.push({ store: match[1], via: "client", detail: `boto3 ${match[1]}`, line: locate(match.index) });
+  }
+  for (const { store, via, detail, index } of findConnectionStrings(content)) {
+    hits.push({ store, via, detail, line: locate(index) });
+  }
+  for (const rule of MODEL_PATTERNS) {
+    if (!rule.extensions.includes(extension) || (rule.when && !rule.when.test(content))) continue;
+    for (const match of content.matchAll(rule.pattern)) {
+      const name = match[1] || match[2];
+      if (name) hits.push({ store: rule.store, via: "model", detail: name, orm: rule.orm, line: locate(match.index) });
+    }
+  }
+  return hits;
+}
+
+// Combines per-file hits with compose services, migrations, Prisma schemas,
+// config files and dependency manifests into one list of data stores.
+export async function collectDataStores({ tree = [], readFile, dependencies, dataAccess = [], onProgress = () => {} }) {
+  const stores = new Map();
+  const record = (id, evidence, usedBy) => {
+    const definition = STORE_BY_ID.get(id) || GENERIC_SQL;
+    if (!stores.has(definition.id)) {
+      stores.set(definition.id, {
+        id: definition.id,
+        name: definition.name,
+        kind: definition.kind,
+        evidence: [],
+        models: [],
+        migrations: [],
+        services: [],
+        usedBy: new Set()
+      });
+    }
+    const store = stores.get(definition.id);
+    if (evidence) store.evidence.push(evidence);
+    if (usedBy !== undefined && usedBy !== null) store.usedBy.add(usedBy);
+    return store;
+  };
+
+  for (const hit of dataAccess) {
+    const store = record(hit.store, { type: hit.via, path: hit.sourceFile, line: hit.line, detail: hit.detail }, hit.sourceFile);
+    if (hit.via === "model") store.models.push({ name: hit.detail, orm: hit.orm, sourceFile: hit.sourceFile, line: hit.line });
+  }
+
+  for (const item of dependencies?.items || []) {
+    if (!item.direct || item.scope === "dev" || item.scope === "test") continue;
+    const store = STORES.find((entry) => entry.modules.some((prefix) => matchesModule(item.name, prefix)));
+    if (store) record(store.id, { type: "dependency", path: item.manifest, detail: item.name }, dirname(item.manifest));
+  }
+
+  const paths = tree.map((entry) => entry.path).filter((path) => !IGNORED_PATHS.test(path));
+  const migrations = new Map();
+  for (const path of paths) {
+    const rule = MIGRATION_PATTERNS.find((entry) => entry.pattern.test(path));
+    if (!rule) continue;
+    const directory = rule.directory ? rule.directory(path) : path.match(rule.pattern)[1];
+    const key = `${rule.tool}:${directory}`;
+    if (!migrations.has(key)) migrations.set(key, { tool: rule.tool, directory, files: 0 });
+    migrations.get(key).files += 1;
+  }
+
+  const reads = [];
+  for (const path of paths) {
+    if (/(^|\/)schema\.prisma$/.test(path)) reads.push({ path, parse: readPrismaSchema });
+    else if (COMPOSE_FILE.test(path)) reads.push({ path, parse: readComposeFile });
+    else if (CONFIG_FILE.test(path)) reads.push({ path, parse: readConfigFile });
+  }
+  const prismaProviders = new Map();
+  for (const { path, parse } of reads.slice(0, MAX_CONFIG_READS)) {
+    let content;
+    try {
+      content = await readFile(path);
+    } catch (error) {
+      console.warn(`Could not read ${path}:`, error.message);
+      continue;
+    }
+    try {
+      parse(content, path, { record, prismaProviders });
+    } catch (error) {
+      console.warn(`Could not parse ${path}:`, error.message);
+    }
+  }
+
+  for (const migration of migrations.values()) {
+    const prisma = migration.tool === "Prisma" && prismaProviders.get(dirname(migration.directory));
+    const store = record(prisma || "sql", {
+      type: "migration",
+      path: migration.directory,
+      detail: `${migration.files} ${migration.tool} migration${migration.files === 1 ? "" : "s"}`
+    }, migration.directory);
+    store.migrations.push(migration);
+  }
+
+  mergeGenericSql(stores);
+  if (!stores.size) return null;
+
+  const result = Array.from(stores.values())
+    .map((store) => ({
+      ...store,
+      evidence: dedupeEvidence(store.evidence),
+      models: dedupeModels(store.models),
+      usedBy: Array.from(store.usedBy).sort()
+    }))
+    .sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) || b.evidence.length - a.evidence.length);
+  onProgress(`Detected ${result.length} data stores and brokers (${result.map((store) => store.name).join(", ")})`);
+  return { stores: result };
+}
+
+// Links each store to the components whose files, manifests or compose services use it.
+export function assignDataStoresToComponents(dataStores, components = []) {
+  const owners = components
+    .filter((component) => component.path)
+    .sort((a, b) => b.path.length - a.path.length);
+  for (const component of components) component.dataStores = [];
+  for (const store of dataStores?.stores || []) {
+    const names = new Set();
+    for (const path of store.usedBy) {
+      const owner = owners.find((component) => isInside(path, component.path));
+      if (owner) names.add(owner.name);
+    }
+    store.components = Array.from(names);
+    for (const component of components) {
+      if (names.has(component.name)) component.dataStores.push(store.name);
+    }
+  }
+}
+
+// Generic ORM/migration evidence folds into the only relational database, when there is exactly one.
+function mergeGenericSql(stores) {
+  const generic = stores.get(GENERIC_SQL.id);
+  if (!generic) return;
+  const relational = Array.from(stores.values()).filter(
+    (store) => store.kind === "database" && STORE_BY_ID.get(store.id)?.engines.length && store.id !== "mongodb"
+  );
+  if (relational.length !== 1) return;
+  const [target] = relational;
+  target.evidence.push(...generic.evidence);
+  target.models.push(...generic.models);
+  target.migrations.push(...generic.migrations);
+  generic.usedBy.forEach((path) => target.usedBy.add(path));
+  stores.delete(GENERIC_SQL.id);
+}
+
+function findConnectionStrings(content) {
+  const connections = [];
+  for (const match of content.matchAll(CONNECTION_STRING)) {
+    const prefix = match[1] || match[2];
+    const scheme = prefix.toLowerCase().replace(/^jdbc:/, "").replace(/\+srv$/, "");
+    const store = STORES.find((entry) => entry.schemes.some((candidate) => candidate.replace(/^jdbc:/, "") === scheme));
+    if (!store || match[0].length <= prefix.length + 3) continue;
+    connections.push({ store: store.id, via: "connection", detail: maskCredentials(match[0]), index: match.index, host: readHost(match[0]) });
+  }
+  const sqlServer = content.match(SQLSERVER_CONNECTION);
+  if (sqlServer) connections.push({ store: "sqlserver", via: "connection", detail: "SQL Server connection string", index: sqlServer.index });
+  return connections;
+}
+
+function readPrismaSchema(content, path, { record, prismaProviders }) {
+  const provider = content.match(/datasource\s+\w+\s*\{[^}]*\bprovider\s*=\s*"(\w+)"/)?.[1];
+  const store = STORES.find((entry) => entry.engines.includes(provider)) || (provider === "sqlserver" && STORE_BY_ID.get("sqlserver"));
+  const id = store?.id || "sql";
+  prismaProviders.set(dirname(path), id);
+  const locate = createLineLocator(content);
+  const target = record(id, { type: "schema", path, detail: `Prisma datasource${provider ? ` (${provider})` : ""}` }, path);
+  for (const match of content.matchAll(/^model\s+(\w+)\s*\{/gm)) {
+    target.models.push({ name: match[1], orm: "Prisma", sourceFile: path, line: locate(match.index) });
+  }
+}
+
+// Compose services with a known image become stores; services built from the
+// repository inherit edges through `depends_on`, `links` and connection URLs.
+function readComposeFile(content, path, { record }) {
+  const services = parseYaml(content)?.services;
+  if (!services || typeof services !== "object") return;
+  const base = dirname(path);
+  const storeServices = new Map();
+  for (const [name, service] of Object.entries(services)) {
+    const image = typeof service?.image === "string" ? service.image : "";
+    const store = image && findStoreByImage(image);
+    if (!store) continue;
+    storeServices.set(name, store.id);
+    const entry = record(store.id, { type: "compose", path, detail: `service "${name}" (${image})` });
+    if (!entry.services.includes(name)) entry.services.push(name);
+  }
+
+  for (const [name, service] of Object.entries(services)) {
+    if (!service || storeServices.has(name) || !service.build) continue;
+    const context = typeof service.build === "string" ? service.build : service.build.context || ".";
+    const usedBy = joinPath(base, context);
+    const linked = new Set([...listNames(service.depends_on), ...listNames(service.links).map((link) => link.split(":")[0])]);
+    for (const value of listEnvironment(service.environment)) {
+      for (const connection of findConnectionStrings(value)) {
+        if (connection.host && storeServices.has(connection.host)) linked.add(connection.host);
+        else record(connection.store, { type: "connection", path, detail: `${name}: ${connection.detail}` }, usedBy);
+      }
+    }
+    for (const dependency of linked) {
+      if (storeServices.has(dependency)) {
+        record(storeServices.get(dependency), { type: "compose", path, detail: `service "${name}" uses "${dependency}"` }, usedBy);
+      }
+    }
+  }
+}
+
+function readConfigFile(content, path, { record }) {
+  const usedBy = dirname(path);
+  for (const connection of findConnectionStrings(content)) {
+    record(connection.store, { type: "connection", path, detail: connection.detail }, usedBy);
+  }
+  // Rails database.yml adapters and Django DATABASES engines name the database without a URL.
+  for (const match of content.matchAll(/\badapter:\s*["']?(\w+)|["']ENGINE["']\s*:\s*["'][\w.]*\.(\w+)["']/g)) {
+    const engine = (match[1] || match[2]).toLowerCase();
+    const store = STORES.find((entry) => entry.engines.includes(engine));
+    if (store) record(store.id, { type: "config", path, detail: `${match[1] ? "adapter" : "ENGINE"} ${engine}` }, usedBy);
+  }
+}
+
+function findStoreByImage(image) {
+  const name = image
+    .replace(/@.*$/, "")
+    .replace(/:[^/]*$/, "")
+    .replace(/^(docker\.io\/)?(library\/)?/, "")
+    .toLowerCase();
+  return STORES.find((store) => store.images.some((candidate) => name === candidate || name.endsWith(`/${candidate}`)));
+}
+
+function listNames(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (value && typeof value === "object") return Object.keys(value);
+  return [];
+}
+
+function listEnvironment(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (value && typeof value === "object") return Object.values(value).map(String);
+  return [];
+}
+
+function maskCredentials(url) {
+  return url.replace(/(\/\/)[^/@\s]+@/, "$1***@").slice(0, 120);
+}
+
+function readHost(url) {
+  return url.match(/:\/\/(?:[^/@\s]+@)?([\w.-]+)/)?.[1] ?? null;
+}
+
+function dedupeEvidence(evidence) {
+  const seen = new Set();
+  return evidence.filter((entry) => {
+    const key = `${entry.type}|${entry.path}|${entry.detail}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function dedupeModels(models) {
+  const seen = new Set();
+  return models
+    .filter((model) => {
+      if (seen.has(model.name)) return false;
+      seen.add(model.name);
+      return true;
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
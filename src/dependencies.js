@@ -0,0 +1,528 @@
+import { dirname } from "./paths.js";
+import { isInside } from "./workspaces.js";
+
+const MANIFEST_PARSERS = [
+  { match: /(^|\/)package\.json$/, ecosystem: "npm", parse: parsePackageJson },
+  { match: /(^|\/)requirements(?:[-.\w]*)?\.txt$/, ecosystem: "PyPI", parse: parseRequirements },
+  { match: /(^|\/)pyproject\.toml$/, ecosystem: "PyPI", parse: parsePyproject },
+  { match: /(^|\/)go\.mod$/, ecosystem: "Go", parse: parseGoMod },
+  { match: /(^|\/)pom\.xml$/, ecosystem: "Maven", parse: parsePom },
+  { match: /(^|\/)build\.gradle(?:\.kts)?$/, ecosystem: "Maven", parse: parseGradle },
+  { match: /(^|\/)Gemfile$/, ecosystem: "RubyGems", parse: parseGemfile },
+  { match: /(^|\/)composer\.json$/, ecosystem: "Packagist", parse: parseComposerJson },
+  { match: /\.csproj$/, ecosystem: "NuGet", parse: parseCsproj },
+  { match: /(^|\/)Cargo\.toml$/, ecosystem: "crates.io", parse: parseCargoToml }
+];
+const LOCKFILE_PARSERS = [
+  { match: /(^|\/)package-lock\.json$/, ecosystem: "npm", parse: parsePackageLock },
+  { match: /(^|\/)yarn\.lock$/, ecosystem: "npm", parse: parseYarnLock },
+  { match: /(^|\/)pnpm-lock\.yaml$/, ecosystem: "npm", parse: parsePnpmLock },
+  { match: /(^|\/)poetry\.lock$/, ecosystem: "PyPI", parse: parseTomlPackages },
+  { match: /(^|\/)Pipfile\.lock$/, ecosystem: "PyPI", parse: parsePipfileLock },
+  { match: /(^|\/)go\.sum$/, ecosystem: "Go", parse: parseGoSum },
+  { match: /(^|\/)Gemfile\.lock$/, ecosystem: "RubyGems", parse: parseGemfileLock },
+  { match: /(^|\/)composer\.lock$/, ecosystem: "Packagist", parse: parseComposerLock },
+  { match: /(^|\/)packages\.lock\.json$/, ecosystem: "NuGet", parse: parseNugetLock },
+  { match: /(^|\/)Cargo\.lock$/, ecosystem: "crates.io", parse: parseTomlPackages }
+];
+const IGNORED_PATHS = /(^|\/)(node_modules|vendor|third_party|bower_components|\.yarn)\//;
+const MAX_DEPENDENCY_FILES = 40;
+
+export async function collectDependencies(tree = [], readFile, onProgress = () => {}) {
+  const files = [];
+  for (const entry of tree) {
+    if (IGNORED_PATHS.test(entry.path)) continue;
+    const manifest = MANIFEST_PARSERS.find((parser) => parser.match.test(entry.path));
+    if (manifest) files.push({ path: entry.path, kind: "manifest", parser: manifest });
+    const lockfile = LOCKFILE_PARSERS.find((parser) => parser.match.test(entry.path));
+    if (lockfile) files.push({ path: entry.path, kind: "lockfile", parser: lockfile });
+  }
+  files.sort((a, b) => depth(a.path) - depth(b.path) || a.path.localeCompare(b.path));
+
+  const manifests = [];
+  const lockfiles = [];
+  for (const file of files.slice(0, MAX_DEPENDENCY_FILES)) {
+    let content;
+    try {
+      content = await readFile(file.path);
+    } catch (error) {
+      console.warn(`Could not read ${file.path}:`, error.message);
+      continue;
+    }
+    let entries;
+    try {
+      entries = file.parser.parse(content) || [];
+    } catch (error) {
+      console.warn(`Could not parse ${file.path}:`, error.message);
+      continue;
+    }
+    const record = {
+      path: file.path,
+      directory: dirname(file.path),
+      ecosystem: file.parser.ecosystem,
+      kind: file.kind,
+      entries: entries.map((entry) => ({ ...entry, ecosystem: file.parser.ecosystem }))
+    };
+    if (file.kind === "manifest") manifests.push(record);
+    else lockfiles.push(record);
+  }
+  if (files.length) {
+    onProgress(`Parsed ${manifests.length + lockfiles.length} dependency manifests and lockfiles`);
+  }
+
+  return mergeInventory(manifests, lockfiles);
+}
+
+export function assignDependenciesToComponents(inventory, components = []) {
+  if (!inventory) return;
+  const owners = components
+    .filter((component) => component.path)
+    .sort((a, b) => b.path.length - a.path.length);
+  for (const item of inventory.items) {
+    const owner = owners.find((component) => isInside(dirname(item.manifest), component.path));
+    item.component = owner?.name ?? null;
+  }
+  for (const component of components) {
+    const owned = inventory.items.filter((item) => item.component === component.name);
+    component.dependencies = {
+      direct: owned.filter((item) => item.direct).length,
+      transitive: owned.filter((item) => !item.direct).length
+    };
+  }
+}
+
+function mergeInventory(manifests, lockfiles) {
+  const items = [];
+  const summary = {};
+  const files = [];
+
+  for (const manifest of manifests) {
+    const lock = lockfiles.find(
+      (lockfile) =>
+        !lockfile.claimed &&
+        lockfile.directory === manifest.directory &&
+        lockfile.ecosystem === manifest.ecosystem
+    );
+    const resolved = new Map(
+      (lock?.entries || []).filter((entry) => !entry.nested).map((entry) => [entry.name, entry])
+    );
+    const directNames = new Set();
+    for (const entry of manifest.entries) {
+      directNames.add(entry.name);
+      items.push({
+        ...entry,
+        resolved: entry.resolved ?? resolved.get(entry.name)?.version ?? null,
+        license: entry.license ?? resolved.get(entry.name)?.license ?? null,
+        direct: entry.direct ?? true,
+        manifest: manifest.path,
+        lockfile: lock?.path ?? null
+      });
+    }
+    let transitive = 0;
+    for (const entry of lock?.entries || []) {
+      if (!entry.nested && directNames.has(entry.name)) continue;
+      transitive += 1;
+      items.push({
+        ...entry,
+        resolved: entry.version,
+        direct: false,
+        manifest: manifest.path,
+        lockfile: lock.path
+      });
+    }
+    if (lock) lock.claimed = true;
+    files.push({
+      path: manifest.path,
+      lockfile: lock?.path ?? null,
+      ecosystem: manifest.ecosystem,
+      direct: manifest.entries.filter((entry) => entry.direct !== false).length,
+      transitive: transitive + manifest.entries.filter((entry) => entry.direct === false).length
+    });
+  }
+
+  for (const lock of lockfiles.filter((lockfile) => !lockfile.claimed)) {
+    for (const entry of lock.entries) {
+      items.push({
+        ...entry,
+        resolved: entry.version,
+        direct: entry.direct ?? false,
+        manifest: lock.path,
+        lockfile: lock.path
+      });
+    }
+    files.push({
+      path: lock.path,
+      lockfile: lock.path,
+      ecosystem: lock.ecosystem,
+      direct: 0,
+      transitive: lock.entries.length
+    });
+  }
+
+  for (const item of items) {
+    const bucket = summary[item.ecosystem] || (summary[item.ecosystem] = { direct: 0, transitive: 0 });
+    bucket[item.direct ? "direct" : "transitive"] += 1;
+  }
+
+  return { manifests: files, items, summary };
+}
+
+function parsePackageJson(content) {
+  const manifest = JSON.parse(content);
+  const scopes = {
+    dependencies: "runtime",
+    devDependencies: "dev",
+    peerDependencies: "peer",
+    optionalDependencies: "optional"
+  };
+  return Object.entries(scopes).flatMap(([field, scope]) =>
+    Object.entries(manifest[field] || {}).map(([name, version]) => ({ name, version, scope }))
+  );
+}
+
+function parseRequirements(content) {
+  return content
+    .split("\n")
+    .map((line) => line.replace(/\s+#.*$/, "").trim())
+    .filter((line) => line && !line.startsWith("#") && !line.startsWith("-") && !line.includes("://"))
+    .map((line) => parsePep508(line))
+    .filter(Boolean);
+}
+
+function parsePyproject(content) {
+  const entries = [];
+  const specs = [
+    ...(readTomlArrays(readTomlTable(content, "project")).get("dependencies") || []).map((spec) => [spec, "runtime"]),
+    ...[...readTomlArrays(readTomlTable(content, "project.optional-dependencies")).values()]
+      .flat()
+      .map((spec) => [spec, "optional"])
+  ];
+  for (const [spec, scope] of specs) {
+    const entry = parsePep508(spec);
+    if (entry) entries.push({ ...entry, scope });
+  }
+  const poetryTables = [
+    ["tool.poetry.dependencies", "runtime"],
+    ["tool.poetry.dev-dependencies", "dev"],
+    ["tool.poetry.group.dev.dependencies", "dev"],
+    ["tool.poetry.group.test.dependencies", "test"]
+  ];
+  for (const [table, scope] of poetryTables) {
+    for (const [name, version] of readTomlAssignments(readTomlTable(content, table))) {
+      if (name.toLowerCase() !== "python") entries.push({ name, version, scope });
+    }
+  }
+  return entries;
+}
+
+function parseGoMod(content) {
+  const lines = [
+    ...(content.match(/require\s*\(([\s\S]*?)\)/g) || []).flatMap((block) =>
+      block.replace(/^require\s*\(|\)$/g, "").split("\n")
+    ),
+    ...matchAll(content, /^require\s+([^(\n].*)$/gm)
+  ];
+  return lines
+    .map((line) => line.trim().match(/^(\S+)\s+(v\S+)(.*)$/))
+    .filter(Boolean)
+    .map(([, name, version, rest]) => ({
+      name,
+      version,
+      resolved: version,
+      scope: "runtime",
+      direct: !/\/\/\s*indirect/.test(rest)
+    }));
+}
+
+function parsePom(content) {
+  const propertySection = content.match(/<properties>([\s\S]*?)<\/properties>/)?.[1];
+  const properties = new Map(
+    matchAll(propertySection, /<([\w.-]+)>([^<]*)<\/\1>/g, 0).map((match) => [match[1], match[2].trim()])
+  );
+  const resolve = (value) =>
+    value?.replace(/\$\{([^}]+)\}/g, (_, key) => properties.get(key) ?? `\${${key}}`) ?? null;
+  const dependencySection = (content.match(/<dependencies>[\s\S]*?<\/dependencies>/g) || [])
+    .filter((section) => !/<dependencyManagement>/.test(section))
+    .join("");
+  return matchAll(dependencySection, /<dependency>([\s\S]*?)<\/dependency>/g).map((block) => {
+    const read = (tag) => block.match(new RegExp(`<${tag}>\\s*([^<]+?)\\s*</${tag}>`))?.[1];
+    return {
+      name: `${resolve(read("groupId"))}:${resolve(read("artifactId"))}`,
+      version: resolve(read("version")),
+      scope: read("scope") || "runtime"
+    };
+  });
+}
+
+function parseGradle(content) {
+  const configurations =
+    /\b(implementation|api|compileOnly|runtimeOnly|annotationProcessor|kapt|testImplementation|testRuntimeOnly|androidTestImplementation)\s*\(?\s*["']([^"':]+):([^"':]+)(?::([^"']+))?["']/g;
+  return matchAll(content, configurations, 0).map((match) => ({
+    name: `${match[2]}:${match[3]}`,
+    version: match[4] || null,
+    scope: /^test|Test/.test(match[1]) ? "test" : match[1] === "compileOnly" ? "provided" : "runtime"
+  }));
+}
+
+function parseGemfile(content) {
+  const entries = [];
+  let groupScope = null;
+  for (const line of content.split("\n")) {
+    const group = line.match(/^\s*group\s+(.+?)\s+do\b/);
+    if (group) {
+      if (/:development/.test(group[1])) groupScope = "dev";
+      else if (/:test/.test(group[1])) groupScope = "test";
+      else groupScope = "runtime";
+      continue;
+    }
+    if (/^\s*end\b/.test(line)) {
+      groupScope = null;
+      continue;
+    }
+    const gem = line.match(/^\s*gem\s+["']([^"']+)["'](?:\s*,\s*["']([^"']+)["'])?/);
+    if (gem) entries.push({ name: gem[1], version: gem[2] || null, scope: groupScope || "runtime" });
+  }
+  return entries;
+}
+
+function parseComposerJson(content) {
+  const manifest = JSON.parse(content);
+  const isPackage = (name) => name.includes("/");
+  return [
+    ...Object.entries(manifest.require || {}).map(([name, version]) => ({ name, version, scope: "runtime" })),
+    ...Object.entries(manifest["require-dev"] || {}).map(([name, version]) => ({ name, version, scope: "dev" }))
+  ].filter((entry) => isPackage(entry.name));
+}
+
+function parseCsproj(content) {
+  const references = /<PackageReference\s+([^>]*?)(?:\/>|>([\s\S]*?)<\/PackageReference>)/g;
+  return matchAll(content, references, 0)
+    .map((match) => ({
+      name: match[1].match(/Include="([^"]+)"/)?.[1],
+      version:
+        match[1].match(/Version="([^"]+)"/)?.[1] ||
+        match[2]?.match(/<Version>([^<]+)<\/Version>/)?.[1] ||
+        null,
+      scope: "runtime"
+    }))
+    .filter((entry) => entry.name);
+}
+
+function parseCargoToml(content) {
+  const tables = [
+    ["dependencies", "runtime"],
+    ["dev-dependencies", "dev"],
+    ["build-dependencies", "build"],
+    ["workspace.dependencies", "runtime"]
+  ];
+  return tables.flatMap(([table, scope]) =>
+    readTomlAssignments(readTomlTable(content, table)).map(([name, version]) => ({ name, version, scope }))
+  );
+}
+
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  if (lock.packages) {
+    // Only top-level "node_modules/<name>" keys are what the root manifest
+    // resolves to; copies nested under another package or workspace are
+    // separate installs and stay transitive.
+    return Object.entries(lock.packages)
+      .filter(([key, info]) => key.includes("node_modules/") && info.version && !info.link)
+      .map(([key, info]) => ({
+        name: key.slice(key.lastIndexOf("node_modules/") + "node_modules/".length),
+        version: info.version,
+        scope: info.dev ? "dev" : "runtime",
+        license: info.license,
+        ...(key.startsWith("node_modules/") && key.indexOf("node_modules/", 1) === -1 ? {} : { nested: true })
+      }));
+  }
+  const entries = [];
+  const visit = (dependencies = {}, nested = false) => {
+    for (const [name, info] of Object.entries(dependencies)) {
+      entries.push({ name, version: info.version, scope: info.dev ? "dev" : "runtime", ...(nested ? { nested } : {}) });
+      visit(info.dependencies, true);
+    }
+  };
+  visit(lock.dependencies);
+  return entries;
+}
+
+function parseYarnLock(content) {
+  const entries = [];
+  let names = [];
+  for (const line of content.split("\n")) {
+    if (/^\S.*:$/.test(line) && !line.startsWith("#") && !line.startsWith("__metadata")) {
+      names = line
+        .slice(0, -1)
+        .split(",")
+        .map((spec) => spec.trim().replace(/^"|"$/g, ""))
+        .map((spec) => spec.slice(0, spec.indexOf("@", 1)))
+        .filter(Boolean);
+      continue;
+    }
+    const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+    if (version && names.length) {
+      entries.push({ name: names[0], version: version[1], scope: "runtime" });
+      names = [];
+    }
+  }
+  return dedupeEntries(entries);
+}
+
+function parsePnpmLock(content) {
+  const section = content.split(/^packages:\s*$/m)[1]?.split(/^\S/m)[0] || "";
+  return dedupeEntries(
+    matchAll(section, /^ {2}['"]?\/?((?:@[^/\s]+\/)?[^@/\s'"]+)[@/]([^:('"\s/]+)/gm, 0).map((match) => ({
+      name: match[1],
+      version: match[2],
+      scope: "runtime"
+    }))
+  );
+}
+
+function parseTomlPackages(content) {
+  return content
+    .split(/^\[\[package\]\]\s*$/m)
+    .slice(1)
+    .map((block) => ({
+      name: block.match(/^name\s*=\s*"([^"]+)"/m)?.[1],
+      version: block.match(/^version\s*=\s*"([^"]+)"/m)?.[1],
+      scope: /^category\s*=\s*"dev"/m.test(block) ? "dev" : "runtime"
+    }))
+    .filter((entry) => entry.name);
+}
+
+function parsePipfileLock(content) {
+  const lock = JSON.parse(content);
+  return [
+    ...Object.entries(lock.default || {}).map(([name, info]) => ({ name, info, scope: "runtime" })),
+    ...Object.entries(lock.develop || {}).map(([name, info]) => ({ name, info, scope: "dev" }))
+  ].map(({ name, info, scope }) => ({ name, version: info.version?.replace(/^==/, "") || null, scope }));
+}
+
+function parseGoSum(content) {
+  return dedupeEntries(
+    content
+      .split("\n")
+      .map((line) => line.trim().split(/\s+/))
+      .filter((parts) => parts.length >= 2 && parts[0])
+      .map(([name, version]) => ({ name, version: version.replace(/\/go\.mod$/, ""), scope: "runtime" }))
+  );
+}
+
+function parseGemfileLock(content) {
+  return matchAll(content, /^ {4}([^\s(]+) \(([^)]+)\)$/gm, 0).map((match) => ({
+    name: match[1],
+    version: match[2],
+    scope: "runtime"
+  }));
+}
+
+function parseComposerLock(content) {
+  const lock = JSON.parse(content);
+  const toEntry = (scope) => (pkg) => ({
+    name: pkg.name,
+    version: pkg.version,
+    scope,
+    license: Array.isArray(pkg.license) ? pkg.license.join(" OR ") : pkg.license
+  });
+  return [...(lock.packages || []).map(toEntry("runtime")), ...(lock["packages-dev"] || []).map(toEntry("dev"))];
+}
+
+function parseNugetLock(content) {
+  const lock = JSON.parse(content);
+  return dedupeEntries(
+    Object.values(lock.dependencies || {}).flatMap((framework) =>
+      Object.entries(framework).map(([name, info]) => ({
+        name,
+        version: info.resolved || null,
+        scope: "runtime",
+        direct: info.type === "Direct"
+      }))
+    )
+  );
+}
+
+function parsePep508(spec) {
+  const match = spec.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(\([^)]*\)|[^;@]*)?/);
+  if (!match) return null;
+  const version = (match[2] || "").replace(/[()]/g, "").trim();
+  const pinned = version.match(/^===?\s*([^,\s]+)$/);
+  return {
+    name: match[1],
+    version: version || null,
+    resolved: pinned ? pinned[1] : undefined,
+    scope: "runtime"
+  };
+}
+
+function readTomlTable(content, table) {
+  const escaped = table.replace(/\./g, "\\.");
+  return content.match(new RegExp(`^\\[${escaped}\\]\\s*$([\\s\\S]*?)(?=^\\[|(?![\\s\\S]))`, "m"))?.[1] || "";
+}
+
+// String items of every array assigned in a TOML table body, by key. Arrays
+// are read character by character, so a `]` inside a string such as
+// "uvicorn[standard]" or a comment does not end them.
+function readTomlArrays(body) {
+  const arrays = new Map();
+  for (const match of body.matchAll(/^\s*["']?([A-Za-z0-9_.-]+)["']?\s*=\s*\[/gm)) {
+    const items = [];
+    let depth = 1;
+    let quote = null;
+    let current = "";
+    for (let position = match.index + match[0].length; position < body.length && depth > 0; position += 1) {
+      const char = body[position];
+      if (quote) {
+        if (char === "\\" && quote === '"') {
+          position += 1;
+          current += body[position] ?? "";
+        } else if (char === quote) {
+          items.push(current);
+          quote = null;
+          current = "";
+        } else {
+          current += char;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "#") {
+        position = body.indexOf("\n", position);
+        if (position === -1) break;
+      } else if (char === "[") {
+        depth += 1;
+      } else if (char === "]") {
+        depth -= 1;
+      }
+    }
+    arrays.set(match[1], items);
+  }
+  return arrays;
+}
+
+function readTomlAssignments(body) {
+  return matchAll(body, /^\s*([A-Za-z0-9_.-]+)\s*=\s*(.+)$/gm, 0).map((match) => {
+    const value = match[2].trim();
+    const version =
+      value.match(/^["']([^"']*)["']/)?.[1] ?? value.match(/version\s*=\s*["']([^"']+)["']/)?.[1] ?? null;
+    return [match[1].replace(/^["']|["']$/g, ""), version];
+  });
+}
+
+function dedupeEntries(entries) {
+  const map = new Map();
+  for (const entry of entries) {
+    const key = `${entry.name}@${entry.version}`;
+    if (!map.has(key)) map.set(key, entry);
+  }
+  return Array.from(map.values());
+}
+
+function depth(path) {
+  return path.split("/").length;
+}
+
+function matchAll(content, regex, group = 1) {
+  if (!content) return [];
+  return Array.from(content.matchAll(regex), (match) => (group === 0 ? match : match[group]));
+}
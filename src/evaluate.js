@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+import { readFile } from "node:fs/promises";
+import { env } from "node:process";
+import { parseArgs } from "node:util";
+import { MODEL_BACKENDS, createModelBackend } from "./backends.js";
+import { createIndex, retrieveContext } from "./rag.js";
+import { evaluateRecall } from "./retrieval.js";
+import { RETRIEVAL_CORPUS } from "./retrieval-corpus.js";
+
+const MODES = ["lexical", "vector", "hybrid"];
+
+const USAGE = `Usage: node src/evaluate.js [options]
+
+Measure recall@k of the semantic index retrieval on a labelled corpus.
+
+Options:
+      --corpus <path>       JSON { documents: [{ path, content }], queries: [{ query, relevant }] }
+                            (default: the built-in fixture corpus)
+      --mode <name>         ${MODES.join(" | ")} (repeatable; default: all)
+      --k <list>            Comma-separated cut-offs (default: 1,3,5,10)
+      --backend <name>      ${Object.keys(MODEL_BACKENDS).join(" | ")} (default: transformers)
+      --endpoint <url>      OpenAI-compatible API root (default: ${MODEL_BACKENDS.openai.defaults.endpoint})
+      --embedding-model <name>
+                            Embedding model of the backend
+      --rerank              Rerank the fused results (transformers and mock backends)
+      --mmr-lambda <n>      Relevance weight for MMR diversity, 0-1 (default: 0.7)
+      --verbose             List the results of every query
+  -h, --help                Show this help
+
+Vector and hybrid modes need @xenova/transformers installed for the
+transformers backend, or a reachable server for the openai backend ($OPENAI_API_KEY
+is sent when set); without embeddings only the lexical mode runs.
+`;
+
+const OPTIONS = {
+  corpus: { type: "string" },
+  mode: { type: "string", multiple: true },
+  k: { type: "string", default: "1,3,5,10" },
+  backend: { type: "string", default: "transformers" },
+  endpoint: { type: "string" },
+  "embedding-model": { type: "string" },
+  rerank: { type: "boolean", default: false },
+  "mmr-lambda": { type: "string" },
+  verbose: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+async function runEvaluation(argv = process.argv.slice(2)) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    const modes = values.mode || MODES;
+    const unknown = modes.find((mode) => !MODES.includes(mode));
+    if (unknown) throw new Error(`Unknown mode "${unknown}". Expected one of: ${MODES.join(", ")}.`);
+    const ks = values.k.split(",").map(Number);
+    if (ks.some((k) => !Number.isInteger(k) || k < 1)) throw new Error("--k expects positive integers.");
+    const deepest = Math.max(...ks);
+    const mmrLambda = values["mmr-lambda"] === undefined ? undefined : Number(values["mmr-lambda"]);
+    if (mmrLambda !== undefined && !(mmrLambda >= 0 && mmrLambda <= 1)) throw new Error("--mmr-lambda expects a number between 0 and 1.");
+    const corpus = values.corpus ? JSON.parse(await readFile(values.corpus, "utf8")) : RETRIEVAL_CORPUS;
+    const backend = createModelBackend({
+      backend: values.backend,
+      [values.backend]: {
+        endpoint: values.endpoint,
+        apiKey: env.OPENAI_API_KEY,
+        embeddingModel: values["embedding-model"]
+      }
+    });
+
+    let index;
+    try {
+      index = await createIndex(corpus.documents, { components: corpus.components, backend });
+    } catch (error) {
+      process.stderr.write(`Embeddings unavailable (${error.message}); evaluating lexical retrieval only.\n`);
+      index = await createIndex(corpus.documents, { components: corpus.components, embeddings: false, backend });
+    }
+
+    for (const mode of modes) {
+      if (mode !== "lexical" && !index.vectors.length) continue;
+      const { recall, queries } = await evaluateRecall(
+        corpus.queries,
+        (query, topK) => retrieveContext(query, index, topK, { mode, mmrLambda, rerank: values.rerank, backend }),
+        ks
+      );
+      const cells = ks.map((k) => `recall@${k} ${recall[k].toFixed(2)}`).join("  ");
+      process.stdout.write(`${mode.padEnd(8)} ${cells}\n`);
+      for (const entry of queries) {
+        if (!values.verbose && entry.recall[deepest] === 1) continue;
+        process.stdout.write(`  ${entry.recall[deepest] === 1 ? "hit " : "miss"} ${entry.query}\n`);
+        if (values.verbose) process.stdout.write(`       ${entry.results.slice(0, deepest).join(", ")}\n`);
+      }
+    }
+    process.stdout.write(`${index.chunks.length} chunks, ${corpus.queries.length} queries\n`);
+    return 0;
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+process.exitCode = await runEvaluation();
@@ -0,0 +1,261 @@
+import { isInside } from "./workspaces.js";
+
+const MAX_COMMIT_DETAILS = 100;
+const MAX_CONTRIBUTORS = 15;
+const MAX_CHURN_FILES = 25;
+const MAX_HOTSPOTS = 10;
+const MAX_TIMELINE_PERIODS = 36;
+// Share of a component's changes its top authors must cover to count toward
+// the bus factor.
+const BUS_FACTOR_SHARE = 0.5;
+
+export async function collectHistory({ provider, ref, maxCommits, onProgress = () => {} }) {
+  if (typeof provider.getHistory !== "function") return null;
+  try {
+    const history = await provider.getHistory(ref, {
+      maxCommits,
+      maxDetails: Math.min(maxCommits, MAX_COMMIT_DETAILS)
+    });
+    if (!history?.commits.length) return null;
+    onProgress(`Read ${history.commits.length.toLocaleString()} commits of history`);
+    return history;
+  } catch (error) {
+    console.warn("Unable to read commit history", error);
+    return null;
+  }
+}
+
+// Turns raw commits into the activity timeline, contributor ranking, churn per
+// directory and file, ownership and bus factor per component, and churn ×
+// complexity hotspots.
+export function summarizeHistory(history, { tree = [], components = [], metrics = null } = {}) {
+  if (!history?.commits.length) return null;
+  const commits = history.commits
+    .filter((commit) => commit.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (!commits.length) return null;
+  const detailed = commits.filter((commit) => commit.files);
+  const hasLines = detailed.some((commit) => commit.files.some((file) => file.additions !== null));
+  const trackedPaths = new Set(tree.map((entry) => entry.path));
+
+  const authors = new Map();
+  const files = new Map();
+  // Walks newest to oldest so changes made before a rename count toward the
+  // file's current path.
+  const renamed = new Map();
+  for (const commit of commits.slice().reverse()) {
+    const author = authorFor(authors, commit);
+    author.commits += 1;
+    for (const file of commit.files || []) {
+      const path = renamed.get(file.path) || file.path;
+      if (file.previousPath) renamed.set(file.previousPath, path);
+      const weight = changeWeight(file);
+      author.additions += file.additions || 0;
+      author.deletions += file.deletions || 0;
+      if (!files.has(path)) {
+        files.set(path, { path, commits: 0, additions: 0, deletions: 0, authors: new Map(), shas: new Set() });
+      }
+      const entry = files.get(path);
+      entry.commits += 1;
+      entry.shas.add(commit.sha);
+      entry.additions += file.additions || 0;
+      entry.deletions += file.deletions || 0;
+      entry.authors.set(author.name, (entry.authors.get(author.name) || 0) + weight);
+    }
+  }
+
+  const contributors = Array.from(authors.values())
+    .map((author) => ({ ...author, share: round(author.commits / commits.length) }))
+    .sort((a, b) => b.commits - a.commits || b.additions + b.deletions - (a.additions + a.deletions));
+  mergeContributorTotals(contributors, history.contributors);
+
+  const currentFiles = Array.from(files.values()).filter((file) => !trackedPaths.size || trackedPaths.has(file.path));
+  const fileRows = currentFiles
+    .map((file) => ({
+      path: file.path,
+      commits: file.commits,
+      additions: file.additions,
+      deletions: file.deletions,
+      ...ownership(file.authors)
+    }))
+    .sort((a, b) => b.commits - a.commits || b.additions + b.deletions - (a.additions + a.deletions));
+
+  return {
+    commits: commits.length,
+    detailedCommits: detailed.length,
+    lineCounts: hasLines,
+    firstCommit: commits[0].date,
+    lastCommit: commits[commits.length - 1].date,
+    busFactor: busFactor(
+      detailed.length
+        ? mergeAuthors(currentFiles)
+        : new Map(contributors.map((contributor) => [contributor.name, contributor.commits]))
+    ),
+    timeline: buildTimeline(commits),
+    contributors: contributors.slice(0, MAX_CONTRIBUTORS),
+    contributorCount: contributors.length,
+    directories: summarizeGroups(currentFiles, (file) => (file.path.includes("/") ? file.path.split("/")[0] : "(root)")),
+    components: components
+      .map((component) => {
+        const owned = currentFiles.filter((file) => component.path && isInside(file.path, component.path));
+        if (!owned.length) return null;
+        const authorsByWeight = mergeAuthors(owned);
+        return {
+          name: component.name,
+          path: component.path,
+          ...churnTotals(owned),
+          ...ownership(authorsByWeight),
+          busFactor: busFactor(authorsByWeight)
+        };
+      })
+      .filter(Boolean),
+    files: fileRows.slice(0, MAX_CHURN_FILES),
+    hotspots: findHotspots(fileRows, metrics)
+  };
+}
+
+function authorFor(authors, commit) {
+  const key = (commit.email || commit.author || "unknown").toLowerCase();
+  if (!authors.has(key)) {
+    authors.set(key, {
+      name: commit.author || commit.email || "unknown",
+      commits: 0,
+      additions: 0,
+      deletions: 0,
+      firstCommit: commit.date,
+      lastCommit: commit.date
+    });
+  }
+  const author = authors.get(key);
+  author.firstCommit = commit.date;
+  return author;
+}
+
+// Providers without line counts (Gitea) weigh every touched file equally.
+function changeWeight(file) {
+  if (file.additions === null || file.additions === undefined) return 1;
+  return file.additions + file.deletions || 1;
+}
+
+// The contributors API counts the whole history, not just the sampled commits.
+function mergeContributorTotals(contributors, totals) {
+  if (!totals?.length) return;
+  for (const contributor of contributors) {
+    const match = totals.find(
+      (entry) => entry.name?.toLowerCase() === contributor.name.toLowerCase() || (entry.email && entry.email === contributor.email)
+    );
+    if (match) contributor.totalCommits = match.commits;
+  }
+}
+
+function buildTimeline(commits) {
+  const periods = new Map();
+  for (const commit of commits) {
+    const period = commit.date.slice(0, 7);
+    if (!periods.has(period)) periods.set(period, { period, commits: 0, additions: 0, deletions: 0, authors: new Set() });
+    const entry = periods.get(period);
+    entry.commits += 1;
+    entry.authors.add((commit.email || commit.author || "").toLowerCase());
+    for (const file of commit.files || []) {
+      entry.additions += file.additions || 0;
+      entry.deletions += file.deletions || 0;
+    }
+  }
+
+  // Fill empty months so gaps in activity stay visible.
+  const timeline = [];
+  const [lastYear, lastMonth] = commits[commits.length - 1].date.slice(0, 7).split("-").map(Number);
+  let [year, month] = commits[0].date.slice(0, 7).split("-").map(Number);
+  while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+    const period = `${year}-${String(month).padStart(2, "0")}`;
+    const entry = periods.get(period);
+    timeline.push(
+      entry
+        ? { period, commits: entry.commits, additions: entry.additions, deletions: entry.deletions, authors: entry.authors.size }
+        : { period, commits: 0, additions: 0, deletions: 0, authors: 0 }
+    );
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return timeline.slice(-MAX_TIMELINE_PERIODS);
+}
+
+function summarizeGroups(files, keyOf) {
+  const groups = new Map();
+  for (const file of files) {
+    const key = keyOf(file);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  }
+  return Array.from(groups.entries())
+    .map(([name, entries]) => ({ name, ...churnTotals(entries), authors: mergeAuthors(entries).size }))
+    .sort((a, b) => b.churn - a.churn || b.commits - a.commits);
+}
+
+function churnTotals(files) {
+  const shas = new Set();
+  const totals = { files: files.length, commits: 0, additions: 0, deletions: 0 };
+  for (const file of files) {
+    for (const sha of file.shas) shas.add(sha);
+    totals.additions += file.additions;
+    totals.deletions += file.deletions;
+  }
+  return { ...totals, commits: shas.size, churn: totals.additions + totals.deletions };
+}
+
+function mergeAuthors(files) {
+  const merged = new Map();
+  for (const file of files) {
+    for (const [name, weight] of file.authors) merged.set(name, (merged.get(name) || 0) + weight);
+  }
+  return merged;
+}
+
+function ownership(authors) {
+  const ranked = Array.from(authors.entries()).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, weight]) => sum + weight, 0);
+  return {
+    authors: ranked.length,
+    owner: ranked[0]?.[0] || null,
+    ownerShare: total ? round(ranked[0][1] / total) : 0
+  };
+}
+
+// The fewest authors who together made more than half of the changes.
+function busFactor(authors) {
+  const weights = Array.from(authors.values()).sort((a, b) => b - a);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let covered = 0;
+  for (let index = 0; index < weights.length; index += 1) {
+    covered += weights[index];
+    if (covered > total * BUS_FACTOR_SHARE) return index + 1;
+  }
+  return weights.length;
+}
+
+// Files that change often and are complex are the riskiest to touch.
+function findHotspots(files, metrics) {
+  if (!metrics?.files?.length) return [];
+  const measured = new Map(metrics.files.map((file) => [file.path, file]));
+  const scored = files
+    .filter((file) => measured.has(file.path))
+    .map((file) => {
+      const { complexity, code } = measured.get(file.path);
+      return { path: file.path, commits: file.commits, complexity, code, owner: file.owner, score: file.commits * complexity };
+    })
+    .filter((file) => file.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_HOTSPOTS);
+  const top = scored[0]?.score || 1;
+  return scored.map((file) => ({
+    ...file,
+    risk: file.score >= top * 0.5 ? "high" : file.score >= top * 0.2 ? "medium" : "low"
+  }));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
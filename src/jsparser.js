@@ -0,0 +1,357 @@
+const PUNCTUATORS = [
+  ">>>=",
+  "...",
+  "===",
+  "!==",
+  "**=",
+  "<<=",
+  ">>=",
+  ">>>",
+  "&&=",
+  "||=",
+  "??=",
+  "=>",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "??",
+  "?.",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "**",
+  "<<",
+  ">>"
+];
+const EXPRESSION_KEYWORDS = new Set([
+  "return",
+  "typeof",
+  "instanceof",
+  "in",
+  "of",
+  "new",
+  "delete",
+  "void",
+  "throw",
+  "case",
+  "do",
+  "else",
+  "yield",
+  "await"
+]);
+const OPENERS = { "(": ")", "[": "]", "{": "}" };
+
+export const JS_EXTENSIONS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs"]);
+
+// Tokens keep their source offsets and line so callers can report locations.
+// Template literals are kept whole: `value` holds the raw text with ${…} intact.
+export function tokenize(source = "") {
+  const tokens = [];
+  const length = source.length;
+  let i = 0;
+  let line = 1;
+
+  while (i < length) {
+    const ch = source[i];
+    if (ch === "\n") {
+      line += 1;
+      i += 1;
+      continue;
+    }
+    if (ch === " " || ch === "\t" || ch === "\r" || ch === "\f" || ch === "\v" || ch === "\uFEFF") {
+      i += 1;
+      continue;
+    }
+    if (ch === "/" && source[i + 1] === "/") {
+      while (i < length && source[i] !== "\n") i += 1;
+      continue;
+    }
+    if (ch === "/" && source[i + 1] === "*") {
+      const close = source.indexOf("*/", i + 2);
+      const end = close === -1 ? length : close + 2;
+      line += countNewlines(source, i, end);
+      i = end;
+      continue;
+    }
+
+    const start = i;
+    const startLine = line;
+    const push = (type, value) => tokens.push({ type, value, start, end: i, line: startLine });
+
+    if (ch === '"' || ch === "'") {
+      let value = "";
+      i += 1;
+      while (i < length && source[i] !== ch && source[i] !== "\n") {
+        if (source[i] === "\\") {
+          value += source[i + 1] ?? "";
+          i += 2;
+          continue;
+        }
+        value += source[i];
+        i += 1;
+      }
+      i += 1;
+      push("string", value);
+      continue;
+    }
+    if (ch === "`") {
+      i = skipTemplate(source, i);
+      line += countNewlines(source, start, i);
+      push("template", source.slice(start + 1, i - 1));
+      continue;
+    }
+    if (isIdentifierStart(ch)) {
+      while (i < length && isIdentifierPart(source[i])) i += 1;
+      push("name", source.slice(start, i));
+      continue;
+    }
+    if (/\d/.test(ch) || (ch === "." && /\d/.test(source[i + 1] || ""))) {
+      while (i < length && /[\w.]/.test(source[i])) i += 1;
+      push("number", source.slice(start, i));
+      continue;
+    }
+    if (ch === "/" && regexAllowed(tokens[tokens.length - 1])) {
+      const end = skipRegex(source, i);
+      if (end !== -1) {
+        i = end;
+        push("regex", source.slice(start, i));
+        continue;
+      }
+    }
+
+    const punctuator = PUNCTUATORS.find((candidate) => source.startsWith(candidate, i)) || ch;
+    i += punctuator.length;
+    push("punct", punctuator);
+  }
+
+  return tokens;
+}
+
+// Maps every opening bracket index to its closing index (and back).
+export function matchBrackets(tokens) {
+  const pairs = new Map();
+  const stack = [];
+  tokens.forEach((token, index) => {
+    if (token.type !== "punct") return;
+    if (OPENERS[token.value]) {
+      stack.push(index);
+      return;
+    }
+    if (token.value !== ")" && token.value !== "]" && token.value !== "}") return;
+    for (let depth = stack.length - 1; depth >= 0; depth -= 1) {
+      if (OPENERS[tokens[stack[depth]].value] !== token.value) continue;
+      const open = stack[depth];
+      stack.length = depth;
+      pairs.set(open, index);
+      pairs.set(index, open);
+      break;
+    }
+  });
+  return pairs;
+}
+
+export function isPunct(token, value) {
+  return token?.type === "punct" && token.value === value;
+}
+
+export function isName(token, value) {
+  return token?.type === "name" && (value === undefined || token.value === value);
+}
+
+// Splits the tokens between an opening bracket and its partner on top-level commas.
+export function readList(tokens, pairs, openIndex) {
+  const close = pairs.get(openIndex);
+  if (close === undefined) return [];
+  const items = [];
+  let start = openIndex + 1;
+  for (let i = openIndex + 1; i < close; i += 1) {
+    if (pairs.has(i) && pairs.get(i) > i) {
+      i = pairs.get(i);
+      continue;
+    }
+    if (isPunct(tokens[i], ",")) {
+      if (i > start) items.push([start, i]);
+      start = i + 1;
+    }
+  }
+  if (close > start) items.push([start, close]);
+  return items;
+}
+
+// Reads `{ key: value, shorthand }` into a Map of key → token range.
+export function readObject(tokens, pairs, openIndex) {
+  const entries = new Map();
+  if (!isPunct(tokens[openIndex], "{")) return entries;
+  for (const [start, end] of readList(tokens, pairs, openIndex)) {
+    const key = tokens[start];
+    if (!key || (key.type !== "name" && key.type !== "string")) continue;
+    if (isPunct(tokens[start + 1], ":")) entries.set(key.value, [start + 2, end]);
+    else if (end === start + 1) entries.set(key.value, [start, end]);
+    else if (isPunct(tokens[start + 1], "(")) entries.set(key.value, [start, end]);
+  }
+  return entries;
+}
+
+// Evaluates string literals, constants and `+` concatenations; returns null otherwise.
+export function evaluateString(tokens, [start, end], constants = new Map()) {
+  let result = "";
+  let expectOperand = true;
+  for (let i = start; i < end; i += 1) {
+    const token = tokens[i];
+    if (expectOperand) {
+      if (token.type === "string") result += token.value;
+      else if (token.type === "template") result += interpolateTemplate(token.value, constants);
+      else if (token.type === "name" && constants.has(token.value)) result += constants.get(token.value);
+      else return null;
+      expectOperand = false;
+      continue;
+    }
+    if (isPunct(token, "+")) {
+      expectOperand = true;
+      continue;
+    }
+    if (isName(token, "as")) break;
+    return null;
+  }
+  return expectOperand ? null : result;
+}
+
+// Names a handler expression: `list`, `users.list`, `function list()`, or null for inline arrows.
+export function describeExpression(tokens, pairs, [start, end]) {
+  let i = start;
+  if (isName(tokens[i], "async")) i += 1;
+  if (isName(tokens[i], "function")) {
+    const name = tokens[i + 1];
+    return isName(name) ? name.value : null;
+  }
+  if (isName(tokens[i], "new")) i += 1;
+  const chain = [];
+  while (i < end && isName(tokens[i])) {
+    chain.push(tokens[i].value);
+    if (!isPunct(tokens[i + 1], ".") && !isPunct(tokens[i + 1], "?.")) break;
+    i += 2;
+  }
+  if (!chain.length) return null;
+  const next = tokens[i + 1];
+  if (i + 1 >= end) return chain.join(".");
+  if (isPunct(next, "(") && pairs.get(i + 1) === end - 1) {
+    if (chain[chain.length - 1] === "bind") return chain.slice(0, -1).join(".");
+    const args = readList(tokens, pairs, i + 1);
+    if (args.length) return describeExpression(tokens, pairs, args[args.length - 1]);
+  }
+  return null;
+}
+
+export function lineSnippet(source, token, maxLength = 160) {
+  return source
+    .slice(token.start, token.start + maxLength)
+    .split("\n")
+    .slice(0, 3)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function interpolateTemplate(raw, constants) {
+  return raw.replace(/\$\{\s*([^}]*?)\s*\}/g, (_, expression) =>
+    constants.has(expression) ? constants.get(expression) : `:${expression.split(".").pop() || "param"}`
+  );
+}
+
+function skipTemplate(source, index) {
+  let i = index + 1;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === "`") return i + 1;
+    if (ch === "$" && source[i + 1] === "{") {
+      i = skipBraces(source, i + 1);
+      continue;
+    }
+    i += 1;
+  }
+  return source.length;
+}
+
+function skipBraces(source, index) {
+  let depth = 0;
+  let i = index;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "'" || ch === '"') {
+      i += 1;
+      while (i < source.length && source[i] !== ch && source[i] !== "\n") i += source[i] === "\\" ? 2 : 1;
+      i += 1;
+      continue;
+    }
+    if (ch === "`") {
+      i = skipTemplate(source, i);
+      continue;
+    }
+    if (ch === "{") depth += 1;
+    if (ch === "}") {
+      depth -= 1;
+      if (depth === 0) return i + 1;
+    }
+    i += 1;
+  }
+  return source.length;
+}
+
+function skipRegex(source, index) {
+  let i = index + 1;
+  let inClass = false;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "\n") return -1;
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === "[") inClass = true;
+    else if (ch === "]") inClass = false;
+    else if (ch === "/" && !inClass) {
+      i += 1;
+      while (i < source.length && /[a-z]/i.test(source[i])) i += 1;
+      return i;
+    }
+    i += 1;
+  }
+  return -1;
+}
+
+function regexAllowed(previous) {
+  if (!previous) return true;
+  if (previous.type === "punct") return previous.value !== ")" && previous.value !== "]" && previous.value !== "}";
+  if (previous.type === "name") return EXPRESSION_KEYWORDS.has(previous.value);
+  return false;
+}
+
+function isIdentifierStart(ch) {
+  return /[A-Za-z_$]/.test(ch) || ch.charCodeAt(0) > 127;
+}
+
+function isIdentifierPart(ch) {
+  return /[\w$]/.test(ch) || ch.charCodeAt(0) > 127;
+}
+
+function countNewlines(source, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i += 1) {
+    if (source[i] === "\n") count += 1;
+  }
+  return count;
+}
@@ -0,0 +1,238 @@
+import { maskSource } from "./symbols.js";
+import { isInside } from "./workspaces.js";
+
+const JS_EXTENSIONS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs"]);
+const TERNARY_EXTENSIONS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs", "java", "php", "scala"]);
+const BODY_REQUIRED = new Set(["go", "rs", "swift", "php"]);
+const CONTROL_KEYWORDS = new Set(["if", "for", "foreach", "while", "switch", "catch", "return", "function", "with", "elif", "else"]);
+const DECISIONS = {
+  default: /\b(?:if|for|foreach|while|case|catch)\b|&&|\|\|/g,
+  py: /\b(?:if|elif|for|while|except|and|or)\b|\bcase\b(?=[^:\n]*:)/g,
+  rb: /\b(?:if|elsif|unless|while|until|for|when|rescue|and|or)\b|&&|\|\|/g,
+  go: /\b(?:if|for|case)\b|&&|\|\|/g,
+  rs: /\b(?:if|for|while|loop)\b|=>|&&|\|\|/g,
+  swift: /\b(?:if|guard|for|while|case|catch)\b|&&|\|\|/g,
+  kt: /\b(?:if|for|while|catch)\b|->|&&|\|\|/g,
+  kts: /\b(?:if|for|while|catch)\b|->|&&|\|\|/g
+};
+// Each pattern captures the function name; brace languages then read the body
+// from the first `{` after the signature.
+const FUNCTION_PATTERNS = {
+  js: [
+    /\bfunction\s*\*?\s*([\w$]*)\s*\(/g,
+    /([\w$]+)\s*[:=]\s*(?:async\s*)?(?:function\b|\([^()]*\)\s*(?::\s*[^=;{]+)?=>|[\w$]+\s*=>)/g,
+    /^[ \t]*(?:(?:public|private|protected|static|async|get|set|override|readonly|abstract)\s+)*\*?\s*([\w$#]+)\s*\([^()]*\)\s*(?::\s*[^{;=]+)?\{/gm
+  ],
+  java: [/^[ \t]*(?:@\w+(?:\([^)]*\))?\s*)*(?:[\w<>[\],.?]+\s+)+(\w+)\s*\([^;{)]*\)\s*(?:throws[^{;]*)?\{/gm],
+  cs: [/^[ \t]*(?:\[[^\]\n]*\]\s*)*(?:[\w<>[\],.?]+\s+)+(\w+)\s*(?:<[^>]*>)?\s*\([^;{)]*\)\s*(?:where[^{]*)?(?:\{|=>)/gm],
+  kt: [/\bfun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(\w+)\s*\(/g],
+  scala: [/\bdef\s+(\w+)/g],
+  swift: [/\bfunc\s+(\w+)/g, /\b(init)\s*[?!]?\s*\(/g],
+  go: [/^func\s*(?:\([^)]*\)\s*)?(\w+)\s*[[(]/gm, /\b()func\s*\(/g],
+  rs: [/\bfn\s+(\w+)/g],
+  php: [/\bfunction\s+&?(\w+)\s*\(/g, /\b()(?:function|fn)\s*\(/g]
+};
+FUNCTION_PATTERNS.kts = FUNCTION_PATTERNS.kt;
+const MAX_LONGEST_FUNCTIONS = 15;
+const MAX_COMPLEX_FILES = 10;
+
+export function measureFile(content, extension) {
+  if (!content) return null;
+  const original = content.split("\n");
+  const withoutComments = maskSource(content, extension, { strings: false }).split("\n");
+  const masked = maskSource(content, extension);
+  let blank = 0;
+  let comment = 0;
+  original.forEach((line, index) => {
+    if (!line.trim()) blank += 1;
+    else if (!withoutComments[index].trim()) comment += 1;
+  });
+  const functions = findFunctions(masked, extension);
+  const decisions = countDecisions(masked, extension);
+  const longest = functions.slice().sort((a, b) => b.length - a.length)[0] || null;
+  return {
+    lines: original.length,
+    code: original.length - blank - comment,
+    blank,
+    comment,
+    functions: functions.length,
+    complexity: decisions + Math.max(1, functions.length),
+    maxFunctionComplexity: functions.reduce((max, fn) => Math.max(max, fn.complexity), 0),
+    longestFunction: longest,
+    functionList: functions
+  };
+}
+
+// Rolls file measurements up to the repository, its top-level directories and
+// the architecture components.
+export function summarizeMetrics(files = [], components = []) {
+  if (!files.length) return null;
+  const byDirectory = new Map();
+  for (const file of files) {
+    const directory = file.path.includes("/") ? file.path.split("/")[0] : "(root)";
+    if (!byDirectory.has(directory)) byDirectory.set(directory, []);
+    byDirectory.get(directory).push(file);
+  }
+
+  const longestFunctions = files
+    .flatMap((file) =>
+      file.functionList.map((fn) => ({ ...fn, sourceFile: file.path }))
+    )
+    .sort((a, b) => b.length - a.length || b.complexity - a.complexity)
+    .slice(0, MAX_LONGEST_FUNCTIONS);
+
+  const fileRows = files
+    .map(({ functionList, ...file }) => file)
+    .sort((a, b) => b.complexity - a.complexity || b.code - a.code);
+
+  return {
+    totals: aggregate(files),
+    directories: Array.from(byDirectory.entries())
+      .map(([name, entries]) => ({ name, ...aggregate(entries) }))
+      .sort((a, b) => b.code - a.code),
+    components: components
+      .map((component) => ({
+        name: component.name,
+        path: component.path,
+        ...aggregate(files.filter((file) => component.path && isInside(file.path, component.path)))
+      }))
+      .filter((entry) => entry.files),
+    mostComplex: fileRows.slice(0, MAX_COMPLEX_FILES).map((file) => file.path),
+    longestFunctions,
+    files: fileRows
+  };
+}
+
+function aggregate(files) {
+  const totals = { files: files.length, lines: 0, code: 0, blank: 0, comment: 0, functions: 0, complexity: 0 };
+  for (const file of files) {
+    totals.lines += file.lines;
+    totals.code += file.code;
+    totals.blank += file.blank;
+    totals.comment += file.comment;
+    totals.functions += file.functions;
+    totals.complexity += file.complexity;
+  }
+  return {
+    ...totals,
+    commentRatio: totals.code + totals.comment ? round(totals.comment / (totals.code + totals.comment)) : 0,
+    averageComplexity: totals.functions ? round(totals.complexity / totals.functions) : totals.complexity
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function countDecisions(text, extension) {
+  const pattern = DECISIONS[extension] || DECISIONS.default;
+  let count = (text.match(pattern) || []).length;
+  if (TERNARY_EXTENSIONS.has(extension)) count += (text.match(/\s\?\s/g) || []).length;
+  return count;
+}
+
+function findFunctions(masked, extension) {
+  if (extension === "py") return findIndentedFunctions(masked, /^([ \t]*)(?:async\s+)?def\s+(\w+)/gm, extension);
+  if (extension === "rb") return findIndentedFunctions(masked, /^([ \t]*)def\s+((?:self\.)?[\w?!=]+)/gm, extension);
+  const patterns = FUNCTION_PATTERNS[JS_EXTENSIONS.has(extension) ? "js" : extension];
+  if (!patterns) return [];
+
+  const lineStarts = [0];
+  for (let i = 0; i < masked.length; i += 1) if (masked[i] === "\n") lineStarts.push(i + 1);
+  const lineOf = (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+
+  const seen = new Set();
+  const functions = [];
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(masked))) {
+      const name = match[1] || "(anonymous)";
+      if (CONTROL_KEYWORDS.has(name)) continue;
+      const start = match.index + match[0].length - (/[{(]$/.test(match[0]) ? 1 : 0);
+      const body = findBody(masked, start);
+      // Signatures without a body are declarations (traits, protocols, function types).
+      if (!body && (BODY_REQUIRED.has(extension) || /^[\w$]+\s*:/.test(match[0]) || /\btype\s+$/.test(masked.slice(match.index - 8, match.index)))) {
+        continue;
+      }
+      const key = body ? body.open : match.index;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const startLine = lineOf(match.index + match[0].search(/\S/));
+      const endLine = body ? lineOf(body.close) : startLine;
+      functions.push({
+        name,
+        line: startLine,
+        length: endLine - startLine + 1,
+        complexity: 1 + (body ? countDecisions(masked.slice(body.open, body.close), extension) : 0)
+      });
+    }
+  }
+  return functions.sort((a, b) => a.line - b.line);
+}
+
+// Finds the block that follows a signature; expression bodies and abstract
+// declarations have none.
+function findBody(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "(" || ch === "[") depth += 1;
+    else if (ch === ")" || ch === "]") depth -= 1;
+    else if (depth <= 0 && ch === ";") return null;
+    else if (depth <= 0 && ch === "{") {
+      let braces = 0;
+      for (let j = i; j < text.length; j += 1) {
+        if (text[j] === "{") braces += 1;
+        else if (text[j] === "}") {
+          braces -= 1;
+          if (braces === 0) return { open: i, close: j };
+        }
+      }
+      return { open: i, close: text.length - 1 };
+    } else if (depth <= 0 && ch === "\n" && !/^\s*(?:[{:.]|->|throws\b|where\b)/.test(text.slice(i + 1, i + 80))) {
+      return null;
+    }
+  }
+  return null;
+}
+
+function findIndentedFunctions(masked, pattern, extension) {
+  const lines = masked.split("\n");
+  const functions = [];
+  let startLine = 1;
+  let scanned = 0;
+  let match;
+  while ((match = pattern.exec(masked))) {
+    const indent = match[1].length;
+    for (; scanned < match.index; scanned += 1) if (masked[scanned] === "\n") startLine += 1;
+    let endLine = startLine;
+    for (let index = startLine; index < lines.length; index += 1) {
+      const line = lines[index];
+      if (!line.trim()) continue;
+      const current = line.length - line.trimStart().length;
+      if (current <= indent) {
+        if (extension === "rb" && /^\s*end\b/.test(line)) endLine = index + 1;
+        break;
+      }
+      endLine = index + 1;
+    }
+    const body = lines.slice(startLine - 1, endLine).join("\n");
+    functions.push({
+      name: match[2],
+      line: startLine,
+      length: endLine - startLine + 1,
+      complexity: 1 + countDecisions(body, extension)
+    });
+  }
+  return functions;
+}
@@ -0,0 +1,77 @@
+let worker = null;
+let workerFailed = false;
+let nextId = 1;
+const pending = new Map();
+
+// Runs a model task (see MODEL_TASKS in src/models.js) in the model worker so
+// the page stays responsive, or in-thread where workers are unavailable
+// (Node, very old browsers). Aborting `signal` rejects at once and tells the
+// worker to stop at its next checkpoint.
+export async function runModelTask(task, payload, { signal, onProgress = () => {}, onToken = () => {} } = {}) {
+  signal?.throwIfAborted();
+  const target = getWorker();
+  if (!target) {
+    const { MODEL_TASKS } = await import("./models.js");
+    return MODEL_TASKS[task](payload, { signal, onProgress, onToken });
+  }
+
+  const id = nextId;
+  nextId += 1;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      target.postMessage({ id, type: "abort" });
+      settle();
+      reject(signal.reason);
+    };
+    const settle = () => {
+      pending.delete(id);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    pending.set(id, {
+      onProgress,
+      onToken,
+      resolve: (result) => {
+        settle();
+        resolve(result);
+      },
+      reject: (error) => {
+        settle();
+        reject(error);
+      }
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+    target.postMessage({ id, type: "run", task, payload });
+  });
+}
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === "undefined") {
+    workerFailed = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL("./modelworker.js", import.meta.url), { type: "module" });
+  } catch (error) {
+    console.warn("Model worker unavailable, running models on the main thread", error);
+    workerFailed = true;
+    return null;
+  }
+  worker.addEventListener("message", (event) => {
+    const { id, type } = event.data;
+    const entry = pending.get(id);
+    if (!entry) return;
+    if (type === "progress") entry.onProgress(event.data.progress);
+    else if (type === "token") entry.onToken(event.data.text);
+    else if (type === "result") entry.resolve(event.data.result);
+    else if (type === "error") entry.reject(Object.assign(new Error(event.data.error.message), { name: event.data.error.name }));
+  });
+  // A crashed worker fails its running tasks; the next task starts a new one.
+  worker.addEventListener("error", (event) => {
+    console.error("Model worker failed", event.message);
+    for (const entry of pending.values()) entry.reject(new Error(event.message || "Model worker failed."));
+    worker.terminate();
+    worker = null;
+  });
+  return worker;
+}
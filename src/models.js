@@ -0,0 +1,164 @@
+import { chunkFile } from "./chunking.js";
+
+const TRANSFORMERS_SRC = "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.14.1";
+export const DEFAULT_EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+export const DEFAULT_TEXT_MODEL = "Xenova/phi-2";
+export const DEFAULT_RERANK_MODEL = "Xenova/ms-marco-MiniLM-L-6-v2";
+export const EMBEDDING_BATCH_SIZE = 8;
+
+let transformersPromise;
+let rerankerPromise;
+// Pipelines by task and model name, so switching models keeps the loaded ones.
+const pipelines = new Map();
+// Model downloads are shared, so their progress goes to every running task.
+const downloadListeners = new Set();
+
+// The transformers.js work behind the semantic index. Each task takes a JSON
+// payload plus `{ signal, onProgress, onToken }`, checks the signal between
+// batches and tokens, and is run either in the model worker or in-thread.
+export const MODEL_TASKS = {
+  // Chunks one file and embeds the chunks in batches. Returns the stored
+  // record shape: chunks without path fields and one packed Float32Array.
+  async indexFile(
+    { sha, path, content, embeddings = true, model = DEFAULT_EMBEDDING_MODEL },
+    { signal, onProgress = () => {} } = {}
+  ) {
+    const extractor = embeddings ? await withDownloads(() => getPipeline("feature-extraction", model), onProgress) : null;
+    const countTokens = extractor?.tokenizer
+      ? (text) => extractor.tokenizer.encode(text, null, { add_special_tokens: false }).length
+      : undefined;
+    const chunks = chunkFile(content, path, { countTokens }).map(({ id, path: _path, ...chunk }) => chunk);
+    let dims = 0;
+    let packed = new Float32Array(0);
+    for (let start = 0; extractor && start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+      signal?.throwIfAborted();
+      const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+      const output = await extractor(
+        batch.map((chunk) => chunk.content),
+        { pooling: "mean", normalize: true }
+      );
+      if (!dims) {
+        dims = output.dims[output.dims.length - 1];
+        packed = new Float32Array(chunks.length * dims);
+      }
+      packed.set(output.data, start * dims);
+      onProgress({ stage: "embed", done: Math.min(start + batch.length, chunks.length), total: chunks.length });
+    }
+    return {
+      sha,
+      chunks,
+      vectors: packed,
+      dims,
+      bytes: packed.byteLength + chunks.reduce((sum, chunk) => sum + chunk.content.length, 0)
+    };
+  },
+
+  async embedQuery({ text, model = DEFAULT_EMBEDDING_MODEL }, { onProgress = () => {} } = {}) {
+    const extractor = await withDownloads(() => getPipeline("feature-extraction", model), onProgress);
+    const embedding = await extractor(text, { pooling: "mean", normalize: true });
+    return Float32Array.from(embedding.data);
+  },
+
+  // Cross-encoder scores for query/document pairs; null when the model cannot
+  // be loaded so callers keep the fused ranking.
+  async rerank({ query, documents }, { signal, onProgress = () => {} } = {}) {
+    const reranker = await withDownloads(getReranker, onProgress);
+    if (!reranker) return null;
+    signal?.throwIfAborted();
+    const inputs = reranker.tokenizer(new Array(documents.length).fill(query), {
+      text_pair: documents,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await reranker.model(inputs);
+    return Array.from(logits.data);
+  },
+
+  // Streams the text generated so far through `onToken` after every token.
+  async generate(
+    { prompt, model = DEFAULT_TEXT_MODEL, options = {} },
+    { signal, onProgress = () => {}, onToken = () => {} } = {}
+  ) {
+    const generator = await withDownloads(() => getPipeline("text-generation", model), onProgress);
+    const maxTokens = options.max_new_tokens || 0;
+    let tokens = 0;
+    const output = await generator(prompt, {
+      ...options,
+      callback_function: (beams) => {
+        signal?.throwIfAborted();
+        tokens += 1;
+        const text = generator.tokenizer.decode(beams[0].output_token_ids, { skip_special_tokens: true });
+        onToken(text.startsWith(prompt) ? text.slice(prompt.length) : text);
+        onProgress({ stage: "generate", done: tokens, total: maxTokens });
+      }
+    });
+    return output[0]?.generated_text || "";
+  }
+};
+
+async function withDownloads(load, onProgress) {
+  const listener = (event) => {
+    if (event.status === "progress") {
+      onProgress({ stage: "download", file: event.file, done: event.loaded, total: event.total });
+    }
+  };
+  downloadListeners.add(listener);
+  try {
+    return await load();
+  } finally {
+    downloadListeners.delete(listener);
+  }
+}
+
+function reportDownload(event) {
+  for (const listener of downloadListeners) listener(event);
+}
+
+// A model that fails to load is forgotten so a corrected name can be retried.
+function getPipeline(task, model) {
+  const key = `${task}:${model}`;
+  if (!pipelines.has(key)) {
+    const loading = loadTransformers().then(({ pipeline, env }) => {
+      env.allowLocalModels = false;
+      env.useBrowserCache = supportsBrowserCache();
+      return pipeline(task, model, { progress_callback: reportDownload });
+    });
+    loading.catch(() => pipelines.delete(key));
+    pipelines.set(key, loading);
+  }
+  return pipelines.get(key);
+}
+
+async function getReranker() {
+  if (!rerankerPromise) {
+    rerankerPromise = (async () => {
+      const { AutoTokenizer, AutoModelForSequenceClassification, env } = await loadTransformers();
+      env.allowLocalModels = false;
+      env.useBrowserCache = supportsBrowserCache();
+      const [tokenizer, model] = await Promise.all([
+        AutoTokenizer.from_pretrained(DEFAULT_RERANK_MODEL, { progress_callback: reportDownload }),
+        AutoModelForSequenceClassification.from_pretrained(DEFAULT_RERANK_MODEL, { progress_callback: reportDownload })
+      ]);
+      return { tokenizer, model };
+    })().catch((error) => {
+      console.warn("Reranking disabled", error);
+      return null;
+    });
+  }
+  return rerankerPromise;
+}
+
+async function loadTransformers() {
+  if (!transformersPromise) {
+    // Node cannot import from a URL; there the package must be installed.
+    transformersPromise =
+      typeof process !== "undefined" && process.versions?.node
+        ? import("@xenova/transformers")
+        : import(/* webpackIgnore: true */ TRANSFORMERS_SRC);
+  }
+  return transformersPromise;
+}
+
+function supportsBrowserCache() {
+  return typeof globalThis !== "undefined" && typeof globalThis.caches !== "undefined";
+}
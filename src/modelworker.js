@@ -0,0 +1,42 @@
+import { MODEL_TASKS } from "./models.js";
+
+// Message protocol, main thread → worker:
+//   { id, type: "run", task, payload }   start MODEL_TASKS[task]
+//   { id, type: "abort" }                stop the task at its next checkpoint
+// worker → main thread:
+//   { id, type: "progress", progress }   { stage, done, total, file? }
+//   { id, type: "token", text }          generated text so far
+//   { id, type: "result", result }
+//   { id, type: "error", error }         { name, message }
+const controllers = new Map();
+
+self.addEventListener("message", async (event) => {
+  const { id, type, task, payload } = event.data;
+  if (type === "abort") {
+    controllers.get(id)?.abort();
+    return;
+  }
+  if (type !== "run") return;
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  try {
+    if (!MODEL_TASKS[task]) throw new Error(`Unknown model task "${task}".`);
+    const result = await MODEL_TASKS[task](payload, {
+      signal: controller.signal,
+      onProgress: (progress) => self.postMessage({ id, type: "progress", progress }),
+      onToken: (text) => self.postMessage({ id, type: "token", text })
+    });
+    self.postMessage({ id, type: "result", result }, transferablesOf(result));
+  } catch (error) {
+    self.postMessage({ id, type: "error", error: { name: error?.name || "Error", message: error?.message || String(error) } });
+  } finally {
+    controllers.delete(id);
+  }
+});
+
+function transferablesOf(result) {
+  if (result instanceof Float32Array) return [result.buffer];
+  if (result?.vectors instanceof Float32Array) return [result.vectors.buffer];
+  return [];
+}
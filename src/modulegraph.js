@@ -0,0 +1,542 @@
+import { dirname, getExtension, joinPath } from "./paths.js";
+import { isInside } from "./workspaces.js";
+
+const IGNORED_PATHS = /(^|\/)(node_modules|vendor|dist|build|target|\.venv|venv)\//;
+const JS_SOURCE = /\.(?:[cm]?[jt]sx?|vue|svelte)$/;
+const JS_SUFFIXES = ["", ".ts", ".tsx", ".d.ts", ".js", ".jsx", ".mjs", ".cjs", ".vue", ".svelte"];
+const JS_INDEXES = ["/index.ts", "/index.tsx", "/index.js", "/index.jsx", "/index.mjs"];
+const TSCONFIG_FILE = /(^|\/)(?:tsconfig(?:\.[\w-]+)?|jsconfig)\.json$/;
+const DOTTED_EXTENSIONS = {
+  java: ["java", "kt", "scala"],
+  kt: ["kt", "java"],
+  kts: ["kt", "java"],
+  scala: ["scala", "java"],
+  php: ["php"],
+  py: ["py"]
+};
+const MAX_CONFIG_READS = 20;
+const MAX_PACKAGE_FILES = 10;
+const MAX_HOTSPOTS = 10;
+const MAX_CYCLES = 10;
+const MAX_REPORTED = 30;
+
+// Ordered from the outermost layer inwards. A module may only depend on layers
+// below its own; the UI must also go through services rather than reach data.
+const LAYERS = [
+  {
+    id: "ui",
+    label: "UI",
+    directories: /^(?:ui|components?|views?|pages|screens|widgets|templates|layouts|frontend|client|web)$/,
+    files: /\.(?:component|view|page|screen)\.\w+$|\.(?:jsx|tsx|vue|svelte)$/
+  },
+  {
+    id: "api",
+    label: "API",
+    directories: /^(?:controllers?|routes?|routers?|handlers?|endpoints?|resolvers?|api)$/,
+    files: /(?:\.|_)(?:controller|routes?|router|handler|resolver)\.\w+$|Controller\.\w+$/
+  },
+  {
+    id: "service",
+    label: "Service",
+    directories: /^(?:services?|domain|usecases?|use-cases|application|business|logic|interactors?)$/,
+    files: /(?:\.|_)(?:service|usecase)\.\w+$|Service\.\w+$/
+  },
+  {
+    id: "data",
+    label: "Data",
+    directories: /^(?:data|db|database|repositor(?:y|ies)|repos?|dao|daos|models?|entities|entity|persistence|migrations|schema)$/,
+    files: /(?:\.|_)(?:repository|repo|model|entity|dao|schema)\.\w+$|(?:Repository|Dao|Entity)\.\w+$/
+  }
+];
+const LAYER_RANK = new Map(LAYERS.map((layer, index) => [layer.id, index]));
+
+export function extractNamespace(content, extension) {
+  if (!content) return null;
+  if (extension === "cs") return /^\s*namespace\s+([\w.]+)/m.exec(content)?.[1] || null;
+  if (extension === "php") return /^\s*namespace\s+([\w\\]+)\s*;/m.exec(content)?.[1] || null;
+  if (["java", "kt", "kts", "scala"].includes(extension)) return /^\s*package\s+([\w.]+)/m.exec(content)?.[1] || null;
+  return null;
+}
+
+export async function collectModuleGraph({ tree = [], readFile, imports = [], workspace, components = [], onProgress = () => {} }) {
+  if (!imports.length) return null;
+  const paths = tree.map((entry) => entry.path).filter((path) => !IGNORED_PATHS.test(path));
+  const resolver = await createResolver({ paths, readFile, imports, workspace });
+
+  const edges = new Map();
+  const unresolved = [];
+  for (const file of imports) {
+    for (const specifier of file.modules) {
+      const targets = resolver.resolve(file.path, specifier);
+      if (targets === null) continue;
+      if (!targets.length) {
+        if (unresolved.length < MAX_REPORTED) unresolved.push({ sourceFile: file.path, specifier });
+        continue;
+      }
+      for (const target of targets) {
+        if (target === file.path) continue;
+        const key = `${file.path}\u0000${target}`;
+        if (!edges.has(key)) edges.set(key, { from: file.path, to: target, specifier });
+      }
+    }
+  }
+
+  const fileEdges = Array.from(edges.values()).sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  const directories = aggregateEdges(fileEdges, dirname);
+  const componentOf = (path) => findComponent(components, path)?.name ?? null;
+  const componentEdges = aggregateEdges(fileEdges, componentOf);
+
+  const graph = {
+    files: new Set(fileEdges.flatMap((edge) => [edge.from, edge.to])).size,
+    edges: fileEdges.length,
+    aliases: resolver.aliases,
+    fanIn: rankFan(fileEdges, "to"),
+    fanOut: rankFan(fileEdges, "from"),
+    cycles: [
+      ...findCycles(fileEdges).map((nodes) => ({ level: "file", nodes })),
+      ...findCycles(directories).map((nodes) => ({ level: "directory", nodes })),
+      ...findCycles(componentEdges).map((nodes) => ({ level: "component", nodes }))
+    ],
+    violations: findLayerViolations(fileEdges),
+    directories: directories.slice(0, MAX_REPORTED * 2),
+    components: componentEdges,
+    unresolved,
+    fileEdges
+  };
+  onProgress(
+    `Built import graph: ${graph.edges} edges between ${graph.files} files, ${graph.cycles.length} cycles, ${graph.violations.length} layering violations`
+  );
+  return graph;
+}
+
+export function assignModuleGraphToComponents(graph, components = []) {
+  for (const component of components) {
+    component.importsFrom = (graph?.components || [])
+      .filter((edge) => edge.from === component.name)
+      .map((edge) => ({ component: edge.to, count: edge.count }));
+  }
+}
+
+async function createResolver({ paths, readFile, imports, workspace }) {
+  const pathSet = new Set(paths);
+  const byBase = new Map();
+  const filesByDir = new Map();
+  for (const path of paths) {
+    const base = path.split("/").pop().replace(/\.[^.]+$/, "");
+    if (!byBase.has(base)) byBase.set(base, []);
+    byBase.get(base).push(path);
+    const dir = dirname(path);
+    if (!filesByDir.has(dir)) filesByDir.set(dir, []);
+    filesByDir.get(dir).push(path);
+  }
+
+  const namespaces = new Map();
+  for (const file of imports) {
+    if (!file.namespace) continue;
+    if (!namespaces.has(file.namespace)) namespaces.set(file.namespace, []);
+    namespaces.get(file.namespace).push(file.path);
+  }
+
+  const tsconfigs = await readTsconfigs(paths.filter((path) => TSCONFIG_FILE.test(path)), readFile, pathSet);
+  const goModules = await readGoModules(paths.filter((path) => /(^|\/)go\.mod$/.test(path)), readFile);
+  const packages = (workspace?.packages || []).filter((pkg) => pkg.name);
+
+  const firstExisting = (candidates) => candidates.find((candidate) => pathSet.has(candidate));
+  const resolveJsFile = (base) => {
+    const swapped = base.replace(/\.(?:[cm]?js|jsx)$/, "");
+    return firstExisting([
+      ...JS_SUFFIXES.map((suffix) => `${base}${suffix}`),
+      ...(swapped !== base ? JS_SUFFIXES.slice(1).map((suffix) => `${swapped}${suffix}`) : []),
+      ...JS_INDEXES.map((suffix) => `${base}${suffix}`)
+    ]);
+  };
+  const packageFiles = (dir, extensions) =>
+    (filesByDir.get(dir) || [])
+      .filter((path) => extensions.includes(getExtension(path)) && !/_test\.go$/.test(path))
+      .slice(0, MAX_PACKAGE_FILES);
+
+  // Matches `a.b.C` against files named C whose parent directories end in a/b;
+  // ties go to the candidate closest to the importing file.
+  const resolveDotted = (segments, extensions, from, { directories = true } = {}) => {
+    for (let length = segments.length; length >= Math.max(1, segments.length - 2); length -= 1) {
+      const name = segments[length - 1];
+      const parents = segments.slice(0, length - 1).map((segment) => segment.toLowerCase());
+      let best = null;
+      for (const candidate of byBase.get(name) || []) {
+        if (!extensions.includes(getExtension(candidate))) continue;
+        const dirs = dirname(candidate).toLowerCase().split("/").reverse();
+        let score = 0;
+        while (score < parents.length && dirs[score] === parents[parents.length - 1 - score]) score += 1;
+        const proximity = sharedPrefix(candidate, from);
+        if (parents.length && !score) continue;
+        if (best && (best.score > score || (best.score === score && best.proximity >= proximity))) continue;
+        best = { path: candidate, score, proximity };
+      }
+      if (best) return [best.path];
+    }
+    if (!directories) return [];
+    // Package or wildcard imports point at a directory of sources.
+    const suffix = segments.join("/").toLowerCase();
+    for (const [dir, files] of filesByDir) {
+      if (dir.toLowerCase() === suffix || dir.toLowerCase().endsWith(`/${suffix}`)) {
+        const matches = files.filter((path) => extensions.includes(getExtension(path))).slice(0, MAX_PACKAGE_FILES);
+        if (matches.length) return matches;
+      }
+    }
+    return [];
+  };
+
+  const resolve = (from, specifier) => {
+    const extension = getExtension(from);
+    const dir = dirname(from);
+
+    if (JS_SOURCE.test(from)) {
+      if (specifier.startsWith(".")) {
+        const target = resolveJsFile(joinPath(dir, specifier));
+        return target ? [target] : [];
+      }
+      const config = nearestConfig(tsconfigs, from);
+      for (const alias of config?.aliases || []) {
+        const match = matchAlias(alias.pattern, specifier);
+        if (match === null) continue;
+        for (const replacement of alias.targets) {
+          const target = resolveJsFile(replacement.replace("*", match));
+          if (target) return [target];
+        }
+        return [];
+      }
+      if (config?.baseUrl !== undefined) {
+        const target = resolveJsFile(joinPath(config.baseUrl, specifier));
+        if (target) return [target];
+      }
+      const pkg = packages.find((entry) => specifier === entry.name || specifier.startsWith(`${entry.name}/`));
+      if (pkg) {
+        const rest = specifier.slice(pkg.name.length).replace(/^\//, "");
+        const target = rest
+          ? resolveJsFile(joinPath(pkg.path, rest)) || resolveJsFile(joinPath(pkg.path, `src/${rest}`))
+          : resolveJsFile(joinPath(pkg.path, "src/index")) || resolveJsFile(joinPath(pkg.path, "index"));
+        return [target || pkg.path];
+      }
+      return null;
+    }
+
+    if (extension === "py") {
+      if (specifier.startsWith(".")) {
+        const dots = /^\.+/.exec(specifier)[0].length;
+        const parts = dir ? dir.split("/") : [];
+        const base = parts.slice(0, Math.max(0, parts.length - (dots - 1))).join("/");
+        const rest = specifier.slice(dots).split(".").filter(Boolean).join("/");
+        const target = joinPath(base, rest);
+        const found = firstExisting([`${target}.py`, `${target}/__init__.py`]);
+        return found ? [found] : [];
+      }
+      const segments = specifier.split(".");
+      const found = resolveDotted(segments, ["py"], from, { directories: false });
+      if (found.length) return found;
+      const suffix = segments.join("/");
+      const init = (byBase.get("__init__") || []).find((path) => dirname(path) === suffix || dirname(path).endsWith(`/${suffix}`));
+      return init ? [init] : null;
+    }
+
+    if (DOTTED_EXTENSIONS[extension]) {
+      const segments = specifier.split(/[.\\]/).filter(Boolean);
+      const found = resolveDotted(segments, DOTTED_EXTENSIONS[extension], from);
+      return found.length ? found : null;
+    }
+
+    if (extension === "cs") {
+      const files = namespaces.get(specifier);
+      return files ? files.filter((path) => path !== from).slice(0, MAX_PACKAGE_FILES) : null;
+    }
+
+    if (extension === "go") {
+      const module = goModules.find((entry) => specifier === entry.module || specifier.startsWith(`${entry.module}/`));
+      if (!module) return null;
+      return packageFiles(joinPath(module.dir, specifier.slice(module.module.length + 1)), ["go"]);
+    }
+
+    if (extension === "rb") {
+      const relative = firstExisting([`${joinPath(dir, specifier)}.rb`, joinPath(dir, specifier)]);
+      if (relative) return [relative];
+      const libTarget = firstExisting([`lib/${specifier}.rb`, `app/${specifier}.rb`]);
+      if (libTarget) return [libTarget];
+      if (specifier.startsWith(".")) return [];
+      const found = resolveDotted(specifier.split("/"), ["rb"], from, { directories: false });
+      return found.length ? found : null;
+    }
+
+    if (extension === "swift") {
+      const target = Array.from(filesByDir.keys()).find((path) => path === `Sources/${specifier}` || path.endsWith(`/Sources/${specifier}`));
+      return target ? packageFiles(target, ["swift"]) : null;
+    }
+
+    if (extension === "rs") return resolveRust(from, specifier, firstExisting);
+    return null;
+  };
+
+  return { resolve, aliases: tsconfigs.reduce((sum, config) => sum + config.aliases.length, 0) };
+}
+
+function resolveRust(from, specifier, firstExisting) {
+  const [head, ...rest] = specifier.split("::");
+  if (!["crate", "self", "super"].includes(head)) return null;
+  const rootIndex = from.lastIndexOf("src/");
+  if (rootIndex === -1) return [];
+  const root = from.slice(0, rootIndex + 3);
+  const modulePath = from
+    .slice(rootIndex + 4)
+    .replace(/\.rs$/, "")
+    .split("/")
+    .filter((segment, index, all) => !(index === all.length - 1 && ["lib", "main", "mod"].includes(segment)));
+  let segments = head === "crate" ? rest : [...modulePath, ...rest];
+  if (head === "super") {
+    let remaining = rest;
+    let base = modulePath.slice(0, -1);
+    while (remaining[0] === "super") {
+      base = base.slice(0, -1);
+      remaining = remaining.slice(1);
+    }
+    segments = [...base, ...remaining];
+  }
+  for (let length = segments.length; length > 0; length -= 1) {
+    const base = joinPath(root, segments.slice(0, length).join("/"));
+    const found = firstExisting([`${base}.rs`, `${base}/mod.rs`]);
+    if (found) return [found];
+  }
+  return [];
+}
+
+async function readTsconfigs(files, readFile, pathSet) {
+  const configs = [];
+  for (const path of files.slice(0, MAX_CONFIG_READS)) {
+    const options = await readCompilerOptions(path, readFile, pathSet, 0);
+    if (!options) continue;
+    const baseDir = options.baseUrl !== undefined ? joinPath(options.dir, options.baseUrl) : options.dir;
+    const aliases = Object.entries(options.paths || {})
+      .filter(([, targets]) => Array.isArray(targets))
+      .map(([pattern, targets]) => ({ pattern, targets: targets.map((target) => joinPath(baseDir, target)) }));
+    configs.push({
+      dir: dirname(path),
+      aliases,
+      baseUrl: options.baseUrl !== undefined ? baseDir : undefined,
+      primary: /(?:^|\/)(?:tsconfig|jsconfig)\.json$/.test(path)
+    });
+  }
+  return configs;
+}
+
+// Follows relative `extends` so aliases declared in a shared base config apply.
+async function readCompilerOptions(path, readFile, pathSet, depth) {
+  const config = parseJsonc(await readFile(path).catch(() => ""));
+  if (!config) return null;
+  const own = config.compilerOptions || {};
+  let inherited = {};
+  const parent = typeof config.extends === "string" && config.extends.startsWith(".") ? config.extends : null;
+  if (parent && depth < 3) {
+    const parentPath = joinPath(dirname(path), parent.endsWith(".json") ? parent : `${parent}.json`);
+    if (pathSet.has(parentPath)) inherited = (await readCompilerOptions(parentPath, readFile, pathSet, depth + 1)) || {};
+  }
+  const dir = own.baseUrl !== undefined || own.paths ? dirname(path) : inherited.dir ?? dirname(path);
+  return {
+    dir,
+    baseUrl: own.baseUrl ?? (own.paths ? undefined : inherited.baseUrl),
+    paths: own.paths || inherited.paths
+  };
+}
+
+async function readGoModules(files, readFile) {
+  const modules = [];
+  for (const path of files.slice(0, MAX_CONFIG_READS)) {
+    const module = /^module\s+(\S+)/m.exec(await readFile(path).catch(() => ""))?.[1];
+    if (module) modules.push({ module, dir: dirname(path) });
+  }
+  return modules.sort((a, b) => b.module.length - a.module.length);
+}
+
+function nearestConfig(configs, path) {
+  return configs
+    .filter((config) => !config.dir || isInside(path, config.dir))
+    .sort((a, b) => b.dir.length - a.dir.length || Number(b.primary) - Number(a.primary))[0];
+}
+
+function matchAlias(pattern, specifier) {
+  const star = pattern.indexOf("*");
+  if (star === -1) return pattern === specifier ? "" : null;
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix) || specifier.length < prefix.length + suffix.length) return null;
+  return specifier.slice(prefix.length, specifier.length - suffix.length);
+}
+
+function aggregateEdges(fileEdges, groupOf) {
+  const counts = new Map();
+  for (const edge of fileEdges) {
+    const from = groupOf(edge.from);
+    const to = groupOf(edge.to);
+    if (from === null || to === null || from === to) continue;
+    const key = `${from}\u0000${to}`;
+    if (!counts.has(key)) counts.set(key, { from, to, count: 0 });
+    counts.get(key).count += 1;
+  }
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.from.localeCompare(b.from));
+}
+
+function rankFan(fileEdges, side) {
+  const counts = new Map();
+  for (const edge of fileEdges) counts.set(edge[side], (counts.get(edge[side]) ?? 0) + 1);
+  return Array.from(counts.entries())
+    .map(([path, count]) => ({ path, count }))
+    .filter((entry) => entry.count > 1)
+    .sort((a, b) => b.count - a.count || a.path.localeCompare(b.path))
+    .slice(0, MAX_HOTSPOTS);
+}
+
+// Tarjan's strongly connected components; each component with more than one
+// node is reported as its shortest cycle through the first node.
+function findCycles(edges) {
+  const adjacency = new Map();
+  for (const { from, to } of edges) {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    if (!adjacency.has(to)) adjacency.set(to, []);
+    adjacency.get(from).push(to);
+  }
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    index.set(node, counter);
+    low.set(node, counter);
+    counter += 1;
+    stack.push(node);
+    onStack.add(node);
+    for (const next of adjacency.get(node)) {
+      if (!index.has(next)) {
+        visit(next);
+        low.set(node, Math.min(low.get(node), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(node, Math.min(low.get(node), index.get(next)));
+      }
+    }
+    if (low.get(node) !== index.get(node)) return;
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== node);
+    if (component.length > 1) components.push(component);
+  };
+  for (const node of [...adjacency.keys()].sort()) {
+    if (!index.has(node)) visit(node);
+  }
+
+  return components
+    .sort((a, b) => b.length - a.length)
+    .slice(0, MAX_CYCLES)
+    .map((component) => shortestCycle(component.sort(), adjacency));
+}
+
+function shortestCycle(component, adjacency) {
+  const members = new Set(component);
+  const start = component[0];
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length) {
+    const node = queue.shift();
+    for (const next of adjacency.get(node)) {
+      if (!members.has(next)) continue;
+      if (next === start) {
+        const path = [];
+        for (let step = node; step !== null; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+      if (!previous.has(next)) {
+        previous.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+  return component;
+}
+
+function findLayerViolations(fileEdges) {
+  const violations = [];
+  for (const edge of fileEdges) {
+    const fromLayer = layerOf(edge.from);
+    const toLayer = layerOf(edge.to);
+    if (!fromLayer || !toLayer || fromLayer === toLayer) continue;
+    const upward = LAYER_RANK.get(toLayer) < LAYER_RANK.get(fromLayer);
+    const bypass = fromLayer === "ui" && toLayer === "data";
+    if (!upward && !bypass) continue;
+    violations.push({
+      from: edge.from,
+      to: edge.to,
+      fromLayer,
+      toLayer,
+      rule: upward
+        ? `${layerLabel(fromLayer)} depends on ${layerLabel(toLayer)}`
+        : "UI reaches the data layer without a service"
+    });
+  }
+  return violations.slice(0, MAX_REPORTED);
+}
+
+function layerOf(path) {
+  const name = path.split("/").pop();
+  const byFile = LAYERS.find((layer) => layer.files.test(name) && layer.id !== "ui");
+  if (byFile) return byFile.id;
+  const segments = dirname(path).toLowerCase().split("/").reverse();
+  for (const segment of segments) {
+    const layer = LAYERS.find((entry) => entry.directories.test(segment));
+    if (layer) return layer.id;
+  }
+  return LAYERS[0].files.test(name) ? "ui" : null;
+}
+
+function layerLabel(id) {
+  return LAYERS.find((layer) => layer.id === id)?.label || id;
+}
+
+function findComponent(components, path) {
+  return components
+    .filter((component) => component.path && isInside(path, component.path))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+}
+
+function parseJsonc(content) {
+  if (!content) return null;
+  let output = "";
+  for (let i = 0; i < content.length; i += 1) {
+    const ch = content[i];
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== '"') j += content[j] === "\\" ? 2 : 1;
+      output += content.slice(i, j + 1);
+      i = j;
+    } else if (ch === "/" && content[i + 1] === "/") {
+      while (i < content.length && content[i] !== "\n") i += 1;
+      output += "\n";
+    } else if (ch === "/" && content[i + 1] === "*") {
+      const close = content.indexOf("*/", i + 2);
+      i = close === -1 ? content.length : close + 1;
+    } else {
+      output += ch;
+    }
+  }
+  try {
+    return JSON.parse(output.replace(/,(\s*[}\]])/g, "$1"));
+  } catch {
+    return null;
+  }
+}
+
+function sharedPrefix(a, b) {
+  let length = 0;
+  while (length < a.length && a[length] === b[length]) length += 1;
+  return length;
+}
@@ -0,0 +1,276 @@
+import { isInside } from "./workspaces.js";
+
+const OPERATION_METHODS = new Set(["get", "put", "post", "delete", "options", "head", "patch", "trace"]);
+const WRAPPER_TYPES = new Set([
+  "Promise",
+  "Task",
+  "ValueTask",
+  "Mono",
+  "Observable",
+  "Optional",
+  "CompletableFuture",
+  "CompletionStage",
+  "ResponseEntity",
+  "HttpEntity",
+  "ActionResult",
+  "Ok",
+  "Results",
+  "Response",
+  "HttpResponse",
+  "Uni",
+  "Deferred"
+]);
+const ARRAY_TYPES = new Set([
+  "Array",
+  "List",
+  "ArrayList",
+  "LinkedList",
+  "MutableList",
+  "Set",
+  "HashSet",
+  "Collection",
+  "Iterable",
+  "Flux",
+  "Multi",
+  "Flow",
+  "Stream",
+  "IEnumerable",
+  "IList",
+  "ICollection",
+  "IReadOnlyList",
+  "IReadOnlyCollection",
+  "IAsyncEnumerable",
+  "ReadonlyArray",
+  "Seq"
+]);
+const MAP_TYPES = new Set(["Map", "HashMap", "Record", "Dictionary", "IDictionary", "MutableMap", "JsonNode", "JsonObject"]);
+const OPAQUE_TYPES = new Set([
+  "void",
+  "Void",
+  "Unit",
+  "any",
+  "unknown",
+  "Object",
+  "object",
+  "dynamic",
+  "IActionResult",
+  "IResult",
+  "JsonResponse",
+  "RedirectResponse",
+  "View",
+  "ModelAndView",
+  "HttpResponseMessage",
+  "ServerResponse",
+  "?"
+]);
+const PRIMITIVE_SCHEMAS = new Map([
+  ["string", { type: "string" }],
+  ["String", { type: "string" }],
+  ["str", { type: "string" }],
+  ["CharSequence", { type: "string" }],
+  ["char", { type: "string" }],
+  ["Guid", { type: "string", format: "uuid" }],
+  ["UUID", { type: "string", format: "uuid" }],
+  ["Date", { type: "string", format: "date-time" }],
+  ["DateTime", { type: "string", format: "date-time" }],
+  ["LocalDate", { type: "string", format: "date" }],
+  ["LocalDateTime", { type: "string", format: "date-time" }],
+  ["Instant", { type: "string", format: "date-time" }],
+  ["int", { type: "integer" }],
+  ["Int", { type: "integer" }],
+  ["Integer", { type: "integer" }],
+  ["long", { type: "integer", format: "int64" }],
+  ["Long", { type: "integer", format: "int64" }],
+  ["short", { type: "integer" }],
+  ["bigint", { type: "integer" }],
+  ["BigInteger", { type: "integer" }],
+  ["number", { type: "number" }],
+  ["float", { type: "number" }],
+  ["Float", { type: "number" }],
+  ["double", { type: "number" }],
+  ["Double", { type: "number" }],
+  ["decimal", { type: "number" }],
+  ["BigDecimal", { type: "number" }],
+  ["boolean", { type: "boolean" }],
+  ["Boolean", { type: "boolean" }],
+  ["bool", { type: "boolean" }]
+]);
+const PARAMETER_PATTERN = /\{(\w+)(?::([^}]*))?\??\}|<(?:(\w+):)?(\w+)>|\(\?P<(\w+)>([^)]*)\)|:(\w+)(\([^)]*\))?\??|^\*(\w+)$/g;
+
+// Turns detected server routes into an OpenAPI 3.1 document. Every operation
+// keeps an `x-source` list pointing back to the files and lines it came from.
+export function buildOpenApiDocument({ repo = {}, exposedApis = [], architecture = null } = {}) {
+  const paths = {};
+  const schemas = {};
+  const tags = new Set();
+  const operationIds = new Set();
+
+  for (const route of exposedApis) {
+    const { path, parameters } = toOpenApiPath(route.endpoint);
+    const method = String(route.method || "").toLowerCase();
+    const key = OPERATION_METHODS.has(method) ? method : "x-any-method";
+    const pathItem = paths[path] || (paths[path] = {});
+    const source = { file: route.sourceFile, line: route.line ?? null, framework: route.framework };
+
+    const responseSchema = route.responseType ? schemaForType(route.responseType, schemas) : null;
+    const requestSchema = route.requestType ? schemaForType(route.requestType, schemas) : null;
+    const requestBody = requestSchema && {
+      required: true,
+      content: { "application/json": { schema: requestSchema } }
+    };
+    const responses = responseSchema && {
+      200: { description: "Successful response", content: { "application/json": { schema: responseSchema } } }
+    };
+
+    // The same operation can be declared by several files (or frameworks); merge instead of overwriting.
+    const existing = pathItem[key];
+    if (existing) {
+      existing["x-source"].push(source);
+      if (requestBody && !existing.requestBody) existing.requestBody = requestBody;
+      if (responses && existing.responses.default) existing.responses = responses;
+      continue;
+    }
+
+    const tag = componentFor(route.sourceFile, architecture?.components);
+    if (tag) tags.add(tag);
+    pathItem[key] = {
+      operationId: uniqueOperationId(route, path, operationIds),
+      summary: `${route.method} ${route.endpoint}`,
+      ...(tag && { tags: [tag] }),
+      ...(parameters.length && { parameters }),
+      ...(requestBody && { requestBody }),
+      responses: responses || { default: { description: "Response shape was not declared in source" } },
+      "x-handler": route.handler || null,
+      "x-source": [source]
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: `${repo.fullName || repo.name || "Repository"} API`,
+      version: repo.ref?.name || repo.defaultBranch || "0.0.0",
+      description: `Generated from ${exposedApis.length} routes detected in source. Schemas are placeholders named after declared types.`
+    },
+    ...(tags.size && { tags: Array.from(tags, (name) => ({ name })) }),
+    paths: Object.fromEntries(Object.entries(paths).sort(([a], [b]) => a.localeCompare(b))),
+    components: { schemas }
+  };
+}
+
+// Normalizes `:id`, `<int:id>`, `{id:int}`, `(?P<id>\d+)` and `*rest` into `{id}` templates.
+export function toOpenApiPath(endpoint = "") {
+  const parameters = [];
+  const declare = (name, constraint) => {
+    if (!parameters.some((parameter) => parameter.name === name)) {
+      parameters.push({ name, in: "path", required: true, schema: schemaForConstraint(constraint) });
+    }
+    return `{${name}}`;
+  };
+
+  const cleaned = String(endpoint).trim().replace(/^\^/, "").replace(/\$$/, "");
+  const path = cleaned
+    .split("/")
+    .map((segment) =>
+      segment.replace(PARAMETER_PATTERN, (match, brace, braceConstraint, converter, angle, named, regex, colon, colonRegex, glob) => {
+        if (brace) return declare(brace, braceConstraint);
+        if (angle) return declare(angle, converter);
+        if (named) return declare(named, regex);
+        if (colon) return declare(colon, colonRegex);
+        if (glob) return declare(glob, "path");
+        return match;
+      })
+    )
+    .join("/");
+  return { path: path.startsWith("/") ? path : `/${path}`, parameters };
+}
+
+function schemaForConstraint(constraint = "") {
+  const value = String(constraint || "").toLowerCase();
+  if (/^(int|long|integer)$|\\d|\[0-9\]/.test(value)) return { type: "integer" };
+  if (/^(float|double|decimal|number)$/.test(value)) return { type: "number" };
+  if (/^(bool|boolean)$/.test(value)) return { type: "boolean" };
+  if (/^(uuid|guid)$/.test(value)) return { type: "string", format: "uuid" };
+  return { type: "string" };
+}
+
+function schemaForType(text, schemas) {
+  const type = parseType(text);
+  return type ? schemaForParsed(type, schemas) : null;
+}
+
+function schemaForParsed({ name, args }, schemas) {
+  if (OPAQUE_TYPES.has(name)) return null;
+  if (WRAPPER_TYPES.has(name)) return args[0] ? schemaForParsed(args[0], schemas) : null;
+  if (ARRAY_TYPES.has(name)) {
+    const items = args[0] ? schemaForParsed(args[0], schemas) : null;
+    return { type: "array", ...(items && { items }) };
+  }
+  if (MAP_TYPES.has(name)) {
+    const values = args[1] ? schemaForParsed(args[1], schemas) : null;
+    return { type: "object", ...(values && { additionalProperties: values }) };
+  }
+  if (PRIMITIVE_SCHEMAS.has(name)) return { ...PRIMITIVE_SCHEMAS.get(name) };
+  if (!/^[A-Za-z_]\w*$/.test(name)) return null;
+  if (!schemas[name]) schemas[name] = { type: "object", "x-declared-type": name };
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function parseType(text) {
+  let value = String(text)
+    .replace(/\s*\|\s*(null|undefined)\b/g, "")
+    .trim()
+    .replace(/\?$/, "");
+  if (!value || value.includes("|") || value.startsWith("{")) return null;
+  if (value.endsWith("[]")) {
+    const item = parseType(value.slice(0, -2));
+    return { name: "Array", args: item ? [item] : [] };
+  }
+  const open = value.indexOf("<");
+  if (open === -1 || !value.endsWith(">")) return { name: value.split(".").pop(), args: [] };
+  return {
+    name: value.slice(0, open).split(".").pop(),
+    args: splitTypeArguments(value.slice(open + 1, -1)).map(parseType).filter(Boolean)
+  };
+}
+
+function splitTypeArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of text) {
+    if (ch === "<") depth += 1;
+    else if (ch === ">") depth -= 1;
+    else if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+function componentFor(file, components = []) {
+  if (!file) return null;
+  const match = components
+    .filter((component) => component.path && isInside(file, component.path))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+  return match?.name || null;
+}
+
+function uniqueOperationId(route, path, used) {
+  const base =
+    (route.handler && route.handler.replace(/[^\w]+/g, "_").replace(/^_+|_+$/g, "")) ||
+    `${String(route.method).toLowerCase()}${path
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => segment.replace(/[{}]/g, "").replace(/^\w/, (ch) => ch.toUpperCase()))
+      .join("")
+      .replace(/[^\w]+/g, "")}`;
+  let candidate = base || "operation";
+  for (let suffix = 2; used.has(candidate); suffix += 1) candidate = `${base}_${suffix}`;
+  used.add(candidate);
+  return candidate;
+}
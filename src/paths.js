@@ -0,0 +1,24 @@
+// Helpers for the "/"-separated, root-relative paths of a repository tree.
+
+export function dirname(path = "") {
+  const index = path.lastIndexOf("/");
+  return index === -1 ? "" : path.slice(0, index);
+}
+
+// Resolves `relative` against the directory `base`; ".." never climbs above
+// the repository root.
+export function joinPath(base, relative) {
+  const parts = base ? base.split("/") : [];
+  for (const segment of String(relative).split("/")) {
+    if (!segment || segment === ".") continue;
+    if (segment === "..") parts.pop();
+    else parts.push(segment);
+  }
+  return parts.join("/");
+}
+
+// Lowercase extension of the file name, "" when it has none.
+export function getExtension(path) {
+  const name = path.split("/").pop() || "";
+  return name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+}
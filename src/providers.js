@@ -0,0 +1,855 @@
+export const PROVIDERS = Object.freeze(["github", "gitlab", "bitbucket", "gitea", "local"]);
+
+const PROVIDER_LABELS = {
+  github: "GitHub",
+  gitlab: "GitLab",
+  bitbucket: "Bitbucket",
+  gitea: "Gitea",
+  local: "Local checkout"
+};
+const DEFAULT_HOSTS = {
+  github: "github.com",
+  gitlab: "gitlab.com",
+  bitbucket: "bitbucket.org",
+  gitea: null
+};
+const TREE_PAGE_SIZE = 100;
+const HISTORY_PAGE_SIZE = 100;
+const HISTORY_CONCURRENCY = 4;
+const LOCAL_IGNORED_DIRECTORIES = new Set([".git", "node_modules", ".hg", ".svn"]);
+const LANGUAGE_BY_EXTENSION = {
+  js: "JavaScript",
+  mjs: "JavaScript",
+  cjs: "JavaScript",
+  jsx: "JavaScript",
+  ts: "TypeScript",
+  tsx: "TypeScript",
+  py: "Python",
+  rb: "Ruby",
+  go: "Go",
+  java: "Java",
+  kt: "Kotlin",
+  kts: "Kotlin",
+  cs: "C#",
+  php: "PHP",
+  swift: "Swift",
+  scala: "Scala",
+  rs: "Rust",
+  c: "C",
+  h: "C",
+  cpp: "C++",
+  hpp: "C++",
+  css: "CSS",
+  scss: "SCSS",
+  html: "HTML",
+  vue: "Vue",
+  svelte: "Svelte",
+  sql: "SQL",
+  sh: "Shell",
+  dockerfile: "Dockerfile"
+};
+
+export function parseRepositoryInput(value, { provider, apiRoot, ref } = {}) {
+  const source = parseSourceLocation(value, { provider, apiRoot });
+  const explicitRef = parseRefInput(ref);
+  if (explicitRef) source.ref = explicitRef;
+  if (source.provider === "local" && source.ref?.kind === "pull") {
+    throw new Error("Pull requests cannot be analyzed from local checkouts. Check out the branch instead.");
+  }
+  return source;
+}
+
+export function parseRefInput(value) {
+  if (!value || typeof value !== "string" || !value.trim()) return null;
+  const trimmed = value.trim();
+  const pullMatch = trimmed.match(/^(?:#|!|pulls?\/|pr\/|merge_requests\/|pull-requests\/)(\d+)$/i);
+  if (pullMatch) return { kind: "pull", value: pullMatch[1] };
+  if (/^[0-9a-f]{7,40}$/i.test(trimmed)) return { kind: "commit", value: trimmed };
+  return { kind: "ref", value: trimmed };
+}
+
+export function describeRef(ref) {
+  if (!ref) return "";
+  if (ref.kind === "pull") return `pull request ${ref.name}${ref.title ? ` (${ref.title})` : ""}`;
+  if (ref.kind === "commit") return `commit ${ref.name.slice(0, 12)}`;
+  if (ref.kind === "worktree") return `${ref.name} (working tree)`;
+  return ref.name;
+}
+
+function parseSourceLocation(value, { provider, apiRoot }) {
+  if (!value || typeof value !== "string") {
+    throw new Error("Enter a repository URL, owner/repo slug, or local path.");
+  }
+  if (provider && !PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown provider "${provider}". Expected one of: ${PROVIDERS.join(", ")}.`);
+  }
+  const trimmed = value.trim();
+
+  if (provider === "local" || isLocalPath(trimmed)) {
+    const root = trimmed.replace(/^file:\/\//, "").replace(/[\\/]+$/, "") || "/";
+    const name = root.split(/[\\/]/).filter(Boolean).pop() || root;
+    return { provider: "local", host: "localhost", root, owner: "local", repo: name };
+  }
+
+  const slugMatch = trimmed.match(/^([\w.-]+)\/([\w.-]+)$/);
+  if (slugMatch) {
+    const kind = provider || "github";
+    const host = DEFAULT_HOSTS[kind] || (apiRoot ? new URL(apiRoot).hostname : null);
+    if (!host) throw new Error(`Use a full URL or an API root to analyze ${PROVIDER_LABELS[kind]} slugs.`);
+    return buildRemoteSource(kind, `https://${host}`, [slugMatch[1], slugMatch[2]], apiRoot);
+  }
+
+  let url;
+  try {
+    url = new URL(trimmed.startsWith("http") ? trimmed : `https://${trimmed}`);
+  } catch {
+    throw new Error("Invalid repository URL.");
+  }
+
+  const kind = provider || detectProvider(url.hostname);
+  if (!kind) {
+    throw new Error(
+      `Cannot tell which provider hosts ${url.hostname}. Choose GitHub, GitLab, Bitbucket, or Gitea explicitly.`
+    );
+  }
+  return buildRemoteSource(kind, url.origin, url.pathname.split("/").filter(Boolean), apiRoot);
+}
+
+export function describeSource(source) {
+  if (!source) return "";
+  if (source.provider === "local") return source.root;
+  const slug = `${source.owner}/${source.repo}`;
+  return source.host === DEFAULT_HOSTS[source.provider] ? slug : `${source.host}/${slug}`;
+}
+
+// Links to a file (and optionally a line range) in the provider's web UI.
+export function buildSourceUrl(source, ref, path, { startLine, endLine } = {}) {
+  if (!source || source.provider === "local") return null;
+  const base = `https://${source.host}/${source.owner}/${source.repo}`;
+  const revision = encodePath(ref?.commit || ref?.target || "HEAD");
+  const file = encodePath(path);
+  const last = endLine && endLine !== startLine ? endLine : null;
+  switch (source.provider) {
+    case "github":
+      return `${base}/blob/${revision}/${file}${startLine ? `#L${startLine}${last ? `-L${last}` : ""}` : ""}`;
+    case "gitlab":
+      return `${base}/-/blob/${revision}/${file}${startLine ? `#L${startLine}${last ? `-${last}` : ""}` : ""}`;
+    case "bitbucket":
+      return `${base}/src/${revision}/${file}${startLine ? `#lines-${startLine}${last ? `:${last}` : ""}` : ""}`;
+    case "gitea":
+      return `${base}/src/${ref?.commit ? "commit" : "branch"}/${revision}/${file}${
+        startLine ? `#L${startLine}${last ? `-L${last}` : ""}` : ""
+      }`;
+    default:
+      return null;
+  }
+}
+
+// `signal` aborts in-flight API requests of remote providers.
+export function createProvider(source, token, { signal } = {}) {
+  switch (source?.provider) {
+    case "github":
+      return createGitHubProvider(source, token, { signal });
+    case "gitlab":
+      return createGitLabProvider(source, token, { signal });
+    case "bitbucket":
+      return createBitbucketProvider(source, token, { signal });
+    case "gitea":
+      return createGiteaProvider(source, token, { signal });
+    case "local":
+      return createLocalProvider(source);
+    default:
+      throw new Error(`Unsupported provider "${source?.provider}".`);
+  }
+}
+
+function detectProvider(hostname) {
+  const normalized = hostname.toLowerCase();
+  if (normalized === "github.com" || normalized.endsWith(".github.com")) return "github";
+  if (normalized === "bitbucket.org") return "bitbucket";
+  if (normalized.includes("gitlab")) return "gitlab";
+  if (/(gitea|forgejo|codeberg)/.test(normalized)) return "gitea";
+  if (normalized.startsWith("github.")) return "github";
+  return null;
+}
+
+function buildRemoteSource(kind, origin, segments, apiRoot) {
+  if (kind === "local") throw new Error("Local sources must be a filesystem path.");
+  let pathSegments = segments;
+  let refSegments = [];
+  if (kind === "gitlab") {
+    const separator = pathSegments.indexOf("-");
+    if (separator !== -1) {
+      refSegments = pathSegments.slice(separator + 1);
+      pathSegments = pathSegments.slice(0, separator);
+    }
+  } else {
+    refSegments = pathSegments.slice(2);
+    pathSegments = pathSegments.slice(0, 2);
+  }
+  if (pathSegments.length < 2) throw new Error("URL must include both owner and repository name.");
+
+  const host = new URL(origin).hostname;
+  const source = {
+    provider: kind,
+    host,
+    apiRoot: (apiRoot || defaultApiRoot(kind, origin, host)).replace(/\/+$/, ""),
+    owner: pathSegments.slice(0, -1).join("/"),
+    repo: pathSegments[pathSegments.length - 1].replace(/\.git$/, "")
+  };
+  const ref = parseRefSegments(kind, refSegments.map((segment) => decodeURIComponent(segment)));
+  if (ref) source.ref = ref;
+  return source;
+}
+
+function parseRefSegments(kind, segments) {
+  const [section, ...rest] = segments;
+  if (!section || !rest.length) return null;
+  const pullSections = {
+    github: "pull",
+    gitlab: "merge_requests",
+    bitbucket: "pull-requests",
+    gitea: "pulls"
+  };
+  if (section === pullSections[kind]) return { kind: "pull", value: rest[0] };
+  if (section === "commit" || section === "commits") return { kind: "commit", value: rest[0] };
+  if (kind === "gitea" && section === "src") {
+    const [mode, ...name] = rest;
+    if (mode === "commit") return { kind: "commit", value: name[0] };
+    return name.length ? { kind: "ref", value: name.join("/") } : null;
+  }
+  if (kind === "bitbucket" && section === "src") return { kind: "ref", value: rest[0] };
+  if (section === "tree") return { kind: "ref", value: rest.join("/") };
+  if (kind === "github" && section === "releases" && rest[0] === "tag" && rest[1]) {
+    return { kind: "ref", value: rest.slice(1).join("/") };
+  }
+  return null;
+}
+
+function resolveNamedRef(ref, repoInfo) {
+  if (!ref) {
+    return {
+      kind: "branch",
+      name: repoInfo.defaultBranch,
+      commit: null,
+      target: repoInfo.defaultBranch
+    };
+  }
+  return {
+    kind: ref.kind,
+    name: ref.value,
+    commit: ref.kind === "commit" ? ref.value : null,
+    target: ref.value
+  };
+}
+
+function defaultApiRoot(kind, origin, host) {
+  if (kind === "github") return host === "github.com" ? "https://api.github.com" : `${origin}/api/v3`;
+  if (kind === "gitlab") return `${origin}/api/v4`;
+  if (kind === "bitbucket") return "https://api.bitbucket.org/2.0";
+  return `${origin}/api/v1`;
+}
+
+function isLocalPath(value) {
+  return /^(file:\/\/|\.{1,2}([\\/]|$)|[\\/]|~[\\/]|[A-Za-z]:\\)/.test(value);
+}
+
+function createGitHubProvider(source, token, { signal } = {}) {
+  const { owner, repo, apiRoot } = source;
+  const headers = { Accept: "application/vnd.github+json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const init = { headers, signal };
+  const get = (path) => requestJson(`${apiRoot}${path}`, init, "GitHub");
+
+  return {
+    source,
+    languageMetric: "bytes",
+    async getRepository() {
+      const info = await get(`/repos/${owner}/${repo}`);
+      return {
+        name: info.name,
+        fullName: info.full_name,
+        description: info.description,
+        homepage: info.homepage,
+        stars: info.stargazers_count,
+        forks: info.forks_count,
+        watchers: info.subscribers_count,
+        openIssues: info.open_issues_count,
+        defaultBranch: info.default_branch
+      };
+    },
+    async resolveRef(ref, repoInfo) {
+      if (ref?.kind !== "pull") return resolveNamedRef(ref, repoInfo);
+      const pull = await get(`/repos/${owner}/${repo}/pulls/${ref.value}`);
+      return {
+        kind: "pull",
+        name: `#${ref.value}`,
+        title: pull.title,
+        commit: pull.head.sha,
+        target: pull.head.sha
+      };
+    },
+    async getLanguages() {
+      return get(`/repos/${owner}/${repo}/languages`);
+    },
+    async getTree(ref) {
+      const tree = await get(`/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`);
+      if (!tree.tree) throw new Error("Could not read repository tree.");
+      if (tree.truncated) {
+        console.warn("Git tree truncated by GitHub API; analysis may be partial.");
+      }
+      return tree.tree.filter((item) => item.type === "blob");
+    },
+    async getFileContent(path, ref) {
+      const payload = await get(
+        `/repos/${owner}/${repo}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`
+      );
+      if (!payload.content) throw new Error("Missing file contents.");
+      return decodeBase64(payload.content);
+    },
+    async getHistory(ref, { maxCommits = Infinity, maxDetails = 0 } = {}) {
+      const commits = [];
+      for (let page = 1; commits.length < maxCommits; page += 1) {
+        const batch = await get(
+          `/repos/${owner}/${repo}/commits?sha=${encodeURIComponent(ref)}&per_page=${HISTORY_PAGE_SIZE}&page=${page}`
+        );
+        for (const item of batch) {
+          if (item.parents?.length > 1) continue;
+          commits.push({
+            sha: item.sha,
+            author: item.author?.login || item.commit.author?.name || "unknown",
+            email: item.commit.author?.email || "",
+            date: item.commit.author?.date
+          });
+        }
+        if (batch.length < HISTORY_PAGE_SIZE) break;
+      }
+      await loadCommitFiles(commits.slice(0, maxDetails), async (commit) => {
+        const detail = await get(`/repos/${owner}/${repo}/commits/${commit.sha}`);
+        return (detail.files || []).map((file) => ({
+          path: file.filename,
+          previousPath: file.previous_filename,
+          additions: file.additions,
+          deletions: file.deletions
+        }));
+      });
+      const contributors = await get(`/repos/${owner}/${repo}/contributors?per_page=${HISTORY_PAGE_SIZE}`).catch(() => null);
+      return {
+        commits: commits.slice(0, maxCommits),
+        contributors: Array.isArray(contributors)
+          ? contributors.map((entry) => ({ name: entry.login || entry.name, commits: entry.contributions }))
+          : null
+      };
+    }
+  };
+}
+
+function createGitLabProvider(source, token, { signal } = {}) {
+  const project = encodeURIComponent(`${source.owner}/${source.repo}`);
+  const headers = { Accept: "application/json" };
+  if (token) headers["PRIVATE-TOKEN"] = token;
+  const init = { headers, signal };
+  const base = `${source.apiRoot}/projects/${project}`;
+
+  return {
+    source,
+    languageMetric: "share",
+    async getRepository() {
+      const info = await requestJson(base, init, "GitLab");
+      return {
+        name: info.name,
+        fullName: info.path_with_namespace,
+        description: info.description,
+        homepage: info.web_url,
+        stars: info.star_count,
+        forks: info.forks_count,
+        watchers: null,
+        openIssues: info.open_issues_count ?? null,
+        defaultBranch: info.default_branch
+      };
+    },
+    async resolveRef(ref, repoInfo) {
+      if (ref?.kind !== "pull") return resolveNamedRef(ref, repoInfo);
+      const mergeRequest = await requestJson(`${base}/merge_requests/${ref.value}`, init, "GitLab");
+      return {
+        kind: "pull",
+        name: `!${ref.value}`,
+        title: mergeRequest.title,
+        commit: mergeRequest.sha,
+        target: mergeRequest.sha
+      };
+    },
+    async getLanguages() {
+      return requestJson(`${base}/languages`, init, "GitLab");
+    },
+    async getTree(ref, { maxItems = Infinity } = {}) {
+      const entries = [];
+      let page = "1";
+      while (page && entries.length < maxItems) {
+        const url = `${base}/repository/tree?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}&ref=${encodeURIComponent(ref)}`;
+        const { body, response } = await request(url, init, "GitLab");
+        for (const item of JSON.parse(body)) {
+          if (item.type === "blob") entries.push({ path: item.path, type: "blob", sha: item.id });
+        }
+        page = response.headers.get("x-next-page");
+      }
+      return entries;
+    },
+    async getFileContent(path, ref) {
+      const { body } = await request(
+        `${base}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`,
+        init,
+        "GitLab"
+      );
+      return body;
+    },
+    async getHistory(ref, { maxCommits = Infinity, maxDetails = 0 } = {}) {
+      const commits = [];
+      let page = "1";
+      while (page && commits.length < maxCommits) {
+        const url = `${base}/repository/commits?ref_name=${encodeURIComponent(ref)}&per_page=${HISTORY_PAGE_SIZE}&page=${page}`;
+        const { body, response } = await request(url, init, "GitLab");
+        for (const item of JSON.parse(body)) {
+          if (item.parent_ids?.length > 1) continue;
+          commits.push({ sha: item.id, author: item.author_name, email: item.author_email || "", date: item.authored_date });
+        }
+        page = response.headers.get("x-next-page");
+      }
+      await loadCommitFiles(commits.slice(0, maxDetails), async (commit) => {
+        const diffs = await requestJson(`${base}/repository/commits/${commit.sha}/diff?per_page=${HISTORY_PAGE_SIZE}`, init, "GitLab");
+        return diffs.map((diff) => {
+          const lines = (diff.diff || "").split("\n");
+          return {
+            path: diff.new_path,
+            previousPath: diff.renamed_file ? diff.old_path : undefined,
+            additions: lines.filter((line) => line.startsWith("+")).length,
+            deletions: lines.filter((line) => line.startsWith("-")).length
+          };
+        });
+      });
+      const contributors = await requestJson(
+        `${base}/repository/contributors?order_by=commits&sort=desc&per_page=${HISTORY_PAGE_SIZE}`,
+        init,
+        "GitLab"
+      ).catch(() => null);
+      return {
+        commits: commits.slice(0, maxCommits),
+        contributors: contributors?.map((entry) => ({ name: entry.name, email: entry.email, commits: entry.commits })) ?? null
+      };
+    }
+  };
+}
+
+function createBitbucketProvider(source, token, { signal } = {}) {
+  const headers = { Accept: "application/json" };
+  if (token) {
+    headers.Authorization = token.includes(":") ? `Basic ${btoa(token)}` : `Bearer ${token}`;
+  }
+  const init = { headers, signal };
+  const base = `${source.apiRoot}/repositories/${source.owner}/${source.repo}`;
+
+  return {
+    source,
+    languageMetric: "bytes",
+    async getRepository() {
+      const info = await requestJson(base, init, "Bitbucket");
+      return {
+        name: info.name,
+        fullName: info.full_name,
+        description: info.description,
+        homepage: info.website || info.links?.html?.href,
+        stars: null,
+        forks: null,
+        watchers: null,
+        openIssues: null,
+        defaultBranch: info.mainbranch?.name
+      };
+    },
+    async resolveRef(ref, repoInfo) {
+      if (ref?.kind !== "pull") return resolveNamedRef(ref, repoInfo);
+      const pull = await requestJson(`${base}/pullrequests/${ref.value}`, init, "Bitbucket");
+      const commit = pull.source?.commit?.hash;
+      if (!commit) throw new Error(`Pull request #${ref.value} has no source commit.`);
+      return { kind: "pull", name: `#${ref.value}`, title: pull.title, commit, target: commit };
+    },
+    async getLanguages(tree) {
+      return estimateLanguages(tree);
+    },
+    async getTree(ref, { maxItems = Infinity } = {}) {
+      const entries = [];
+      let next = `${base}/src/${encodeURIComponent(ref)}/?max_depth=100&pagelen=${TREE_PAGE_SIZE}`;
+      while (next && entries.length < maxItems) {
+        const payload = await requestJson(next, init, "Bitbucket");
+        for (const item of payload.values || []) {
+          if (item.type === "commit_file") entries.push({ path: item.path, type: "blob", size: item.size });
+        }
+        next = payload.next;
+      }
+      return entries;
+    },
+    async getFileContent(path, ref) {
+      const { body } = await request(
+        `${base}/src/${encodeURIComponent(ref)}/${encodePath(path)}`,
+        init,
+        "Bitbucket"
+      );
+      return body;
+    },
+    async getHistory(ref, { maxCommits = Infinity, maxDetails = 0 } = {}) {
+      const commits = [];
+      let next = `${base}/commits/${encodeURIComponent(ref)}?pagelen=${HISTORY_PAGE_SIZE}`;
+      while (next && commits.length < maxCommits) {
+        const payload = await requestJson(next, init, "Bitbucket");
+        for (const item of payload.values || []) {
+          if (item.parents?.length > 1) continue;
+          const raw = item.author?.raw || "";
+          commits.push({
+            sha: item.hash,
+            author: item.author?.user?.display_name || raw.replace(/\s*<[^>]*>\s*$/, "") || "unknown",
+            email: /<([^>]+)>/.exec(raw)?.[1] || "",
+            date: item.date
+          });
+        }
+        next = payload.next;
+      }
+      await loadCommitFiles(commits.slice(0, maxDetails), async (commit) => {
+        const payload = await requestJson(`${base}/diffstat/${commit.sha}?pagelen=${HISTORY_PAGE_SIZE}`, init, "Bitbucket");
+        return (payload.values || []).map((entry) => ({
+          path: entry.new?.path || entry.old?.path,
+          previousPath: entry.status === "renamed" ? entry.old?.path : undefined,
+          additions: entry.lines_added,
+          deletions: entry.lines_removed
+        }));
+      });
+      return { commits: commits.slice(0, maxCommits), contributors: null };
+    }
+  };
+}
+
+function createGiteaProvider(source, token, { signal } = {}) {
+  const headers = { Accept: "application/json" };
+  if (token) headers.Authorization = `token ${token}`;
+  const init = { headers, signal };
+  const base = `${source.apiRoot}/repos/${source.owner}/${source.repo}`;
+
+  return {
+    source,
+    languageMetric: "bytes",
+    async getRepository() {
+      const info = await requestJson(base, init, "Gitea");
+      return {
+        name: info.name,
+        fullName: info.full_name,
+        description: info.description,
+        homepage: info.website || info.html_url,
+        stars: info.stars_count,
+        forks: info.forks_count,
+        watchers: info.watchers_count,
+        openIssues: info.open_issues_count,
+        defaultBranch: info.default_branch
+      };
+    },
+    async resolveRef(ref, repoInfo) {
+      if (ref?.kind === "pull") {
+        const pull = await requestJson(`${base}/pulls/${ref.value}`, init, "Gitea");
+        return {
+          kind: "pull",
+          name: `#${ref.value}`,
+          title: pull.title,
+          commit: pull.head.sha,
+          target: pull.head.sha
+        };
+      }
+      const resolved = resolveNamedRef(ref, repoInfo);
+      if (resolved.kind === "commit") return resolved;
+      const name = encodeURIComponent(resolved.name);
+      const branch = await requestJson(`${base}/branches/${name}`, init, "Gitea").catch(() => null);
+      const commit =
+        branch?.commit?.id ??
+        (await requestJson(`${base}/tags/${name}`, init, "Gitea").catch(() => null))?.commit?.sha;
+      if (!commit) throw new Error(`Branch or tag "${resolved.name}" was not found.`);
+      return { ...resolved, commit, target: commit };
+    },
+    async getLanguages() {
+      return requestJson(`${base}/languages`, init, "Gitea");
+    },
+    async getTree(ref, { maxItems = Infinity } = {}) {
+      const entries = [];
+      let page = 1;
+      let truncated = true;
+      while (truncated && entries.length < maxItems) {
+        const payload = await requestJson(
+          `${base}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=1000&page=${page}`,
+          init,
+          "Gitea"
+        );
+        if (!payload.tree) throw new Error("Could not read repository tree.");
+        entries.push(...payload.tree.filter((item) => item.type === "blob"));
+        truncated = Boolean(payload.truncated) && payload.tree.length > 0;
+        page += 1;
+      }
+      return entries;
+    },
+    async getFileContent(path, ref) {
+      const { body } = await request(
+        `${base}/raw/${encodePath(path)}?ref=${encodeURIComponent(ref)}`,
+        init,
+        "Gitea"
+      );
+      return body;
+    },
+    async getHistory(ref, { maxCommits = Infinity } = {}) {
+      // Gitea lists touched files with each commit but not line counts.
+      const commits = [];
+      for (let page = 1; commits.length < maxCommits; page += 1) {
+        const batch = await requestJson(
+          `${base}/commits?sha=${encodeURIComponent(ref)}&limit=50&page=${page}&stat=false&verification=false&files=true`,
+          init,
+          "Gitea"
+        );
+        for (const item of batch) {
+          if (item.parents?.length > 1) continue;
+          commits.push({
+            sha: item.sha,
+            author: item.author?.login || item.commit?.author?.name || "unknown",
+            email: item.commit?.author?.email || "",
+            date: item.commit?.author?.date,
+            files: (item.files || []).map((file) => ({ path: file.filename, additions: null, deletions: null }))
+          });
+        }
+        if (batch.length < 50) break;
+      }
+      return { commits: commits.slice(0, maxCommits), contributors: null };
+    }
+  };
+}
+
+function createLocalProvider(source) {
+  if (typeof process === "undefined" || !process.versions?.node) {
+    throw new Error("Local directories can only be analyzed from the command line.");
+  }
+  const loadNode = async () => {
+    const [fs, path] = await Promise.all([import("node:fs/promises"), import("node:path")]);
+    return { fs, path, root: path.resolve(source.root.replace(/^~(?=[\\/])/, process.env.HOME || "~")) };
+  };
+
+  return {
+    source,
+    languageMetric: "bytes",
+    async getRepository() {
+      const { fs, path, root } = await loadNode();
+      const stats = await fs.stat(root).catch(() => null);
+      if (!stats?.isDirectory()) throw new Error(`Local path not found: ${source.root}`);
+      const branch = await runGit(root, ["rev-parse", "--abbrev-ref", "HEAD"]).catch(() => "");
+      return {
+        name: path.basename(root),
+        fullName: path.basename(root),
+        description: root,
+        homepage: null,
+        stars: null,
+        forks: null,
+        watchers: null,
+        openIssues: null,
+        defaultBranch: branch.trim() || "working tree"
+      };
+    },
+    async resolveRef(ref, repoInfo) {
+      if (!ref) return { kind: "worktree", name: repoInfo.defaultBranch, commit: null, target: null };
+      const { root } = await loadNode();
+      const commit = await runGit(root, ["rev-parse", "--verify", "--quiet", `${ref.value}^{commit}`])
+        .then((output) => output.trim())
+        .catch(() => "");
+      if (!commit) throw new Error(`Ref "${ref.value}" was not found in the local repository.`);
+      return { kind: ref.kind, name: ref.value, commit, target: commit };
+    },
+    async getLanguages(tree) {
+      return estimateLanguages(tree);
+    },
+    async getTree(ref, { maxItems = Infinity } = {}) {
+      const { fs, path, root } = await loadNode();
+      if (ref) {
+        const listing = await runGit(root, ["ls-tree", "-r", "-l", "-z", ref]);
+        return listing
+          .split("\0")
+          .filter(Boolean)
+          .slice(0, maxItems)
+          .map((line) => {
+            const [meta, filePath] = line.split("\t");
+            const [, type, sha, size] = meta.split(/\s+/);
+            return { path: filePath, type, sha, size: Number(size) || 0 };
+          })
+          .filter((entry) => entry.type === "blob");
+      }
+      const tracked = await runGit(root, ["ls-files", "-z"])
+        .then((output) => output.split("\0").filter(Boolean))
+        .catch(() => null);
+      const files = tracked ?? (await walkDirectory(fs, path, root, maxItems));
+      const entries = [];
+      for (const relative of files.slice(0, maxItems)) {
+        const stats = await fs.stat(path.join(root, relative)).catch(() => null);
+        if (!stats?.isFile()) continue;
+        entries.push({ path: relative.split(path.sep).join("/"), type: "blob", size: stats.size });
+      }
+      return entries;
+    },
+    async getFileContent(filePath, ref) {
+      const { fs, path, root } = await loadNode();
+      if (ref) return runGit(root, ["show", `${ref}:${filePath}`]);
+      const absolute = path.resolve(root, filePath);
+      if (!absolute.startsWith(`${root}${path.sep}`)) throw new Error("Path escapes the repository root.");
+      return fs.readFile(absolute, "utf8");
+    },
+    async getHistory(ref, { maxCommits = Infinity } = {}) {
+      const { root } = await loadNode();
+      const args = ["log", "--no-merges", "--numstat", "--format=%x1e%H%x1f%an%x1f%ae%x1f%aI"];
+      if (Number.isFinite(maxCommits)) args.push(`--max-count=${maxCommits}`);
+      args.push(ref || "HEAD", "--");
+      const output = await runGit(root, args);
+      const commits = output
+        .split("\x1e")
+        .filter((chunk) => chunk.trim())
+        .map((chunk) => {
+          const [header, ...lines] = chunk.split("\n");
+          const [sha, author, email, date] = header.split("\x1f");
+          const files = lines
+            .filter(Boolean)
+            .map((line) => {
+              const [additions, deletions, filePath] = line.split("\t");
+              return {
+                ...splitRenamedPath(filePath),
+                additions: additions === "-" ? 0 : Number(additions),
+                deletions: deletions === "-" ? 0 : Number(deletions)
+              };
+            });
+          return { sha, author, email, date, files };
+        });
+      return { commits, contributors: null };
+    }
+  };
+}
+
+// `git log --numstat` prints renames as `old => new` or `dir/{old => new}/file`.
+function splitRenamedPath(value) {
+  if (!value.includes(" => ")) return { path: value };
+  const braced = value.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+  if (!braced) {
+    const [previousPath, path] = value.split(" => ");
+    return { path, previousPath };
+  }
+  const join = (middle) => `${braced[1]}${middle}${braced[4]}`.replace(/\/\//g, "/");
+  return { path: join(braced[3]), previousPath: join(braced[2]) };
+}
+
+// Fetches the touched files of the most recent commits a few at a time.
+async function loadCommitFiles(commits, fetchFiles) {
+  for (let index = 0; index < commits.length; index += HISTORY_CONCURRENCY) {
+    await Promise.all(
+      commits.slice(index, index + HISTORY_CONCURRENCY).map(async (commit) => {
+        commit.files = await fetchFiles(commit).catch((error) => {
+          console.warn(`Unable to read files changed by ${commit.sha}`, error);
+          return undefined;
+        });
+      })
+    );
+  }
+}
+
+async function walkDirectory(fs, path, root, maxItems) {
+  const files = [];
+  const pending = [""];
+  while (pending.length && files.length < maxItems) {
+    const current = pending.shift();
+    const entries = await fs.readdir(path.join(root, current), { withFileTypes: true });
+    for (const entry of entries) {
+      const relative = current ? `${current}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!LOCAL_IGNORED_DIRECTORIES.has(entry.name)) pending.push(relative);
+      } else if (entry.isFile()) {
+        files.push(relative);
+      }
+    }
+  }
+  return files;
+}
+
+async function runGit(cwd, args) {
+  const [{ execFile }, { promisify }] = await Promise.all([
+    import("node:child_process"),
+    import("node:util")
+  ]);
+  const { stdout } = await promisify(execFile)("git", args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+export function languageForPath(path) {
+  const name = path.split("/").pop() || "";
+  const extension = name.toLowerCase() === "dockerfile" ? "dockerfile" : name.split(".").pop().toLowerCase();
+  return LANGUAGE_BY_EXTENSION[extension] || null;
+}
+
+// Language mix from file extensions, weighted by size. Trees without sizes
+// (GitLab) count files instead.
+export function estimateLanguages(tree = []) {
+  const sized = tree.some((entry) => entry.size != null);
+  const totals = {};
+  for (const entry of tree) {
+    const language = languageForPath(entry.path);
+    if (!language) continue;
+    totals[language] = (totals[language] ?? 0) + (sized ? entry.size ?? 0 : 1);
+  }
+  return totals;
+}
+
+async function requestJson(url, init, label) {
+  const { body } = await request(url, init, label);
+  return JSON.parse(body);
+}
+
+async function request(url, init, label) {
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    const payload = await safeJson(response);
+    const message = payload?.message || payload?.error?.message || payload?.error || response.statusText;
+    const rateLimited =
+      response.status === 429 ||
+      (response.status === 403 && response.headers.get("x-ratelimit-remaining") === "0");
+    if (rateLimited) {
+      throw new Error(`${label} rate limit exceeded. Provide a personal access token to continue.`);
+    }
+    if (response.status === 404) {
+      throw new Error(
+        "Repository or resource not found. Double-check the owner/repo slug and ensure the token has access if the repo is private."
+      );
+    }
+    if (response.status === 401) {
+      throw new Error(`${label} rejected the token. Verify it is valid and has the required scopes.`);
+    }
+    throw new Error(`${label} API error (${response.status}): ${message}`);
+  }
+  return { response, body: await response.text() };
+}
+
+function encodePath(path) {
+  return path
+    .split("/")
+    .map((segment) => encodeURIComponent(segment))
+    .join("/");
+}
+
+function decodeBase64(base64) {
+  const clean = base64.replace(/\n/g, "");
+  const binary = atob(clean);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder("utf-8", { fatal: false }).decode(bytes);
+}
+
+async function safeJson(response) {
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
@@ -1,105 +1,207 @@
-const TRANSFORMERS_SRC = "https://cdn.jsdelivr.net/npm/@xenova/transformers@2.14.1";
-const DEFAULT_EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
-const DEFAULT_TEXT_MODEL = "Xenova/phi-2";
-const MAX_CHUNK_TOKENS = 260;
-const MAX_FILES_FOR_INDEX = 60;
+import { createModelBackend } from "./backends.js";
+import { getExtension } from "./paths.js";
+import { languageForPath } from "./providers.js";
+import { buildLexicalIndex, hybridSearch } from "./retrieval.js";
+import { getFileRecords, getIndexManifest, gitBlobSha, saveIndexRecords } from "./vectorstore.js";
+import { isInside } from "./workspaces.js";
 
-let transformersPromise;
-let embeddingPipelinePromise;
-let generationPipelinePromise;
+const MAX_FILES_FOR_INDEX = 60;
+// Bumped whenever the chunk shape changes so stale stored records are rebuilt.
+const INDEX_VERSION = 4;
 
+// Reuses stored file records by blob SHA, so when the branch moves only the
+// changed files are downloaded, chunked and embedded again. `onStep(fraction,
+// label)` reports progress for a progress bar; `signal` cancels the build.
+// `backend` (see src/backends.js) defaults to the in-browser models.
 export async function buildRagIndex({
+  key,
   owner,
   repo,
   branch,
   token,
   sampledFiles,
-  fetchFileContent
+  components,
+  fetchFileContent,
+  backend = createModelBackend(),
+  signal,
+  onProgress = () => {},
+  onStep = () => {}
 }) {
+  const version = recordVersion(backend);
   const filesToProcess = (sampledFiles || []).slice(0, MAX_FILES_FOR_INDEX);
-  const chunks = [];
-  for (const file of filesToProcess) {
+  const stored = await getFileRecords(
+    version,
+    filesToProcess.map((file) => file.sha).filter(Boolean)
+  ).catch((error) => {
+    console.warn("Unable to read the stored semantic index", error);
+    return new Map();
+  });
+  const entries = [];
+  const records = [];
+  for (const [position, file] of filesToProcess.entries()) {
+    signal?.throwIfAborted();
+    const step = (fraction, label) => onStep((position + fraction) / filesToProcess.length, label);
+    step(0, `Indexing ${file.path}`);
     try {
-      const content = await fetchFileContent(owner, repo, file.path, branch, token);
-      const fileChunks = chunkSourceFile(content, file.path);
-      chunks.push(...fileChunks);
+      let record = file.sha ? stored.get(file.sha) : null;
+      if (!record) {
+        const content = await fetchFileContent(owner, repo, file.path, branch, token);
+        const sha = file.sha || (await gitBlobSha(content));
+        record = stored.get(sha) || (await getFileRecords(version, [sha]).catch(() => new Map())).get(sha);
+        if (!record) {
+          record = await backend.indexFile(
+            { sha, path: file.path, content },
+            { signal, onProgress: (progress) => step(...describeModelProgress(progress, file.path)) }
+          );
+          records.push(record);
+        }
+      }
+      entries.push({ path: file.path, record });
     } catch (error) {
-      console.warn(`Unable to chunk ${file.path}`, error);
+      if (signal?.aborted) throw error;
+      console.warn(`Unable to index ${file.path}`, error);
     }
   }
+  onProgress(`Embedded ${records.length} changed file(s), reused ${entries.length - records.length} from the stored index.`);
 
-  const vectors = await embedChunks(chunks);
-  const index = {
-    key: `${owner}/${repo}@${branch}`,
-    chunks,
-    vectors,
-    dims: vectors[0]?.length || 0
-  };
-  saveIndex(index);
+  const index = assembleIndex(key || `${owner}/${repo}@${branch}`, entries, components, backend);
+  try {
+    await saveIndexRecords(
+      {
+        key: index.key,
+        version,
+        updatedAt: new Date().toISOString(),
+        files: entries.map(({ path, record }) => ({ path, sha: record.sha })),
+        chunks: index.chunks.length
+      },
+      records
+    );
+  } catch (error) {
+    console.warn("Could not persist RAG index", error);
+  }
   return index;
 }
 
-export async function loadIndex(key) {
-  try {
-    const payload = localStorage.getItem(`rag-index:${key}`);
-    if (!payload) return null;
-    const parsed = JSON.parse(payload);
-    parsed.vectors = parsed.vectors.map((vector) => Float32Array.from(vector));
-    return parsed;
-  } catch {
-    return null;
+// Chunks, embeds and lexically indexes in-memory documents without touching
+// the store. `embeddings: false` builds a BM25-only index, which needs no
+// model download.
+export async function createIndex(
+  documents,
+  { key = null, components = [], embeddings = true, backend = createModelBackend(), signal } = {}
+) {
+  const entries = [];
+  for (const document of documents) {
+    try {
+      const record = await backend.indexFile({ sha: null, path: document.path, content: document.content, embeddings }, { signal });
+      entries.push({ path: document.path, record });
+    } catch (error) {
+      // Failing before any document succeeded means the model is unavailable.
+      if (signal?.aborted || !entries.length) throw error;
+      console.warn(`Unable to chunk ${document.path}`, error);
+    }
   }
+  return assembleIndex(key, entries, components, backend);
 }
 
-export function saveIndex(index) {
-  if (!index?.key) return;
-  const serializable = {
-    ...index,
-    vectors: index.vectors.map((vector) => Array.from(vector))
-  };
+export async function loadIndex(key, { components, backend = createModelBackend() } = {}) {
   try {
-    localStorage.setItem(`rag-index:${index.key}`, JSON.stringify(serializable));
+    const manifest = await getIndexManifest(key);
+    if (manifest?.version !== recordVersion(backend)) return null;
+    const records = await getFileRecords(manifest.version, manifest.files.map((file) => file.sha));
+    if (manifest.files.some((file) => !records.has(file.sha))) return null;
+    return assembleIndex(
+      key,
+      manifest.files.map((file) => ({ path: file.path, record: records.get(file.sha) })),
+      components,
+      backend
+    );
   } catch (error) {
-    console.warn("Could not persist RAG index", error);
+    console.warn("Unable to load the stored semantic index", error);
+    return null;
+  }
+}
+
+function assembleIndex(key, entries, components = [], backend) {
+  const chunks = [];
+  const vectors = [];
+  const embedded = entries.length > 0 && entries.every(({ record }) => record.dims || !record.chunks.length);
+  for (const { path, record } of entries) {
+    const metadata = {
+      path,
+      extension: getExtension(path),
+      language: languageForPath(path),
+      component: (components || []).find((component) => component.path && isInside(path, component.path))?.name || null
+    };
+    record.chunks.forEach((chunk, position) => {
+      chunks.push({ ...chunk, id: `${path}::${position}`, ...metadata });
+      if (embedded) vectors.push(record.vectors.subarray(position * record.dims, (position + 1) * record.dims));
+    });
   }
+  return {
+    key,
+    version: recordVersion(backend),
+    embedding: backend.embeddingId,
+    chunks,
+    vectors,
+    dims: vectors[0]?.length || 0,
+    lexical: buildLexicalIndex(chunks)
+  };
 }
 
-export async function retrieveContext(question, index, topK = 4) {
+// Hybrid BM25 + vector retrieval; see hybridSearch for the options. `mode`
+// restricts it to "lexical" or "vector" and `rerank: true` scores the fused
+// head with a local cross-encoder.
+export async function retrieveContext(
+  question,
+  index,
+  topK = 4,
+  { filters, mmrLambda, rerank = false, mode = "hybrid", backend = createModelBackend(), signal } = {}
+) {
   if (!index) throw new Error("No semantic index loaded.");
-  const questionVector = await embedText(question);
-  const scored = index.vectors
-    .map((vector, idx) => ({
-      score: cosineSimilarity(vector, questionVector),
-      chunk: index.chunks[idx]
-    }))
-    .sort((a, b) => b.score - a.score)
-    .slice(0, topK);
-  return scored;
+  if (index.vectors.length && index.embedding !== backend.embeddingId) {
+    throw new Error(`The semantic index was embedded with ${index.embedding}; rebuild it for ${backend.embeddingId}.`);
+  }
+  const queryVector =
+    mode !== "lexical" && index.vectors.length ? await backend.embedQuery(question, { signal }) : null;
+  return hybridSearch(index, {
+    query: question,
+    queryVector,
+    topK,
+    filters,
+    mmrLambda,
+    mode,
+    rerank: rerank
+      ? (query, chunks) => backend.rerank(query, chunks.map((chunk) => chunk.content), { signal })
+      : null
+  });
 }
 
+// `onToken` receives the text generated so far while the model streams.
 export async function generateDiagramDescription({
   question,
   contextChunks,
   features,
-  analysisSummary
+  analysisSummary,
+  backend = createModelBackend(),
+  signal,
+  onToken,
+  onStep = () => {}
 }) {
   const prompt = buildDiagramPrompt(question, contextChunks, features, analysisSummary);
   try {
-    const generator = await getGenerationPipeline();
-    const output = await generator(prompt, {
-      max_new_tokens: 420,
-      temperature: 0.2,
-      top_k: 20,
-      repetition_penalty: 1.05
+    const text = await backend.generate(prompt, {
+      signal,
+      onToken,
+      onProgress: (progress) => onStep(...describeModelProgress(progress))
     });
-    const text = output[0]?.generated_text || "";
     return {
       prompt,
       result: sanitizeDiagramOutput(text),
-      model: DEFAULT_TEXT_MODEL,
+      model: backend.textModel,
       usedLLM: true
     };
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.warn("Falling back to heuristic diagram", error);
     return {
       prompt,
@@ -146,10 +248,19 @@ export function describeAnalysis(analysis) {
       )
     );
   }
-  if (analysis.externalApis?.length) {
+  if (analysis.dataStores?.stores?.length) {
+    lines.push(
+      "Data stores:",
+      ...analysis.dataStores.stores.map(
+        (store) => `- ${store.name} (${store.kind})${store.components?.length ? ` used by ${store.components.join(", ")}` : ""}`
+      )
+    );
+  }
+  const apiCalls = analysis.externalApis?.filter((api) => api.kind === "api") ?? [];
+  if (apiCalls.length) {
     lines.push(
       "External APIs:",
-      ...analysis.externalApis.slice(0, 5).map((api) => `- ${api.method} ${api.url}`)
+      ...apiCalls.slice(0, 5).map((api) => `- ${api.service || api.method} ${api.url}`)
     );
   }
   if (analysis.exposedApis?.length) {
@@ -163,98 +274,27 @@ export function describeAnalysis(analysis) {
   return lines.join("\n") || "No analysis summary available.";
 }
 
-function chunkSourceFile(content, path) {
-  if (!content) return [];
-  const sections = content
-    .split(/\n{2,}/)
-    .map((section) => section.trim())
-    .filter(Boolean);
-  const chunks = [];
-  let buffer = "";
-  sections.forEach((section) => {
-    if (buffer.length + section.length < MAX_CHUNK_TOKENS) {
-      buffer += `${section}\n\n`;
-    } else {
-      chunks.push(buffer.trim());
-      buffer = `${section}\n\n`;
-    }
-  });
-  if (buffer.trim()) {
-    chunks.push(buffer.trim());
-  }
-  return chunks.map((text, idx) => ({
-    id: `${path}::${idx}`,
-    path,
-    content: text
-  }));
-}
-
-async function embedChunks(chunks) {
-  const extractor = await getEmbeddingPipeline();
-  const vectors = [];
-  for (const chunk of chunks) {
-    const embedding = await extractor(chunk.content, { pooling: "mean", normalize: true });
-    vectors.push(toFloat32Array(embedding.data));
-  }
-  return vectors;
-}
-
-async function embedText(text) {
-  const extractor = await getEmbeddingPipeline();
-  const embedding = await extractor(text, { pooling: "mean", normalize: true });
-  return toFloat32Array(embedding.data);
+// Maps worker progress events to a fraction of the current step and a label.
+// Stored records are only shared between indexes built with the same
+// embedding model.
+function recordVersion(backend) {
+  return `${INDEX_VERSION}:${backend.embeddingId}`;
 }
 
-async function getEmbeddingPipeline() {
-  if (!embeddingPipelinePromise) {
-    const { pipeline, env } = await loadTransformers();
-    env.allowLocalModels = false;
-    env.useBrowserCache = supportsBrowserCache();
-    embeddingPipelinePromise = pipeline("feature-extraction", DEFAULT_EMBEDDING_MODEL);
+function describeModelProgress(progress, path = "") {
+  const fraction = progress.total ? Math.min(progress.done / progress.total, 1) : 0;
+  if (progress.stage === "download") {
+    return [0, `Downloading model ${progress.file || ""} (${Math.round(fraction * 100)}%)`];
   }
-  return embeddingPipelinePromise;
-}
-
-async function getGenerationPipeline() {
-  if (!generationPipelinePromise) {
-    const { pipeline, env } = await loadTransformers();
-    env.allowLocalModels = false;
-    env.useBrowserCache = supportsBrowserCache();
-    generationPipelinePromise = pipeline("text-generation", DEFAULT_TEXT_MODEL);
-  }
-  return generationPipelinePromise;
-}
-
-async function loadTransformers() {
-  if (!transformersPromise) {
-    transformersPromise = import(/* webpackIgnore: true */ TRANSFORMERS_SRC);
-  }
-  return transformersPromise;
-}
-
-function cosineSimilarity(a, b) {
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    dot += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
-  }
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB) + 1e-9);
-}
-
-function toFloat32Array(data) {
-  if (data instanceof Float32Array) return data;
-  if (Array.isArray(data)) return Float32Array.from(data);
-  return new Float32Array(data);
+  if (progress.stage === "embed") return [fraction, `Embedding ${path} (${progress.done}/${progress.total} chunks)`];
+  return [fraction, `Generating (${progress.done} tokens)`];
 }
 
 function buildDiagramPrompt(question, chunks, features, analysisSummary = "") {
   const chunkText = chunks
     .map(
       (entry, idx) =>
-        `Chunk ${idx + 1} (file: ${entry.chunk.path}):\n${truncate(entry.chunk.content, 900)}`
+        `Chunk ${idx + 1} (${describeChunk(entry.chunk)}):\n${truncate(entry.chunk.content, 900)}`
     )
     .join("\n\n");
   const featureText = features
@@ -284,6 +324,11 @@ Diagram:
 `;
 }
 
+export function describeChunk(chunk) {
+  const lines = chunk.startLine ? `:${chunk.startLine}-${chunk.endLine}` : "";
+  return `${chunk.path}${lines}${chunk.symbol ? ` ${chunk.kind || "symbol"} ${chunk.symbol}` : ""}`;
+}
+
 function sanitizeDiagramOutput(text) {
   if (!text) return "";
   const startMermaid = text.indexOf("```");
@@ -337,8 +382,3 @@ function truncate(text, max) {
   if (!text || text.length <= max) return text;
   return `${text.slice(0, max)}…`;
 }
-
-function supportsBrowserCache() {
-  return typeof globalThis !== "undefined" && typeof globalThis.caches !== "undefined";
-}
-
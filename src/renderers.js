@@ -1,4 +1,21 @@
+import { describeRef } from "./providers.js";
+import { buildClassDiagram } from "./symbols.js";
+
 const numberFormat = new Intl.NumberFormat();
+const WORKFLOW_KIND_LABELS = { page: "Page", component: "Component", datastore: "Data store" };
+const MAX_SYMBOL_ROWS = 500;
+const MAX_SYMBOL_SCOPES = 50;
+const MAX_METRIC_FILES = 100;
+const METRIC_COLUMNS = [
+  { key: "files", label: "Files" },
+  { key: "code", label: "Code" },
+  { key: "comment", label: "Comments" },
+  { key: "blank", label: "Blank" },
+  { key: "commentRatio", label: "Comment ratio", format: (value) => `${percentFormat.format(value * 100)}%` },
+  { key: "functions", label: "Functions" },
+  { key: "complexity", label: "Complexity" },
+  { key: "averageComplexity", label: "Avg / function" }
+];
 const percentFormat = new Intl.NumberFormat(undefined, {
   maximumFractionDigits: 1
 });
@@ -11,18 +28,133 @@ export function renderAnalysis(container, data) {
 export function buildAnalysisMarkup(data) {
   return `
     ${renderRepositorySummary(data.repo, data.meta)}
+    ${renderComparison(data.comparison)}
     ${renderLanguages(data.languages)}
+    ${renderTechnologies(data.technologies)}
     ${renderArchitecture(data.architecture)}
+    ${renderModuleGraph(data.moduleGraph)}
     ${renderDiagramExports(data.diagrams)}
     ${renderStructure(data.structure)}
-    ${renderClassStats(data.classes)}
+    ${renderMetrics(data.metrics)}
+    ${renderHistory(data.history)}
+    ${renderSymbols(data.classes, data.diagrams?.classes)}
     ${renderExternalApis(data.externalApis)}
-    ${renderExposedApis(data.exposedApis)}
+    ${renderExposedApis(data.exposedApis, data.openapi)}
+    ${renderContracts(data.contracts)}
+    ${renderDataStores(data.dataStores)}
+    ${renderDependencies(data.dependencies)}
+    ${renderAudit(data.audit)}
+  `;
+}
+
+function renderComparison(comparison) {
+  if (!comparison) return "";
+  const baseLabel = describeRef(comparison.base.ref);
+  const headLabel = describeRef(comparison.head.ref);
+
+  return `
+    <section class="result-block">
+      <h2>Architectural drift</h2>
+      <p class="muted">
+        Comparing <strong>${baseLabel}</strong> (base) with <strong>${headLabel}</strong> (head). Type and API
+        differences only cover the files sampled on each side; language shares are estimated from each ref's file
+        extensions and sizes.
+      </p>
+      ${renderComparisonTable("Languages", comparison.languages, baseLabel, headLabel, (share) =>
+        `${percentFormat.format(share)}%`
+      )}
+      ${renderComparisonTable("Top-level directories", comparison.directories, baseLabel, headLabel, (files) =>
+        `${numberFormat.format(files)} files`
+      )}
+      ${renderComparisonTable("Components", comparison.components, baseLabel, headLabel, (component) =>
+        `${numberFormat.format(component.files)} files · ${component.technologies.join(", ") || "Mixed"}`
+      )}
+      ${renderComparisonTable("Types per file", comparison.classes, baseLabel, headLabel, (count) =>
+        `${numberFormat.format(count)} types`
+      )}
+      <div class="compare-grid">
+        ${renderChangeList(
+          "Removed external hosts",
+          comparison.externalHosts.removed.map((host) => `<strong>${host}</strong>`),
+          "removed"
+        )}
+        ${renderChangeList(
+          "Added external hosts",
+          comparison.externalHosts.added.map((host) => `<strong>${host}</strong>`),
+          "added"
+        )}
+        ${renderChangeList(
+          "Removed routes",
+          comparison.exposedRoutes.removed.map(formatRouteChange),
+          "removed"
+        )}
+        ${renderChangeList("Added routes", comparison.exposedRoutes.added.map(formatRouteChange), "added")}
+      </div>
+      ${renderMermaidBlock(comparison.diagram, "comparison-overlay", "Drift overlay (Mermaid)")}
+    </section>
   `;
 }
 
+function renderComparisonTable(title, entries, baseLabel, headLabel, formatValue) {
+  const visible = entries.filter((entry) => entry.status !== "unchanged");
+  return `
+    <div class="card compare-card">
+      <h3>${title}</h3>
+      ${
+        visible.length
+          ? `
+        <div class="compare-grid compare-grid--header">
+          <span class="muted">${baseLabel}</span>
+          <span class="muted">${headLabel}</span>
+        </div>
+        ${visible
+          .map(
+            (entry) => `
+          <div class="compare-row">
+            <div class="compare-row__title">
+              <strong>${entry.name}</strong>
+              ${renderStatusBadge(entry.status)}
+            </div>
+            <div class="compare-grid">
+              <span class="mono">${entry.before === null ? "—" : formatValue(entry.before)}</span>
+              <span class="mono">${entry.after === null ? "—" : formatValue(entry.after)}</span>
+            </div>
+          </div>
+        `
+          )
+          .join("")}`
+          : `<p class="muted">No differences detected.</p>`
+      }
+    </div>
+  `;
+}
+
+function renderChangeList(title, items, status) {
+  return `
+    <div class="card">
+      <h3>${title} ${renderStatusBadge(status, items.length)}</h3>
+      ${
+        items.length
+          ? `<ul class="list">${items.map((item) => `<li>${item}</li>`).join("")}</ul>`
+          : `<p class="muted">None.</p>`
+      }
+    </div>
+  `;
+}
+
+function renderStatusBadge(status, count) {
+  const modifier = { removed: " badge--danger", changed: " badge--warning" }[status] || "";
+  return `<span class="badge${modifier}">${count === undefined ? status : numberFormat.format(count)}</span>`;
+}
+
+function formatRouteChange(route) {
+  return `<span class="badge">${route.method}</span> <strong>${route.endpoint}</strong> <span class="muted mono">${formatSourceLocation(
+    route
+  )}</span>`;
+}
+
 function renderDiagramExports(diagrams) {
-  if (!diagrams || (!diagrams.overview && !diagrams.sequences?.length)) {
+  if (!diagrams || (!diagrams.overview && !diagrams.sequences?.length && !diagrams.imports && !diagrams.entityRelationship)) {
     return "";
   }
 
@@ -39,6 +171,8 @@ function renderDiagramExports(diagrams) {
       </p>
       ${renderMermaidBlock(diagrams.overview, "architecture-overview", "Architecture overview")}
       ${sequencesMarkup}
+      ${renderMermaidBlock(diagrams.imports, "component-imports", "Component import graph")}
+      ${renderMermaidBlock(diagrams.entityRelationship, "entity-relationship", "Entity-relationship diagram")}
     </section>
   `;
 }
@@ -83,6 +217,16 @@ function renderArchitectureBlocks(architecture) {
       <div class="architecture__node architecture__node--root">
         <h3>${architecture.repo.name}</h3>
         <p class="muted">Key languages: ${architecture.repo.languages.join(", ") || "n/a"}</p>
+        ${
+          architecture.repo.frameworks?.length
+            ? `<p class="muted">Stack: ${architecture.repo.frameworks.join(", ")}</p>`
+            : ""
+        }
+        ${
+          architecture.repo.workspaceTools?.length
+            ? `<p class="muted">Workspace: ${architecture.repo.workspaceTools.join(", ")}</p>`
+            : ""
+        }
       </div>
       <div class="architecture__branches">
         ${architecture.components
@@ -92,7 +236,9 @@ function renderArchitectureBlocks(architecture) {
                 <span class="architecture__line"></span>
                 <div class="architecture__node">
                   <h4>${component.name}</h4>
+                  ${component.path && component.path !== component.name ? `<p class="mono">${component.path}</p>` : ""}
                   <p class="muted">${numberFormat.format(component.files)} files</p>
+                  ${renderComponentCodeSummary(component)}
                   <div class="architecture__tech">
                     ${
                       component.technologies.length
@@ -107,6 +253,23 @@ function renderArchitectureBlocks(architecture) {
                       ? `<p class="mono architecture__samples">${component.samples.join("<br />")}</p>`
                       : ""
                   }
+                  ${
+                    component.importsFrom?.length
+                      ? `<p class="architecture__samples">${component.importsFrom
+                          .map((edge) => `→ ${edge.component} <span class="muted">(${numberFormat.format(edge.count)})</span>`)
+                          .join("<br />")}</p>`
+                      : ""
+                  }
+                  ${
+                    component.dependsOn?.length
+                      ? `<p class="muted architecture__samples">Depends on: ${component.dependsOn.join(", ")}</p>`
+                      : ""
+                  }
+                  ${
+                    component.dataStores?.length
+                      ? `<p class="muted architecture__samples">Data stores: ${component.dataStores.join(", ")}</p>`
+                      : ""
+                  }
                 </div>
               </div>
             `
@@ -117,6 +280,21 @@ function renderArchitectureBlocks(architecture) {
   `;
 }
 
+function renderComponentCodeSummary(component) {
+  if (component.classes === undefined) return "";
+  return `
+    <p class="muted">
+      ${component.linesOfCode ? `${numberFormat.format(component.linesOfCode)} LOC · ` : ""}${numberFormat.format(component.classes)} types · ${numberFormat.format(component.routes)} routes ·
+      ${numberFormat.format(component.externalApis)} outbound APIs${
+        component.dependencies
+          ? ` · ${numberFormat.format(component.dependencies.direct)} direct /
+            ${numberFormat.format(component.dependencies.transitive)} transitive deps`
+          : ""
+      }
+    </p>
+  `;
+}
+
 function renderArchitectureWorkflow(workflow = []) {
   if (!workflow.length) {
     return `
@@ -130,7 +308,7 @@ function renderArchitectureWorkflow(workflow = []) {
     .map(
       (step) => `
         <div class="architecture__flow-step">
-          <span class="pill pill--small">${step.kind === "page" ? "Page" : "Component"}</span>
+          <span class="pill pill--small">${WORKFLOW_KIND_LABELS[step.kind] || "Component"}</span>
           <strong>${step.title}</strong>
           <p class="muted">${step.detail}</p>
           ${step.source ? `<p class="mono">${step.source}</p>` : ""}
@@ -154,24 +332,57 @@ function renderRepositorySummary(repo, meta) {
         <h3>${repo.fullName}</h3>
         <p class="muted">${repo.description || "No description provided."}</p>
         <div class="result-grid">
+          ${renderMetric("Analyzed ref", describeRef(repo.ref) || repo.defaultBranch)}
           ${renderMetric("Default branch", repo.defaultBranch)}
-          ${renderMetric("Stars", numberFormat.format(repo.stars))}
-          ${renderMetric("Forks", numberFormat.format(repo.forks))}
-          ${renderMetric("Open issues", numberFormat.format(repo.openIssues))}
+          ${renderMetric("Stars", formatCount(repo.stars))}
+          ${renderMetric("Forks", formatCount(repo.forks))}
+          ${renderMetric("Open issues", formatCount(repo.openIssues))}
           ${renderMetric("Files scanned", numberFormat.format(meta.treeEntries))}
           ${renderMetric("Files analyzed deeply", numberFormat.format(meta.analyzedFiles))}
+          ${meta.sampling ? renderMetric("Sampling strategy", meta.sampling.label) : ""}
         </div>
+        ${renderSamplingCoverage(meta.sampling)}
       </div>
     </section>
   `;
 }
 
+function renderSamplingCoverage(sampling) {
+  if (!sampling) return "";
+  const { coverage, excluded } = sampling;
+  const skipped = [
+    excluded.vendored && `${numberFormat.format(excluded.vendored)} vendored`,
+    excluded.generated && `${numberFormat.format(excluded.generated)} generated`,
+    excluded.filtered && `${numberFormat.format(excluded.filtered)} filtered by globs`,
+    excluded.tooLarge && `${numberFormat.format(excluded.tooLarge)} too large`
+  ].filter(Boolean);
+  const globs = [
+    sampling.include.length && `include ${sampling.include.map((glob) => `<code>${escapeHtml(glob)}</code>`).join(", ")}`,
+    sampling.exclude.length && `exclude ${sampling.exclude.map((glob) => `<code>${escapeHtml(glob)}</code>`).join(", ")}`
+  ].filter(Boolean);
+  const bytes = coverage.bytes === null ? "" : `${percentFormat.format(coverage.bytes * 100)}% of source bytes, `;
+  return `
+    <p class="muted">
+      Read ${numberFormat.format(sampling.sampled)} of ${numberFormat.format(sampling.sourceFiles)} source files:
+      ${percentFormat.format(coverage.files * 100)}% of files, ${bytes}and
+      ${percentFormat.format(coverage.directories * 100)}% of eligible directories.
+      ${skipped.length ? `Skipped ${skipped.join(", ")}.` : ""}
+      ${
+        sampling.unsized
+          ? `The provider listed no size for ${numberFormat.format(sampling.unsized)} file(s), so byte coverage is unknown and the size limit, largest-first order, and byte budget do not apply to them.`
+          : ""
+      }
+      ${globs.length ? `Globs: ${globs.join("; ")}.` : ""}
+    </p>
+  `;
+}
+
 function renderLanguages(languages) {
   if (!languages.length) {
     return `
       <section class="result-block">
         <h2>Languages</h2>
-        <p class="muted">GitHub did not report any language statistics for this repository.</p>
+        <p class="muted">The provider did not report any language statistics for this repository.</p>
       </section>
     `;
   }
@@ -184,8 +395,10 @@ function renderLanguages(languages) {
             (lang) => `
           <div class="card">
             <div class="pill">${lang.language}</div>
-            <p class="muted">${percentFormat.format(lang.share)}% of tracked bytes</p>
-            <p class="mono">${numberFormat.format(lang.bytes)} bytes</p>
+            <p class="muted">${percentFormat.format(lang.share)}% of tracked ${
+              lang.bytes === null ? "code" : "bytes"
+            }</p>
+            ${lang.bytes === null ? "" : `<p class="mono">${numberFormat.format(lang.bytes)} bytes</p>`}
           </div>
         `
           )
@@ -195,6 +408,63 @@ function renderLanguages(languages) {
   `;
 }
 
+const TECHNOLOGY_CATEGORIES = {
+  framework: "Frameworks",
+  orm: "ORMs & data access",
+  testing: "Test runners",
+  build: "Build tools",
+  cloud: "Cloud platforms & SDKs",
+  deployment: "Deployment & infrastructure"
+};
+
+function renderTechnologies(technologies) {
+  if (!technologies) return "";
+  if (!technologies.length) {
+    return `
+      <section class="result-block">
+        <h2>Technology stack</h2>
+        <p class="muted">No framework, ORM, test runner, or build tool fingerprints matched.</p>
+      </section>
+    `;
+  }
+
+  const groups = Object.entries(TECHNOLOGY_CATEGORIES)
+    .map(([category, title]) => {
+      const entries = technologies.filter((entry) => entry.category === category);
+      if (!entries.length) return "";
+      return `
+        <div class="card">
+          <h3>${title}</h3>
+          <ul class="list">
+            ${entries
+              .map(
+                (entry) => `
+                  <li>
+                    <strong>${entry.name}</strong>
+                    <span class="badge">${Math.round(entry.confidence * 100)}%</span>
+                    <span class="muted mono">${entry.evidence
+                      .slice(0, 2)
+                      .map((item) => item.detail)
+                      .join(", ")}</span>
+                  </li>
+                `
+              )
+              .join("")}
+          </ul>
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <section class="result-block">
+      <h2>Technology stack</h2>
+      <div class="result-grid">${groups}</div>
+      <p class="muted">Confidence combines config files, direct dependencies, and imports found in sampled files.</p>
+    </section>
+  `;
+}
+
 function renderStructure(structure) {
   const directoriesBlock = structure.directories.length
     ? `
@@ -245,40 +515,414 @@ function renderStructure(structure) {
   `;
 }
 
-function renderClassStats(classes) {
+function renderMetrics(metrics) {
+  if (!metrics) return "";
+  const { totals } = metrics;
+  const fileRows = metrics.files.slice(0, MAX_METRIC_FILES);
+  const byPath = new Map(metrics.files.map((file) => [file.path, file]));
+
+  return `
+    <section class="result-block">
+      <h2>Code metrics</h2>
+      <p class="muted">
+        Measured on the ${numberFormat.format(totals.files)} sampled source files. Complexity is a cyclomatic estimate:
+        one per function plus one per branch, loop, case, catch, and boolean operator. Click a column header to sort.
+      </p>
+      <div class="result-grid">
+        <div class="card">
+          <div class="pill">Lines of code</div>
+          <p class="mono" style="font-size: 1.8rem;">${numberFormat.format(totals.code)}</p>
+          <p class="muted">
+            ${numberFormat.format(totals.comment)} comment · ${numberFormat.format(totals.blank)} blank ·
+            ${percentFormat.format(totals.commentRatio * 100)}% comments
+          </p>
+        </div>
+        <div class="card">
+          <div class="pill">Functions</div>
+          <p class="mono" style="font-size: 1.8rem;">${numberFormat.format(totals.functions)}</p>
+          <p class="muted">
+            Total complexity ${numberFormat.format(totals.complexity)} · ${numberFormat.format(totals.averageComplexity)} per function
+          </p>
+        </div>
+        <div class="card">
+          <h3>Most complex files</h3>
+          <ol class="list">${metrics.mostComplex
+            .map((path) => byPath.get(path))
+            .filter(Boolean)
+            .map(
+              (file) =>
+                `<li><span class="mono">${file.path}</span> <span class="muted">${numberFormat.format(file.complexity)} · ${numberFormat.format(file.code)} LOC</span></li>`
+            )
+            .join("")}</ol>
+        </div>
+        <div class="card">
+          <h3>Longest functions</h3>
+          <ol class="list">${metrics.longestFunctions
+            .slice(0, 10)
+            .map(
+              (fn) =>
+                `<li><span class="mono">${escapeHtml(fn.name)}</span> <span class="muted">${numberFormat.format(fn.length)} lines · complexity ${numberFormat.format(fn.complexity)} · ${formatSourceLocation(fn)}</span></li>`
+            )
+            .join("")}</ol>
+        </div>
+      </div>
+      ${
+        metrics.components.length
+          ? renderSortableTable(
+              "metrics-components",
+              [{ key: "name", label: "Component", text: true }, ...METRIC_COLUMNS],
+              metrics.components
+            )
+          : ""
+      }
+      ${renderSortableTable(
+        "metrics-directories",
+        [{ key: "name", label: "Directory", text: true }, ...METRIC_COLUMNS],
+        metrics.directories
+      )}
+      <details class="result-details">
+        <summary>Per-file metrics (${numberFormat.format(fileRows.length)} of ${numberFormat.format(metrics.files.length)})</summary>
+        ${renderSortableTable(
+          "metrics-files",
+          [
+            { key: "path", label: "File", text: true },
+            { key: "code", label: "Code" },
+            { key: "comment", label: "Comments" },
+            { key: "functions", label: "Functions" },
+            { key: "complexity", label: "Complexity" },
+            { key: "maxFunctionComplexity", label: "Max / function" },
+            { key: "longest", label: "Longest function" }
+          ],
+          fileRows.map((file) => ({ ...file, longest: file.longestFunction?.length ?? 0 }))
+        )}
+      </details>
+    </section>
+  `;
+}
+
+const RISK_BADGES = { high: "badge badge--danger", medium: "badge badge--warning", low: "badge" };
+const shareColumn = (key, label) => ({ key, label, format: (value) => `${percentFormat.format(value * 100)}%` });
+const CHURN_COLUMNS = [
+  { key: "files", label: "Files" },
+  { key: "commits", label: "Commits" },
+  { key: "additions", label: "Added" },
+  { key: "deletions", label: "Deleted" },
+  { key: "authors", label: "Authors" }
+];
+
+function renderHistory(history) {
+  if (!history) return "";
+  const peak = Math.max(1, ...history.timeline.map((entry) => entry.commits));
+  const range = `${history.firstCommit.slice(0, 10)} – ${history.lastCommit.slice(0, 10)}`;
+  const churnNote = history.detailedCommits < history.commits
+    ? ` Churn and ownership come from the ${numberFormat.format(history.detailedCommits)} most recent commits.`
+    : "";
+
+  return `
+    <section class="result-block">
+      <h2>History &amp; ownership</h2>
+      <p class="muted">
+        Based on the last ${numberFormat.format(history.commits)} non-merge commits (${range}).${churnNote}
+        Ownership is the author with the most changed ${history.lineCounts ? "lines" : "files"}; the bus factor is the
+        fewest authors who together made more than half of the changes.
+      </p>
+      <div class="result-grid">
+        <div class="card">
+          <div class="pill">Contributors</div>
+          <p class="mono" style="font-size: 1.8rem;">${numberFormat.format(history.contributorCount)}</p>
+          <p class="muted">Repository bus factor ${numberFormat.format(history.busFactor)}</p>
+        </div>
+        <div class="card">
+          <h3>Top contributors</h3>
+          <ol class="list">${history.contributors
+            .slice(0, 10)
+            .map(
+              (contributor) =>
+                `<li>${escapeHtml(contributor.name)} <span class="muted">${numberFormat.format(contributor.commits)} commits${
+                  contributor.totalCommits ? ` (${numberFormat.format(contributor.totalCommits)} all-time)` : ""
+                }${history.lineCounts ? ` · +${numberFormat.format(contributor.additions)} −${numberFormat.format(contributor.deletions)}` : ""}</span></li>`
+            )
+            .join("")}</ol>
+        </div>
+        <div class="card">
+          <h3>Hotspots</h3>
+          ${
+            history.hotspots.length
+              ? `<ol class="list">${history.hotspots
+                  .map(
+                    (file) =>
+                      `<li><span class="mono">${file.path}</span> <span class="${RISK_BADGES[file.risk]}">${file.risk}</span> <span class="muted">${numberFormat.format(file.commits)} commits × complexity ${numberFormat.format(file.complexity)}</span></li>`
+                  )
+                  .join("")}</ol>`
+              : `<p class="muted">No sampled file has both history and complexity data.</p>`
+          }
+        </div>
+      </div>
+      <div class="diagram-block">
+        <div class="diagram-block__header">
+          <strong>Commit activity</strong>
+          <span class="muted">${history.timeline[0].period} – ${history.timeline[history.timeline.length - 1].period}</span>
+        </div>
+        <div class="timeline">${history.timeline
+          .map(
+            (entry) => `
+          <div class="timeline__period" title="${entry.period}: ${numberFormat.format(entry.commits)} commits by ${numberFormat.format(entry.authors)} authors">
+            <span class="timeline__bar" style="height: ${Math.round((entry.commits / peak) * 100)}%"></span>
+            <span class="timeline__label">${entry.period.slice(2)}</span>
+          </div>`
+          )
+          .join("")}
+        </div>
+      </div>
+      ${
+        history.components.length
+          ? renderSortableTable(
+              "history-components",
+              [
+                { key: "name", label: "Component", text: true },
+                ...CHURN_COLUMNS,
+                { key: "owner", label: "Owner", text: true },
+                shareColumn("ownerShare", "Owner share"),
+                { key: "busFactor", label: "Bus factor" }
+              ],
+              history.components
+            )
+          : ""
+      }
+      ${renderSortableTable(
+        "history-directories",
+        [{ key: "name", label: "Directory", text: true }, ...CHURN_COLUMNS],
+        history.directories
+      )}
+      <details class="result-details">
+        <summary>Most changed files (${numberFormat.format(history.files.length)})</summary>
+        ${renderSortableTable(
+          "history-files",
+          [
+            { key: "path", label: "File", text: true },
+            ...CHURN_COLUMNS.slice(1),
+            { key: "owner", label: "Owner", text: true },
+            shareColumn("ownerShare", "Owner share")
+          ],
+          history.files
+        )}
+      </details>
+    </section>
+  `;
+}
+
+function renderSortableTable(id, columns, rows) {
+  return `
+    <div class="scroll-area">
+      <table id="${id}" class="data-table" data-sortable>
+        <thead>
+          <tr>${columns
+            .map((column, index) => `<th data-sort="${index}"${column.text ? "" : " data-numeric"}>${column.label}</th>`)
+            .join("")}</tr>
+        </thead>
+        <tbody>${rows
+          .map(
+            (row) =>
+              `<tr>${columns
+                .map((column) => {
+                  const value = row[column.key];
+                  if (column.text) return `<td class="mono" data-value="${escapeHtml(value)}">${escapeHtml(value)}</td>`;
+                  const display = column.format ? column.format(value) : numberFormat.format(value);
+                  return `<td data-numeric data-value="${value}">${display}</td>`;
+                })
+                .join("")}</tr>`
+          )
+          .join("")}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderModuleGraph(graph) {
+  if (!graph?.edges) return "";
+  const fanList = (entries) =>
+    entries.length
+      ? `<ul class="list">${entries
+          .map((entry) => `<li><span class="mono">${entry.path}</span> <span class="muted">${numberFormat.format(entry.count)}</span></li>`)
+          .join("")}</ul>`
+      : `<p class="muted">No file stands out.</p>`;
+
+  return `
+    <section class="result-block">
+      <h2>Module dependencies</h2>
+      <p class="muted">
+        ${numberFormat.format(graph.edges)} internal imports between ${numberFormat.format(graph.files)} files, resolved from
+        relative paths${graph.aliases ? `, ${numberFormat.format(graph.aliases)} tsconfig path aliases` : ""}, workspace
+        packages, and package/namespace declarations in the sampled files.
+      </p>
+      <div class="result-grid">
+        <div class="card">
+          <h3>Most imported (fan-in)</h3>
+          ${fanList(graph.fanIn)}
+        </div>
+        <div class="card">
+          <h3>Most importing (fan-out)</h3>
+          ${fanList(graph.fanOut)}
+        </div>
+        <div class="card">
+          <h3>Directory edges</h3>
+          ${
+            graph.directories.length
+              ? `<ul class="list">${graph.directories
+                  .slice(0, 12)
+                  .map(
+                    (edge) =>
+                      `<li><span class="mono">${edge.from || "(root)"}</span> → <span class="mono">${edge.to || "(root)"}</span> <span class="muted">${numberFormat.format(edge.count)}</span></li>`
+                  )
+                  .join("")}</ul>`
+              : `<p class="muted">All imports stay within their directory.</p>`
+          }
+        </div>
+        <div class="card">
+          <h3>Circular dependencies</h3>
+          ${
+            graph.cycles.length
+              ? `<ul class="list">${graph.cycles
+                  .map(
+                    (cycle) =>
+                      `<li><span class="badge badge--danger">${cycle.level}</span> <span class="mono">${[...cycle.nodes, cycle.nodes[0]]
+                        .map((node) => node || "(root)")
+                        .join(" → ")}</span></li>`
+                  )
+                  .join("")}</ul>`
+              : `<p class="muted">No cycles between files, directories, or components.</p>`
+          }
+        </div>
+        <div class="card">
+          <h3>Layering violations</h3>
+          ${
+            graph.violations.length
+              ? `<ul class="list">${graph.violations
+                  .map(
+                    (violation) =>
+                      `<li><span class="badge badge--warning">${violation.rule}</span> <span class="mono">${violation.from}</span> → <span class="mono">${violation.to}</span></li>`
+                  )
+                  .join("")}</ul>`
+              : `<p class="muted">No imports point from an inner layer (data, services) to an outer one (API, UI).</p>`
+          }
+        </div>
+      </div>
+    </section>
+  `;
+}
+
+function renderSymbols(classes, classDiagrams = []) {
+  const symbols = classes?.symbols || [];
+  if (!symbols.length) {
+    return `
+      <section class="result-block">
+        <h2>Types &amp; symbols</h2>
+        <p class="muted">No class, interface, enum, struct or trait declarations found in scanned files.</p>
+      </section>
+    `;
+  }
+
+  const kinds = Object.entries(classes.kinds || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([kind, count]) => `${numberFormat.format(count)} ${kind}`)
+    .join(" · ");
+  const scopes = listSymbolScopes(symbols, classDiagrams);
+  const initialScope = classDiagrams[0]?.scope ?? "";
+  const rows = symbols
+    .slice(0, MAX_SYMBOL_ROWS)
+    .map((symbol) => {
+      const relations = [
+        symbol.bases.length ? `extends ${symbol.bases.join(", ")}` : "",
+        symbol.interfaces.length ? `implements ${symbol.interfaces.join(", ")}` : ""
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      const search = [symbol.name, symbol.kind, symbol.sourceFile, ...symbol.bases, ...symbol.interfaces]
+        .join(" ")
+        .toLowerCase();
+      return `
+        <tr data-search="${escapeHtml(search)}">
+          <td class="mono"><strong>${escapeHtml(symbol.name)}</strong></td>
+          <td><span class="badge">${symbol.kind}</span></td>
+          <td class="mono muted">${formatSourceLocation(symbol)}</td>
+          <td>${escapeHtml(relations) || `<span class="muted">—</span>`}</td>
+          <td title="${escapeHtml(symbol.members.map((member) => member.name).join(", "))}">${numberFormat.format(symbol.members.length)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
   return `
     <section class="result-block">
-      <h2>Class definitions</h2>
+      <h2>Types &amp; symbols</h2>
       <div class="card">
-        <div class="pill">Total classes detected</div>
-        <p class="mono" style="font-size: 1.8rem;">${numberFormat.format(classes.total)}</p>
-        ${
-          classes.files.length
-            ? `
-          <div class="scroll-area">
-            ${classes.files
-              .slice(0, 20)
+        <div class="pill">Type declarations detected</div>
+        <p class="mono" style="font-size: 1.8rem;">${numberFormat.format(symbols.length)}</p>
+        <p class="muted">${kinds}</p>
+      </div>
+      <div class="diagram-block">
+        <div class="diagram-block__header">
+          <strong>Class diagram</strong>
+          <select class="diagram-block__scope" data-class-scope="class-diagram" aria-label="Class diagram scope">
+            ${scopes
               .map(
-                (file) => `
-                <div class="annotated">
-                  <strong>${file.path}</strong>
-                  <div class="muted">${file.classes} classes (${file.language.toUpperCase()})</div>
-                </div>
-              `
+                (entry) =>
+                  `<option value="${escapeHtml(entry.scope)}"${entry.scope === initialScope ? " selected" : ""}>${escapeHtml(entry.label)}</option>`
               )
               .join("")}
-          </div>
-          <p class="muted">Only showing top 20 files.</p>
-        `
-            : `<p class="muted">No explicit class declarations found in scanned files.</p>`
+          </select>
+          <button class="button button--secondary button--compact copy-button" data-copy-target="class-diagram">
+            Copy code
+          </button>
+        </div>
+        <textarea id="class-diagram" class="code-block" rows="12" readonly>${escapeHtml(buildClassDiagram(symbols, initialScope))}</textarea>
+      </div>
+      <div class="diagram-block">
+        <input type="search" data-symbol-filter="symbol-table" placeholder="Filter by name, kind, file or base type…" />
+        <div class="scroll-area">
+          <table id="symbol-table" class="data-table">
+            <thead>
+              <tr><th>Name</th><th>Kind</th><th>Location</th><th>Inheritance</th><th>Members</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        ${
+          symbols.length > MAX_SYMBOL_ROWS
+            ? `<p class="muted">Only showing the first ${numberFormat.format(MAX_SYMBOL_ROWS)} symbols.</p>`
+            : ""
         }
       </div>
     </section>
   `;
 }
 
+// Components first, then the directories that hold the most symbols.
+function listSymbolScopes(symbols, classDiagrams) {
+  const scopes = [{ scope: "", label: "Whole repository" }];
+  for (const entry of classDiagrams) {
+    if (entry.scope) scopes.push({ scope: entry.scope, label: `Component: ${entry.title}` });
+  }
+  const directories = new Map();
+  for (const symbol of symbols) {
+    const parts = symbol.sourceFile.split("/").slice(0, -1);
+    parts.forEach((_, index) => {
+      const directory = parts.slice(0, index + 1).join("/");
+      directories.set(directory, (directories.get(directory) ?? 0) + 1);
+    });
+  }
+  Array.from(directories.entries())
+    .filter(([directory, count]) => count > 1 && !scopes.some((entry) => entry.scope === directory))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SYMBOL_SCOPES)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .forEach(([directory, count]) => scopes.push({ scope: directory, label: `${directory}/ (${count})` }));
+  return scopes;
+}
+
 function renderExternalApis(externalApis) {
-  if (!externalApis.length) {
+  const apiCalls = externalApis.filter((call) => call.kind === "api");
+  if (!apiCalls.length && !externalApis.length) {
     return `
       <section class="result-block">
         <h2>External API calls</h2>
@@ -286,32 +930,61 @@ function renderExternalApis(externalApis) {
       </section>
     `;
   }
+  const services = Array.from(new Set(apiCalls.filter((call) => call.service).map((call) => call.service)));
+  const calls = apiCalls.filter((call) => !call.service);
+  const links = (kind) => externalApis.filter((call) => call.kind === kind);
+  const renderLinks = (entries, title) =>
+    entries.length
+      ? `
+        <details class="result-details">
+          <summary>${title} (${numberFormat.format(entries.length)})</summary>
+          <ul class="list mono">${entries
+            .map((entry) => `<li>${escapeHtml(entry.url)} <span class="muted">${formatSourceLocation(entry)}</span></li>`)
+            .join("")}</ul>
+        </details>
+      `
+      : "";
+
   return `
     <section class="result-block">
       <h2>External API calls</h2>
+      ${
+        services.length
+          ? `<h3>SDK services</h3>
+            <div>${services.map((service) => `<span class="pill pill--small">${service}</span>`).join(" ")}</div>`
+          : ""
+      }
       <div class="scroll-area">
-        ${externalApis
-          .map(
-            (call) => `
+        ${
+          calls
+            .map(
+              (call) => `
           <div class="annotated">
             <div>
-              <span class="badge">${call.method}</span>
-              <strong>${call.url}</strong>
-              <span class="muted">(${call.host})</span>
+              <span class="badge">${call.method || "URL"}</span>
+              <strong>${escapeHtml(call.url)}</strong>
+              <span class="muted">(${call.host}${call.client ? ` · ${call.client}` : ""})</span>
+              <span class="badge${call.confidence < 0.5 ? " badge--warning" : ""}">${Math.round(call.confidence * 100)}%</span>
             </div>
-            <p class="muted">File: <span class="mono">${call.sourceFile}</span></p>
-            <p class="muted">…${call.snippet}…</p>
+            <p class="muted">File: <span class="mono">${formatSourceLocation(call)}</span></p>
+            <p class="muted">…${escapeHtml(call.snippet)}…</p>
           </div>
         `
-          )
-          .join("")}
+            )
+            .join("") || `<p class="muted">Only SDK clients were detected; no direct HTTP calls.</p>`
+        }
       </div>
-      <p class="muted">Based on static string analysis; manual verification recommended.</p>
+      ${renderLinks(links("doc"), "Documentation and license links")}
+      ${renderLinks(links("asset"), "Static assets and CDN URLs")}
+      <p class="muted">
+        HTTP client calls are resolved through file-level constants and environment-configured base URLs
+        (<span class="mono">$NAME</span>); bare URL literals carry a lower confidence. Manual verification recommended.
+      </p>
     </section>
   `;
 }
 
-function renderExposedApis(exposedApis) {
+function renderExposedApis(exposedApis, openapi) {
   if (!exposedApis.length) {
     return `
       <section class="result-block">
@@ -322,7 +995,16 @@ function renderExposedApis(exposedApis) {
   }
   return `
     <section class="result-block">
-      <h2>Declared server routes</h2>
+      <div class="result-block__header">
+        <h2>Declared server routes</h2>
+        ${
+          openapi
+            ? `<button class="button button--secondary button--compact download-button" data-download="openapi">
+                Download OpenAPI
+              </button>`
+            : ""
+        }
+      </div>
       <div class="scroll-area">
         ${exposedApis
           .map(
@@ -332,19 +1014,321 @@ function renderExposedApis(exposedApis) {
               <span class="badge">${route.method}</span>
               <strong>${route.endpoint}</strong>
               <span class="muted">${route.framework}</span>
+              ${route.documented === false ? `<span class="badge badge--warning">not in contract</span>` : ""}
             </div>
-            <p class="muted">File: <span class="mono">${route.sourceFile}</span></p>
+            <p class="muted">
+              File: <span class="mono">${formatSourceLocation(route)}</span>
+              ${route.handler ? ` · Handler: <span class="mono">${route.handler}</span>` : ""}
+              ${route.requestType ? ` · Body: <span class="mono">${escapeHtml(route.requestType)}</span>` : ""}
+              ${route.responseType ? ` · Returns: <span class="mono">${escapeHtml(route.responseType)}</span>` : ""}
+            </p>
             <p class="muted">…${route.snippet}…</p>
           </div>
         `
           )
           .join("")}
       </div>
-      <p class="muted">Routes inferred heuristically from common framework signatures.</p>
+      <p class="muted">
+        JavaScript/TypeScript routes are parsed with router mount prefixes resolved across sampled files;
+        other languages are inferred heuristically from common framework signatures. The OpenAPI 3.1 download
+        lists these routes with path parameters and any request/response types declared on the handlers.
+      </p>
     </section>
   `;
 }
 
+function renderContracts(contracts) {
+  if (!contracts) return "";
+  const files = contracts.files
+    .map(
+      (file) => `
+        <div class="card">
+          <div class="pill">${file.kind}${file.version ? ` ${file.version}` : ""}</div>
+          <p class="mono">${file.path}</p>
+          ${file.title ? `<p>${file.title}${file.apiVersion ? ` <span class="muted">v${file.apiVersion}</span>` : ""}</p>` : ""}
+          <p class="muted">${numberFormat.format(file.operations)} operations · ${numberFormat.format(file.types)} types</p>
+        </div>
+      `
+    )
+    .join("");
+
+  const operations = contracts.operations
+    .map(
+      (operation) => `
+        <div class="annotated">
+          <div>
+            <span class="badge">${operation.method}</span>
+            <strong>${operation.endpoint}</strong>
+            <span class="muted">${operation.kind}${operation.service ? ` · ${operation.service}` : ""}</span>
+            ${operation.status === "spec-only" ? `<span class="badge badge--warning">not found in code</span>` : ""}
+          </div>
+          <p class="muted">
+            File: <span class="mono">${formatSourceLocation(operation)}</span>
+            ${operation.operationId ? ` · Operation: <span class="mono">${operation.operationId}</span>` : ""}
+            ${operation.requestType ? ` · Input: <span class="mono">${escapeHtml(operation.requestType)}</span>` : ""}
+            ${operation.responseType ? ` · Returns: <span class="mono">${escapeHtml(operation.responseType)}</span>` : ""}
+            ${operation.http && operation.kind !== "openapi" ? ` · HTTP: <span class="mono">${operation.http.method} ${operation.http.endpoint}</span>` : ""}
+          </p>
+        </div>
+      `
+    )
+    .join("");
+
+  const reconciliation = contracts.reconciliation;
+  const codeOnly = reconciliation?.codeOnly.length
+    ? `<ul class="list mono">${reconciliation.codeOnly
+        .map((route) => `<li>${route.method} ${route.endpoint} <span class="muted">${formatSourceLocation(route)}</span></li>`)
+        .join("")}</ul>`
+    : `<p class="muted">Every detected route is described by a contract.</p>`;
+
+  return `
+    <section class="result-block">
+      <h2>API contracts</h2>
+      <div class="result-grid">${files}</div>
+      ${
+        reconciliation
+          ? `<p>
+              Reconciled with code routes: <strong>${numberFormat.format(reconciliation.matched)}</strong> documented ·
+              ${numberFormat.format(reconciliation.codeOnly.length)} only in code ·
+              ${numberFormat.format(reconciliation.specOnly.length)} only in contracts
+            </p>`
+          : ""
+      }
+      <h3>Contract operations</h3>
+      <div class="scroll-area">${operations || `<p class="muted">The contracts declare types but no operations.</p>`}</div>
+      ${reconciliation ? `<h3>Routes missing from the contracts</h3>${codeOnly}` : ""}
+      ${
+        contracts.types.length
+          ? `<h3>Declared types</h3>
+            <div>${contracts.types
+              .map((type) => `<span class="pill pill--small" title="${type.kind}">${type.name}</span>`)
+              .join(" ")}</div>`
+          : ""
+      }
+      <p class="muted">
+        Contract files are treated as the source of truth. Only HTTP operations (OpenAPI/Swagger paths and gRPC
+        methods with <span class="mono">google.api.http</span> rules) are compared with the routes found in code.
+      </p>
+    </section>
+  `;
+}
+
+function renderDataStores(dataStores) {
+  if (!dataStores?.stores?.length) return "";
+  const cards = dataStores.stores
+    .map(
+      (store) => `
+        <div class="card">
+          <div class="pill">${store.kind}</div>
+          <h3>${store.name}</h3>
+          <p class="muted">
+            ${store.components?.length ? `Used by ${store.components.join(", ")}` : "Not linked to a component"}
+            ${store.services.length ? ` · compose: <span class="mono">${store.services.join(", ")}</span>` : ""}
+          </p>
+          ${
+            store.models.length
+              ? `<p>${store.models
+                  .slice(0, 12)
+                  .map((model) => `<span class="pill pill--small" title="${model.orm} · ${formatSourceLocation(model)}">${model.name}</span>`)
+                  .join(" ")}${store.models.length > 12 ? ` <span class="muted">+${store.models.length - 12} more</span>` : ""}</p>`
+              : ""
+          }
+          ${
+            store.migrations.length
+              ? `<p class="muted">${store.migrations
+                  .map(
+                    (migration) =>
+                      `${numberFormat.format(migration.files)} ${migration.tool} migration${migration.files === 1 ? "" : "s"} in <span class="mono">${migration.directory}</span>`
+                  )
+                  .join("<br />")}</p>`
+              : ""
+          }
+          <details class="result-details">
+            <summary>Evidence (${numberFormat.format(store.evidence.length)})</summary>
+            <ul class="list">${store.evidence
+              .slice(0, 15)
+              .map(
+                (entry) =>
+                  `<li><span class="badge">${entry.type}</span> ${escapeHtml(entry.detail)} <span class="muted mono">${formatSourceLocation({ sourceFile: entry.path, line: entry.line })}</span></li>`
+              )
+              .join("")}</ul>
+          </details>
+        </div>
+      `
+    )
+    .join("");
+
+  return `
+    <section class="result-block">
+      <h2>Data stores &amp; messaging</h2>
+      <div class="result-grid">${cards}</div>
+      <p class="muted">
+        Inferred from client imports, connection strings, ORM models, migrations, Prisma schemas, config files, and
+        docker-compose services. Credentials in connection strings are masked.
+      </p>
+    </section>
+  `;
+}
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function formatSourceLocation(entry) {
+  return entry.line ? `${entry.sourceFile}:${entry.line}` : entry.sourceFile;
+}
+
+function formatCount(value) {
+  return typeof value === "number" ? numberFormat.format(value) : "n/a";
+}
+
+function renderDependencies(dependencies) {
+  if (!dependencies?.manifests?.length) {
+    return `
+      <section class="result-block">
+        <h2>Dependency inventory</h2>
+        <p class="muted">No dependency manifests or lockfiles were found in the git tree.</p>
+      </section>
+    `;
+  }
+
+  const ecosystems = Object.entries(dependencies.summary)
+    .map(
+      ([ecosystem, counts]) => `
+        <div class="card">
+          <div class="pill">${ecosystem}</div>
+          <p class="mono">${numberFormat.format(counts.direct)} direct · ${numberFormat.format(
+            counts.transitive
+          )} transitive</p>
+        </div>
+      `
+    )
+    .join("");
+
+  const manifests = dependencies.manifests
+    .map((manifest) => {
+      const items = dependencies.items.filter((item) => item.manifest === manifest.path);
+      const direct = items.filter((item) => item.direct);
+      const owner = items.find((item) => item.component)?.component;
+      return `
+        <div class="annotated">
+          <div>
+            <span class="badge">${manifest.ecosystem}</span>
+            <strong class="mono">${manifest.path}</strong>
+            ${owner ? `<span class="muted">(${owner})</span>` : ""}
+          </div>
+          <p class="muted">
+            ${numberFormat.format(manifest.direct)} direct · ${numberFormat.format(manifest.transitive)} transitive
+            ${manifest.lockfile ? `· locked by <span class="mono">${manifest.lockfile}</span>` : "· no lockfile"}
+          </p>
+          ${
+            direct.length
+              ? `<ul class="list mono">${direct
+                  .map(
+                    (item) =>
+                      `<li>${item.name} <span class="muted">${item.resolved || item.version || "*"}${
+                        item.scope !== "runtime" ? ` (${item.scope})` : ""
+                      }</span></li>`
+                  )
+                  .join("")}</ul>`
+              : ""
+          }
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <section class="result-block">
+      <h2>Dependency inventory</h2>
+      <div class="result-grid">${ecosystems}</div>
+      <div class="scroll-area" style="margin-top: 1rem;">${manifests}</div>
+      <p class="muted">Transitive dependencies come from lockfiles next to each manifest; full lists are in the JSON report.</p>
+    </section>
+  `;
+}
+
+function renderAudit(audit) {
+  if (!audit) return "";
+  const { summary } = audit;
+  const severities = Object.entries(summary.bySeverity)
+    .map(([severity, count]) => `${severity.toLowerCase()}: ${numberFormat.format(count)}`)
+    .join(" · ");
+
+  const vulnerabilities = audit.vulnerabilities.length
+    ? audit.vulnerabilities
+        .map(
+          (entry) => `
+            <div class="annotated">
+              <div>
+                <span class="badge${severityModifier(entry.severity)}">${entry.severity}</span>
+                <strong class="mono">${entry.name}@${entry.version}</strong>
+                <span class="muted">${entry.id}${entry.aliases.length ? ` · ${entry.aliases.join(", ")}` : ""}</span>
+              </div>
+              ${entry.summary ? `<p>${entry.summary}</p>` : ""}
+              <p class="muted">
+                ${entry.fixed.length ? `Fixed in ${entry.fixed.join(", ")}` : "No fixed version published"}
+                · ${entry.direct ? "direct" : "transitive"} via <span class="mono">${entry.manifest}</span>
+                ${entry.component ? `(${entry.component})` : ""}
+              </p>
+            </div>
+          `
+        )
+        .join("")
+    : `<p class="muted">${
+        audit.advisoriesLoaded
+          ? "No dependency matched the imported advisories."
+          : "No advisory database was imported; only licenses were checked."
+      }</p>`;
+
+  const flaggedLicenses = audit.licenses.filter((entry) => entry.status !== "unknown");
+  const licenses = flaggedLicenses.length
+    ? `<ul class="list mono">${flaggedLicenses
+        .map(
+          (entry) =>
+            `<li><span class="badge${entry.status === "denied" ? " badge--danger" : " badge--warning"}">${
+              entry.status
+            }</span> ${entry.name}${entry.version ? `@${entry.version}` : ""} <span class="muted">${
+              entry.license
+            } · ${entry.manifest}</span></li>`
+        )
+        .join("")}</ul>`
+    : `<p class="muted">No license outside the allow list was found.</p>`;
+
+  return `
+    <section class="result-block">
+      <h2>Risk &amp; compliance</h2>
+      <div class="result-grid">
+        ${renderMetric("Vulnerable packages", numberFormat.format(summary.vulnerablePackages))}
+        ${renderMetric("Advisories loaded", numberFormat.format(audit.advisoriesLoaded))}
+        ${renderMetric("Denied licenses", numberFormat.format(summary.denied))}
+        ${renderMetric("Licenses to review", numberFormat.format(summary.review))}
+        ${renderMetric("Unknown licenses", numberFormat.format(summary.unknown))}
+      </div>
+      ${severities ? `<p class="muted">By severity: ${severities}</p>` : ""}
+      <h3>Known vulnerabilities</h3>
+      <div class="scroll-area">${vulnerabilities}</div>
+      <h3>License policy findings</h3>
+      ${licenses}
+      <p class="muted">
+        Matched offline against the imported advisories.
+        ${
+          summary.unresolvedVersions
+            ? `${numberFormat.format(summary.unresolvedVersions)} dependencies had no locked version and were skipped.`
+            : ""
+        }
+        Unknown licenses are listed in the JSON report.
+      </p>
+    </section>
+  `;
+}
+
+function severityModifier(severity) {
+  if (severity === "CRITICAL" || severity === "HIGH") return " badge--danger";
+  if (severity === "MODERATE" || severity === "MEDIUM") return " badge--warning";
+  return "";
+}
+
 function renderMetric(label, value) {
   return `
     <div class="card">
@@ -0,0 +1,290 @@
+// Small multi-language corpus with hand-labelled queries for the retrieval
+// evaluation. Queries mix exact identifiers, routes and plain descriptions;
+// `relevant` lists paths or `path:symbol` pairs that should be retrieved.
+export const RETRIEVAL_CORPUS = {
+  documents: [
+    {
+      path: "api/routes/users.js",
+      content: `import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { findUserById, listUsers, updateUserProfile } from "../services/userService.js";
+
+const router = Router();
+
+router.get("/api/users", requireAuth, async (req, res) => {
+  const page = Number(req.query.page || 1);
+  res.json(await listUsers({ page, pageSize: 25 }));
+});
+
+router.get("/api/users/:id", requireAuth, async (req, res) => {
+  const user = await findUserById(req.params.id);
+  if (!user) return res.status(404).json({ error: "User not found" });
+  res.json(user);
+});
+
+router.patch("/api/users/:id/profile", requireAuth, async (req, res) => {
+  res.json(await updateUserProfile(req.params.id, req.body));
+});
+
+export default router;
+`
+    },
+    {
+      path: "api/routes/orders.js",
+      content: `import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { createOrder, cancelOrder } from "../services/orderService.js";
+
+const router = Router();
+
+router.post("/api/orders", requireAuth, async (req, res) => {
+  const order = await createOrder(req.user.id, req.body.items);
+  res.status(201).json(order);
+});
+
+router.delete("/api/orders/:orderId", requireAuth, async (req, res) => {
+  await cancelOrder(req.params.orderId, req.user.id);
+  res.status(204).end();
+});
+
+export default router;
+`
+    },
+    {
+      path: "api/middleware/auth.js",
+      content: `import jwt from "jsonwebtoken";
+
+const SECRET = process.env.JWT_SECRET;
+
+// Rejects requests without a valid bearer token and attaches the decoded user.
+export function requireAuth(req, res, next) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+  if (!token) return res.status(401).json({ error: "Missing token" });
+  try {
+    req.user = jwt.verify(token, SECRET);
+    next();
+  } catch {
+    res.status(401).json({ error: "Invalid token" });
+  }
+}
+
+export function issueToken(user) {
+  return jwt.sign({ id: user.id, role: user.role }, SECRET, { expiresIn: "1h" });
+}
+`
+    },
+    {
+      path: "api/services/userService.js",
+      content: `import { db } from "../db.js";
+
+export async function findUserById(id) {
+  const rows = await db.query("SELECT id, email, display_name FROM users WHERE id = $1", [id]);
+  return rows[0] || null;
+}
+
+export async function listUsers({ page, pageSize }) {
+  return db.query("SELECT id, email, display_name FROM users ORDER BY id LIMIT $1 OFFSET $2", [
+    pageSize,
+    (page - 1) * pageSize
+  ]);
+}
+
+export async function updateUserProfile(id, { displayName, avatarUrl }) {
+  await db.query("UPDATE users SET display_name = $2, avatar_url = $3 WHERE id = $1", [id, displayName, avatarUrl]);
+  return findUserById(id);
+}
+`
+    },
+    {
+      path: "api/services/orderService.js",
+      content: `import { db } from "../db.js";
+import { publish } from "../events.js";
+
+export async function createOrder(userId, items) {
+  const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const [order] = await db.query("INSERT INTO orders (user_id, total) VALUES ($1, $2) RETURNING *", [userId, total]);
+  await publish("order.created", { orderId: order.id, userId, total });
+  return order;
+}
+
+export async function cancelOrder(orderId, userId) {
+  await db.query("UPDATE orders SET status = 'cancelled' WHERE id = $1 AND user_id = $2", [orderId, userId]);
+  await publish("order.cancelled", { orderId, userId });
+}
+`
+    },
+    {
+      path: "billing/invoices.py",
+      content: `from decimal import Decimal
+
+from billing.tax import tax_rate_for
+
+
+class InvoiceGenerator:
+    """Turns completed orders into invoices with tax lines."""
+
+    def __init__(self, repository, mailer):
+        self.repository = repository
+        self.mailer = mailer
+
+    def generate_invoice(self, order):
+        rate = tax_rate_for(order.country)
+        subtotal = sum(Decimal(line.price) * line.quantity for line in order.lines)
+        tax = (subtotal * rate).quantize(Decimal("0.01"))
+        invoice = self.repository.save(order_id=order.id, subtotal=subtotal, tax=tax, total=subtotal + tax)
+        return invoice
+
+    def send_invoice_email(self, invoice, customer):
+        self.mailer.send(to=customer.email, subject=f"Invoice {invoice.number}", attachment=invoice.pdf())
+`
+    },
+    {
+      path: "billing/tax.py",
+      content: `from decimal import Decimal
+
+VAT_RATES = {
+    "DE": Decimal("0.19"),
+    "FR": Decimal("0.20"),
+    "NL": Decimal("0.21"),
+}
+
+
+def tax_rate_for(country_code):
+    """Value added tax rate for a two-letter country code; zero outside the EU table."""
+    return VAT_RATES.get(country_code.upper(), Decimal("0"))
+`
+    },
+    {
+      path: "worker/config.go",
+      content: `package worker
+
+import (
+	"os"
+	"strconv"
+	"time"
+)
+
+type Config struct {
+	QueueURL     string
+	Concurrency  int
+	RetryBackoff time.Duration
+}
+
+// LoadConfig reads the worker settings from environment variables.
+func LoadConfig() Config {
+	concurrency, err := strconv.Atoi(os.Getenv("WORKER_CONCURRENCY"))
+	if err != nil || concurrency < 1 {
+		concurrency = 4
+	}
+	return Config{
+		QueueURL:     os.Getenv("QUEUE_URL"),
+		Concurrency:  concurrency,
+		RetryBackoff: 5 * time.Second,
+	}
+}
+`
+    },
+    {
+      path: "worker/consumer.go",
+      content: `package worker
+
+import "context"
+
+type Handler func(ctx context.Context, message []byte) error
+
+// Consume pulls messages from the queue and retries failed handlers with backoff.
+func Consume(ctx context.Context, queue Queue, config Config, handle Handler) error {
+	for {
+		message, err := queue.Receive(ctx)
+		if err != nil {
+			return err
+		}
+		if err := handle(ctx, message.Body); err != nil {
+			queue.Retry(message, config.RetryBackoff)
+			continue
+		}
+		queue.Ack(message)
+	}
+}
+`
+    },
+    {
+      path: "web/src/components/LoginForm.tsx",
+      content: `import { useState } from "react";
+
+export function LoginForm({ onLogin }: { onLogin: (token: string) => void }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState<string | null>(null);
+
+  async function handleSubmit(event: React.FormEvent) {
+    event.preventDefault();
+    const response = await fetch("/api/session", {
+      method: "POST",
+      body: JSON.stringify({ email, password })
+    });
+    if (!response.ok) return setError("Wrong email or password");
+    onLogin((await response.json()).token);
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <input value={email} onChange={(event) => setEmail(event.target.value)} />
+      <input type="password" value={password} onChange={(event) => setPassword(event.target.value)} />
+      {error && <p role="alert">{error}</p>}
+      <button type="submit">Sign in</button>
+    </form>
+  );
+}
+`
+    },
+    {
+      path: "db/migrations/001_create_orders.sql",
+      content: `CREATE TABLE orders (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  total NUMERIC(12, 2) NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX orders_user_id_idx ON orders (user_id);
+`
+    },
+    {
+      path: "README.md",
+      content: `# Shop platform
+
+## Architecture
+
+The platform is split into an Express API, a React web client, a Python billing
+service and a Go background worker that consumes queue messages.
+
+## Running locally
+
+Start Postgres and the queue with docker compose, then run \`npm run dev\` in
+\`api/\` and \`web/\`. The worker reads \`QUEUE_URL\` and \`WORKER_CONCURRENCY\`.
+
+## Deployment
+
+Every merge to main builds container images and deploys them to the staging
+cluster; production deploys are promoted manually.
+`
+    }
+  ],
+  queries: [
+    { query: "findUserById", relevant: ["api/services/userService.js:findUserById"] },
+    { query: "GET /api/users/:id", relevant: ["api/routes/users.js"] },
+    { query: "DELETE /api/orders/:orderId", relevant: ["api/routes/orders.js"] },
+    { query: "where is the JWT bearer token validated", relevant: ["api/middleware/auth.js:requireAuth"] },
+    { query: "how is VAT calculated for an invoice", relevant: ["billing/tax.py", "billing/invoices.py"] },
+    { query: "send_invoice_email", relevant: ["billing/invoices.py:InvoiceGenerator"] },
+    { query: "WORKER_CONCURRENCY environment variable", relevant: ["worker/config.go:LoadConfig"] },
+    { query: "retry failed queue messages with backoff", relevant: ["worker/consumer.go"] },
+    { query: "login form submit handler", relevant: ["web/src/components/LoginForm.tsx"] },
+    { query: "orders table schema", relevant: ["db/migrations/001_create_orders.sql"] },
+    { query: "publish order.created event", relevant: ["api/services/orderService.js:createOrder"] },
+    { query: "how is the platform deployed", relevant: ["README.md"] }
+  ]
+};
@@ -0,0 +1,218 @@
+import { isInside } from "./workspaces.js";
+import { matchesGlob } from "./sampling.js";
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Reciprocal rank fusion constant; 60 is the value from the original paper.
+const RRF_K = 60;
+const FUSION_DEPTH = 50;
+const RERANK_DEPTH = 20;
+const DEFAULT_MMR_LAMBDA = 0.7;
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "how", "in", "is", "it", "of", "on", "or",
+  "the", "this", "to", "what", "when", "where", "which", "with", "does", "do", "show", "me", "that"
+]);
+
+// Splits text into lowercase search terms. Identifiers are kept whole and also
+// broken at camelCase, snake_case, dots and slashes, so `getUserById` matches
+// both "getUserById" and "user".
+export function tokenizeForSearch(text = "") {
+  const terms = [];
+  for (const word of text.match(/[A-Za-z_$][\w$]*|\d+/g) || []) {
+    const lower = word.toLowerCase();
+    const parts = word
+      .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(/[\s_$]+/)
+      .map((part) => part.toLowerCase())
+      .filter((part) => part.length > 1 && !STOPWORDS.has(part));
+    if (!STOPWORDS.has(lower) && lower.length > 1) terms.push(lower);
+    if (parts.length > 1) terms.push(...parts);
+  }
+  return terms;
+}
+
+// BM25 statistics over chunk text, symbol name and path. Plain objects so the
+// index can be stored next to the vectors.
+export function buildLexicalIndex(chunks) {
+  const documents = [];
+  const documentFrequency = {};
+  let totalLength = 0;
+  for (const chunk of chunks) {
+    const terms = tokenizeForSearch(`${chunk.path} ${chunk.symbol || ""} ${chunk.content}`);
+    const frequencies = {};
+    for (const term of terms) frequencies[term] = (frequencies[term] || 0) + 1;
+    for (const term of Object.keys(frequencies)) documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    documents.push({ length: terms.length, terms: frequencies });
+    totalLength += terms.length;
+  }
+  return {
+    documents,
+    documentFrequency,
+    averageLength: documents.length ? totalLength / documents.length : 0
+  };
+}
+
+function bm25Scores(lexical, query, candidates) {
+  const terms = Array.from(new Set(tokenizeForSearch(query)));
+  const count = lexical.documents.length;
+  const scores = new Map();
+  for (const index of candidates) {
+    const document = lexical.documents[index];
+    let score = 0;
+    for (const term of terms) {
+      const frequency = document.terms[term];
+      if (!frequency) continue;
+      const df = lexical.documentFrequency[term] || 0;
+      const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+      const norm = BM25_K1 * (1 - BM25_B + (BM25_B * document.length) / (lexical.averageLength || 1));
+      score += (idf * frequency * (BM25_K1 + 1)) / (frequency + norm);
+    }
+    if (score > 0) scores.set(index, score);
+  }
+  return scores;
+}
+
+// Ranks chunks by fusing BM25 and vector similarity with reciprocal rank
+// fusion, optionally reranks the head with a cross-encoder, then picks a
+// diverse top-k with maximal marginal relevance.
+export async function hybridSearch(
+  index,
+  { query, queryVector = null, topK = 4, filters = {}, mmrLambda = DEFAULT_MMR_LAMBDA, rerank = null, mode = "hybrid" }
+) {
+  const candidates = index.chunks.map((_, position) => position).filter((position) => matchesFilters(index.chunks[position], filters));
+  if (!candidates.length) return [];
+
+  const lists = [];
+  const lexicalScores = mode !== "vector" && index.lexical ? bm25Scores(index.lexical, query, candidates) : new Map();
+  if (lexicalScores.size) lists.push(rankBy(lexicalScores));
+  const vectorScores = new Map();
+  if (mode !== "lexical" && queryVector && index.vectors?.length) {
+    for (const position of candidates) vectorScores.set(position, cosineSimilarity(index.vectors[position], queryVector));
+    lists.push(rankBy(vectorScores));
+  }
+
+  const fused = new Map();
+  for (const ranking of lists) {
+    ranking.slice(0, FUSION_DEPTH).forEach((position, rank) => {
+      fused.set(position, (fused.get(position) || 0) + 1 / (RRF_K + rank + 1));
+    });
+  }
+  let ranked = rankBy(fused).map((position) => ({
+    position,
+    score: fused.get(position),
+    lexicalScore: lexicalScores.get(position) ?? 0,
+    vectorScore: vectorScores.get(position) ?? null
+  }));
+
+  // A reranker that cannot run returns null and the fused order is kept.
+  const head = ranked.slice(0, RERANK_DEPTH);
+  const scores = rerank && head.length ? await rerank(query, head.map((entry) => index.chunks[entry.position])) : null;
+  if (scores) {
+    head.forEach((entry, offset) => {
+      entry.rerankScore = scores[offset];
+      entry.score = scores[offset];
+    });
+    ranked = head.sort((a, b) => b.score - a.score);
+  }
+
+  return selectDiverse(ranked, index, topK, mmrLambda).map((entry) => ({
+    chunk: index.chunks[entry.position],
+    score: entry.score,
+    lexicalScore: entry.lexicalScore,
+    vectorScore: entry.vectorScore,
+    rerankScore: entry.rerankScore ?? null
+  }));
+}
+
+// Filters accept a single value or a list: `path` takes directory prefixes
+// or globs, `language` language names or extensions, `component` names.
+function matchesFilters(chunk, { path, language, component } = {}) {
+  const list = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+  const paths = list(path);
+  if (paths.length && !paths.some((entry) => (/[*?]/.test(entry) ? matchesGlob(chunk.path, entry) : isInside(chunk.path, entry)))) {
+    return false;
+  }
+  const languages = list(language).map((entry) => entry.toLowerCase());
+  if (languages.length && !languages.includes(chunk.language?.toLowerCase()) && !languages.includes(chunk.extension)) {
+    return false;
+  }
+  const components = list(component).map((entry) => entry.toLowerCase());
+  return !components.length || components.includes(chunk.component?.toLowerCase());
+}
+
+// Maximal marginal relevance: trades relevance against similarity to the
+// chunks already picked so near-duplicates do not crowd out other files.
+function selectDiverse(ranked, index, topK, lambda) {
+  const pool = ranked.slice(0, Math.max(topK * 5, RERANK_DEPTH));
+  if (lambda >= 1 || pool.length <= topK) return pool.slice(0, topK);
+  const top = Math.max(...pool.map((entry) => entry.score));
+  const bottom = Math.min(...pool.map((entry) => entry.score));
+  const relevance = (entry) => (top === bottom ? 1 : (entry.score - bottom) / (top - bottom));
+  const selected = [];
+  while (selected.length < topK && pool.length) {
+    let best = 0;
+    let bestValue = -Infinity;
+    pool.forEach((entry, offset) => {
+      const redundancy = selected.length
+        ? Math.max(...selected.map((picked) => similarity(index, entry.position, picked.position)))
+        : 0;
+      const value = lambda * relevance(entry) - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        best = offset;
+      }
+    });
+    selected.push(pool.splice(best, 1)[0]);
+  }
+  return selected;
+}
+
+// Cosine over embeddings when present, term overlap otherwise.
+function similarity(index, a, b) {
+  if (index.vectors?.length) return cosineSimilarity(index.vectors[a], index.vectors[b]);
+  const left = index.lexical.documents[a].terms;
+  const right = index.lexical.documents[b].terms;
+  const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+  let shared = 0;
+  for (const key of keys) if (key in left && key in right) shared += 1;
+  return keys.size ? shared / keys.size : 0;
+}
+
+function rankBy(scores) {
+  return Array.from(scores.keys()).sort((a, b) => scores.get(b) - scores.get(a));
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB) + 1e-9);
+}
+
+// recall@k for each k: the share of a query's relevant paths (or
+// `path:symbol` pairs) found among the first k results, averaged over queries.
+export async function evaluateRecall(cases, search, ks = [1, 3, 5, 10]) {
+  const deepest = Math.max(...ks);
+  const queries = [];
+  for (const entry of cases) {
+    const results = await search(entry.query, deepest);
+    const keys = results.map(({ chunk }) => [chunk.path, chunk.symbol ? `${chunk.path}:${chunk.symbol}` : null]);
+    const recall = {};
+    for (const k of ks) {
+      const found = new Set(keys.slice(0, k).flat().filter(Boolean));
+      recall[k] = entry.relevant.filter((target) => found.has(target)).length / entry.relevant.length;
+    }
+    queries.push({ query: entry.query, recall, results: results.map(({ chunk }) => `${chunk.path}:${chunk.startLine}`) });
+  }
+  const recall = {};
+  for (const k of ks) {
+    recall[k] = queries.length ? queries.reduce((sum, entry) => sum + entry.recall[k], 0) / queries.length : 0;
+  }
+  return { recall, queries };
+}
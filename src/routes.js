@@ -0,0 +1,1433 @@
+import {
+  describeExpression,
+  evaluateString,
+  isName,
+  isPunct,
+  lineSnippet,
+  matchBrackets,
+  readList,
+  readObject,
+  tokenize
+} from "./jsparser.js";
+import { maskSource } from "./symbols.js";
+
+const HTTP_METHODS = ["get", "post", "put", "delete", "patch", "options", "head", "all"];
+const NEST_DECORATORS = new Map([
+  ["Get", "GET"],
+  ["Post", "POST"],
+  ["Put", "PUT"],
+  ["Delete", "DELETE"],
+  ["Patch", "PATCH"],
+  ["Options", "OPTIONS"],
+  ["Head", "HEAD"],
+  ["All", "ALL"]
+]);
+const SERVER_MODULES = new Map([
+  ["express", "express"],
+  ["koa", "koa"],
+  ["koa-router", "koa"],
+  ["@koa/router", "koa"],
+  ["fastify", "fastify"],
+  ["@hapi/hapi", "hapi"],
+  ["hapi", "hapi"],
+  ["hono", "hono"],
+  ["restify", "restify"]
+]);
+const NEXT_METHODS = new Set(["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"]);
+const ROUTER_NAMES = /^(app|server|router|routes|fastify|\w+(Router|Routes|App|Server))$/;
+const RESOLVE_EXTENSIONS = ["", ".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+const MAX_MOUNT_DEPTH = 8;
+const MAX_PREFIXES = 10;
+
+// Parses one JS/TS file into routes, router mounts, imports and exports so that
+// prefixes can be resolved across files by resolveJsRoutes.
+export function extractJsRouteModule(content, path) {
+  const tokens = tokenize(content);
+  const pairs = matchBrackets(tokens);
+  const module = {
+    path,
+    routes: [],
+    mounts: [],
+    imports: new Map(),
+    exports: new Map(),
+    receivers: new Map(),
+    pluginParams: new Map(),
+    constants: new Map(),
+    globalPrefix: null,
+    framework: null
+  };
+
+  collectImports(tokens, pairs, module);
+  module.framework =
+    Array.from(module.imports.values())
+      .map((entry) => SERVER_MODULES.get(entry.source))
+      .find(Boolean) || null;
+  collectDeclarations(tokens, pairs, module);
+  collectExports(tokens, pairs, module);
+
+  const route = (receiver, method, routePath, handlerRange, token, framework, hint = null) => {
+    if (routePath === null || routePath === undefined) return;
+    module.routes.push({
+      receiver,
+      framework,
+      hint: receiver === "fastify" ? "fastify" : hint,
+      method,
+      path: routePath,
+      handler: handlerRange ? describeExpression(tokens, pairs, handlerRange) : null,
+      line: token.line,
+      snippet: lineSnippet(content, token)
+    });
+  };
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (isPunct(token, "@") && isName(tokens[i + 1], "Controller")) {
+      i = collectNestController(tokens, pairs, i, module, content);
+      continue;
+    }
+    if (!isName(token) || isPunct(tokens[i - 1], ".") || !isPunct(tokens[i + 1], ".")) continue;
+    const member = tokens[i + 2];
+    if (!isName(member) || !isPunct(tokens[i + 3], "(")) continue;
+
+    const receiver = token.value;
+    if (!isRouterReceiver(receiver, module)) continue;
+    const open = i + 3;
+    const args = readList(tokens, pairs, open);
+    const name = member.value;
+    const framework = module.receivers.get(receiver)?.framework;
+
+    if (HTTP_METHODS.includes(name) || name === "del") {
+      const [first, second] = args;
+      let path = first ? evaluateString(tokens, first, module.constants) : null;
+      let handlerIndex = 1;
+      if (second && path !== null && !path.startsWith("/")) {
+        const named = evaluateString(tokens, second, module.constants);
+        if (named?.startsWith("/")) {
+          path = named;
+          handlerIndex = 2;
+        }
+      }
+      if (path === null || (!path.startsWith("/") && path !== "*")) continue;
+      const method = name === "del" ? "DELETE" : name.toUpperCase();
+      const handler = args.length > handlerIndex ? args[args.length - 1] : null;
+      const koa = handler && readFunctionParameter(tokens, pairs, handler[0]) === "ctx";
+      route(receiver, method, path, handler, token, framework, koa ? "koa" : null);
+      continue;
+    }
+
+    if (name === "route" && args.length) {
+      const first = tokens[args[0][0]];
+      if (isPunct(first, "{") || isPunct(first, "[")) {
+        const objects = isPunct(first, "[")
+          ? readList(tokens, pairs, args[0][0]).map(([start]) => start)
+          : [args[0][0]];
+        for (const objectIndex of objects) {
+          collectRouteConfig(tokens, pairs, objectIndex, module, (method, path, handler, hint) =>
+            route(receiver, method, path, handler, tokens[objectIndex], framework, hint)
+          );
+        }
+        continue;
+      }
+      const path = evaluateString(tokens, args[0], module.constants);
+      let cursor = pairs.get(open);
+      while (
+        cursor !== undefined &&
+        isPunct(tokens[cursor + 1], ".") &&
+        isName(tokens[cursor + 2]) &&
+        isPunct(tokens[cursor + 3], "(")
+      ) {
+        const method = tokens[cursor + 2].value;
+        const chainArgs = readList(tokens, pairs, cursor + 3);
+        if (HTTP_METHODS.includes(method)) {
+          route(receiver, method.toUpperCase(), path, chainArgs[chainArgs.length - 1], tokens[cursor + 2], framework);
+        }
+        cursor = pairs.get(cursor + 3);
+      }
+      continue;
+    }
+
+    if (name === "use" && args.length) {
+      const prefix = evaluateString(tokens, args[0], module.constants);
+      const children = prefix === null ? args : args.slice(1);
+      for (const range of children) {
+        const child = readModuleReference(tokens, pairs, range);
+        if (child) module.mounts.push({ parent: receiver, prefix: prefix || "", child });
+      }
+      continue;
+    }
+
+    if (name === "register" && args.length) {
+      const child = readModuleReference(tokens, pairs, args[0]);
+      const options = args[1] ? readObject(tokens, pairs, args[1][0]) : new Map();
+      const prefix = options.has("prefix") ? evaluateString(tokens, options.get("prefix"), module.constants) : "";
+      if (child) module.mounts.push({ parent: receiver, prefix: prefix || "", child });
+      continue;
+    }
+
+    if (name === "setGlobalPrefix" && args.length) {
+      module.globalPrefix = evaluateString(tokens, args[0], module.constants);
+      continue;
+    }
+
+    if (name === "prefix" && args.length && module.receivers.has(receiver)) {
+      module.receivers.get(receiver).prefix = evaluateString(tokens, args[0], module.constants) || "";
+    }
+  }
+
+  collectNextRoutes(tokens, pairs, module, content);
+  return module;
+}
+
+export function resolveJsRoutes(modules = []) {
+  const byPath = new Map(modules.map((module) => [module.path, module]));
+  const globalPrefix = modules.map((module) => module.globalPrefix).find(Boolean) || "";
+  const parents = new Map();
+
+  for (const module of modules) {
+    for (const mount of module.mounts) {
+      const parentKey = resolveNode(module, { local: mount.parent }, byPath);
+      const childKey = resolveNode(module, mount.child, byPath);
+      if (!parentKey || !childKey || parentKey === childKey) continue;
+      if (!parents.has(childKey)) parents.set(childKey, []);
+      parents.get(childKey).push({ parentKey, prefix: mount.prefix });
+    }
+  }
+
+  const ownPrefix = (key) => {
+    const [path, local] = splitNode(key);
+    return byPath.get(path)?.receivers.get(local)?.prefix || "";
+  };
+  const prefixesFor = (key, depth = 0) => {
+    const mounts = parents.get(key) || [];
+    if (!mounts.length || depth >= MAX_MOUNT_DEPTH) return [ownPrefix(key)];
+    const prefixes = mounts.flatMap(({ parentKey, prefix }) =>
+      prefixesFor(parentKey, depth + 1).map((parent) => joinRoutePath(parent, prefix, ownPrefix(key)))
+    );
+    return Array.from(new Set(prefixes)).slice(0, MAX_PREFIXES);
+  };
+  const frameworkFor = (key, depth = 0) => {
+    const [path, local] = splitNode(key);
+    const declared = byPath.get(path)?.receivers.get(local)?.framework;
+    if (declared) return declared;
+    const parent = (parents.get(key) || [])[0];
+    if (parent && depth < MAX_MOUNT_DEPTH) return frameworkFor(parent.parentKey, depth + 1);
+    return byPath.get(path)?.framework || null;
+  };
+
+  const routes = [];
+  for (const module of modules) {
+    for (const route of module.routes) {
+      const base = {
+        method: route.method,
+        handler: route.handler,
+        line: route.line,
+        snippet: route.snippet,
+        sourceFile: module.path,
+        ...declarationTypes(route)
+      };
+      if (route.framework === "nestjs") {
+        routes.push({ ...base, framework: "nestjs", endpoint: joinRoutePath(globalPrefix, route.path) });
+        continue;
+      }
+      if (route.framework === "next.js") {
+        routes.push({ ...base, framework: "next.js", endpoint: route.path });
+        continue;
+      }
+      const key = resolveNode(module, { local: route.receiver }, byPath) || nodeKey(module, route.receiver);
+      // Files without a framework import fall back to the call shape.
+      const framework = route.framework || frameworkFor(key) || route.hint || "express";
+      for (const prefix of prefixesFor(key)) {
+        routes.push({ ...base, framework, endpoint: joinRoutePath(prefix, route.path) });
+      }
+    }
+  }
+  return routes;
+}
+
+export function joinRoutePath(...parts) {
+  const joined = parts
+    .filter((part) => part !== null && part !== undefined && part !== "")
+    .map((part) => String(part).replace(/^\/+|\/+$/g, ""))
+    .filter(Boolean)
+    .join("/");
+  return `/${joined}`;
+}
+
+function collectImports(tokens, pairs, module) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (
+      isName(token, "import") &&
+      !isPunct(tokens[i - 1], ".") &&
+      !isPunct(tokens[i + 1], "(") &&
+      !isPunct(tokens[i + 1], ".")
+    ) {
+      let cursor = i + 1;
+      if (isName(tokens[cursor], "type")) cursor += 1;
+      const bindings = [];
+      while (
+        cursor < tokens.length &&
+        !isName(tokens[cursor], "from") &&
+        !isPunct(tokens[cursor], ";") &&
+        tokens[cursor].type !== "string"
+      ) {
+        const current = tokens[cursor];
+        if (isName(current) && (isPunct(tokens[cursor + 1], ",") || isName(tokens[cursor + 1], "from"))) {
+          bindings.push({ local: current.value, name: "default" });
+        } else if (isPunct(current, "*") && isName(tokens[cursor + 1], "as")) {
+          bindings.push({ local: tokens[cursor + 2].value, name: "*" });
+          cursor += 2;
+        } else if (isPunct(current, "{")) {
+          bindings.push(...readNamedBindings(tokens, pairs, cursor, "as"));
+          cursor = pairs.get(cursor) ?? cursor;
+        }
+        cursor += 1;
+      }
+      if (isName(tokens[cursor], "from")) cursor += 1;
+      const source = tokens[cursor];
+      if (source?.type !== "string") continue;
+      for (const binding of bindings) module.imports.set(binding.local, { source: source.value, name: binding.name });
+      i = cursor;
+      continue;
+    }
+
+    if (!isName(token, "require") || !isPunct(tokens[i + 1], "(") || tokens[i + 2]?.type !== "string") continue;
+    const source = tokens[i + 2].value;
+    const after = tokens[pairs.get(i + 1) + 1];
+    if (!isPunct(tokens[i - 1], "=") || isPunct(after, ".") || isPunct(after, "(")) continue;
+    const target = tokens[i - 2];
+    if (isName(target)) {
+      module.imports.set(target.value, { source, name: "default" });
+    } else if (isPunct(target, "}")) {
+      const open = pairs.get(i - 2);
+      if (open !== undefined) {
+        readNamedBindings(tokens, pairs, open, ":").forEach((binding) =>
+          module.imports.set(binding.local, { source, name: binding.name })
+        );
+      }
+    }
+  }
+}
+
+function readNamedBindings(tokens, pairs, open, renameToken) {
+  return readList(tokens, pairs, open)
+    .map(([start, end]) => {
+      const names = tokens.slice(start, end).filter((token) => isName(token) && token.value !== "type");
+      if (!names.length) return null;
+      const renamed = tokens.slice(start, end).some((token) => token.value === renameToken);
+      return {
+        name: names[0].value,
+        local: renamed ? names[names.length - 1].value : names[0].value
+      };
+    })
+    .filter(Boolean);
+}
+
+function collectDeclarations(tokens, pairs, module) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (isName(token, "function") && isName(tokens[i + 1]) && isPunct(tokens[i + 2], "(")) {
+      const [first] = readList(tokens, pairs, i + 2);
+      if (first && isName(tokens[first[0]])) module.pluginParams.set(tokens[i + 1].value, tokens[first[0]].value);
+      continue;
+    }
+    if (!["const", "let", "var"].includes(token.value) || token.type !== "name") continue;
+    const name = tokens[i + 1];
+    if (!isName(name)) continue;
+    let cursor = i + 2;
+    if (isPunct(tokens[cursor], ":")) {
+      while (cursor < tokens.length && !isPunct(tokens[cursor], "=") && !isPunct(tokens[cursor], ";")) cursor += 1;
+    }
+    if (!isPunct(tokens[cursor], "=")) continue;
+    const valueStart = cursor + 1;
+
+    const literal = tokens[valueStart];
+    if ((literal?.type === "string" || literal?.type === "template") && !isPunct(tokens[valueStart + 1], ".")) {
+      let end = valueStart + 1;
+      while (isPunct(tokens[end], "+") && tokens[end + 1]) end += 2;
+      const value = evaluateString(tokens, [valueStart, end], module.constants);
+      if (value !== null) module.constants.set(name.value, value);
+      continue;
+    }
+
+    const receiver = describeServerFactory(tokens, pairs, valueStart, module);
+    if (receiver) {
+      module.receivers.set(name.value, receiver);
+      continue;
+    }
+
+    const arrowParam = readFunctionParameter(tokens, pairs, valueStart);
+    if (arrowParam) module.pluginParams.set(name.value, arrowParam);
+  }
+}
+
+function describeServerFactory(tokens, pairs, start, module) {
+  let cursor = start;
+  if (isName(tokens[cursor], "await")) cursor += 1;
+  if (isName(tokens[cursor], "new")) cursor += 1;
+  const chain = [];
+  while (isName(tokens[cursor])) {
+    chain.push(tokens[cursor].value);
+    if (!isPunct(tokens[cursor + 1], ".")) break;
+    cursor += 2;
+  }
+  if (!chain.length || !isPunct(tokens[cursor + 1], "(")) return null;
+  if (chain[0] === "require" && chain.length === 1) {
+    const source = tokens[cursor + 2]?.type === "string" ? tokens[cursor + 2].value : null;
+    const close = pairs.get(cursor + 1);
+    const framework = SERVER_MODULES.get(source);
+    if (!framework || !isPunct(tokens[close + 1], "(") && !isPunct(tokens[close + 1], ".")) return null;
+    return { framework, prefix: "" };
+  }
+
+  const root = chain[0];
+  const callee = chain[chain.length - 1];
+  const source = module.imports.get(root)?.source;
+  const framework =
+    SERVER_MODULES.get(source) ||
+    (/^(express|Router)$/.test(callee) && "express") ||
+    (/^(fastify|Fastify)$/.test(callee) && "fastify") ||
+    (/^(Koa|KoaRouter)$/.test(callee) && "koa") ||
+    (/^(Hono)$/.test(callee) && "hono") ||
+    (root === "Hapi" && "hapi");
+  if (!framework) return null;
+  if (source && !/^(express|Router|fastify|Fastify|Koa|KoaRouter|Hono|server|Server|default)$/.test(callee)) {
+    return null;
+  }
+
+  const [options] = readList(tokens, pairs, cursor + 1);
+  const config = options ? readObject(tokens, pairs, options[0]) : new Map();
+  let prefix = config.has("prefix") ? evaluateString(tokens, config.get("prefix"), module.constants) || "" : "";
+  const close = pairs.get(cursor + 1);
+  if (isPunct(tokens[close + 1], ".") && isName(tokens[close + 2], "basePath") && isPunct(tokens[close + 3], "(")) {
+    const [base] = readList(tokens, pairs, close + 3);
+    prefix = (base && evaluateString(tokens, base, module.constants)) || prefix;
+  }
+  return { framework, prefix };
+}
+
+function readFunctionParameter(tokens, pairs, start) {
+  let cursor = start;
+  if (isName(tokens[cursor], "async")) cursor += 1;
+  if (isName(tokens[cursor], "function")) {
+    cursor += 1;
+    if (isName(tokens[cursor])) cursor += 1;
+  }
+  if (isName(tokens[cursor]) && isPunct(tokens[cursor + 1], "=>")) return tokens[cursor].value;
+  if (!isPunct(tokens[cursor], "(")) return null;
+  const close = pairs.get(cursor);
+  if (!isPunct(tokens[close + 1], "=>") && !isPunct(tokens[close + 1], "{") && !isPunct(tokens[close + 1], ":")) {
+    return null;
+  }
+  const [first] = readList(tokens, pairs, cursor);
+  return first && isName(tokens[first[0]]) ? tokens[first[0]].value : null;
+}
+
+function collectExports(tokens, pairs, module) {
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (isName(token, "export") && isName(tokens[i + 1], "default")) {
+      const start = i + 2;
+      const param = readFunctionParameter(tokens, pairs, start);
+      if (param) {
+        const name = isName(tokens[start], "function") ? tokens[start + 1] : tokens[start + 2];
+        const local = isName(name) && name.value !== "function" ? name.value : "default";
+        module.pluginParams.set(local, param);
+        module.exports.set("default", local);
+      } else if (isName(tokens[start])) {
+        module.exports.set("default", tokens[start].value);
+      }
+      continue;
+    }
+    if (isName(token, "export") && ["const", "let", "var", "function", "class"].includes(tokens[i + 1]?.value)) {
+      const name = isName(tokens[i + 2], "async") ? tokens[i + 3] : tokens[i + 2];
+      if (isName(name)) module.exports.set(name.value, name.value);
+      continue;
+    }
+    if (isName(token, "export") && isName(tokens[i + 1], "async") && isName(tokens[i + 2], "function")) {
+      if (isName(tokens[i + 3])) module.exports.set(tokens[i + 3].value, tokens[i + 3].value);
+      continue;
+    }
+    if (isName(token, "export") && isPunct(tokens[i + 1], "{")) {
+      readNamedBindings(tokens, pairs, i + 1, "as").forEach((binding) =>
+        module.exports.set(binding.local, binding.name)
+      );
+      continue;
+    }
+    if (isName(token, "module") && isPunct(tokens[i + 1], ".") && isName(tokens[i + 2], "exports")) {
+      if (isPunct(tokens[i + 3], "=")) {
+        const start = i + 4;
+        const param = readFunctionParameter(tokens, pairs, start);
+        if (param) {
+          module.pluginParams.set("default", param);
+          module.exports.set("default", "default");
+        } else if (isName(tokens[start])) {
+          module.exports.set("default", tokens[start].value);
+        }
+      } else if (isPunct(tokens[i + 3], ".") && isName(tokens[i + 4]) && isPunct(tokens[i + 5], "=")) {
+        if (isName(tokens[i + 6])) module.exports.set(tokens[i + 4].value, tokens[i + 6].value);
+      }
+      continue;
+    }
+    if (
+      isName(token, "exports") &&
+      !isPunct(tokens[i - 1], ".") &&
+      isPunct(tokens[i + 1], ".") &&
+      isName(tokens[i + 2]) &&
+      isPunct(tokens[i + 3], "=") &&
+      isName(tokens[i + 4])
+    ) {
+      module.exports.set(tokens[i + 2].value, tokens[i + 4].value);
+    }
+  }
+}
+
+function isRouterReceiver(name, module) {
+  if (module.receivers.has(name)) return true;
+  const exported = Array.from(module.exports.values());
+  if (exported.some((local) => module.pluginParams.get(local) === name)) return true;
+  const imported = module.imports.get(name);
+  if (imported) return imported.source.startsWith(".") && ROUTER_NAMES.test(name);
+  return ROUTER_NAMES.test(name);
+}
+
+// Accepts `router`, `users.routes()`, `require('./users')` and `import('./users')` style values.
+function readModuleReference(tokens, pairs, [start, end]) {
+  const first = tokens[start];
+  if ((isName(first, "require") || isName(first, "import")) && tokens[start + 2]?.type === "string") {
+    const source = tokens[start + 2].value;
+    const close = pairs.get(start + 1);
+    const member = isPunct(tokens[close + 1], ".") && isName(tokens[close + 2]) ? tokens[close + 2].value : "default";
+    return { source, name: member };
+  }
+  if (isName(first, "await")) return readModuleReference(tokens, pairs, [start + 1, end]);
+  if (!isName(first)) return null;
+  if (end === start + 1) return { local: first.value };
+  if (
+    isPunct(tokens[start + 1], ".") &&
+    isName(tokens[start + 2]) &&
+    ["routes", "middleware", "allowedMethods", "router"].includes(tokens[start + 2].value)
+  ) {
+    return tokens[start + 2].value === "allowedMethods" ? null : { local: first.value };
+  }
+  return null;
+}
+
+function collectRouteConfig(tokens, pairs, objectIndex, module, emit) {
+  const config = readObject(tokens, pairs, objectIndex);
+  const pathRange = config.get("url") || config.get("path");
+  const path = pathRange ? evaluateString(tokens, pathRange, module.constants) : null;
+  if (path === null) return;
+  const methodRange = config.get("method");
+  let methods = ["GET"];
+  if (methodRange) {
+    const first = tokens[methodRange[0]];
+    methods = isPunct(first, "[")
+      ? readList(tokens, pairs, methodRange[0])
+          .map((range) => evaluateString(tokens, range, module.constants))
+          .filter(Boolean)
+      : [evaluateString(tokens, methodRange, module.constants) || "GET"];
+  }
+  let handler = config.get("handler") || null;
+  if (!handler && config.has("options")) {
+    const options = readObject(tokens, pairs, config.get("options")[0]);
+    handler = options.get("handler") || null;
+  }
+  // Fastify route options name the path `url`; Hapi route objects use `path`.
+  const framework = config.has("url") ? "fastify" : "hapi";
+  for (const method of methods) {
+    emit(method === "*" ? "ALL" : method.toUpperCase(), path, handler, framework);
+  }
+}
+
+function collectNestController(tokens, pairs, index, module, content) {
+  let cursor = index + 2;
+  let prefix = "";
+  if (isPunct(tokens[cursor], "(")) {
+    const [first] = readList(tokens, pairs, cursor);
+    if (first && isPunct(tokens[first[0]], "{")) {
+      const options = readObject(tokens, pairs, first[0]);
+      prefix = options.has("path") ? evaluateString(tokens, options.get("path"), module.constants) || "" : "";
+    } else if (first) {
+      prefix = evaluateString(tokens, first, module.constants) || "";
+    }
+    cursor = pairs.get(cursor) + 1;
+  }
+  while (cursor < tokens.length && !isName(tokens[cursor], "class")) cursor += 1;
+  const className = isName(tokens[cursor + 1]) ? tokens[cursor + 1].value : "Controller";
+  while (cursor < tokens.length && !isPunct(tokens[cursor], "{")) cursor += 1;
+  const bodyEnd = pairs.get(cursor);
+  if (bodyEnd === undefined) return cursor;
+
+  for (let i = cursor + 1; i < bodyEnd; i += 1) {
+    if (!isPunct(tokens[i], "@") || !NEST_DECORATORS.has(tokens[i + 1]?.value)) continue;
+    const method = NEST_DECORATORS.get(tokens[i + 1].value);
+    let path = "";
+    let next = i + 2;
+    if (isPunct(tokens[next], "(")) {
+      const [first] = readList(tokens, pairs, next);
+      path = first ? evaluateString(tokens, first, module.constants) || "" : "";
+      next = pairs.get(next) + 1;
+    }
+    while (next < bodyEnd) {
+      if (isPunct(tokens[next], "@")) {
+        next += 2;
+        if (isPunct(tokens[next], "(")) next = pairs.get(next) + 1;
+        continue;
+      }
+      if (isName(tokens[next]) && isPunct(tokens[next + 1], "(")) break;
+      next += 1;
+    }
+    module.routes.push({
+      receiver: null,
+      framework: "nestjs",
+      method,
+      path: joinRoutePath(prefix, path),
+      handler: `${className}.${tokens[next]?.value || "handler"}`,
+      line: tokens[i].line,
+      snippet: lineSnippet(content, tokens[i]),
+      ...readNestSignature(tokens, pairs, next + 1)
+    });
+  }
+  return bodyEnd;
+}
+
+// Reads the `@Body() dto: Type` parameter and the declared return type of a controller method.
+function readNestSignature(tokens, pairs, open) {
+  const close = pairs.get(open);
+  if (!isPunct(tokens[open], "(") || close === undefined) return {};
+  const types = {};
+  for (const [start, end] of readList(tokens, pairs, open)) {
+    if (!isPunct(tokens[start], "@") || !isName(tokens[start + 1], "Body")) continue;
+    const colon = tokens.slice(start, end).findIndex((token) => isPunct(token, ":"));
+    if (colon !== -1) types.requestType = readTypeText(tokens, start + colon + 1, end);
+  }
+  if (isPunct(tokens[close + 1], ":")) {
+    let end = close + 2;
+    let angle = 0;
+    while (end < tokens.length) {
+      const token = tokens[end];
+      if (angle === 0 && (isPunct(token, "{") || isPunct(token, ";"))) break;
+      if (isPunct(token, "<")) angle += 1;
+      else if (isPunct(token, ">")) angle -= 1;
+      else if (isPunct(token, ">>")) angle -= 2;
+      if (pairs.has(end) && pairs.get(end) > end) end = pairs.get(end);
+      end += 1;
+    }
+    const responseType = readTypeText(tokens, close + 2, end);
+    if (responseType && !/^(void|Promise<void>)$/.test(responseType)) types.responseType = responseType;
+  }
+  return types;
+}
+
+function readTypeText(tokens, start, end) {
+  const text = tokens
+    .slice(start, end)
+    .map((token) => token.value)
+    .join("")
+    .replace(/=.*$/, "");
+  return text || null;
+}
+
+function collectNextRoutes(tokens, pairs, module, content) {
+  const pagesMatch = module.path.match(/(?:^|\/)pages\/(api\/.+)\.(js|jsx|ts|tsx|mjs)$/);
+  const appMatch = module.path.match(/(?:^|\/)app\/((?:.+\/)?)route\.(js|ts|mjs)$/);
+  if (!pagesMatch && !appMatch) return;
+
+  if (appMatch) {
+    const path = toNextPath(appMatch[1]);
+    for (let i = 0; i < tokens.length; i += 1) {
+      if (!isName(tokens[i], "export")) continue;
+      let cursor = i + 1;
+      if (isName(tokens[cursor], "async")) cursor += 1;
+      if (isName(tokens[cursor], "function") || isName(tokens[cursor], "const")) cursor += 1;
+      const name = tokens[cursor]?.value;
+      if (NEXT_METHODS.has(name)) {
+        module.routes.push({
+          receiver: null,
+          framework: "next.js",
+          method: name,
+          path,
+          handler: name,
+          line: tokens[i].line,
+          snippet: lineSnippet(content, tokens[i])
+        });
+      } else if (isPunct(tokens[i + 1], "{")) {
+        readNamedBindings(tokens, pairs, i + 1, "as")
+          .filter((binding) => NEXT_METHODS.has(binding.local))
+          .forEach((binding) =>
+            module.routes.push({
+              receiver: null,
+              framework: "next.js",
+              method: binding.local,
+              path,
+              handler: binding.name,
+              line: tokens[i].line,
+              snippet: lineSnippet(content, tokens[i])
+            })
+          );
+      }
+    }
+    return;
+  }
+
+  const path = toNextPath(pagesMatch[1].replace(/(^|\/)index$/, ""));
+  const methods = new Set();
+  tokens.forEach((token, index) => {
+    if (token.type !== "string" || !NEXT_METHODS.has(token.value)) return;
+    const window = tokens.slice(Math.max(0, index - 4), index).map((entry) => entry.value);
+    if (window.includes("method") || window.includes("case")) methods.add(token.value);
+  });
+  const exportIndex = tokens.findIndex((token, index) => isName(token, "export") && isName(tokens[index + 1], "default"));
+  const anchor = tokens[exportIndex] || tokens[0];
+  const handler = module.exports.get("default");
+  for (const method of methods.size ? methods : ["ALL"]) {
+    module.routes.push({
+      receiver: null,
+      framework: "next.js",
+      method,
+      path,
+      handler: handler && handler !== "default" ? handler : "handler",
+      line: anchor?.line ?? 1,
+      snippet: anchor ? lineSnippet(content, anchor) : ""
+    });
+  }
+}
+
+function toNextPath(relative) {
+  const segments = relative
+    .split("/")
+    .filter(Boolean)
+    .filter((segment) => !/^\(.*\)$/.test(segment) && !segment.startsWith("@"))
+    .map((segment) => {
+      const catchAll = segment.match(/^\[{1,2}\.\.\.(\w+)\]{1,2}$/);
+      if (catchAll) return `*${catchAll[1]}`;
+      const dynamic = segment.match(/^\[(\w+)\]$/);
+      return dynamic ? `:${dynamic[1]}` : segment;
+    });
+  return joinRoutePath(...segments);
+}
+
+function resolveNode(module, reference, byPath, depth = 0) {
+  if (!module || depth > MAX_MOUNT_DEPTH) return null;
+  if (reference.local !== undefined) {
+    const imported = module.imports.get(reference.local);
+    if (imported) return resolveNode(module, imported, byPath, depth + 1);
+    return nodeKey(module, reference.local);
+  }
+  const target = resolveModulePath(module.path, reference.source, byPath);
+  if (!target) return null;
+  const targetModule = byPath.get(target);
+  const local = targetModule.exports.get(reference.name) ?? reference.name;
+  return resolveNode(targetModule, { local }, byPath, depth + 1);
+}
+
+function nodeKey(module, local) {
+  return `${module.path}#${module.pluginParams.get(local) ?? local}`;
+}
+
+function splitNode(key) {
+  const index = key.lastIndexOf("#");
+  return [key.slice(0, index), key.slice(index + 1)];
+}
+
+function resolveModulePath(from, source, byPath) {
+  if (!source?.startsWith(".")) return null;
+  const parts = from.split("/").slice(0, -1);
+  for (const segment of source.split("/")) {
+    if (!segment || segment === ".") continue;
+    if (segment === "..") parts.pop();
+    else parts.push(segment);
+  }
+  const base = parts.join("/");
+  const stripped = base.replace(/\.(js|mjs|cjs|jsx)$/, "");
+  for (const candidate of [base, stripped]) {
+    for (const extension of RESOLVE_EXTENSIONS) {
+      if (byPath.has(`${candidate}${extension}`)) return `${candidate}${extension}`;
+      if (extension && byPath.has(`${candidate}/index${extension}`)) return `${candidate}/index${extension}`;
+    }
+  }
+  return null;
+}
+
+// Regex- and brace-based extractors for server frameworks outside JS/TS.
+// Returns null for languages without a dedicated extractor so callers can fall back.
+export function extractServerRoutes(content, path, extension) {
+  if (!content) return [];
+  const locate = createLineLocator(content);
+  const routes = [];
+  const emit = (framework, method, endpoint, handler, index, types = {}) =>
+    routes.push({
+      framework,
+      method,
+      endpoint,
+      handler: handler || null,
+      line: locate(index),
+      snippet: locate.text(index),
+      ...types
+    });
+
+  // Comments are blanked so commented-out routes are skipped. String literals
+  // hold the paths and stay, and offsets (so line numbers) are unchanged.
+  const masked = () => maskSource(content, extension, { strings: false });
+  if (["java", "kt", "kts", "scala"].includes(extension)) {
+    const code = masked();
+    collectJvmAnnotationRoutes(code, emit);
+    collectWebFluxRoutes(code, emit);
+    if (extension !== "java") collectKtorRoutes(code, emit);
+  } else if (extension === "go") {
+    collectGoRoutes(masked(), emit);
+  } else if (extension === "cs") {
+    const code = masked();
+    collectAspNetRoutes(code, emit);
+    collectMinimalApiRoutes(code, emit);
+  } else if (extension === "rb") {
+    if (/(^|\/)routes\.rb$/.test(path)) collectRailsRoutes(content, emit);
+    else collectSinatraRoutes(content, emit);
+  } else if (extension === "php") {
+    const code = masked();
+    collectLaravelRoutes(code, path, emit);
+    collectSymfonyRoutes(code, content, emit);
+  } else {
+    return null;
+  }
+  return routes;
+}
+
+const SPRING_MAPPINGS = new Map([
+  ["RequestMapping", null],
+  ["GetMapping", "GET"],
+  ["PostMapping", "POST"],
+  ["PutMapping", "PUT"],
+  ["DeleteMapping", "DELETE"],
+  ["PatchMapping", "PATCH"]
+]);
+const JAXRS_METHODS = new Set(["GET", "POST", "PUT", "DELETE", "PATCH", "HEAD", "OPTIONS"]);
+const MICRONAUT_METHODS = new Map([
+  ["Get", "GET"],
+  ["Post", "POST"],
+  ["Put", "PUT"],
+  ["Delete", "DELETE"],
+  ["Patch", "PATCH"],
+  ["Head", "HEAD"],
+  ["Options", "OPTIONS"]
+]);
+const GO_ROUTERS = [
+  { framework: "gin", module: /^github\.com\/gin-gonic\/gin$/ },
+  { framework: "echo", module: /^github\.com\/labstack\/echo(?:\/v\d+)?$/ },
+  { framework: "chi", module: /^github\.com\/go-chi\/chi(?:\/v\d+)?$/ },
+  { framework: "gorilla/mux", module: /^github\.com\/gorilla\/mux$/ },
+  { framework: "fiber", module: /^github\.com\/gofiber\/fiber(?:\/v\d+)?$/ },
+  { framework: "net/http", module: /^net\/http$/ }
+];
+const GO_ROUTER_TYPES = /^(?:Engine|RouterGroup|IRouter|IRoutes|Echo|Group|Router|Mux|App|ServeMux)$/;
+const ASPNET_VERBS = new Map([
+  ["HttpGet", "GET"],
+  ["HttpPost", "POST"],
+  ["HttpPut", "PUT"],
+  ["HttpDelete", "DELETE"],
+  ["HttpPatch", "PATCH"],
+  ["HttpHead", "HEAD"],
+  ["HttpOptions", "OPTIONS"]
+]);
+const RAILS_ACTIONS = [
+  { action: "index", method: "GET", member: false, suffix: "" },
+  { action: "new", method: "GET", member: false, suffix: "/new" },
+  { action: "create", method: "POST", member: false, suffix: "" },
+  { action: "show", method: "GET", member: true, suffix: "" },
+  { action: "edit", method: "GET", member: true, suffix: "/edit" },
+  { action: "update", method: "PATCH", member: true, suffix: "" },
+  { action: "update", method: "PUT", member: true, suffix: "" },
+  { action: "destroy", method: "DELETE", member: true, suffix: "" }
+];
+const LARAVEL_ACTIONS = [
+  { action: "index", method: "GET", suffix: "" },
+  { action: "create", method: "GET", suffix: "/create", web: true },
+  { action: "store", method: "POST", suffix: "" },
+  { action: "show", method: "GET", suffix: "/{id}" },
+  { action: "edit", method: "GET", suffix: "/{id}/edit", web: true },
+  { action: "update", method: "PUT", suffix: "/{id}" },
+  { action: "update", method: "PATCH", suffix: "/{id}" },
+  { action: "destroy", method: "DELETE", suffix: "/{id}" }
+];
+
+function collectJvmAnnotationRoutes(content, emit) {
+  const micronaut = /import\s+io\.micronaut/.test(content);
+  let prefixes = [""];
+  let framework = null;
+  for (const declaration of scanDeclarations(content, "java")) {
+    const byName = new Map(declaration.annotations.map((annotation) => [annotation.name, annotation]));
+    if (declaration.kind === "class") {
+      const mapping = byName.get("RequestMapping") || byName.get("Path") || (micronaut && byName.get("Controller"));
+      prefixes = mapping ? readAnnotationPaths(mapping.args) : [""];
+      framework = byName.has("Path") ? "jax-rs" : micronaut ? "micronaut" : "spring";
+      continue;
+    }
+
+    const handler = declaration.name;
+    const types = declarationTypes(declaration);
+    for (const annotation of declaration.annotations) {
+      if (SPRING_MAPPINGS.has(annotation.name)) {
+        const methods = SPRING_MAPPINGS.get(annotation.name)
+          ? [SPRING_MAPPINGS.get(annotation.name)]
+          : readEnumMethods(annotation.args, /RequestMethod\.(\w+)/g);
+        for (const prefix of prefixes) {
+          for (const path of readAnnotationPaths(annotation.args)) {
+            for (const method of methods) {
+              emit("spring", method, joinRoutePath(prefix, path), handler, declaration.index, types);
+            }
+          }
+        }
+      } else if (JAXRS_METHODS.has(annotation.name)) {
+        const paths = byName.has("Path") ? readAnnotationPaths(byName.get("Path").args) : [""];
+        for (const prefix of prefixes) {
+          paths.forEach((path) =>
+            emit("jax-rs", annotation.name, joinRoutePath(prefix, path), handler, declaration.index, types)
+          );
+        }
+      } else if (micronaut && MICRONAUT_METHODS.has(annotation.name)) {
+        for (const prefix of prefixes) {
+          readAnnotationPaths(annotation.args).forEach((path) =>
+            emit(framework || "micronaut", MICRONAUT_METHODS.get(annotation.name), joinRoutePath(prefix, path), handler, declaration.index, types)
+          );
+        }
+      }
+    }
+  }
+}
+
+function collectWebFluxRoutes(content, emit) {
+  if (!/RouterFunction|coRouter|router\s*\{/.test(content)) return;
+  const pattern = /\b(GET|POST|PUT|DELETE|PATCH)\(\s*"([^"]*)"\s*(?:\)\s*,\s*|,\s*)([\w:.]+)?/g;
+  for (const match of content.matchAll(pattern)) {
+    emit("spring-webflux", match[1], joinRoutePath(match[2]), match[3]?.replace("::", "."), match.index);
+  }
+}
+
+function collectKtorRoutes(content, emit) {
+  if (!/io\.ktor/.test(content)) return;
+  const blocks = findBlocks(content, /\broute\(\s*"([^"]*)"\s*\)\s*\{/g);
+  // `get { }` without a path answers at the enclosing `route("/x") { }`.
+  // A leading "." is a client call such as `client.get("...") { }`.
+  const pattern = /(?<![\w.])(get|post|put|delete|patch|head|options)\s*(?:\(\s*"([^"]*)"\s*\))?\s*\{/g;
+  for (const match of content.matchAll(pattern)) {
+    emit("ktor", match[1].toUpperCase(), joinRoutePath(prefixAt(blocks, match.index), match[2] ?? ""), null, match.index);
+  }
+}
+
+function collectGoRoutes(content, emit) {
+  const imports = content.match(/import\s*\(([\s\S]*?)\)/)?.[1] || content.match(/^import\s+.*$/gm)?.join("\n") || "";
+  // Package name (or import alias) of each router library in the file.
+  const packages = new Map();
+  for (const match of imports.matchAll(/(?:^|\n)\s*(?:import\s+)?(?:(\w+)\s+)?"([^"]+)"/g)) {
+    const router = GO_ROUTERS.find((entry) => entry.module.test(match[2]));
+    const name = match[1] || match[2].split("/").filter((part) => !/^v\d+$/.test(part)).pop();
+    if (router) packages.set(name, router.framework);
+  }
+  const fallback = GO_ROUTERS.find((entry) => [...packages.values()].includes(entry.framework))?.framework || "net/http";
+
+  // A router variable takes its framework from its declared type, its
+  // constructor (`gin.Default()`) or the router it came from (`r.Group(...)`);
+  // unknown receivers fall back to the file's first router import.
+  const receivers = new Map(packages);
+  for (const match of content.matchAll(/\b(\w+)\s+\*?(\w+)\.(\w+)\b/g)) {
+    if (packages.has(match[2]) && GO_ROUTER_TYPES.test(match[3])) receivers.set(match[1], packages.get(match[2]));
+  }
+  for (const match of content.matchAll(/(\w+)\s*:?=\s*&?(\w+)\.\w+\(/g)) {
+    if (receivers.has(match[2])) receivers.set(match[1], receivers.get(match[2]));
+  }
+  const frameworkOf = (receiver) => receivers.get(receiver) || fallback;
+
+  const groups = new Map();
+  for (const match of content.matchAll(/(\w+)\s*:?=\s*(\w+)\.(?:Group|PathPrefix)\(\s*"([^"]*)"/g)) {
+    groups.set(match[1], joinRoutePath(groups.get(match[2]) || "", match[3]));
+  }
+  const blocks = findBlocks(content, /\.Route\(\s*"([^"]*)"\s*,\s*func\s*\([^)]*\)\s*\{/g);
+  const prefixFor = (receiver, index) => joinRoutePath(groups.get(receiver) || "", prefixAt(blocks, index));
+
+  const upper = /(\w+)\.(GET|POST|PUT|DELETE|PATCH|HEAD|OPTIONS|Any)\(\s*"([^"]*)"([^\n]*)/g;
+  for (const match of content.matchAll(upper)) {
+    const framework = frameworkOf(match[1]);
+    if (framework !== "gin" && framework !== "echo") continue;
+    const method = match[2] === "Any" ? "ALL" : match[2];
+    emit(framework, method, joinRoutePath(prefixFor(match[1], match.index), match[3]), lastIdentifier(match[4]), match.index);
+  }
+  // chi's `r.With(middleware).Post(...)` adds middleware to a single route.
+  const titled =
+    /(\w+)(?:\.With\((?:[^()\n]|\([^()\n]*\))*\))*\.(Get|Post|Put|Delete|Patch|Head|Options|All)\(\s*"(\/[^"]*)"([^\n]*)/g;
+  for (const match of content.matchAll(titled)) {
+    const framework = frameworkOf(match[1]);
+    if ((framework !== "chi" && framework !== "fiber") || /^(http|client|resty|req)$/.test(match[1])) continue;
+    emit(framework, match[2].toUpperCase(), joinRoutePath(prefixFor(match[1], match.index), match[3]), lastIdentifier(match[4]), match.index);
+  }
+
+  const handlePattern = /(\w+)\.(HandleFunc|Handle)\(\s*"([^"]*)"\s*,([^\n]*)/g;
+  for (const match of content.matchAll(handlePattern)) {
+    const [pattern, explicitMethod] = match[3].includes(" ") ? match[3].split(/\s+/).reverse() : [match[3], null];
+    const chained = match[4].match(/\.Methods\(([^)]*)\)/);
+    const methods = chained
+      ? Array.from(chained[1].matchAll(/"(\w+)"/g), (item) => item[1].toUpperCase())
+      : [explicitMethod || "ALL"];
+    const handler = lastIdentifier(match[4].replace(/\.Methods\([^)]*\)/, ""));
+    const library = ["chi", "gorilla/mux"].includes(frameworkOf(match[1])) ? frameworkOf(match[1]) : "net/http";
+    methods.forEach((method) =>
+      emit(library, method, joinRoutePath(prefixFor(match[1], match.index), pattern), handler, match.index)
+    );
+  }
+}
+
+function collectAspNetRoutes(content, emit) {
+  let prefix = "";
+  let controller = "";
+  for (const declaration of scanDeclarations(content, "csharp")) {
+    const byName = new Map(declaration.annotations.map((annotation) => [annotation.name, annotation]));
+    if (declaration.kind === "class") {
+      prefix = byName.has("Route") ? readAnnotationPaths(byName.get("Route").args)[0] : "";
+      controller = declaration.name.replace(/Controller$/, "");
+      continue;
+    }
+    const methodRoute = byName.has("Route") ? readAnnotationPaths(byName.get("Route").args)[0] : null;
+    for (const annotation of declaration.annotations) {
+      if (!ASPNET_VERBS.has(annotation.name)) continue;
+      const template = readAnnotationPaths(annotation.args)[0] || methodRoute || "";
+      const absolute = /^~?\//.test(template);
+      const path = joinRoutePath(absolute ? "" : prefix, template.replace(/^~/, ""))
+        .replace(/\[controller\]/gi, controller)
+        .replace(/\[action\]/gi, declaration.name);
+      emit(
+        "asp.net core",
+        ASPNET_VERBS.get(annotation.name),
+        path,
+        `${controller}.${declaration.name}`,
+        declaration.index,
+        declarationTypes(declaration)
+      );
+    }
+  }
+}
+
+function collectMinimalApiRoutes(content, emit) {
+  const groups = new Map();
+  for (const match of content.matchAll(/(\w+)\s*=\s*(\w+)\.MapGroup\(\s*"([^"]*)"/g)) {
+    groups.set(match[1], joinRoutePath(groups.get(match[2]) || "", match[3]));
+  }
+  const pattern = /(\w+)\.Map(Get|Post|Put|Delete|Patch)\(\s*"([^"]*)"\s*,\s*([^\n]*)/g;
+  for (const match of content.matchAll(pattern)) {
+    const handler = /^[\w.]+\s*\)/.test(match[4]) ? match[4].match(/^[\w.]+/)[0] : null;
+    emit(
+      "asp.net core minimal api",
+      match[2].toUpperCase(),
+      joinRoutePath(groups.get(match[1]) || "", match[3]),
+      handler,
+      match.index
+    );
+  }
+}
+
+function collectRailsRoutes(content, emit) {
+  const stack = [];
+  const prefix = () =>
+    joinRoutePath(
+      ...stack.map((scope, index) => {
+        if (scope.override !== undefined) return "";
+        const child = stack[index + 1];
+        return child?.override !== undefined ? child.override : scope.path;
+      })
+    );
+  let offset = 0;
+  for (const rawLine of content.split("\n")) {
+    const index = offset;
+    offset += rawLine.length + 1;
+    const line = stripRubyComment(rawLine).trim();
+    if (!line) continue;
+    if (/^end\b/.test(line)) {
+      stack.pop();
+      continue;
+    }
+    const opensBlock = /\bdo(\s*\|[^|]*\|)?\s*$/.test(line);
+    const parent = stack[stack.length - 1];
+
+    const resources = line.match(/^(resources?)\s+:(\w+)(.*)$/);
+    if (resources) {
+      const singular = resources[1] === "resource";
+      const name = resources[2];
+      const only = readRubySymbols(resources[3], "only");
+      const except = readRubySymbols(resources[3], "except");
+      const controller = `${namespacePrefix(stack)}${singular ? `${name}s` : name}`;
+      for (const action of RAILS_ACTIONS) {
+        if (singular && action.action === "index") continue;
+        if (only && !only.includes(action.action)) continue;
+        if (except && except.includes(action.action)) continue;
+        const member = action.member && !singular ? "/:id" : "";
+        emit(
+          "rails",
+          action.method,
+          joinRoutePath(prefix(), name, `${member}${action.suffix}`),
+          `${controller}#${action.action}`,
+          index
+        );
+      }
+      if (opensBlock) {
+        stack.push({
+          path: singular ? name : `${name}/:${name.replace(/s$/, "")}_id`,
+          memberPath: singular ? name : `${name}/:id`,
+          collectionPath: name
+        });
+      }
+      continue;
+    }
+
+    const verb = line.match(/^(get|post|put|patch|delete|match)\s+['"]([^'"]*)['"](.*)$/);
+    if (verb) {
+      const target = verb[3].match(/(?:to:|=>)\s*['"]([^'"]+)['"]/)?.[1] || null;
+      const methods =
+        verb[1] === "match"
+          ? readRubySymbols(verb[3], "via")?.map((method) => method.toUpperCase()) || ["ALL"]
+          : [verb[1].toUpperCase()];
+      methods.forEach((method) => emit("rails", method, joinRoutePath(prefix(), verb[2]), target, index));
+      continue;
+    }
+
+    if (/^root\b/.test(line)) {
+      emit("rails", "GET", joinRoutePath(prefix()), line.match(/['"]([^'"]+#[^'"]+)['"]/)?.[1] || null, index);
+      continue;
+    }
+
+    if (!opensBlock) continue;
+    const namespace = line.match(/^namespace\s+:(\w+)/);
+    const scoped = line.match(/^scope\s*\(?\s*(?:path:\s*)?['"]([^'"]*)['"]/);
+    if (namespace) stack.push({ path: namespace[1], namespace: namespace[1] });
+    else if (scoped) stack.push({ path: scoped[1] });
+    else if (/^member\b/.test(line) && parent?.memberPath) stack.push({ path: "", override: parent.memberPath });
+    else if (/^collection\b/.test(line) && parent?.collectionPath) {
+      stack.push({ path: "", override: parent.collectionPath });
+    } else stack.push({ path: "" });
+  }
+}
+
+function stripRubyComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "#") return line.slice(0, i);
+  }
+  return line;
+}
+
+function namespacePrefix(stack) {
+  const namespaces = stack.map((scope) => scope.namespace).filter(Boolean);
+  return namespaces.length ? `${namespaces.join("/")}/` : "";
+}
+
+function readRubySymbols(text, key) {
+  const match = text.match(new RegExp(`${key}:\\s*(\\[[^\\]]*\\]|:\\w+)`));
+  if (!match) return null;
+  return Array.from(match[1].matchAll(/:(\w+)/g), (item) => item[1]);
+}
+
+function collectSinatraRoutes(content, emit) {
+  const pattern = /^\s*(get|post|put|patch|delete)\s*\(?\s*['"](\/[^'"]*)['"]\s*\)?\s*do\b/gm;
+  for (const match of content.matchAll(pattern)) {
+    emit("sinatra", match[1].toUpperCase(), joinRoutePath(match[2]), null, match.index);
+  }
+}
+
+function collectLaravelRoutes(content, path, emit) {
+  if (!/Route::/.test(content)) return;
+  const filePrefix = /(^|\/)routes\/api\.php$/.test(path) ? "api" : "";
+  const blocks = [
+    ...findBlocks(
+      content,
+      /Route::[^;{]*?prefix\(\s*['"]([^'"]*)['"]\s*\)[^;{]*?->group\(\s*function\s*\([^)]*\)\s*(?:use\s*\([^)]*\)\s*)?\{/g
+    ),
+    ...findBlocks(
+      content,
+      /Route::group\(\s*\[[^\]]*?['"]prefix['"]\s*=>\s*['"]([^'"]*)['"][^\]]*\]\s*,\s*function\s*\([^)]*\)\s*(?:use\s*\([^)]*\)\s*)?\{/g
+    )
+  ].sort((a, b) => a.start - b.start);
+  const prefixFor = (index) => joinRoutePath(filePrefix, prefixAt(blocks, index));
+
+  const verbs = /Route::(get|post|put|patch|delete|options|any)\(\s*['"]([^'"]*)['"]\s*,\s*([^;]*)/g;
+  for (const match of content.matchAll(verbs)) {
+    const method = match[1] === "any" ? "ALL" : match[1].toUpperCase();
+    emit("laravel", method, joinRoutePath(prefixFor(match.index), match[2]), readLaravelHandler(match[3]), match.index);
+  }
+  const matched = /Route::match\(\s*\[([^\]]*)\]\s*,\s*['"]([^'"]*)['"]\s*,\s*([^;]*)/g;
+  for (const match of content.matchAll(matched)) {
+    Array.from(match[1].matchAll(/['"](\w+)['"]/g), (item) => item[1].toUpperCase()).forEach((method) =>
+      emit("laravel", method, joinRoutePath(prefixFor(match.index), match[2]), readLaravelHandler(match[3]), match.index)
+    );
+  }
+  const resources = /Route::(resource|apiResource)\(\s*['"]([^'"]*)['"]\s*,\s*([\w\\]+)::class/g;
+  for (const match of content.matchAll(resources)) {
+    for (const action of LARAVEL_ACTIONS) {
+      if (match[1] === "apiResource" && action.web) continue;
+      emit(
+        "laravel",
+        action.method,
+        joinRoutePath(prefixFor(match.index), match[2], action.suffix),
+        `${match[3].split("\\").pop()}@${action.action}`,
+        match.index
+      );
+    }
+  }
+}
+
+function readLaravelHandler(text) {
+  const tuple = text.match(/^\[\s*([\w\\]+)::class\s*,\s*['"](\w+)['"]/);
+  if (tuple) return `${tuple[1].split("\\").pop()}@${tuple[2]}`;
+  const literal = text.match(/^['"]([\w\\@]+)['"]/);
+  if (literal) return literal[1].split("\\").pop();
+  const invokable = text.match(/^([\w\\]+)::class/);
+  return invokable ? invokable[1].split("\\").pop() : null;
+}
+
+function collectSymfonyRoutes(content, source, emit) {
+  let prefix = "";
+  for (const declaration of scanDeclarations(content, "php", source)) {
+    const route = declaration.annotations.find((annotation) => annotation.name === "Route");
+    if (declaration.kind === "class") {
+      prefix = route ? readAnnotationPaths(route.args)[0] : "";
+      continue;
+    }
+    if (!route) continue;
+    const methods = readEnumMethods(route.args, /methods\s*[:=]\s*[[{]?([^\]})]*)/g);
+    for (const path of readAnnotationPaths(route.args)) {
+      methods.forEach((method) =>
+        emit("symfony", method, joinRoutePath(prefix, path), declaration.name, declaration.index, declarationTypes(declaration))
+      );
+    }
+  }
+}
+
+// Finds annotation/attribute groups and the class or method they decorate.
+// `content` has its comments masked; PHP docblock annotations are read from
+// the unmasked `source`.
+function scanDeclarations(content, style, source = content) {
+  const annotations = [];
+  if (style === "java") {
+    for (const match of content.matchAll(/@([A-Za-z_][\w.]*)/g)) {
+      const args = readParenthesized(content, match.index + match[0].length);
+      annotations.push({
+        name: match[1].split(".").pop(),
+        args: args?.text ?? "",
+        start: match.index,
+        end: args?.end ?? match.index + match[0].length
+      });
+    }
+  } else {
+    const opener = style === "php" ? /#\[/g : /^[ \t]*\[/gm;
+    for (const match of content.matchAll(opener)) {
+      const start = content.indexOf("[", match.index);
+      const end = findClosing(content, start, "[", "]");
+      if (end === -1) continue;
+      for (const attribute of splitTopLevel(content.slice(start + 1, end))) {
+        const name = attribute.match(/^\s*([\w\\]+)/)?.[1];
+        if (!name) continue;
+        const open = attribute.indexOf("(");
+        annotations.push({
+          name: name.split("\\").pop(),
+          args: open === -1 ? "" : attribute.slice(open + 1, attribute.lastIndexOf(")")),
+          start,
+          end: end + 1
+        });
+      }
+    }
+    if (style === "php") {
+      for (const match of source.matchAll(/\/\*\*[\s\S]*?\*\//g)) {
+        for (const inner of match[0].matchAll(/@(\w+)\s*\(/g)) {
+          const args = readParenthesized(match[0], inner.index + inner[0].length - 1);
+          annotations.push({
+            name: inner[1],
+            args: args?.text ?? "",
+            start: match.index,
+            end: match.index + match[0].length
+          });
+        }
+      }
+    }
+  }
+
+  annotations.sort((a, b) => a.start - b.start);
+  const groups = [];
+  for (const annotation of annotations) {
+    const previous = groups[groups.length - 1];
+    if (previous && (annotation.start < previous.end || /^\s*$/.test(content.slice(previous.end, annotation.start)))) {
+      previous.annotations.push(annotation);
+      previous.end = Math.max(previous.end, annotation.end);
+    } else {
+      groups.push({ index: annotation.start, end: annotation.end, annotations: [annotation] });
+    }
+  }
+
+  return groups
+    .map((group) => {
+      const tail = content.slice(group.end, group.end + 400);
+      const declaredClass = tail.match(
+        /^\s*(?:(?:public|private|protected|internal|static|final|abstract|sealed|partial|open|data|readonly)\s+)*(?:class|interface|object|record)\s+(\w+)/
+      );
+      if (declaredClass) return { ...group, kind: "class", name: declaredClass[1] };
+      const method = tail.match(/^([^{};=]*?)(\w+)\s*(?:<[^>]*>)?\s*\(/);
+      if (!method) return null;
+      const open = group.end + method[0].length - 1;
+      const close = findClosing(content, open, "(", ")");
+      const parameters = close === -1 ? "" : content.slice(open + 1, close);
+      const trailing = close === -1 ? "" : content.slice(close + 1, close + 200);
+      return {
+        ...group,
+        kind: "method",
+        name: method[2],
+        requestType: readBodyParameterType(parameters),
+        responseType: readReturnType(method[1]) || trailing.match(/^\s*:\s*\??([\w.]+(?:<[^{=]*>)?\??)/)?.[1] || null
+      };
+    })
+    .filter(Boolean);
+}
+
+const SIGNATURE_MODIFIERS =
+  /\b(?:public|private|protected|internal|static|final|abstract|async|override|virtual|suspend|fun|function|synchronized|default|new)\b/g;
+
+function readReturnType(prefix = "") {
+  const type = prefix.replace(SIGNATURE_MODIFIERS, "").trim().replace(/^<[^>]*>\s+/, "");
+  return type && !/^(void|Unit)$/.test(type) && /^[\w.]+(<.*>)?(\[\])*\??$/.test(type) ? type : null;
+}
+
+// Finds the parameter bound to the request body: @RequestBody/@Body, [FromBody] or #[MapRequestPayload].
+function readBodyParameterType(parameters = "") {
+  const body = splitTopLevel(parameters).find((parameter) =>
+    /@(?:RequestBody|Body)\b|\[FromBody\b|#\[MapRequestPayload\b/.test(parameter)
+  );
+  if (!body) return null;
+  const declaration = body
+    .replace(/#?\[[^\]]*\]|@[\w.]+(?:\([^)]*\))?/g, "")
+    .replace(/\bfinal\b/, "")
+    .trim();
+  const typed = declaration.match(/^\$?\w+\s*:\s*(.+)$/);
+  if (typed) return typed[1].trim();
+  const match = declaration.match(/^(.+?)\s+\$?\w+(?:\s*=.*)?$/);
+  return match ? match[1].trim() : null;
+}
+
+function declarationTypes({ requestType, responseType }) {
+  return { ...(requestType && { requestType }), ...(responseType && { responseType }) };
+}
+
+function readAnnotationPaths(args = "") {
+  const named = args.match(/\b(?:value|path|template)\s*[:=]\s*(\{[^}]*\}|\[[^\]]*\]|"[^"]*"|'[^']*')/);
+  if (!named && /^\s*\w+\s*[:=]/.test(args)) return [""];
+  const source = named ? named[1] : args.split(/,\s*\w+\s*[:=]/)[0];
+  const paths = Array.from(source.matchAll(/"([^"]*)"|'([^']*)'/g), (match) => match[1] ?? match[2]);
+  return paths.length ? paths : [""];
+}
+
+function readEnumMethods(args = "", pattern) {
+  const methods = [];
+  for (const match of args.matchAll(pattern)) {
+    const values = match[1].match(/^\w+$/) ? [match[1]] : Array.from(match[1].matchAll(/(\w+)/g), (item) => item[1]);
+    methods.push(...values.map((value) => value.toUpperCase()));
+  }
+  return methods.length ? Array.from(new Set(methods)) : ["ALL"];
+}
+
+function readParenthesized(content, index) {
+  let start = index;
+  while (content[start] === " " || content[start] === "\t") start += 1;
+  if (content[start] !== "(") return null;
+  const end = findClosing(content, start, "(", ")");
+  if (end === -1) return null;
+  return { text: content.slice(start + 1, end), end: end + 1 };
+}
+
+function findClosing(content, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < content.length; i += 1) {
+    const ch = content[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      const quote = ch;
+      i += 1;
+      while (i < content.length && content[i] !== quote) i += content[i] === "\\" ? 2 : 1;
+      continue;
+    }
+    if (ch === "/" && content[i + 1] === "/") {
+      while (i < content.length && content[i] !== "\n") i += 1;
+      continue;
+    }
+    if (ch === open) depth += 1;
+    else if (ch === close) {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "(" || ch === "[" || ch === "{") depth += 1;
+    else if (ch === ")" || ch === "]" || ch === "}") depth -= 1;
+    else if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+// Returns `{ start, end, prefix }` for every match whose pattern ends with an opening brace.
+function findBlocks(content, pattern) {
+  const blocks = [];
+  for (const match of content.matchAll(pattern)) {
+    const open = match.index + match[0].length - 1;
+    const end = findClosing(content, open, "{", "}");
+    if (end !== -1) blocks.push({ start: open, end, prefix: match[1] });
+  }
+  return blocks;
+}
+
+function prefixAt(blocks, index) {
+  return joinRoutePath(
+    ...blocks.filter((block) => block.start < index && index < block.end).map((block) => block.prefix)
+  );
+}
+
+function lastIdentifier(text = "") {
+  const trimmed = text.replace(/\)\s*[;{]?\s*$/, "");
+  const match = trimmed.match(/([\w.]+)\s*\)?\s*$/);
+  return match && !/^\d/.test(match[1]) ? match[1] : null;
+}
+
+export function createLineLocator(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i += 1) {
+    if (content[i] === "\n") starts.push(i + 1);
+  }
+  const lineOf = (index) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  };
+  const locate = (index) => lineOf(index) + 1;
+  locate.text = (index) => {
+    const line = lineOf(index);
+    return content.slice(starts[line], (starts[line + 1] ?? content.length + 1) - 1).trim().slice(0, 160);
+  };
+  return locate;
+}
@@ -0,0 +1,233 @@
+import { dirname, getExtension } from "./paths.js";
+
+export const SAMPLING_STRATEGIES = Object.freeze(["stratified", "entry-points", "largest", "all"]);
+
+export const SAMPLING_LABELS = {
+  stratified: "Stratified per directory",
+  "entry-points": "Entry points first",
+  largest: "Largest first",
+  all: "All files (byte budget)"
+};
+
+const VENDORED_PATHS =
+  /(^|\/)(node_modules|vendor|vendors|third_party|third-party|bower_components|\.yarn|site-packages|Pods|Carthage)\//;
+const GENERATED_PATHS = /(^|\/)(dist|build|out|target|generated|__generated__|\.next|\.nuxt)\/|\.min\.[cm]?js$|\.bundle\.js$|\.pb\.go$|_pb2\.py$|\.g\.cs$|\.designer\.cs$|\.generated\.\w+$/i;
+const ENTRY_POINT_NAMES =
+  /^(main|index|app|server|cli|program|startup|application|bootstrap|manage|wsgi|asgi|urls|routes?|router|api)\.\w+$/i;
+const ENTRY_POINT_PATTERNS = [
+  { pattern: /(^|\/)cmd\/[^/]+\/main\.go$/, score: 5 },
+  { pattern: /(controller|handler|resource|endpoint)s?\.\w+$/i, score: 4 },
+  { pattern: /(^|\/)(controllers?|handlers?|routes?|routers?|api|endpoints?)\//i, score: 3 },
+  { pattern: /(config|settings|configuration|module)\.\w+$/i, score: 2 },
+  { pattern: /(service|views?|resolvers?|middleware)s?\.\w+$/i, score: 2 }
+];
+const TEST_PATHS = /(^|\/)(__tests__|tests?|spec|specs|__mocks__|fixtures?|e2e)\/|[._-](test|spec)\.\w+$|_test\.go$|Tests?\.\w+$/;
+
+// Chooses the source files that are read in full. Returns the files plus a
+// description of the strategy, exclusions and achieved coverage.
+export function sampleFiles(
+  tree,
+  { isSupported, strategy = "stratified", maxFiles, maxFileSize, sampleBudget, include = [], exclude = [], attributes = [] }
+) {
+  const includes = include.map((glob) => globToRegExp(scopePattern(glob, "")));
+  const excludes = exclude.map((glob) => globToRegExp(scopePattern(glob, "")));
+  const excluded = { vendored: 0, generated: 0, filtered: 0, tooLarge: 0 };
+  const candidates = [];
+  let sourceFiles = 0;
+  let sourceBytes = 0;
+  // GitLab tree listings carry no sizes. Unsized files are never too large,
+  // sort after sized ones for "largest", and bypass the byte budget of "all".
+  let unsized = 0;
+
+  for (const item of tree) {
+    const extension = getExtension(item.path);
+    if (!isSupported(extension)) continue;
+    const size = item.size ?? null;
+    sourceFiles += 1;
+    if (size === null) unsized += 1;
+    else sourceBytes += size;
+    const marks = attributesFor(item.path, attributes);
+    if (marks.vendored ?? VENDORED_PATHS.test(item.path)) {
+      excluded.vendored += 1;
+    } else if (marks.generated ?? GENERATED_PATHS.test(item.path)) {
+      excluded.generated += 1;
+    } else if (
+      (includes.length && !includes.some((regex) => regex.test(item.path))) ||
+      excludes.some((regex) => regex.test(item.path))
+    ) {
+      excluded.filtered += 1;
+    } else if (size !== null && size > maxFileSize) {
+      excluded.tooLarge += 1;
+    } else {
+      candidates.push({ path: item.path, size, extension, sha: item.sha ?? null });
+    }
+  }
+
+  const files = STRATEGIES[strategy](candidates, { maxFiles, sampleBudget });
+  const sampledBytes = files.reduce((sum, file) => sum + (file.size ?? 0), 0);
+  const directories = new Set(candidates.map((file) => dirname(file.path)));
+  const sampledDirectories = new Set(files.map((file) => dirname(file.path)));
+
+  return {
+    files,
+    sampling: {
+      strategy,
+      label: SAMPLING_LABELS[strategy],
+      include,
+      exclude,
+      sourceFiles,
+      candidates: candidates.length,
+      sampled: files.length,
+      excluded,
+      unsized,
+      coverage: {
+        files: sourceFiles ? round(files.length / sourceFiles) : 0,
+        // null when sizes are missing, since a ratio of the sized files would mislead.
+        bytes: unsized ? null : sourceBytes ? round(sampledBytes / sourceBytes) : 0,
+        directories: directories.size ? round(sampledDirectories.size / directories.size) : 0
+      }
+    }
+  };
+}
+
+const STRATEGIES = {
+  // Round-robin over directories, most important file of each first, so every
+  // part of the tree is represented before any directory gets a second file.
+  stratified(candidates, { maxFiles }) {
+    const groups = new Map();
+    for (const file of candidates.slice().sort(byImportance)) {
+      const directory = dirname(file.path);
+      if (!groups.has(directory)) groups.set(directory, []);
+      groups.get(directory).push(file);
+    }
+    const queues = Array.from(groups.values()).sort((a, b) => b.length - a.length);
+    const selected = [];
+    for (let round = 0; selected.length < maxFiles && queues.some((queue) => queue.length > round); round += 1) {
+      for (const queue of queues) {
+        if (queue[round]) selected.push(queue[round]);
+        if (selected.length >= maxFiles) break;
+      }
+    }
+    return selected;
+  },
+  "entry-points"(candidates, { maxFiles }) {
+    return candidates.slice().sort(byImportance).slice(0, maxFiles);
+  },
+  largest(candidates, { maxFiles }) {
+    const isTest = (file) => (TEST_PATHS.test(file.path) ? 1 : 0);
+    return candidates
+      .slice()
+      .sort((a, b) => isTest(a) - isTest(b) || (b.size ?? -1) - (a.size ?? -1) || byImportance(a, b))
+      .slice(0, maxFiles);
+  },
+  // Unsized files cannot be charged to the budget, so at most `maxFiles` of
+  // them are taken.
+  all(candidates, { maxFiles, sampleBudget }) {
+    const selected = [];
+    let bytes = 0;
+    let unsized = 0;
+    for (const file of candidates.slice().sort(byImportance)) {
+      if (file.size === null) {
+        if (unsized >= maxFiles) continue;
+        unsized += 1;
+      } else {
+        if (bytes + file.size > sampleBudget) continue;
+        bytes += file.size;
+      }
+      selected.push(file);
+    }
+    return selected;
+  }
+};
+
+// Markdown documentation for the semantic index: root READMEs first, then the
+// shallowest files under docs-like directories.
+export function selectDocuments(tree, limit) {
+  const rank = (path) => (/^readme\.md$/i.test(path) ? 0 : /(^|\/)readme\.md$/i.test(path) ? 1 : 2);
+  return tree
+    .filter((item) => /\.(md|mdx|markdown)$/i.test(item.path) && !VENDORED_PATHS.test(item.path))
+    .filter((item) => rank(item.path) < 2 || /(^|\/)(docs?|documentation|guides?|adr)\//i.test(item.path))
+    .sort((a, b) => rank(a.path) - rank(b.path) || a.path.split("/").length - b.path.split("/").length || a.path.localeCompare(b.path))
+    .slice(0, limit)
+    .map((item) => ({ path: item.path, size: item.size ?? 0, extension: getExtension(item.path), sha: item.sha ?? null }));
+}
+
+function byImportance(a, b) {
+  return entryPointScore(b.path) - entryPointScore(a.path) || b.size - a.size || a.path.localeCompare(b.path);
+}
+
+function entryPointScore(path) {
+  if (TEST_PATHS.test(path)) return -1;
+  const name = path.split("/").pop();
+  let score = ENTRY_POINT_NAMES.test(name) ? 5 - Math.min(path.split("/").length - 1, 3) : 0;
+  for (const entry of ENTRY_POINT_PATTERNS) {
+    if (entry.pattern.test(path)) score = Math.max(score, entry.score);
+  }
+  return score;
+}
+
+// Reads `linguist-vendored` and `linguist-generated` from a .gitattributes
+// file; patterns in nested files are relative to their directory.
+export function parseGitAttributes(content, directory = "") {
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const [pattern, ...attributes] = line.split(/\s+/);
+    const rule = { pattern: globToRegExp(scopePattern(pattern, directory)) };
+    for (const attribute of attributes) {
+      const match = attribute.match(/^(-|!)?linguist-(vendored|generated)(?:=(\w+))?$/);
+      if (!match) continue;
+      rule[match[2]] = !match[1] && match[3] !== "false";
+    }
+    if ("vendored" in rule || "generated" in rule) rules.push(rule);
+  }
+  return rules;
+}
+
+// Later rules win, as in git.
+function attributesFor(path, rules) {
+  const marks = {};
+  for (const rule of rules) {
+    if (!rule.pattern.test(path)) continue;
+    if ("vendored" in rule) marks.vendored = rule.vendored;
+    if ("generated" in rule) marks.generated = rule.generated;
+  }
+  return marks;
+}
+
+export function matchesGlob(path, glob) {
+  return globToRegExp(scopePattern(glob, "")).test(path);
+}
+
+function scopePattern(pattern, directory) {
+  const trimmed = pattern.trim().replace(/^\.\//, "").replace(/\/$/, "");
+  // Patterns without a slash match at any depth below their directory.
+  const relative = trimmed.includes("/") ? trimmed.replace(/^\//, "") : `**/${trimmed}`;
+  return directory ? `${directory}/${relative}` : relative;
+}
+
+// Git-style globs: `*` stays within a segment, `**` spans directories, and a
+// pattern naming a directory matches everything below it.
+function globToRegExp(pattern) {
+  let source = "";
+  for (let index = 0; index < pattern.length; index += 1) {
+    const ch = pattern[index];
+    if (ch === "*" && pattern[index + 1] === "*") {
+      const slash = pattern[index + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      index += slash ? 2 : 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
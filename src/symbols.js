@@ -0,0 +1,809 @@
+import { createLineLocator } from "./routes.js";
+import { isInside } from "./workspaces.js";
+
+const HASH_COMMENTS = new Set(["py", "rb"]);
+const QUOTE_STRINGS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs", "py", "rb", "php"]);
+const BACKTICK_STRINGS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs", "go"]);
+const KOTLIN_EXTENSIONS = new Set(["kt", "kts"]);
+const TS_EXTENSIONS = new Set(["js", "jsx", "ts", "tsx", "mjs", "cjs"]);
+
+const VISIBILITY_MARKERS = { public: "+", private: "-", protected: "#", internal: "~" };
+const STATEMENT_KEYWORDS = new Set([
+  "if", "for", "foreach", "while", "switch", "catch", "return", "new", "else", "do", "try", "throw", "using",
+  "lock", "synchronized", "super", "this", "await", "yield", "typeof", "sizeof", "nameof", "case", "default"
+]);
+const REGEX_KEYWORDS = new Set(["return", "typeof", "case", "in", "of", "void", "delete", "new", "throw", "yield", "await", "else", "do"]);
+const SWIFT_RAW_TYPES = new Set(["String", "Int", "Int8", "Int16", "Int32", "Int64", "UInt", "UInt8", "Character", "Double", "Float"]);
+const MAX_MEMBERS = 60;
+const MAX_DIAGRAM_CLASSES = 40;
+const MAX_DIAGRAM_MEMBERS = 10;
+
+// Declarations are matched on a copy of the source where comments and string
+// contents are blanked out, so offsets and line numbers still line up.
+const DECLARATIONS = [
+  {
+    extensions: TS_EXTENSIONS,
+    pattern:
+      /^[ \t]*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:const\s+)?(class|interface|enum|type)\s+([A-Za-z_$][\w$]*)/gm,
+    kind: (match) => match[1],
+    parse: parseTsDeclaration
+  },
+  {
+    extensions: new Set(["java"]),
+    pattern:
+      /^[ \t]*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|static|abstract|final|sealed|non-sealed|strictfp)\s+)*(class|interface|enum|record|@interface)\s+(\w+)/gm,
+    kind: (match) => (match[1] === "@interface" ? "annotation" : match[1]),
+    parse: parseJavaDeclaration
+  },
+  {
+    extensions: KOTLIN_EXTENSIONS,
+    pattern:
+      /^[ \t]*(?:@\w+(?:\([^)]*\))?\s+)*((?:(?:public|private|internal|protected|open|abstract|sealed|data|enum|annotation|inner|value|final|expect|actual|fun)\s+)*)(class|interface|object)\s+(\w+)/gm,
+    kind: (match) => (/\benum\b/.test(match[1]) ? "enum" : match[2]),
+    parse: parseKotlinDeclaration
+  },
+  {
+    extensions: new Set(["scala"]),
+    pattern: /^[ \t]*(?:(?:case|abstract|sealed|final|implicit|private|protected)\s+)*(class|trait|object)\s+(\w+)/gm,
+    kind: (match) => match[1],
+    parse: parseScalaDeclaration
+  },
+  {
+    extensions: new Set(["cs"]),
+    pattern:
+      /^[ \t]*(?:\[[^\]\n]*\]\s*)*(?:(?:public|private|protected|internal|static|abstract|sealed|partial|readonly|ref|unsafe|new|file)\s+)*(class|interface|struct|enum|record(?:\s+struct|\s+class)?)\s+(\w+)/gm,
+    kind: (match) => (match[1].startsWith("record") ? "record" : match[1]),
+    parse: parseCSharpDeclaration
+  },
+  {
+    extensions: new Set(["go"]),
+    pattern: /^(?:type[ \t]+|[ \t]+)(\w+)(?:\[[^\]\n]*\])?[ \t]+(struct|interface)[ \t]*\{/gm,
+    name: (match) => match[1],
+    kind: (match) => match[2],
+    parse: parseGoDeclaration
+  },
+  {
+    extensions: new Set(["rs"]),
+    pattern: /^[ \t]*(?:pub(?:\([^)]*\))?\s+)?(struct|enum|trait|union)\s+(\w+)/gm,
+    kind: (match) => (match[1] === "union" ? "struct" : match[1]),
+    parse: parseRustDeclaration
+  },
+  {
+    extensions: new Set(["swift"]),
+    pattern:
+      /^[ \t]*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|private|fileprivate|internal|open|final|indirect)\s+)*(class|struct|enum|protocol|actor|extension)\s+([A-Za-z_][\w.]*)/gm,
+    kind: (match) => match[1],
+    parse: parseSwiftDeclaration
+  },
+  {
+    extensions: new Set(["php"]),
+    pattern: /^[ \t]*(?:(?:abstract|final|readonly)\s+)*(class|interface|trait|enum)\s+(\w+)/gm,
+    kind: (match) => match[1],
+    parse: parsePhpDeclaration
+  }
+];
+
+export function extractSymbols(content, extension) {
+  if (!content) return [];
+  const masked = maskSource(content, extension);
+  const locate = createLineLocator(content);
+  if (extension === "py") return extractPythonSymbols(masked, locate);
+  if (extension === "rb") return extractRubySymbols(masked, locate);
+
+  const declaration = DECLARATIONS.find((entry) => entry.extensions.has(extension));
+  if (!declaration) return [];
+  const depths = braceDepths(masked);
+  const symbols = [];
+  declaration.pattern.lastIndex = 0;
+  let match;
+  while ((match = declaration.pattern.exec(masked))) {
+    const name = declaration.name ? declaration.name(match) : match[match.length - 1];
+    if (STATEMENT_KEYWORDS.has(name) || /^(?:func|var|let|fun|val)$/.test(name)) continue;
+    if (extension === "go" && depths[match.index] !== 0) continue;
+    const kind = declaration.kind(match);
+    const headerStart = match.index + match[0].length - (match[0].endsWith("{") ? 1 : 0);
+    const { header, body } = readDeclaration(masked, headerStart);
+    const symbol = { name, kind, line: locate(match.index + match[0].lastIndexOf(name)), bases: [], interfaces: [], members: [] };
+    declaration.parse(symbol, header, body, match);
+    symbol.members = symbol.members.slice(0, MAX_MEMBERS);
+    symbols.push(symbol);
+  }
+
+  if (extension === "go") attachGoMethods(masked, symbols);
+  if (extension === "rs") attachRustImpls(masked, symbols, locate);
+  if (extension === "swift") mergeSwiftExtensions(symbols);
+  return symbols;
+}
+
+// Builds a Mermaid classDiagram for the symbols inside `scope` (a directory or
+// component path, "" for the whole repository).
+export function buildClassDiagram(symbols = [], scope = "") {
+  const selected = new Map();
+  for (const symbol of symbols) {
+    if (scope && !isInside(symbol.sourceFile, scope)) continue;
+    const id = diagramId(symbol.name);
+    if (id && !selected.has(id)) selected.set(id, symbol);
+  }
+  if (!selected.size) return "";
+
+  const degree = (symbol) =>
+    [...symbol.bases, ...symbol.interfaces].filter((name) => selected.has(diagramId(name))).length * 2 +
+    symbol.bases.length +
+    symbol.interfaces.length;
+  const shown = Array.from(selected.entries())
+    .sort((a, b) => degree(b[1]) - degree(a[1]) || a[0].localeCompare(b[0]))
+    .slice(0, MAX_DIAGRAM_CLASSES);
+
+  const lines = ["classDiagram"];
+  for (const [id, symbol] of shown) {
+    const stereotype = symbol.kind === "class" ? "" : `    <<${symbol.kind}>>`;
+    const members = symbol.members.slice(0, MAX_DIAGRAM_MEMBERS).map((member) => `    ${formatMember(member)}`);
+    if (!stereotype && !members.length) {
+      lines.push(`  class ${id}`);
+      continue;
+    }
+    lines.push(`  class ${id} {`, ...(stereotype ? [stereotype] : []), ...members, "  }");
+  }
+  for (const [id, symbol] of shown) {
+    for (const base of symbol.bases) {
+      const baseId = diagramId(base);
+      if (baseId && baseId !== id) lines.push(`  ${baseId} <|-- ${id}`);
+    }
+    for (const contract of symbol.interfaces) {
+      const contractId = diagramId(contract);
+      if (contractId && contractId !== id) lines.push(`  ${contractId} <|.. ${id}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+function formatMember(member) {
+  const marker = VISIBILITY_MARKERS[member.visibility] || "";
+  const name = member.name.replace(/[^\w$]/g, "");
+  if (member.kind === "method") return `${marker}${name}()${member.static ? "$" : ""}`;
+  return `${marker}${name}${member.static ? "$" : ""}`;
+}
+
+function diagramId(name) {
+  const bare = stripGenerics(String(name || "")).split(/::|\.|\\/).pop().trim();
+  return bare.replace(/[^\w]/g, "_");
+}
+
+// Blanks comments and, unless `strings` is false, string contents.
+export function maskSource(content, extension, { strings = true } = {}) {
+  const chars = content.split("");
+  const blank = (from, to) => {
+    for (let i = from; i < to && i < chars.length; i += 1) {
+      if (chars[i] !== "\n") chars[i] = " ";
+    }
+  };
+  const hashComments = HASH_COMMENTS.has(extension) || extension === "php";
+  const slashComments = !HASH_COMMENTS.has(extension);
+  const length = content.length;
+  // Brace depth of each open `${` substitution in a JS template literal.
+  const templates = [];
+  let i = 0;
+  const readTemplate = (start) => {
+    let j = start;
+    while (j < length && content[j] !== "`" && !(content[j] === "$" && content[j + 1] === "{")) {
+      j += content[j] === "\\" ? 2 : 1;
+    }
+    if (strings) blank(start, j);
+    if (content[j] === "$") {
+      templates.push(0);
+      i = j + 2;
+    } else {
+      i = j + 1;
+    }
+  };
+
+  while (i < length) {
+    const ch = content[i];
+    if (templates.length && (ch === "{" || ch === "}")) {
+      const top = templates.length - 1;
+      if (ch === "{") templates[top] += 1;
+      else if (templates[top] > 0) templates[top] -= 1;
+      else {
+        templates.pop();
+        readTemplate(i + 1);
+        continue;
+      }
+      i += 1;
+      continue;
+    }
+    if (ch === "`" && TS_EXTENSIONS.has(extension)) {
+      readTemplate(i + 1);
+      continue;
+    }
+    if (slashComments && ch === "/" && content[i + 1] === "/") {
+      const end = content.indexOf("\n", i);
+      const stop = end === -1 ? length : end;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+    if (slashComments && ch === "/" && content[i + 1] === "*") {
+      const close = content.indexOf("*/", i + 2);
+      const stop = close === -1 ? length : close + 2;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+    if (hashComments && ch === "#" && !(extension === "php" && content[i + 1] === "[")) {
+      const end = content.indexOf("\n", i);
+      const stop = end === -1 ? length : end;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && content.startsWith(ch.repeat(3), i) && (ch === '"' || extension === "py")) {
+      const close = content.indexOf(ch.repeat(3), i + 3);
+      const stop = close === -1 ? length : close + 3;
+      if (strings) blank(i + 3, stop - 3);
+      i = stop;
+      continue;
+    }
+    if (ch === '"' || (ch === "'" && QUOTE_STRINGS.has(extension)) || (ch === "`" && BACKTICK_STRINGS.has(extension))) {
+      let j = i + 1;
+      while (j < length && content[j] !== ch && (ch === "`" || content[j] !== "\n")) {
+        j += content[j] === "\\" && ch !== "`" ? 2 : content[j] === "\\" && extension !== "go" ? 2 : 1;
+      }
+      if (strings) blank(i + 1, j);
+      i = j + 1;
+      continue;
+    }
+    if (ch === "/" && TS_EXTENSIONS.has(extension) && regexAllowed(chars, i)) {
+      const end = skipRegexLiteral(content, i);
+      if (end !== -1) {
+        if (strings) blank(i + 1, end - 1);
+        i = end;
+        continue;
+      }
+    }
+    if (ch === "'") {
+      // Char literals only; Rust lifetimes and Scala symbols stay untouched.
+      const literal = /^'(?:\\[^']{1,8}|[^'\\\n])'/.exec(content.slice(i, i + 12));
+      if (literal) {
+        if (strings) blank(i + 1, i + literal[0].length - 1);
+        i += literal[0].length;
+        continue;
+      }
+    }
+    i += 1;
+  }
+  return chars.join("");
+}
+
+// A slash starts a regular expression unless it follows an operand.
+function regexAllowed(chars, index) {
+  let i = index - 1;
+  while (i >= 0 && /\s/.test(chars[i])) i -= 1;
+  if (i < 0) return true;
+  if (!/[\w$)\]}"'`]/.test(chars[i])) return true;
+  let start = i;
+  while (start > 0 && /[\w$]/.test(chars[start - 1])) start -= 1;
+  return REGEX_KEYWORDS.has(chars.slice(start, i + 1).join(""));
+}
+
+function skipRegexLiteral(content, index) {
+  let inClass = false;
+  for (let i = index + 1; i < content.length; i += 1) {
+    const ch = content[i];
+    if (ch === "\n") return -1;
+    if (ch === "\\") i += 1;
+    else if (ch === "[") inClass = true;
+    else if (ch === "]") inClass = false;
+    else if (ch === "/" && !inClass) {
+      let end = i + 1;
+      while (end < content.length && /[a-z]/i.test(content[end])) end += 1;
+      return end;
+    }
+  }
+  return -1;
+}
+
+function braceDepths(text) {
+  const depths = new Int32Array(text.length + 1);
+  let depth = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    depths[i] = depth;
+    if (text[i] === "{") depth += 1;
+    else if (text[i] === "}") depth = Math.max(0, depth - 1);
+  }
+  depths[text.length] = depth;
+  return depths;
+}
+
+// Reads the declaration header up to its body and returns the body with nested
+// blocks collapsed to `{}`, so only direct members remain. Headers without a
+// body end at the first line that does not continue them.
+function readDeclaration(text, start) {
+  let parens = 0;
+  let i = start;
+  for (; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "(" || ch === "[") parens += 1;
+    else if (ch === ")" || ch === "]") parens -= 1;
+    else if (parens <= 0 && (ch === "{" || ch === ";")) break;
+    else if (parens <= 0 && ch === "\n" && !continuesHeader(text.slice(start, i), text.slice(i + 1, i + 40))) break;
+  }
+  const header = text.slice(start, i);
+  if (text[i] !== "{") return { header, body: "" };
+  return { header, body: collapseBlock(text, i) };
+}
+
+function continuesHeader(before, after) {
+  if (/(?:[,:&|=(<]|\b(?:extends|implements|with|where))\s*$/.test(before)) return true;
+  if (/^\s*(?:[{:,&|=.]|extends\b|implements\b|with\b|where\b|permits\b)/.test(after)) return true;
+  // Right after the name only a primary constructor may start the next line,
+  // so a body-less `class A` ends before a following `class B {`.
+  return !before.trim() && /^\s*(?:\(|(?:@\w+(?:\([^)]*\))?\s*)*constructor\b)/.test(after);
+}
+
+function collapseBlock(text, open) {
+  let depth = 0;
+  let body = "";
+  for (let i = open; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "{") {
+      depth += 1;
+      if (depth === 2) body += "{";
+      continue;
+    }
+    if (ch === "}") {
+      depth -= 1;
+      if (depth === 1) body += "}";
+      if (depth === 0) break;
+      continue;
+    }
+    if (depth === 1) body += ch;
+  }
+  return body;
+}
+
+function splitList(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of text) {
+    if ("<([{".includes(ch)) depth += 1;
+    if (">)]}".includes(ch)) depth -= 1;
+    if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function stripGenerics(text) {
+  let result = text;
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(/<[^<>]*>/g, "").replace(/\[[^[\]]*\]/g, "");
+  } while (result !== previous);
+  return result.trim();
+}
+
+function typeNames(list) {
+  return splitList(stripGenerics(list))
+    .map((entry) => entry.replace(/\(.*$/s, "").replace(/^[*&]+/, "").trim())
+    .filter((entry) => /^[A-Za-z_][\w.:\\]*$/.test(entry));
+}
+
+// Splits a collapsed body into member declarations; argument lists are emptied
+// first so multi-line parameters do not read as fields.
+function statements(body) {
+  let text = body;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/\([^()]*\)/g, "()");
+  } while (text !== previous);
+  return text
+    .split(/[;}\n]/)
+    .map((statement) => statement.replace(/\{\s*$/, "").trim())
+    .filter((statement) => /^[\w@#$[*]/.test(statement) && !/^(?:throws|extends|implements|where)\b/.test(statement));
+}
+
+function visibilityOf(text) {
+  return /\b(public|private|protected|internal)\b/.exec(text)?.[1] || null;
+}
+
+function member(name, kind, modifiers = "", visibility = visibilityOf(modifiers)) {
+  const entry = { name, kind, visibility };
+  if (/\bstatic\b/.test(modifiers)) entry.static = true;
+  return entry;
+}
+
+function parseTsDeclaration(symbol, header, body) {
+  const cleaned = stripGenerics(header);
+  if (symbol.kind === "type") {
+    symbol.bases = typeNames(cleaned.replace(/^\s*=/, "").split("&").filter((part) => !/[|{]/.test(part)).join(","));
+    if (!body) return;
+  }
+  const extendsClause = /\bextends\s+([\s\S]*?)(?=\bimplements\b|$)/.exec(cleaned)?.[1] || "";
+  const implementsClause = /\bimplements\s+([\s\S]*)$/.exec(cleaned)?.[1] || "";
+  if (extendsClause) symbol.bases = typeNames(extendsClause);
+  symbol.interfaces = typeNames(implementsClause);
+
+  if (symbol.kind === "enum") {
+    symbol.members = splitList(body)
+      .map((entry) => /^([A-Za-z_$][\w$]*)/.exec(entry)?.[1])
+      .filter(Boolean)
+      .map((name) => member(name, "variant"));
+    return;
+  }
+  for (const statement of statements(body)) {
+    const match =
+      /^((?:(?:public|private|protected|static|readonly|async|abstract|override|declare|get|set|\*)\s+)*)(#?[A-Za-z_$][\w$]*)\s*[?!]?\s*(\(|<|:|=|$)/.exec(
+        statement.replace(/^@\w+(?:\([^)]*\))?\s*/g, "")
+      );
+    if (!match || STATEMENT_KEYWORDS.has(match[2])) continue;
+    const arrow = match[3] === "=" && /=\s*(?:async\s*)?(?:\([^)]*\)|[\w$]+)\s*=>/.test(statement);
+    const kind = match[3] === "(" || match[3] === "<" || arrow || (match[3] === ":" && /^\s*:\s*\(/.test(statement.slice(match[0].length - 1))) ? "method" : "field";
+    const visibility = match[2].startsWith("#") ? "private" : visibilityOf(match[1]);
+    symbol.members.push(member(match[2].replace(/^#/, ""), kind, match[1], visibility));
+  }
+}
+
+function parseJavaDeclaration(symbol, header, body) {
+  const cleaned = stripGenerics(header.replace(/\bpermits\b[\s\S]*$/, ""));
+  const extendsClause = /\bextends\s+([\s\S]*?)(?=\bimplements\b|$)/.exec(cleaned)?.[1] || "";
+  const implementsClause = /\bimplements\s+([\s\S]*)$/.exec(cleaned)?.[1] || "";
+  symbol.bases = typeNames(extendsClause);
+  symbol.interfaces = typeNames(implementsClause);
+  if (symbol.kind === "record") {
+    const components = /^\s*\(([\s\S]*?)\)/.exec(header)?.[1] || "";
+    splitList(components).forEach((entry) => {
+      const name = /(\w+)\s*$/.exec(entry)?.[1];
+      if (name) symbol.members.push(member(name, "field", "private"));
+    });
+  }
+  parseBraceMembers(symbol, body);
+}
+
+function parseCSharpDeclaration(symbol, header, body) {
+  const cleaned = stripGenerics(header.replace(/\bwhere\b[\s\S]*$/, ""));
+  const list = typeNames(/:\s*([\s\S]*)$/.exec(cleaned.replace(/^\s*\([\s\S]*?\)/, ""))?.[1] || "");
+  if (symbol.kind === "interface") {
+    symbol.bases = list;
+  } else if (symbol.kind === "class" || symbol.kind === "record") {
+    const [first, ...rest] = list;
+    if (first && !/^I[A-Z]/.test(first)) {
+      symbol.bases = [first];
+      symbol.interfaces = rest;
+    } else {
+      symbol.interfaces = list;
+    }
+  } else if (symbol.kind === "struct") {
+    symbol.interfaces = list;
+  }
+  parseBraceMembers(symbol, body);
+}
+
+// Nested types are symbols of their own, not members.
+const NESTED_TYPE =
+  /^(?:(?:public|private|protected|internal|static|abstract|final|sealed|non-sealed|strictfp|partial|readonly|ref|unsafe|new|file)\s+)*(?:class|interface|enum|record|struct)\b/;
+
+// Members of brace languages with C-style declarations (Java, C#).
+function parseBraceMembers(symbol, body) {
+  let text = body;
+  if (symbol.kind === "enum") {
+    const [constants, ...rest] = body.split(";");
+    splitList(constants).forEach((entry) => {
+      const name = /^(?:\[[^\]]*\]\s*)*(\w+)/.exec(entry)?.[1];
+      if (name) symbol.members.push(member(name, "variant"));
+    });
+    text = rest.join(";");
+  }
+  for (const raw of statements(text)) {
+    const statement = raw.replace(/(?:@\w+(?:\([^)]*\))?|\[[^\]]*\])\s*/g, "").trim();
+    if (!statement || /^static\s*$/.test(statement) || NESTED_TYPE.test(statement)) continue;
+    const paren = statement.indexOf("(");
+    const equals = statement.search(/=(?!>)/);
+    if (paren !== -1 && (equals === -1 || paren < equals)) {
+      const name = /(\w+)\s*(?:<[^()]*>)?\s*$/.exec(statement.slice(0, paren))?.[1];
+      if (!name || STATEMENT_KEYWORDS.has(name) || /\bnew\s+\w+\s*$/.test(statement.slice(0, paren))) continue;
+      symbol.members.push(member(name, "method", statement.slice(0, paren)));
+      continue;
+    }
+    const declaration = equals === -1 ? statement.replace(/=>[\s\S]*$/, "") : statement.slice(0, equals);
+    const match = /^([\s\S]*?\s)?(\w+)\s*$/.exec(declaration.trim());
+    if (!match || !match[1] || STATEMENT_KEYWORDS.has(match[2])) continue;
+    symbol.members.push(member(match[2], "field", match[1]));
+  }
+}
+
+function parseKotlinDeclaration(symbol, header, body) {
+  const constructor = /^\s*(?:<[^>]*>)?\s*(?:(?:private|protected|internal|public)?\s*(?:@\w+\s*)*constructor\s*)?\(([\s\S]*?)\)/.exec(header);
+  if (constructor) {
+    splitList(constructor[1]).forEach((entry) => {
+      const match = /^((?:\w+\s+)*)(?:val|var)\s+(\w+)/.exec(entry.replace(/@\w+(?:\([^)]*\))?\s*/g, ""));
+      if (match) symbol.members.push(member(match[2], "field", match[1]));
+    });
+  }
+  const rest = constructor ? header.slice(constructor.index + constructor[0].length) : header;
+  const supertypes = /:\s*([\s\S]*?)(?:\bwhere\b|$)/.exec(rest)?.[1] || "";
+  for (const entry of splitList(stripGenerics(supertypes))) {
+    const name = /^([\w.]+)/.exec(entry)?.[1];
+    if (!name) continue;
+    if (entry.includes("(") && symbol.kind !== "interface") symbol.bases.push(name);
+    else if (symbol.kind === "interface") symbol.bases.push(name);
+    else symbol.interfaces.push(name);
+  }
+  if (symbol.kind === "enum") {
+    const [constants] = body.split(";");
+    splitList(constants.replace(/\bfun\b[\s\S]*$/, "")).forEach((entry) => {
+      const name = /^(\w+)/.exec(entry)?.[1];
+      if (name) symbol.members.push(member(name, "variant"));
+    });
+  }
+  collectKeywordMembers(symbol, body, /\bfun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(\w+)/g, /\b(?:val|var)\s+(\w+)/g);
+}
+
+function parseScalaDeclaration(symbol, header, body) {
+  const constructor = /^\s*(?:\[[^\]]*\])?\s*\(([\s\S]*?)\)/.exec(header);
+  if (constructor) {
+    splitList(constructor[1]).forEach((entry) => {
+      const match = /^(?:(?:private|protected|override)\s+)*(?:val|var)?\s*(\w+)\s*:/.exec(entry);
+      if (match) symbol.members.push(member(match[1], "field", entry));
+    });
+  }
+  const clause = /\bextends\s+([\s\S]*)$/.exec(stripGenerics(header))?.[1] || "";
+  const [first, ...rest] = clause.split(/\bwith\b/).map((entry) => /^\s*([\w.]+)/.exec(entry)?.[1]).filter(Boolean);
+  if (first) {
+    if (symbol.kind === "trait") symbol.bases.push(first, ...rest);
+    else {
+      symbol.bases.push(first);
+      symbol.interfaces.push(...rest);
+    }
+  }
+  collectKeywordMembers(symbol, body, /\bdef\s+(\w+)/g, /\b(?:val|var)\s+(\w+)/g);
+}
+
+function parseSwiftDeclaration(symbol, header, body) {
+  const list = typeNames(/^\s*(?:<[^>]*>)?\s*:\s*([\s\S]*?)(?:\bwhere\b|$)/.exec(header)?.[1] || "").filter(
+    (name) => !SWIFT_RAW_TYPES.has(name)
+  );
+  if (symbol.kind === "class") {
+    symbol.bases = list.slice(0, 1);
+    symbol.interfaces = list.slice(1);
+  } else if (symbol.kind === "protocol") {
+    symbol.bases = list;
+  } else {
+    symbol.interfaces = list;
+  }
+  if (symbol.kind === "enum") {
+    for (const match of body.matchAll(/\bcase\s+([^\n]+)/g)) {
+      splitList(match[1]).forEach((entry) => {
+        const name = /^(\w+)/.exec(entry)?.[1];
+        if (name) symbol.members.push(member(name, "variant"));
+      });
+    }
+  }
+  collectKeywordMembers(symbol, body, /\b(?:func\s+(\w+)|(init)\s*[?!]?\s*\()/g, /\b(?:var|let)\s+(\w+)/g);
+}
+
+function parsePhpDeclaration(symbol, header, body) {
+  const extendsClause = /\bextends\s+([\s\S]*?)(?=\bimplements\b|$)/.exec(header)?.[1] || "";
+  const implementsClause = /\bimplements\s+([\s\S]*)$/.exec(header)?.[1] || "";
+  symbol.bases = typeNames(extendsClause);
+  symbol.interfaces = typeNames(implementsClause);
+  for (const match of body.matchAll(/^\s*use\s+([\w\\,\s]+);/gm)) symbol.interfaces.push(...typeNames(match[1]));
+  for (const match of body.matchAll(/\bcase\s+(\w+)/g)) symbol.members.push(member(match[1], "variant"));
+  for (const match of body.matchAll(/^\s*((?:(?:public|private|protected|static|abstract|final)\s+)*)function\s+&?(\w+)/gm)) {
+    symbol.members.push(member(match[2], "method", match[1], visibilityOf(match[1]) || "public"));
+  }
+  for (const match of body.matchAll(/^\s*((?:(?:public|private|protected|static|readonly|var)\s+)+)(?:\??[\w\\|]+\s+)?\$(\w+)/gm)) {
+    symbol.members.push(member(match[2], "field", match[1]));
+  }
+  for (const match of body.matchAll(/^\s*((?:(?:public|private|protected|final)\s+)*)const\s+(\w+)/gm)) {
+    symbol.members.push(member(match[2], "field", `${match[1]} static`));
+  }
+}
+
+function parseGoDeclaration(symbol, header, body) {
+  for (const rawLine of body.split(/\n|;/)) {
+    const line = rawLine.trim();
+    if (!line || line === "{}" || line === "}") continue;
+    if (symbol.kind === "interface") {
+      const method = /^(\w+)\s*\(/.exec(line);
+      if (method) {
+        symbol.members.push(member(method[1], "method", "", goVisibility(method[1])));
+        continue;
+      }
+      const embedded = /^~?\*?([\w.]+)(?:\[[^\]]*\])?$/.exec(line);
+      if (embedded) symbol.bases.push(embedded[1]);
+      continue;
+    }
+    const embedded = /^\*?([\w.]+)(?:\[[^\]]*\])?\s*(?:`[^`]*`)?$/.exec(line);
+    if (embedded) {
+      symbol.bases.push(embedded[1]);
+      continue;
+    }
+    const fields = /^(\w+(?:\s*,\s*\w+)*)\s+\S/.exec(line);
+    if (fields) fields[1].split(",").forEach((name) => symbol.members.push(member(name.trim(), "field", "", goVisibility(name.trim()))));
+  }
+}
+
+function goVisibility(name) {
+  return /^[A-Z]/.test(name) ? "public" : "private";
+}
+
+function attachGoMethods(masked, symbols) {
+  const byName = new Map(symbols.map((symbol) => [symbol.name, symbol]));
+  for (const match of masked.matchAll(/^func\s*\(\s*\w*\s*\*?\s*(\w+)(?:\[[^\]]*\])?\s*\)\s*(\w+)/gm)) {
+    const symbol = byName.get(match[1]);
+    if (symbol && symbol.members.length < MAX_MEMBERS) symbol.members.push(member(match[2], "method", "", goVisibility(match[2])));
+  }
+}
+
+function parseRustDeclaration(symbol, header, body) {
+  if (symbol.kind === "trait") {
+    symbol.bases = stripGenerics(/^\s*:\s*([^{]*?)(?:\bwhere\b|$)/.exec(header)?.[1] || "")
+      .split("+")
+      .map((entry) => entry.trim())
+      .filter((entry) => /^[A-Za-z_][\w:]*$/.test(entry));
+    for (const match of body.matchAll(/\bfn\s+(\w+)/g)) symbol.members.push(member(match[1], "method", "", "public"));
+    return;
+  }
+  if (symbol.kind === "enum") {
+    splitList(body).forEach((entry) => {
+      const name = /^(?:#\[[^\]]*\]\s*)*(\w+)/.exec(entry)?.[1];
+      if (name) symbol.members.push(member(name, "variant"));
+    });
+    return;
+  }
+  splitList(body).forEach((entry) => {
+    const match = /^(?:#\[[^\]]*\]\s*)*(pub(?:\([^)]*\))?\s+)?(\w+)\s*:/.exec(entry);
+    if (match) symbol.members.push(member(match[2], "field", "", match[1] ? "public" : "private"));
+  });
+}
+
+function attachRustImpls(masked, symbols, locate) {
+  const byName = new Map(symbols.map((symbol) => [symbol.name, symbol]));
+  const pattern = /^[ \t]*(?:unsafe\s+)?impl\b/gm;
+  let match;
+  while ((match = pattern.exec(masked))) {
+    const headerStart = match.index + match[0].length - (match[0].endsWith("{") ? 1 : 0);
+    const { header, body } = readDeclaration(masked, headerStart);
+    const target = /^\s*(?:<[\s\S]*?>)?\s*(?:([\w:]+)(?:<[\s\S]*?>)?\s+for\s+)?&?([\w:]+)/.exec(header);
+    if (!target) continue;
+    const name = target[2].split("::").pop();
+    let symbol = byName.get(name);
+    if (!symbol) {
+      symbol = { name, kind: "impl", line: locate(match.index), bases: [], interfaces: [], members: [] };
+      symbols.push(symbol);
+      byName.set(name, symbol);
+    }
+    if (target[1]) symbol.interfaces.push(target[1].split("::").pop());
+    for (const method of body.matchAll(/(pub(?:\([^)]*\))?\s+)?(?:(?:async|const|unsafe|extern\s*\w*)\s+)*fn\s+(\w+)/g)) {
+      if (symbol.members.length >= MAX_MEMBERS) break;
+      symbol.members.push(member(method[2], "method", "", method[1] || target[1] ? "public" : "private"));
+    }
+  }
+}
+
+function mergeSwiftExtensions(symbols) {
+  for (const extension of symbols.filter((symbol) => symbol.kind === "extension")) {
+    const owner = symbols.find((symbol) => symbol !== extension && symbol.kind !== "extension" && symbol.name === extension.name);
+    if (!owner) continue;
+    owner.interfaces.push(...extension.interfaces.filter((name) => !owner.interfaces.includes(name)));
+    owner.members.push(...extension.members.slice(0, MAX_MEMBERS - owner.members.length));
+    symbols.splice(symbols.indexOf(extension), 1);
+  }
+}
+
+function collectKeywordMembers(symbol, body, methodPattern, fieldPattern) {
+  const lineOf = (index) => body.slice(body.lastIndexOf("\n", index) + 1, index);
+  for (const match of body.matchAll(methodPattern)) {
+    const name = match[1] || match[2];
+    const modifiers = lineOf(match.index);
+    symbol.members.push(member(name, "method", modifiers, visibilityOf(modifiers) || (/^(?:private|fileprivate)\b/.test(modifiers.trim()) ? "private" : null)));
+  }
+  for (const match of body.matchAll(fieldPattern)) {
+    const modifiers = lineOf(match.index);
+    if (/\(/.test(modifiers)) continue;
+    symbol.members.push(member(match[1], "field", modifiers.replace(/\bcompanion\b/, "static")));
+  }
+}
+
+function extractPythonSymbols(masked, locate) {
+  const lines = masked.split("\n");
+  const offsets = [];
+  let offset = 0;
+  for (const line of lines) {
+    offsets.push(offset);
+    offset += line.length + 1;
+  }
+  const symbols = [];
+  const pattern = /^([ \t]*)class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/gm;
+  let match;
+  while ((match = pattern.exec(masked))) {
+    const bases = typeNames(
+      splitList(match[3] || "")
+        .filter((entry) => !entry.includes("="))
+        .join(",")
+    ).filter((name) => name !== "object");
+    const kind = bases.some((name) => /(?:^|\.)(?:Protocol|ABC)$/.test(name)) ? "interface" : bases.some((name) => /(?:^|\.)(?:Enum|IntEnum|StrEnum)$/.test(name)) ? "enum" : "class";
+    const symbol = { name: match[2], kind, line: locate(match.index + match[1].length), bases, interfaces: [], members: [] };
+    const startLine = symbol.line;
+    const indent = match[1].length;
+    let bodyIndent = null;
+    for (let index = startLine; index < lines.length && symbol.members.length < MAX_MEMBERS; index += 1) {
+      const line = lines[index];
+      if (!line.trim()) continue;
+      const current = line.length - line.trimStart().length;
+      if (current <= indent) break;
+      if (bodyIndent === null) bodyIndent = current;
+      if (current !== bodyIndent) continue;
+      const text = line.trim();
+      const method = /^(?:async\s+)?def\s+(\w+)/.exec(text);
+      const field = /^(\w+)\s*(?::[^=]+)?=|^(\w+)\s*:\s*\S/.exec(text);
+      const name = method?.[1] || field?.[1] || field?.[2];
+      if (!name || (!method && /^(?:if|for|while|with|return|elif|else|try|except|class)$/.test(name))) continue;
+      const visibility = name.startsWith("__") && !name.endsWith("__") ? "private" : name.startsWith("_") && !name.endsWith("__") ? "protected" : "public";
+      const previous = lines[index - 1]?.trim() || "";
+      const entry = member(name, method ? "method" : kind === "enum" ? "variant" : "field", "", visibility);
+      if (method && /^@(?:staticmethod|classmethod)/.test(previous)) entry.static = true;
+      symbol.members.push(entry);
+    }
+    symbols.push(symbol);
+  }
+  return symbols;
+}
+
+function extractRubySymbols(masked, locate) {
+  const lines = masked.split("\n");
+  const symbols = [];
+  const pattern = /^([ \t]*)(class|module)\s+([A-Z][\w:]*)(?:\s*<\s*([\w:]+))?/gm;
+  let match;
+  while ((match = pattern.exec(masked))) {
+    const symbol = {
+      name: match[3].split("::").pop(),
+      kind: match[2],
+      line: locate(match.index + match[1].length),
+      bases: match[4] ? [match[4]] : [],
+      interfaces: [],
+      members: []
+    };
+    const indent = match[1].length;
+    let bodyIndent = null;
+    let visibility = "public";
+    for (let index = symbol.line; index < lines.length; index += 1) {
+      const line = lines[index];
+      if (!line.trim()) continue;
+      const current = line.length - line.trimStart().length;
+      if (current <= indent) break;
+      if (bodyIndent === null) bodyIndent = current;
+      if (current !== bodyIndent) continue;
+      const text = line.trim();
+      if (/^(private|protected|public)\s*$/.test(text)) {
+        visibility = text;
+        continue;
+      }
+      const mixin = /^(?:include|extend|prepend)\s+([\w:]+(?:\s*,\s*[\w:]+)*)/.exec(text);
+      if (mixin) {
+        symbol.interfaces.push(...mixin[1].split(",").map((name) => name.trim()));
+        continue;
+      }
+      const method = /^def\s+(self\.)?([\w?!=]+)/.exec(text);
+      if (method) {
+        symbol.members.push(member(method[2], "method", method[1] ? "static" : "", visibility));
+        continue;
+      }
+      const attributes = /^attr_(?:reader|writer|accessor)\s+(.+)$/.exec(text);
+      if (attributes) {
+        for (const name of attributes[1].matchAll(/:(\w+)/g)) symbol.members.push(member(name[1], "field", "", "public"));
+      }
+    }
+    symbol.members = symbol.members.slice(0, MAX_MEMBERS);
+    symbols.push(symbol);
+  }
+  return symbols;
+}
@@ -0,0 +1,341 @@
+import { isInside } from "./workspaces.js";
+
+const CATEGORY_ORDER = ["framework", "orm", "testing", "build", "cloud", "deployment"];
+const EVIDENCE_WEIGHTS = { config: 0.6, content: 0.7, dependency: 0.5, import: 0.35 };
+const MIN_CONFIDENCE = 0.3;
+const MAX_CONTENT_READS = 20;
+const MAX_EVIDENCE = 5;
+const IGNORED_PATHS = /(^|\/)(node_modules|vendor|dist|build|target|\.venv|venv)\//;
+
+// Dependency and import entries ending in "/", ":", "." or "-" match as prefixes.
+const FINGERPRINTS = [
+  {
+    name: "Next.js",
+    category: "framework",
+    files: [/(^|\/)next\.config\.(js|cjs|mjs|ts)$/],
+    dependencies: ["next"],
+    imports: ["next"]
+  },
+  {
+    name: "Nuxt",
+    category: "framework",
+    files: [/(^|\/)nuxt\.config\.(js|ts|mjs)$/],
+    dependencies: ["nuxt"],
+    imports: ["nuxt", "#app"]
+  },
+  { name: "Remix", category: "framework", files: [/(^|\/)remix\.config\.(js|mjs)$/], dependencies: ["@remix-run/"], imports: ["@remix-run/"] },
+  { name: "Astro", category: "framework", files: [/(^|\/)astro\.config\.(mjs|js|ts)$/], dependencies: ["astro"], imports: ["astro"] },
+  {
+    name: "SvelteKit",
+    category: "framework",
+    files: [/(^|\/)svelte\.config\.(js|mjs)$/],
+    dependencies: ["@sveltejs/kit"],
+    imports: ["@sveltejs/kit", "$app/"]
+  },
+  { name: "Angular", category: "framework", files: [/(^|\/)angular\.json$/], dependencies: ["@angular/core"], imports: ["@angular/"] },
+  { name: "React", category: "framework", dependencies: ["react"], imports: ["react"] },
+  { name: "React Native", category: "framework", files: [/(^|\/)metro\.config\.js$/], dependencies: ["react-native", "expo"], imports: ["react-native"] },
+  { name: "Vue", category: "framework", files: [/\.vue$/], dependencies: ["vue"], imports: ["vue"] },
+  { name: "Electron", category: "framework", dependencies: ["electron"], imports: ["electron"] },
+  { name: "Express", category: "framework", dependencies: ["express"], imports: ["express"] },
+  { name: "Fastify", category: "framework", dependencies: ["fastify"], imports: ["fastify"] },
+  {
+    name: "NestJS",
+    category: "framework",
+    files: [/(^|\/)nest-cli\.json$/],
+    dependencies: ["@nestjs/core"],
+    imports: ["@nestjs/"]
+  },
+  { name: "Koa", category: "framework", dependencies: ["koa"], imports: ["koa"] },
+  { name: "Hapi", category: "framework", dependencies: ["@hapi/hapi"], imports: ["@hapi/hapi"] },
+  { name: "Django", category: "framework", files: [/(^|\/)manage\.py$/], dependencies: ["django"], imports: ["django"] },
+  { name: "Flask", category: "framework", dependencies: ["flask"], imports: ["flask"] },
+  { name: "FastAPI", category: "framework", dependencies: ["fastapi"], imports: ["fastapi"] },
+  {
+    name: "Spring Boot",
+    category: "framework",
+    files: [/(^|\/)application(-\w+)?\.(yml|yaml|properties)$/],
+    dependencies: ["org.springframework.boot:"],
+    imports: ["org.springframework.boot"]
+  },
+  { name: "Spring WebFlux", category: "framework", dependencies: ["org.springframework.boot:spring-boot-starter-webflux"], imports: ["org.springframework.web.reactive"] },
+  { name: "Quarkus", category: "framework", dependencies: ["io.quarkus:"], imports: ["io.quarkus"] },
+  { name: "Micronaut", category: "framework", dependencies: ["io.micronaut:"], imports: ["io.micronaut"] },
+  { name: "JAX-RS", category: "framework", dependencies: ["jakarta.ws.rs:", "javax.ws.rs:"], imports: ["jakarta.ws.rs", "javax.ws.rs"] },
+  { name: "Ktor", category: "framework", dependencies: ["io.ktor:"], imports: ["io.ktor"] },
+  {
+    name: "Ruby on Rails",
+    category: "framework",
+    files: [/(^|\/)config\/routes\.rb$/, /(^|\/)bin\/rails$/],
+    dependencies: ["rails"],
+    imports: ["rails"]
+  },
+  { name: "Sinatra", category: "framework", dependencies: ["sinatra"], imports: ["sinatra"] },
+  { name: "Laravel", category: "framework", files: [/(^|\/)artisan$/], dependencies: ["laravel/framework"], imports: ["Illuminate\\"] },
+  { name: "Symfony", category: "framework", files: [/(^|\/)symfony\.lock$/], dependencies: ["symfony/framework-bundle"], imports: ["Symfony\\"] },
+  {
+    name: "ASP.NET Core",
+    category: "framework",
+    files: [/(^|\/)appsettings(\.\w+)?\.json$/],
+    dependencies: ["Microsoft.AspNetCore."],
+    imports: ["Microsoft.AspNetCore"]
+  },
+  { name: "Gin", category: "framework", dependencies: ["github.com/gin-gonic/gin"], imports: ["github.com/gin-gonic/gin"] },
+  { name: "Echo", category: "framework", dependencies: ["github.com/labstack/echo/"], imports: ["github.com/labstack/echo/"] },
+  { name: "Fiber", category: "framework", dependencies: ["github.com/gofiber/fiber/"], imports: ["github.com/gofiber/fiber/"] },
+  { name: "chi", category: "framework", dependencies: ["github.com/go-chi/chi"], imports: ["github.com/go-chi/chi"] },
+  { name: "Gorilla mux", category: "framework", dependencies: ["github.com/gorilla/mux"], imports: ["github.com/gorilla/mux"] },
+  { name: "Actix Web", category: "framework", dependencies: ["actix-web"], imports: ["actix_web"] },
+  { name: "Axum", category: "framework", dependencies: ["axum"], imports: ["axum"] },
+  { name: "Apollo GraphQL", category: "framework", dependencies: ["@apollo/server", "@apollo/client", "apollo-server-"], imports: ["@apollo/"] },
+
+  { name: "Prisma", category: "orm", files: [/(^|\/)schema\.prisma$/], dependencies: ["prisma", "@prisma/client"], imports: ["@prisma/client"] },
+  { name: "TypeORM", category: "orm", files: [/(^|\/)ormconfig\.(json|js|ts)$/], dependencies: ["typeorm"], imports: ["typeorm"] },
+  { name: "Sequelize", category: "orm", files: [/(^|\/)\.sequelizerc$/], dependencies: ["sequelize"], imports: ["sequelize"] },
+  { name: "Mongoose", category: "orm", dependencies: ["mongoose"], imports: ["mongoose"] },
+  { name: "Drizzle", category: "orm", files: [/(^|\/)drizzle\.config\.(ts|js)$/], dependencies: ["drizzle-orm"], imports: ["drizzle-orm"] },
+  { name: "Knex", category: "orm", files: [/(^|\/)knexfile\.(js|ts)$/], dependencies: ["knex"], imports: ["knex"] },
+  { name: "MikroORM", category: "orm", dependencies: ["@mikro-orm/core"], imports: ["@mikro-orm/"] },
+  { name: "SQLAlchemy", category: "orm", files: [/(^|\/)alembic\.ini$/], dependencies: ["sqlalchemy", "flask-sqlalchemy"], imports: ["sqlalchemy"] },
+  { name: "Django ORM", category: "orm", imports: ["django.db"] },
+  { name: "Hibernate / JPA", category: "orm", dependencies: ["org.hibernate:", "org.hibernate.orm:", "org.springframework.boot:spring-boot-starter-data-jpa"], imports: ["javax.persistence", "jakarta.persistence", "org.hibernate"] },
+  { name: "GORM", category: "orm", dependencies: ["gorm.io/gorm"], imports: ["gorm.io/gorm"] },
+  { name: "Entity Framework Core", category: "orm", dependencies: ["Microsoft.EntityFrameworkCore"], imports: ["Microsoft.EntityFrameworkCore"] },
+  { name: "Active Record", category: "orm", files: [/(^|\/)db\/schema\.rb$/], dependencies: ["activerecord"] },
+  { name: "Doctrine", category: "orm", dependencies: ["doctrine/orm"], imports: ["Doctrine\\ORM"] },
+  { name: "Diesel", category: "orm", files: [/(^|\/)diesel\.toml$/], dependencies: ["diesel"], imports: ["diesel"] },
+
+  { name: "Jest", category: "testing", files: [/(^|\/)jest\.config\.(js|cjs|mjs|ts|json)$/], dependencies: ["jest"], imports: ["@jest/globals"] },
+  { name: "Vitest", category: "testing", files: [/(^|\/)vitest\.config\.(js|mjs|ts)$/], dependencies: ["vitest"], imports: ["vitest"] },
+  { name: "Mocha", category: "testing", files: [/(^|\/)\.mocharc\.(js|json|ya?ml)$/], dependencies: ["mocha"] },
+  { name: "Playwright", category: "testing", files: [/(^|\/)playwright\.config\.(js|ts)$/], dependencies: ["@playwright/test", "playwright"], imports: ["@playwright/test"] },
+  { name: "Cypress", category: "testing", files: [/(^|\/)cypress\.config\.(js|ts)$/, /(^|\/)cypress\.json$/], dependencies: ["cypress"] },
+  { name: "Testing Library", category: "testing", dependencies: ["@testing-library/"], imports: ["@testing-library/"] },
+  { name: "pytest", category: "testing", files: [/(^|\/)(pytest\.ini|conftest\.py)$/], dependencies: ["pytest"], imports: ["pytest"] },
+  { name: "JUnit", category: "testing", dependencies: ["junit:junit", "org.junit.jupiter:"], imports: ["org.junit"] },
+  { name: "RSpec", category: "testing", files: [/(^|\/)\.rspec$/, /_spec\.rb$/], dependencies: ["rspec", "rspec-rails"] },
+  { name: "PHPUnit", category: "testing", files: [/(^|\/)phpunit\.xml(\.dist)?$/], dependencies: ["phpunit/phpunit"], imports: ["PHPUnit\\"] },
+  { name: "xUnit", category: "testing", dependencies: ["xunit"], imports: ["Xunit"] },
+  { name: "NUnit", category: "testing", dependencies: ["NUnit"], imports: ["NUnit.Framework"] },
+  { name: "Go testing", category: "testing", files: [/_test\.go$/] },
+
+  { name: "Vite", category: "build", files: [/(^|\/)vite\.config\.(js|mjs|cjs|ts)$/], dependencies: ["vite"], imports: ["vite"] },
+  { name: "Webpack", category: "build", files: [/(^|\/)webpack\.config\.(js|cjs|ts)$/], dependencies: ["webpack"] },
+  { name: "Rollup", category: "build", files: [/(^|\/)rollup\.config\.(js|mjs|ts)$/], dependencies: ["rollup"] },
+  { name: "esbuild", category: "build", dependencies: ["esbuild"] },
+  { name: "Babel", category: "build", files: [/(^|\/)(\.babelrc(\.json)?|babel\.config\.(js|json|cjs))$/], dependencies: ["@babel/core"] },
+  { name: "TypeScript compiler", category: "build", files: [/(^|\/)tsconfig(\.\w+)?\.json$/], dependencies: ["typescript"] },
+  { name: "Maven", category: "build", files: [/(^|\/)pom\.xml$/, /(^|\/)mvnw$/] },
+  { name: "Gradle", category: "build", files: [/(^|\/)build\.gradle(\.kts)?$/, /(^|\/)gradlew$/] },
+  { name: "Bazel", category: "build", files: [/(^|\/)(WORKSPACE|MODULE\.bazel|BUILD\.bazel)$/] },
+  { name: "CMake", category: "build", files: [/(^|\/)CMakeLists\.txt$/] },
+  { name: "Make", category: "build", files: [/(^|\/)Makefile$/] },
+  { name: "Poetry", category: "build", files: [/(^|\/)poetry\.lock$/] },
+
+  { name: "AWS SDK", category: "cloud", dependencies: ["aws-sdk", "@aws-sdk/", "boto3", "botocore", "github.com/aws/aws-sdk-go", "com.amazonaws:", "software.amazon.awssdk:", "AWSSDK.", "aws-sdk-"], imports: ["aws-sdk", "@aws-sdk/", "boto3", "github.com/aws/aws-sdk-go", "com.amazonaws", "software.amazon.awssdk", "Amazon."] },
+  { name: "Google Cloud SDK", category: "cloud", dependencies: ["@google-cloud/", "google-cloud-", "cloud.google.com/go", "com.google.cloud:", "Google.Cloud."], imports: ["@google-cloud/", "google.cloud", "cloud.google.com/go", "com.google.cloud"] },
+  { name: "Azure SDK", category: "cloud", dependencies: ["@azure/", "azure-", "github.com/Azure/azure-sdk-for-go", "com.azure:", "Azure."], imports: ["@azure/", "azure.", "github.com/Azure/azure-sdk-for-go", "com.azure"] },
+  { name: "Firebase", category: "cloud", files: [/(^|\/)firebase\.json$/], dependencies: ["firebase", "firebase-admin"], imports: ["firebase", "firebase-admin", "firebase_admin"] },
+  { name: "Supabase", category: "cloud", files: [/(^|\/)supabase\/config\.toml$/], dependencies: ["@supabase/supabase-js", "supabase"], imports: ["@supabase/"] },
+  { name: "Vercel", category: "cloud", files: [/(^|\/)vercel\.json$/] },
+  { name: "Netlify", category: "cloud", files: [/(^|\/)netlify\.toml$/] },
+  { name: "Cloudflare Workers", category: "cloud", files: [/(^|\/)wrangler\.toml$/], dependencies: ["wrangler"] },
+  { name: "Heroku", category: "cloud", files: [/(^|\/)Procfile$/] },
+
+  { name: "Docker", category: "deployment", files: [/(^|\/)Dockerfile(\.[\w-]+)?$/, /\.dockerfile$/i] },
+  { name: "Docker Compose", category: "deployment", files: [/(^|\/)(docker-)?compose(\.[\w-]+)?\.ya?ml$/] },
+  { name: "Kubernetes", category: "deployment", contents: [{ file: /(^|\/)(k8s|kubernetes|deploy|manifests)\/.*\.ya?ml$/, pattern: /^kind:\s*(Deployment|StatefulSet|Service|Ingress)\b/m }] },
+  { name: "Helm", category: "deployment", files: [/(^|\/)Chart\.yaml$/] },
+  { name: "Terraform", category: "deployment", files: [/\.tf$/] },
+  { name: "Pulumi", category: "deployment", files: [/(^|\/)Pulumi\.ya?ml$/], dependencies: ["@pulumi/pulumi", "pulumi"] },
+  { name: "AWS CDK", category: "deployment", files: [/(^|\/)cdk\.json$/], dependencies: ["aws-cdk-lib", "aws-cdk"], imports: ["aws-cdk-lib"] },
+  { name: "Serverless Framework", category: "deployment", files: [/(^|\/)serverless\.ya?ml$/], dependencies: ["serverless"] },
+  { name: "GitHub Actions", category: "deployment", files: [/^\.github\/workflows\/[^/]+\.ya?ml$/] },
+  { name: "GitLab CI", category: "deployment", files: [/(^|\/)\.gitlab-ci\.yml$/] },
+
+  {
+    name: "AWS",
+    category: "cloud",
+    contents: [
+      { file: /\.tf$/, pattern: /provider\s+"aws"/ },
+      { file: /(^|\/)serverless\.ya?ml$/, pattern: /provider:\s*\n\s+name:\s*aws/ },
+      { file: /(^|\/)template\.ya?ml$/, pattern: /AWS::Serverless|AWSTemplateFormatVersion/ }
+    ]
+  },
+  {
+    name: "Google Cloud",
+    category: "cloud",
+    files: [/(^|\/)app\.yaml$/, /(^|\/)cloudbuild\.ya?ml$/],
+    contents: [{ file: /\.tf$/, pattern: /provider\s+"google"/ }]
+  },
+  {
+    name: "Azure",
+    category: "cloud",
+    files: [/(^|\/)azure-pipelines\.ya?ml$/],
+    contents: [{ file: /\.tf$/, pattern: /provider\s+"azurerm"/ }]
+  },
+  {
+    name: "Node.js runtime",
+    category: "deployment",
+    contents: [{ file: /(^|\/)Dockerfile(\.[\w-]+)?$/, pattern: /^FROM\s+(\S+\/)?node\b/im }]
+  },
+  {
+    name: "Python runtime",
+    category: "deployment",
+    contents: [{ file: /(^|\/)Dockerfile(\.[\w-]+)?$/, pattern: /^FROM\s+(\S+\/)?python\b/im }]
+  },
+  {
+    name: "JVM runtime",
+    category: "deployment",
+    contents: [
+      { file: /(^|\/)Dockerfile(\.[\w-]+)?$/, pattern: /^FROM\s+(\S+\/)?(openjdk|eclipse-temurin|amazoncorretto|maven|gradle)\b/im }
+    ]
+  },
+  {
+    name: "Nginx",
+    category: "deployment",
+    files: [/(^|\/)nginx\.conf$/],
+    contents: [{ file: /(^|\/)Dockerfile(\.[\w-]+)?$/, pattern: /^FROM\s+(\S+\/)?nginx\b/im }]
+  }
+];
+
+export async function detectTechnologies({ tree = [], readFile, dependencies, imports = [] }) {
+  const paths = tree.map((entry) => entry.path).filter((path) => !IGNORED_PATHS.test(path));
+  const findings = new Map();
+  const record = (rule, kind, path, detail) => {
+    if (!findings.has(rule.name)) findings.set(rule.name, { rule, evidence: [] });
+    findings.get(rule.name).evidence.push({ kind, path, detail });
+  };
+
+  for (const rule of FINGERPRINTS) {
+    for (const pattern of rule.files || []) {
+      paths.filter((path) => pattern.test(path)).forEach((path) => record(rule, "config", path, path.split("/").pop()));
+    }
+  }
+
+  const contentRules = FINGERPRINTS.flatMap((rule) => (rule.contents || []).map((check) => ({ rule, check })));
+  const contentFiles = paths
+    .filter((path) => contentRules.some(({ check }) => check.file.test(path)))
+    .slice(0, MAX_CONTENT_READS);
+  for (const path of contentFiles) {
+    const content = await readFile(path).catch(() => "");
+    if (!content) continue;
+    for (const { rule, check } of contentRules) {
+      if (!check.file.test(path)) continue;
+      const match = content.match(check.pattern);
+      if (match) record(rule, "content", path, match[0].trim().split("\n")[0]);
+    }
+  }
+
+  for (const item of dependencies?.items || []) {
+    if (!item.direct) continue;
+    const name = normalizePackageName(item.name, item.ecosystem);
+    for (const rule of FINGERPRINTS) {
+      if ((rule.dependencies || []).some((prefix) => matchesModule(name, normalizePackageName(prefix, item.ecosystem)))) {
+        record(rule, "dependency", item.manifest, item.name);
+      }
+    }
+  }
+
+  for (const file of imports) {
+    for (const module of file.modules) {
+      if (module.startsWith(".")) continue;
+      for (const rule of FINGERPRINTS) {
+        if ((rule.imports || []).some((prefix) => matchesModule(module, prefix))) {
+          record(rule, "import", file.path, module);
+        }
+      }
+    }
+  }
+
+  return Array.from(findings.values())
+    .map(({ rule, evidence }) => ({
+      name: rule.name,
+      category: rule.category,
+      confidence: scoreEvidence(evidence),
+      paths: Array.from(new Set(evidence.map((entry) => entry.path))),
+      evidence: orderEvidence(evidence).slice(0, MAX_EVIDENCE)
+    }))
+    .filter((entry) => entry.confidence >= MIN_CONFIDENCE)
+    .sort(compareTechnologies);
+}
+
+export function technologiesForPath(technologies = [], path) {
+  return technologies
+    .filter((entry) => entry.paths.some((evidencePath) => isInside(evidencePath, path)))
+    .map(({ name, category, confidence }) => ({ name, category, confidence }));
+}
+
+export function extractImports(content, extension) {
+  if (!content) return [];
+  const modules = [];
+  const collect = (regex, group = 1) => {
+    for (const match of content.matchAll(regex)) {
+      const value = match[group] || match[group + 1];
+      if (value) modules.push(value);
+    }
+  };
+
+  if (["js", "jsx", "ts", "tsx", "mjs", "cjs", "vue", "svelte"].includes(extension)) {
+    collect(/(?:^|[\s;])import\s+(?:type\s+)?(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"]+)['"]/g);
+    collect(/(?:^|[\s;])export\s+(?:\*|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/g);
+    collect(/\b(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g);
+  } else if (extension === "py") {
+    collect(/^\s*(?:from\s+([\w.]+)\s+import|import\s+([\w.]+))/gm);
+  } else if (extension === "go") {
+    const blocks = Array.from(content.matchAll(/^import\s*\(([\s\S]*?)\)/gm), (match) => match[1]).join("\n");
+    for (const match of blocks.matchAll(/^\s*(?:[\w.]+\s+)?"([^"]+)"/gm)) modules.push(match[1]);
+    collect(/^import\s+(?:[\w.]+\s+)?"([^"]+)"/gm);
+  } else if (["java", "kt", "kts", "scala"].includes(extension)) {
+    collect(/^\s*import\s+(?:static\s+)?([\w.]+)/gm);
+  } else if (extension === "cs") {
+    collect(/^\s*(?:global\s+)?using\s+(?:static\s+)?([\w.]+)\s*;/gm);
+  } else if (extension === "php") {
+    collect(/^\s*use\s+\\?([\w\\]+)/gm);
+  } else if (extension === "rb") {
+    collect(/^\s*require(?:_relative)?\s*\(?\s*['"]([^'"]+)['"]/gm);
+  } else if (extension === "swift") {
+    collect(/^\s*import\s+(\w+)/gm);
+  } else if (extension === "rs") {
+    collect(/^\s*(?:pub(?:\([^)]*\))?\s+)?use\s+(?:::)?(\w+(?:::\w+)*)/gm);
+    for (const match of content.matchAll(/^\s*(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*;/gm)) modules.push(`self::${match[1]}`);
+  }
+
+  return Array.from(new Set(modules));
+}
+
+export function matchesModule(value, prefix) {
+  if (/[/:.\\-]$/.test(prefix)) return value.startsWith(prefix);
+  return (
+    value === prefix ||
+    value.startsWith(`${prefix}/`) ||
+    value.startsWith(`${prefix}.`) ||
+    value.startsWith(`${prefix}\\`)
+  );
+}
+
+// Registries treat package names case-insensitively; PyPI also treats runs of
+// "-", "_" and "." as one "-" (PEP 503), so `Flask_SQLAlchemy` is
+// `flask-sqlalchemy`.
+function normalizePackageName(name, ecosystem) {
+  const lower = name.toLowerCase();
+  return ecosystem === "PyPI" ? lower.replace(/[-_.]+/g, "-") : lower;
+}
+
+function scoreEvidence(evidence) {
+  const kinds = new Set(evidence.map((entry) => entry.kind));
+  const remaining = Array.from(kinds).reduce((product, kind) => product * (1 - EVIDENCE_WEIGHTS[kind]), 1);
+  return Math.round((1 - remaining) * 100) / 100;
+}
+
+function orderEvidence(evidence) {
+  const firstOfKind = evidence.filter(
+    (entry, index) => evidence.findIndex((other) => other.kind === entry.kind) === index
+  );
+  return [...firstOfKind, ...evidence.filter((entry) => !firstOfKind.includes(entry))];
+}
+
+function compareTechnologies(a, b) {
+  const category = CATEGORY_ORDER.indexOf(a.category) - CATEGORY_ORDER.indexOf(b.category);
+  return category || b.confidence - a.confidence || a.name.localeCompare(b.name);
+}
@@ -0,0 +1,161 @@
+const DB_NAME = "project-overview-rag";
+const DB_VERSION = 1;
+const INDEXES = "indexes";
+const FILES = "files";
+const LEGACY_PREFIX = "rag-index:";
+
+let databasePromise;
+
+// Semantic indexes live in IndexedDB as one manifest per index (which blob
+// sits at which path) plus one record per file blob holding its chunks and a
+// Float32Array of their vectors. File records are shared between indexes, so
+// a moved branch only embeds the blobs that changed.
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this environment."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(INDEXES)) database.createObjectStore(INDEXES, { keyPath: "key" });
+        if (!database.objectStoreNames.contains(FILES)) database.createObjectStore(FILES, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+    removeLegacyIndexes();
+  }
+  return databasePromise;
+}
+
+async function transact(stores, mode, run) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(stores, mode);
+    run(transaction);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+function fileId(version, sha) {
+  return `${version}:${sha}`;
+}
+
+export async function getIndexManifest(key) {
+  let request;
+  await transact([INDEXES], "readonly", (transaction) => {
+    request = transaction.objectStore(INDEXES).get(key);
+  });
+  return request.result ?? null;
+}
+
+// Returns the stored records for the given blob SHAs, keyed by SHA.
+export async function getFileRecords(version, shas) {
+  const requests = [];
+  await transact([FILES], "readonly", (transaction) => {
+    const store = transaction.objectStore(FILES);
+    for (const sha of new Set(shas)) requests.push(store.get(fileId(version, sha)));
+  });
+  return new Map(requests.filter((request) => request.result).map((request) => [request.result.sha, request.result]));
+}
+
+// Writes new file records and the manifest in one transaction so a manifest
+// never points at missing files.
+export async function saveIndexRecords(manifest, records) {
+  await transact([INDEXES, FILES], "readwrite", (transaction) => {
+    const files = transaction.objectStore(FILES);
+    for (const record of records) files.put({ ...record, id: fileId(manifest.version, record.sha) });
+    transaction.objectStore(INDEXES).put(manifest);
+  });
+}
+
+// Manifests with their stored size; file records shared by several indexes
+// are counted toward each of them.
+export async function listStoredIndexes() {
+  let manifests = [];
+  const sizes = new Map();
+  await transact([INDEXES, FILES], "readonly", (transaction) => {
+    const manifestRequest = transaction.objectStore(INDEXES).getAll();
+    manifestRequest.onsuccess = () => {
+      manifests = manifestRequest.result;
+    };
+    const cursorRequest = transaction.objectStore(FILES).openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      sizes.set(cursor.value.id, cursor.value.bytes || 0);
+      cursor.continue();
+    };
+  });
+  return manifests
+    .map((manifest) => ({
+      key: manifest.key,
+      updatedAt: manifest.updatedAt,
+      files: manifest.files.length,
+      chunks: manifest.chunks,
+      bytes: manifest.files.reduce((sum, file) => sum + (sizes.get(fileId(manifest.version, file.sha)) || 0), 0)
+    }))
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
+
+// Deletes one manifest, or all of them when no key is given, plus every file
+// record no remaining index refers to.
+export async function deleteStoredIndex(key = null) {
+  await transact([INDEXES, FILES], "readwrite", (transaction) => {
+    const indexes = transaction.objectStore(INDEXES);
+    const files = transaction.objectStore(FILES);
+    const manifestRequest = indexes.getAll();
+    manifestRequest.onsuccess = () => {
+      const kept = manifestRequest.result.filter((manifest) => key !== null && manifest.key !== key);
+      if (key === null) indexes.clear();
+      else indexes.delete(key);
+      const referenced = new Set(kept.flatMap((manifest) => manifest.files.map((file) => fileId(manifest.version, file.sha))));
+      const cursorRequest = files.openKeyCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (!referenced.has(cursor.primaryKey)) files.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+    };
+  });
+}
+
+export async function estimateStorage() {
+  if (typeof navigator === "undefined" || !navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+// Git's blob id (SHA-1 of "blob <size>\0<content>") for providers whose tree
+// listing does not include one, so records are shared across providers.
+export async function gitBlobSha(content) {
+  const body = new TextEncoder().encode(content);
+  const header = new TextEncoder().encode(`blob ${body.length}\0`);
+  const bytes = new Uint8Array(header.length + body.length);
+  bytes.set(header);
+  bytes.set(body, header.length);
+  const digest = await crypto.subtle.digest("SHA-1", bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Earlier versions kept whole indexes as JSON in localStorage.
+function removeLegacyIndexes() {
+  try {
+    if (typeof localStorage === "undefined") return;
+    for (let position = localStorage.length - 1; position >= 0; position -= 1) {
+      const name = localStorage.key(position);
+      if (name?.startsWith(LEGACY_PREFIX)) localStorage.removeItem(name);
+    }
+  } catch (error) {
+    console.warn("Unable to remove legacy semantic indexes", error);
+  }
+}
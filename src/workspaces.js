@@ -0,0 +1,258 @@
+import { joinPath } from "./paths.js";
+
+const ROOT_MANIFESTS = [
+  "package.json",
+  "pnpm-workspace.yaml",
+  "lerna.json",
+  "nx.json",
+  "turbo.json",
+  "go.work",
+  "Cargo.toml",
+  "pom.xml",
+  "settings.gradle",
+  "settings.gradle.kts"
+];
+const PACKAGE_MANIFESTS = [
+  { file: "package.json", ecosystem: "npm" },
+  { file: "project.json", ecosystem: "nx" },
+  { file: "Cargo.toml", ecosystem: "cargo" },
+  { file: "go.mod", ecosystem: "go" },
+  { file: "pom.xml", ecosystem: "maven" },
+  { file: "build.gradle", ecosystem: "gradle" },
+  { file: "build.gradle.kts", ecosystem: "gradle" }
+];
+const MAX_WORKSPACE_PACKAGES = 40;
+
+export async function detectWorkspaces(tree = [], readFile) {
+  const paths = new Set(tree.map((entry) => entry.path));
+  const roots = {};
+  for (const manifest of ROOT_MANIFESTS) {
+    if (!paths.has(manifest)) continue;
+    roots[manifest] = await readFile(manifest).catch(() => "");
+  }
+
+  const tools = [];
+  const patterns = [];
+  const explicitDirs = [];
+
+  const rootPackage = parseJson(roots["package.json"]);
+  const npmWorkspaces = Array.isArray(rootPackage?.workspaces)
+    ? rootPackage.workspaces
+    : rootPackage?.workspaces?.packages;
+  if (Array.isArray(npmWorkspaces) && npmWorkspaces.length) {
+    tools.push("npm/yarn workspaces");
+    patterns.push(...npmWorkspaces);
+  }
+  if (roots["pnpm-workspace.yaml"]) {
+    tools.push("pnpm workspaces");
+    patterns.push(...parseYamlList(roots["pnpm-workspace.yaml"], "packages"));
+  }
+  if (roots["lerna.json"] !== undefined) {
+    tools.push("Lerna");
+    patterns.push(...(parseJson(roots["lerna.json"])?.packages || ["packages/*"]));
+  }
+  if (roots["turbo.json"] !== undefined) tools.push("Turborepo");
+  if (roots["nx.json"] !== undefined) {
+    tools.push("Nx");
+    explicitDirs.push(...findManifestDirs(tree, "project.json").filter(Boolean));
+  }
+  if (roots["go.work"]) {
+    tools.push("Go workspaces");
+    explicitDirs.push(...parseGoWork(roots["go.work"]));
+  }
+  const cargoMembers = parseCargoMembers(roots["Cargo.toml"]);
+  if (cargoMembers.length) {
+    tools.push("Cargo workspaces");
+    patterns.push(...cargoMembers);
+  }
+  const mavenModules = matchAll(roots["pom.xml"], /<module>\s*([^<]+?)\s*<\/module>/g);
+  if (mavenModules.length) {
+    tools.push("Maven modules");
+    explicitDirs.push(...mavenModules);
+  }
+  const gradleProjects = parseGradleIncludes(roots["settings.gradle"] || roots["settings.gradle.kts"]);
+  if (gradleProjects.length) {
+    tools.push("Gradle multi-project");
+    explicitDirs.push(...gradleProjects);
+  }
+
+  if (!patterns.length && !explicitDirs.length) return { tools, packages: [] };
+
+  const include = patterns.filter((pattern) => !pattern.startsWith("!")).map(globToRegExp);
+  const exclude = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .map((pattern) => globToRegExp(pattern.slice(1)));
+  const explicit = new Set(explicitDirs.map(normalizeDir));
+  const candidates = new Map();
+
+  for (const { file, ecosystem } of PACKAGE_MANIFESTS) {
+    for (const dir of findManifestDirs(tree, file)) {
+      if (!dir || candidates.has(dir)) continue;
+      const matched =
+        explicit.has(dir) ||
+        (include.some((regex) => regex.test(dir)) && !exclude.some((regex) => regex.test(dir)));
+      if (matched) candidates.set(dir, { path: dir, manifest: `${dir}/${file}`, ecosystem });
+    }
+  }
+
+  const packages = [];
+  for (const candidate of Array.from(candidates.values()).slice(0, MAX_WORKSPACE_PACKAGES)) {
+    const content = await readFile(candidate.manifest).catch(() => "");
+    packages.push({ ...candidate, ...describeManifest(candidate, content) });
+  }
+
+  const byName = new Map(packages.map((pkg) => [pkg.name, pkg]));
+  const byPath = new Map(packages.map((pkg) => [pkg.path, pkg]));
+  for (const pkg of packages) {
+    pkg.dependsOn = Array.from(
+      new Set(
+        pkg.references
+          .map((reference) => (byName.get(reference) || byPath.get(normalizeDir(reference)))?.name)
+          .filter((name) => name && name !== pkg.name)
+      )
+    ).sort();
+    delete pkg.references;
+  }
+
+  return { tools, packages: packages.sort((a, b) => a.path.localeCompare(b.path)) };
+}
+
+export function isInside(path, dir) {
+  return path === dir || path.startsWith(`${dir}/`);
+}
+
+function describeManifest({ path, ecosystem }, content) {
+  const fallbackName = path.split("/").pop();
+  if (ecosystem === "npm") {
+    const manifest = parseJson(content) || {};
+    const references = [
+      "dependencies",
+      "devDependencies",
+      "peerDependencies",
+      "optionalDependencies"
+    ].flatMap((field) => Object.keys(manifest[field] || {}));
+    return { name: manifest.name || fallbackName, references };
+  }
+  if (ecosystem === "nx") {
+    const manifest = parseJson(content) || {};
+    return { name: manifest.name || fallbackName, references: manifest.implicitDependencies || [] };
+  }
+  if (ecosystem === "cargo") {
+    const name = content.match(/\[package\][^[]*?\bname\s*=\s*"([^"]+)"/)?.[1] || fallbackName;
+    const references = matchAll(content, /path\s*=\s*"([^"]+)"/g).map((relative) => joinPath(path, relative));
+    return { name, references };
+  }
+  if (ecosystem === "go") {
+    const name = content.match(/^module\s+(\S+)/m)?.[1] || fallbackName;
+    const requireBlock = content.match(/require\s*\(([\s\S]*?)\)/)?.[1] || "";
+    const references = [
+      ...matchAll(requireBlock, /^\s*(\S+)\s+v/gm),
+      ...matchAll(content, /^require\s+(\S+)\s+v/gm),
+      ...matchAll(content, /^replace\s+\S+(?:\s+\S+)?\s+=>\s+(\.{1,2}\/\S+)/gm).map((relative) =>
+        joinPath(path, relative)
+      )
+    ];
+    return { name, references };
+  }
+  if (ecosystem === "maven") {
+    const stripped = content
+      .replace(/<parent>[\s\S]*?<\/parent>/, "")
+      .replace(/<dependencies>[\s\S]*?<\/dependencies>/g, "")
+      .replace(/<build>[\s\S]*?<\/build>/g, "");
+    const name = stripped.match(/<artifactId>\s*([^<]+?)\s*<\/artifactId>/)?.[1] || fallbackName;
+    const dependencies = content.match(/<dependencies>[\s\S]*?<\/dependencies>/g)?.join("") || "";
+    return { name, references: matchAll(dependencies, /<artifactId>\s*([^<]+?)\s*<\/artifactId>/g) };
+  }
+  const references = matchAll(content, /project\(\s*(?:path\s*[:=]\s*)?["']:?([^"']+)["']/g).map((name) =>
+    name.replace(/:/g, "/")
+  );
+  return { name: path, references };
+}
+
+function findManifestDirs(tree, fileName) {
+  return tree
+    .filter((entry) => entry.path === fileName || entry.path.endsWith(`/${fileName}`))
+    .filter((entry) => !/(^|\/)(node_modules|vendor|target|dist|build)\//.test(entry.path))
+    .map((entry) => entry.path.slice(0, -fileName.length).replace(/\/$/, ""));
+}
+
+function globToRegExp(pattern) {
+  const source = normalizeDir(pattern)
+    .split("/")
+    .map((segment) => {
+      if (segment === "**") return "(?:.+)";
+      return segment
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, "[^/]*")
+        .replace(/\?/g, "[^/]");
+    })
+    .join("/");
+  return new RegExp(`^${source}$`);
+}
+
+function normalizeDir(value = "") {
+  return value
+    .trim()
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .replace(/\/package\.json$/, "");
+}
+
+function parseJson(content) {
+  if (!content) return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+function parseYamlList(content, key) {
+  const items = [];
+  let inside = false;
+  for (const line of content.split("\n")) {
+    if (new RegExp(`^${key}\\s*:`).test(line)) {
+      inside = true;
+      continue;
+    }
+    if (!inside) continue;
+    const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(?:#.*)?$/);
+    if (item) items.push(item[1]);
+    else if (/^\S/.test(line)) break;
+  }
+  return items;
+}
+
+// go.work may mix `use ( … )` blocks with single-line `use ./dir` directives.
+function parseGoWork(content) {
+  const entries = [
+    ...matchAll(content, /^use\s*\(([\s\S]*?)\)/gm).flatMap((block) => block.split("\n")),
+    ...matchAll(content, /^use[ \t]+([^\s(]\S*)/gm)
+  ];
+  return entries
+    .map((entry) => entry.replace(/\/\/.*$/, "").trim().replace(/^"|"$/g, ""))
+    .filter(Boolean)
+    .map(normalizeDir);
+}
+
+// Members plus `exclude` entries as negative patterns, like npm's "!dir".
+function parseCargoMembers(content) {
+  if (!content) return [];
+  const workspace = content.match(/\[workspace\]([\s\S]*?)(?=\n\[|$)/)?.[1] || "";
+  const list = (key) =>
+    matchAll(workspace.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, "m"))?.[1], /"([^"]+)"/g);
+  const members = list("members");
+  return members.length ? [...members, ...list("exclude").map((dir) => `!${dir}`)] : [];
+}
+
+function parseGradleIncludes(content) {
+  if (!content) return [];
+  return matchAll(content, /^\s*include\s*\(?([^)\n]+)\)?/gm)
+    .flatMap((list) => matchAll(list, /["']:?([^"']+)["']/g))
+    .map((name) => name.replace(/:/g, "/"));
+}
+
+function matchAll(content, regex) {
+  if (!content) return [];
+  return Array.from(content.matchAll(regex), (match) => match[1]);
+}
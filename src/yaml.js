@@ -0,0 +1,294 @@
+// A small YAML reader covering what API specs and compose files use: block
+// mappings and sequences, flow collections, quoted and block scalars, anchors,
+// aliases and `<<` merges. Only the first document of a stream is read.
+export function parseYaml(text = "") {
+  const lines = [];
+  for (const raw of String(text).replace(/\r\n?/g, "\n").split("\n")) {
+    if (/^(---|\.\.\.)(\s|$)/.test(raw)) {
+      if (lines.length) break;
+      continue;
+    }
+    const stripped = stripComment(raw);
+    if (!stripped.trim()) {
+      lines.push({ indent: -1, text: "", raw });
+      continue;
+    }
+    lines.push({ indent: stripped.match(/^ */)[0].length, text: stripped.trim(), raw });
+  }
+  const state = { lines, index: 0, anchors: new Map() };
+  skipBlank(state);
+  if (state.index >= lines.length) return null;
+  return parseBlock(state, lines[state.index].indent);
+}
+
+function parseBlock(state, indent) {
+  const line = state.lines[state.index];
+  if (isSequenceItem(line.text)) return parseSequence(state, indent);
+  if (findMappingColon(line.text) !== -1) return parseMapping(state, indent);
+  state.index += 1;
+  return parseScalarValue(state, line.text, indent);
+}
+
+function parseSequence(state, indent) {
+  const items = [];
+  while (state.index < state.lines.length) {
+    skipBlank(state);
+    const line = state.lines[state.index];
+    if (!line || line.indent !== indent || !isSequenceItem(line.text)) break;
+    const rest = line.text.slice(1).trimStart();
+    if (!rest) {
+      state.index += 1;
+      skipBlank(state);
+      const next = state.lines[state.index];
+      items.push(next && next.indent > indent ? parseBlock(state, next.indent) : null);
+      continue;
+    }
+    const { anchor, body } = readAnchor(rest);
+    const column = indent + (line.text.length - rest.length) + (rest.length - body.length);
+    if (body && (isSequenceItem(body) || (findMappingColon(body) !== -1 && !/^["'[{]/.test(body)))) {
+      state.lines[state.index] = { indent: column, text: body, raw: line.raw };
+      const value = parseBlock(state, column);
+      if (anchor) state.anchors.set(anchor, value);
+      items.push(value);
+      continue;
+    }
+    state.index += 1;
+    const value = parseScalarValue(state, body, indent);
+    if (anchor) state.anchors.set(anchor, value);
+    items.push(value);
+  }
+  return items;
+}
+
+function parseMapping(state, indent) {
+  const map = {};
+  while (state.index < state.lines.length) {
+    skipBlank(state);
+    const line = state.lines[state.index];
+    if (!line || line.indent !== indent || isSequenceItem(line.text)) break;
+    const colon = findMappingColon(line.text);
+    if (colon === -1) break;
+    const key = unquote(line.text.slice(0, colon).trim());
+    const { anchor, body } = readAnchor(line.text.slice(colon + 1).trim());
+    state.index += 1;
+
+    let value;
+    if (!body) {
+      skipBlank(state);
+      const next = state.lines[state.index];
+      if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text)))) {
+        value = parseBlock(state, next.indent);
+      } else {
+        value = null;
+      }
+    } else {
+      value = parseScalarValue(state, body, indent);
+    }
+    if (anchor) state.anchors.set(anchor, value);
+    if (key === "<<") {
+      for (const source of Array.isArray(value) ? value : [value]) {
+        if (source && typeof source === "object") Object.assign(map, source, { ...map });
+      }
+      continue;
+    }
+    map[key] = value;
+  }
+  return map;
+}
+
+// Reads an inline value, pulling in block scalars, multi-line flow collections
+// and folded plain scalars from the following lines.
+function parseScalarValue(state, body, indent) {
+  if (/^[|>][+-]?\d*$/.test(body)) return readBlockScalar(state, body, indent);
+  if (body.startsWith("*")) return state.anchors.get(body.slice(1).trim()) ?? null;
+  if (body.startsWith("[") || body.startsWith("{")) {
+    let text = body;
+    while (!isBalanced(text) && state.index < state.lines.length) {
+      text += ` ${state.lines[state.index].text}`;
+      state.index += 1;
+    }
+    return parseFlow(text, state.anchors);
+  }
+  let text = body;
+  if (!/^["']/.test(body)) {
+    while (state.index < state.lines.length) {
+      const next = state.lines[state.index];
+      if (next.indent <= indent || findMappingColon(next.text) !== -1 || isSequenceItem(next.text)) break;
+      text += ` ${next.text}`;
+      state.index += 1;
+    }
+  } else if (!isClosedQuote(body)) {
+    while (state.index < state.lines.length && !isClosedQuote(text)) {
+      text += ` ${state.lines[state.index].raw.trim()}`;
+      state.index += 1;
+    }
+  }
+  return parseScalar(text);
+}
+
+function readBlockScalar(state, header, indent) {
+  const folded = header.startsWith(">");
+  const collected = [];
+  let blockIndent = null;
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.indent !== -1) {
+      const actual = line.raw.match(/^ */)[0].length;
+      if (actual <= indent) break;
+      blockIndent ??= actual;
+    }
+    collected.push(line.indent === -1 ? "" : line.raw.slice(blockIndent ?? 0));
+    state.index += 1;
+  }
+  while (collected.length && !collected[collected.length - 1]) collected.pop();
+  const text = folded ? collected.join("\n").replace(/([^\n])\n(?=[^\n])/g, "$1 ") : collected.join("\n");
+  return header.includes("-") ? text : `${text}\n`;
+}
+
+function parseFlow(text, anchors) {
+  let i = 0;
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i += 1;
+  };
+  const readValue = () => {
+    skipSpace();
+    if (text[i] === "[") {
+      i += 1;
+      const items = [];
+      for (skipSpace(); i < text.length && text[i] !== "]"; skipSpace()) {
+        items.push(readValue());
+        skipSpace();
+        if (text[i] === ",") i += 1;
+      }
+      i += 1;
+      return items;
+    }
+    if (text[i] === "{") {
+      i += 1;
+      const map = {};
+      for (skipSpace(); i < text.length && text[i] !== "}"; skipSpace()) {
+        const key = readPlain(/[:,}]/);
+        skipSpace();
+        let value = null;
+        if (text[i] === ":") {
+          i += 1;
+          value = readValue();
+        }
+        map[unquote(key)] = value;
+        skipSpace();
+        if (text[i] === ",") i += 1;
+      }
+      i += 1;
+      return map;
+    }
+    const raw = readPlain(/[,\]}]/);
+    return raw.startsWith("*") ? anchors.get(raw.slice(1)) ?? null : parseScalar(raw);
+  };
+  const readPlain = (terminator) => {
+    skipSpace();
+    const start = i;
+    if (text[i] === '"' || text[i] === "'") {
+      const quote = text[i];
+      i += 1;
+      while (i < text.length && text[i] !== quote) i += text[i] === "\\" && quote === '"' ? 2 : 1;
+      i += 1;
+      return text.slice(start, i);
+    }
+    while (i < text.length && !terminator.test(text[i])) i += 1;
+    return text.slice(start, i).trim();
+  };
+  return readValue();
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"')) return unquote(value);
+  if (value.startsWith("'")) return unquote(value);
+  if (value === "" || value === "~" || value === "null" || value === "Null" || value === "NULL") return null;
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  if (/^[-+]?\d+$/.test(value)) return Number(value);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function unquote(value) {
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    return value
+      .slice(1, -1)
+      .replace(/\\(["\\/bfnrt])/g, (_, ch) => ({ b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" })[ch] ?? ch);
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) return value.slice(1, -1).replace(/''/g, "'");
+  return value;
+}
+
+function readAnchor(text) {
+  const match = text.match(/^&(\S+)\s*(.*)$/);
+  return match ? { anchor: match[1], body: match[2] } : { anchor: null, body: text };
+}
+
+function isSequenceItem(text) {
+  return text === "-" || text.startsWith("- ");
+}
+
+// Returns the index of the `key: value` separator outside quotes and brackets, or -1.
+function findMappingColon(text) {
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && i === 0) quote = ch;
+    else if (ch === "[" || ch === "{") {
+      if (i === 0) return -1;
+      depth += 1;
+    } else if (ch === "]" || ch === "}") depth -= 1;
+    else if (ch === ":" && depth <= 0 && (i + 1 === text.length || text[i + 1] === " " || text[i + 1] === "\t")) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s:\-[{,]/.test(line[i - 1]))) quote = ch;
+    else if (ch === "#" && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i).trimEnd();
+  }
+  return line.trimEnd();
+}
+
+function isBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "[" || ch === "{") depth += 1;
+    else if (ch === "]" || ch === "}") depth -= 1;
+  }
+  return depth <= 0;
+}
+
+function isClosedQuote(text) {
+  const quote = text[0];
+  if (text.length < 2 || !text.endsWith(quote)) return false;
+  if (quote === "'") return true;
+  let backslashes = 0;
+  for (let i = text.length - 2; i > 0 && text[i] === "\\"; i -= 1) backslashes += 1;
+  return backslashes % 2 === 0;
+}
+
+function skipBlank(state) {
+  while (state.index < state.lines.length && state.lines[state.index].indent === -1) state.index += 1;
+}
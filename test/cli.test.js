@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { after, before, test } from "node:test";
+
+const CLI = fileURLToPath(new URL("../src/cli.js", import.meta.url));
+const REPO = "/repos/acme/shop";
+
+const FILES = {
+  "package.json": JSON.stringify({ name: "shop", dependencies: { express: "^4.18.2" } }),
+  "src/server.js": [
+    'const express = require("express");',
+    'const orders = require("./orders");',
+    "const app = express();",
+    'app.get("/health", (req, res) => res.send("ok"));',
+    'app.use("/api", orders);',
+    "app.listen(3000);"
+  ].join("\n"),
+  "src/orders.js": [
+    'const { Router } = require("express");',
+    "const router = Router();",
+    'router.post("/orders", async (req, res) => {',
+    '  await fetch("https://api.stripe.com/v1/charges", { method: "POST" });',
+    "  res.status(201).end();",
+    "});",
+    "module.exports = router;"
+  ].join("\n")
+};
+
+// Answers the GitHub REST endpoints the analyzer reads for one repository.
+function respond(url) {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  if (pathname === REPO) {
+    return { name: "shop", full_name: "acme/shop", description: "Test shop", default_branch: "main" };
+  }
+  if (pathname === `${REPO}/languages`) return { JavaScript: 900 };
+  if (pathname === `${REPO}/git/trees/main`) {
+    return {
+      truncated: false,
+      tree: Object.entries(FILES).map(([path, content]) => ({ path, type: "blob", size: content.length }))
+    };
+  }
+  if (pathname.startsWith(`${REPO}/contents/`) && searchParams.get("ref") === "main") {
+    const content = FILES[decodeURIComponent(pathname.slice(`${REPO}/contents/`.length))];
+    if (content !== undefined) return { content: Buffer.from(content).toString("base64"), encoding: "base64" };
+  }
+  if (pathname === `${REPO}/commits` || pathname === `${REPO}/contributors`) return [];
+  return null;
+}
+
+let server;
+let apiRoot;
+
+before(async () => {
+  server = createServer((request, response) => {
+    const body = respond(request.url);
+    response.writeHead(body ? 200 : 404, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body ?? { message: "Not Found" }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  apiRoot = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("analyzes a GitHub repository through --api-root", async () => {
+  const { stdout } = await promisify(execFile)(
+    process.execPath,
+    [CLI, "https://github.com/acme/shop", "--api-root", apiRoot, "--quiet", "--compact"],
+    { env: { ...process.env, GIT_TOKEN: "", GITHUB_TOKEN: "" }, timeout: 60000 }
+  );
+  const report = JSON.parse(stdout);
+
+  assert.equal(report.repo.fullName, "acme/shop");
+  assert.deepEqual(report.languages.map((lang) => lang.language), ["JavaScript"]);
+  assert.deepEqual(
+    report.exposedApis.map((route) => `${route.method} ${route.endpoint} ${route.framework}`).sort(),
+    ["GET /health express", "POST /api/orders express"]
+  );
+  assert.ok(report.externalApis.some((call) => call.host === "api.stripe.com"));
+  const express = report.dependencies.items.find((item) => item.name === "express");
+  assert.equal(express?.direct, true);
+});